@@ -16,16 +16,23 @@ const Blog = lazy(() => import('./pages/Blog'));
 const Post = lazy(() => import('./pages/Post'));
 const NichePage = lazy(() => import('./pages/NichePage'));
 const TagPosts = lazy(() => import('./pages/TagPosts'));
+const SeriesPage = lazy(() => import('./pages/SeriesPage'));
+const AuthorPage = lazy(() => import('./pages/AuthorPage'));
 const About = lazy(() => import('./pages/About'));
 const Contact = lazy(() => import('./pages/Contact'));
 const Login = lazy(() => import('./pages/Login'));
 const Register = lazy(() => import('./pages/Register'));
 const CheckEmail = lazy(() => import('./pages/CheckEmail'));
+const ForgotPassword = lazy(() => import('./pages/ForgotPassword'));
+const ResetPassword = lazy(() => import('./pages/ResetPassword'));
+const Account = lazy(() => import('./pages/Account'));
+const ReadingList = lazy(() => import('./pages/ReadingList'));
+const Newsletter = lazy(() => import('./pages/Newsletter'));
 const Admin = lazy(() => import('./pages/Admin'));
 const NotAccessible = lazy(() => import('./pages/NotAccessible'));
 const RateLimit = lazy(() => import('./pages/RateLimit'));
 
-function App() {
+function App({ helmetContext }) {
   const location = useLocation();
   const hideFooter = location.pathname.startsWith('/admin');
 
@@ -35,7 +42,7 @@ function App() {
   }, [location.pathname]);
 
   return (
-    <HelmetProvider>
+    <HelmetProvider context={helmetContext}>
       <ModalProvider>
         <GlobalLoadingScreen />
         <div className="app">
@@ -48,13 +55,20 @@ function App() {
               <Route path="/blog" element={<Blog />} />
               <Route path="/blog/:slug" element={<Post />} />
               <Route path="/blog/tags/:tagSlugs" element={<TagPosts />} />
+              <Route path="/blog/series/:slug" element={<SeriesPage />} />
+              <Route path="/author/:slug" element={<AuthorPage />} />
               <Route path="/:nicheSlug/blog" element={<Blog />} />
               <Route path="/about" element={<About />} />
               <Route path="/contact" element={<Contact />} />
               <Route path="/login" element={<Login />} />
               <Route path="/register" element={<Register />} />
               <Route path="/check-email" element={<CheckEmail />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
               <Route path="/rate-limit" element={<RateLimit />} />
+              <Route path="/account" element={<Account />} />
+              <Route path="/reading-list" element={<ReadingList />} />
+              <Route path="/newsletter" element={<Newsletter />} />
               <Route path="/admin/*" element={<Admin />} />
               <Route path="/not-accessible" element={<NotAccessible />} />
               <Route path="/:nicheSlug" element={<NichePage />} />
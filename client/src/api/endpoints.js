@@ -14,6 +14,8 @@ export const auth = {
   login: `${API}/auth/login`,
   register: `${API}/auth/register`,
   logout: `${API}/auth/logout`,
+  forgotPassword: `${API}/auth/forgot-password`,
+  resetPassword: `${API}/auth/reset-password`,
   verifyEmail: (token) => `${API}/auth/verify/${token}`,
   googleAuth: `${API}/auth/google`,
   googleCallback: `${API}/auth/google/callback`,
@@ -24,6 +26,11 @@ export const user = {
   profile: `${API}/user/profile`,
   updateProfile: `${API}/user/profile`,
   changePassword: `${API}/user/password`,
+  changeEmail: `${API}/user/email`,
+  exportData: `${API}/user/me/export`,
+  deleteAccount: `${API}/user/me`,
+  bookmarks: `${API}/user/bookmarks`,
+  reactions: `${API}/user/reactions`,
 };
 
 // Newsletter endpoints
@@ -37,10 +44,21 @@ export const blog = {
   list: `${API}/blog`,
   bySlug: (slug) => `${API}/blog/${slug}`,
   similar: (postId) => `${API}/blog/similar/${postId}`,
+  series: (slug) => `${API}/blog/series/${slug}`,
+  author: (slug) => `${API}/blog/authors/${slug}`,
+  comments: (slug) => `${API}/blog/${slug}/comments`,
+  reactions: (slug) => `${API}/blog/${slug}/reactions`,
+  like: (slug) => `${API}/blog/${slug}/like`,
+  bookmark: (slug) => `${API}/blog/${slug}/bookmark`,
   create: `${API}/admin/blog`,
   update: (id) => `${API}/admin/blog/${id}`,
   delete: (id) => `${API}/admin/blog/${id}`,
   publish: (id) => `${API}/admin/blog/${id}/publish`,
+  revisions: (id) => `${API}/admin/blog/${id}/revisions`,
+  revision: (id, revisionId) => `${API}/admin/blog/${id}/revisions/${revisionId}`,
+  restoreRevision: (id, revisionId) => `${API}/admin/blog/${id}/revisions/${revisionId}/restore`,
+  // Autosave slot for the current user; no id = the post being created
+  draft: (id) => (id ? `${API}/admin/blog/${id}/draft` : `${API}/admin/blog/drafts/new`),
   uploadImage: `${API}/admin/blog/upload-image`,
 };
 
@@ -66,6 +84,24 @@ export const niches = {
   bySlug: (slug) => `${API}/blog/niches/${slug}`,
 };
 
+// Series endpoints
+export const series = {
+  list: `${API}/admin/series`,
+  byId: (id) => `${API}/admin/series/${id}`,
+  create: `${API}/admin/series`,
+  update: (id) => `${API}/admin/series/${id}`,
+  delete: (id) => `${API}/admin/series/${id}`,
+  posts: (id) => `${API}/admin/series/${id}/posts`,
+};
+
+// Author profile endpoints
+export const authors = {
+  list: `${API}/admin/authors`,
+  create: `${API}/admin/authors`,
+  update: (id) => `${API}/admin/authors/${id}`,
+  delete: (id) => `${API}/admin/authors/${id}`,
+};
+
 // Admin endpoints
 export const admin = {
   // Dashboard
@@ -94,9 +130,30 @@ export const admin = {
   traffic: `${API}/admin/traffic`,
   trafficSummary: `${API}/admin/traffic/summary`,
   trafficBySource: (source) => `${API}/admin/traffic/source/${source}`,
+
+  // UTM campaign report
+  campaigns: `${API}/admin/campaigns`,
+
+  // Referrer rules (traffic source classification)
+  referrerRules: `${API}/admin/referrer-rules`,
+  referrerRule: (id) => `${API}/admin/referrer-rules/${id}`,
+  referrerRulesReclassify: `${API}/admin/referrer-rules/reclassify`,
   
   // Content
   blogPosts: `${API}/admin/blog`,
+
+  // Newsletter
+  newsletter: `${API}/admin/newsletter`,
+  newsletterCampaigns: `${API}/admin/newsletter/campaigns`,
+  newsletterCampaign: (id) => `${API}/admin/newsletter/campaigns/${id}`,
+  newsletterPreview: (id) => `${API}/admin/newsletter/campaigns/${id}/preview`,
+  newsletterSend: (id) => `${API}/admin/newsletter/campaigns/${id}/send`,
+  newsletterRetry: (id) => `${API}/admin/newsletter/campaigns/${id}/retry`,
+
+  // Comment moderation
+  comments: `${API}/admin/comments`,
+  comment: (id) => `${API}/admin/comments/${id}`,
+  commentsBulk: `${API}/admin/comments/bulk`,
 };
 
 // Utility endpoints
@@ -133,6 +190,8 @@ export default {
   blog,
   tags,
   niches,
+  series,
+  authors,
   admin,
   util,
 };
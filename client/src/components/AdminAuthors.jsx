@@ -0,0 +1,261 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Edit2, Trash2, X } from 'lucide-react';
+import { apiClient, endpoints, response } from '../api';
+import { useModal } from '../contexts/ModalContext';
+import SkeletonTable from './SkeletonTable';
+import './AdminTags.css';
+
+// Same networks, in the same order, as SOCIAL_NETWORKS in server/utils/authors.js
+const SOCIAL_NETWORKS = [
+  { key: 'website', label: 'Website' },
+  { key: 'twitter', label: 'X / Twitter' },
+  { key: 'linkedin', label: 'LinkedIn' },
+  { key: 'github', label: 'GitHub' },
+  { key: 'instagram', label: 'Instagram' },
+  { key: 'youtube', label: 'YouTube' },
+];
+
+const EMPTY_FORM = { name: '', slug: '', userId: '', bio: '', avatarUrl: '', socialLinks: {} };
+
+export default function AdminAuthors() {
+  const modal = useModal();
+  const [authors, setAuthors] = useState([]);
+  const [admins, setAdmins] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingAuthor, setEditingAuthor] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    fetchAuthors();
+  }, []);
+
+  const fetchAuthors = async () => {
+    try {
+      setLoading(true);
+      const [{ data }, { data: usersData }] = await Promise.all([
+        apiClient.get(endpoints.authors.list),
+        apiClient.get(endpoints.admin.users, { filter: 'admins' })
+      ]);
+      setAuthors(data.authors);
+      setAdmins(usersData.users || []);
+    } catch (err) {
+      setError(response.getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenModal = (author = null) => {
+    setEditingAuthor(author);
+    setFormData(author ? {
+      name: author.name,
+      slug: author.slug,
+      userId: author.user_id || '',
+      bio: author.bio || '',
+      avatarUrl: author.avatar_url || '',
+      socialLinks: author.social_links || {},
+    } : EMPTY_FORM);
+    setShowModal(true);
+  };
+
+  const handleCloseModal = () => {
+    setShowModal(false);
+    setEditingAuthor(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const payload = { ...formData, userId: formData.userId || null };
+    try {
+      if (editingAuthor) {
+        const { data } = await apiClient.put(endpoints.authors.update(editingAuthor.id), payload);
+        setAuthors(authors.map(a => a.id === editingAuthor.id ? { ...a, ...data.author } : a));
+      } else {
+        const { data } = await apiClient.post(endpoints.authors.create, payload);
+        setAuthors([...authors, data.author].sort((a, b) => a.name.localeCompare(b.name)));
+      }
+      handleCloseModal();
+    } catch (err) {
+      await modal.alert(response.getErrorMessage(err), 'Error');
+    }
+  };
+
+  const handleDelete = async (author) => {
+    const message = author.post_count > 0
+      ? `${author.name} is credited on ${author.post_count} post${author.post_count !== 1 ? 's' : ''}. The posts are kept, but lose this byline. Delete the profile?`
+      : 'Are you sure you want to delete this author profile?';
+
+    const confirmed = await modal.confirm(message, 'Confirm Delete', { variant: 'danger' });
+    if (!confirmed) return;
+
+    try {
+      await apiClient.delete(endpoints.authors.delete(author.id));
+      setAuthors(authors.filter(a => a.id !== author.id));
+    } catch (err) {
+      await modal.alert(response.getErrorMessage(err), 'Error');
+    }
+  };
+
+  const setSocialLink = (network, value) => {
+    setFormData({ ...formData, socialLinks: { ...formData.socialLinks, [network]: value } });
+  };
+
+  if (loading) return <SkeletonTable rows={5} />;
+  if (error) return <div style={{padding: '2rem', color: '#b91c1c'}}>Error: {error}</div>;
+
+  return (
+    <div className="admin-tags">
+      <div className="tags-header">
+        <h2>Authors</h2>
+        <button className="btn-primary" onClick={() => handleOpenModal()}>
+          <Plus size={18} />
+          Add Author
+        </button>
+      </div>
+
+      <div className="tags-grid">
+        {authors.map(author => (
+          <div key={author.id} className="tag-card">
+            <div className="tag-info">
+              {author.avatar_url ? (
+                <img src={author.avatar_url} alt="" className="tag-color-preview" style={{ objectFit: 'cover', borderRadius: '50%' }} />
+              ) : (
+                <div
+                  className="tag-color-preview"
+                  style={{ borderRadius: '50%', background: '#111', color: '#fff', display: 'flex', alignItems: 'center', justifyContent: 'center', fontWeight: 700 }}
+                >
+                  {author.name.charAt(0).toUpperCase()}
+                </div>
+              )}
+              <div className="tag-details">
+                <div className="tag-name">{author.name}</div>
+                <div className="tag-meta">
+                  {author.post_count} post{author.post_count !== 1 ? 's' : ''}
+                  {author.user_email && ` · ${author.user_email}`}
+                </div>
+              </div>
+            </div>
+            <div className="tag-actions">
+              <button
+                className="btn-icon"
+                onClick={() => handleOpenModal(author)}
+                title="Edit"
+              >
+                <Edit2 size={16} />
+              </button>
+              <button
+                className="btn-icon danger"
+                onClick={() => handleDelete(author)}
+                title="Delete"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {authors.length === 0 && (
+        <div className="no-tags">
+          <p>No author profiles yet. Posts are credited to the admin who created them until you add one.</p>
+        </div>
+      )}
+
+      {showModal && (
+        <div className="modal-overlay" onClick={handleCloseModal}>
+          <div className="tag-modal" onClick={(e) => e.stopPropagation()} style={{ maxHeight: '90vh', overflowY: 'auto' }}>
+            <div className="modal-header">
+              <h3>{editingAuthor ? 'Edit Author' : 'Create Author'}</h3>
+              <button className="close-btn" onClick={handleCloseModal}>
+                <X size={20} />
+              </button>
+            </div>
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label htmlFor="author-name">Name</label>
+                <input
+                  id="author-name"
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  placeholder="e.g., Ada Lovelace"
+                  required
+                  autoFocus
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="author-slug">Profile URL (Optional)</label>
+                <input
+                  id="author-slug"
+                  type="text"
+                  value={formData.slug}
+                  onChange={(e) => setFormData({ ...formData, slug: e.target.value })}
+                  placeholder="Generated from the name"
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="author-user">Admin account (Optional)</label>
+                <select
+                  id="author-user"
+                  value={formData.userId}
+                  onChange={(e) => setFormData({ ...formData, userId: e.target.value })}
+                >
+                  <option value="">Guest author</option>
+                  {admins.map(user => (
+                    <option key={user.id} value={user.id}>
+                      {user.name ? `${user.name} (${user.email})` : user.email}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="author-bio">Bio</label>
+                <textarea
+                  id="author-bio"
+                  rows="3"
+                  value={formData.bio}
+                  onChange={(e) => setFormData({ ...formData, bio: e.target.value })}
+                  placeholder="Shown under the posts and on the author page"
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="author-avatar">Avatar URL</label>
+                <input
+                  id="author-avatar"
+                  type="url"
+                  value={formData.avatarUrl}
+                  onChange={(e) => setFormData({ ...formData, avatarUrl: e.target.value })}
+                  placeholder="https://..."
+                />
+              </div>
+              {SOCIAL_NETWORKS.map(({ key, label }) => (
+                <div className="form-group" key={key}>
+                  <label htmlFor={`author-${key}`}>{label}</label>
+                  <input
+                    id={`author-${key}`}
+                    type="url"
+                    value={formData.socialLinks[key] || ''}
+                    onChange={(e) => setSocialLink(key, e.target.value)}
+                    placeholder="https://..."
+                  />
+                </div>
+              ))}
+              <div className="modal-actions">
+                <button type="button" className="btn-secondary" onClick={handleCloseModal}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn-primary">
+                  {editingAuthor ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
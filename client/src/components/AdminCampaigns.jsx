@@ -0,0 +1,121 @@
+import React, { useEffect, useState } from 'react';
+import { apiClient, endpoints, response } from '../api';
+import SkeletonTable from './SkeletonTable';
+import './AdminSessions.css';
+import './AdminCampaigns.css';
+
+const COLUMNS = [
+  { key: 'sessions', label: 'Sessions' },
+  { key: 'visitors', label: 'Visitors' },
+  { key: 'engaged_reads', label: 'Engaged reads' },
+  { key: 'signups', label: 'Signups' },
+  { key: 'newsletter_signups', label: 'Newsletter' },
+];
+
+// YYYY-MM-DD, `daysAgo` days before today
+function isoDate(daysAgo = 0) {
+  const date = new Date();
+  date.setDate(date.getDate() - daysAgo);
+  return date.toISOString().slice(0, 10);
+}
+
+export default function AdminCampaigns() {
+  const [from, setFrom] = useState(isoDate(29));
+  const [to, setTo] = useState(isoDate());
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  async function loadReport() {
+    try {
+      setLoading(true);
+      setError('');
+      const { data } = await apiClient.get(endpoints.admin.campaigns, { from, to });
+      setReport(data);
+    } catch (e) {
+      setError(response.getErrorMessage(e));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => { loadReport(); /* eslint-disable-line */ }, []);
+
+  return (
+    <div className="admin-traffic">
+      <div className="traffic-toolbar">
+        <div className="toolbar-top">
+          <div className="title">Campaigns</div>
+        </div>
+      </div>
+
+      <form
+        className="campaigns-range"
+        onSubmit={(e) => { e.preventDefault(); loadReport(); }}
+      >
+        <label className="field">
+          <div className="label">From</div>
+          <input type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} required />
+        </label>
+        <label className="field">
+          <div className="label">To</div>
+          <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} required />
+        </label>
+        <button type="submit" className="btn primary small" disabled={loading}>Apply</button>
+      </form>
+
+      {error && <div style={{ padding: 16, color: '#b91c1c' }}>Error: {error}</div>}
+
+      {loading ? (
+        <SkeletonTable rows={5} />
+      ) : report && (
+        <div className="table-card" style={{ marginTop: 16 }}>
+          <div className="table-header">
+            <div className="table-title-section">
+              <div className="table-title">UTM Campaigns</div>
+              <div className="page-indicator">{report.from} – {report.to}</div>
+            </div>
+          </div>
+          <div style={{ padding: 16 }}>
+            {report.campaigns.length === 0 ? (
+              <p className="hint">
+                No campaign traffic in this range. Links tagged with utm_campaign (and utm_source, utm_medium) show up here.
+              </p>
+            ) : (
+              <div className="table-scroll-container">
+                <table className="campaigns-table">
+                  <thead>
+                    <tr>
+                      <th>Campaign</th>
+                      <th>Source / Medium</th>
+                      {COLUMNS.map(column => <th key={column.key}>{column.label}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.campaigns.map(row => (
+                      <tr key={`${row.campaign}|${row.source}|${row.medium}`}>
+                        <td className="campaign-name">{row.campaign}</td>
+                        <td className="campaign-source">{row.source || '(none)'} / {row.medium || '(none)'}</td>
+                        {COLUMNS.map(column => <td key={column.key}>{row[column.key].toLocaleString()}</td>)}
+                      </tr>
+                    ))}
+                  </tbody>
+                  <tfoot>
+                    <tr>
+                      <td colSpan={2}>Total</td>
+                      {COLUMNS.map(column => <td key={column.key}>{report.totals[column.key].toLocaleString()}</td>)}
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+            )}
+            <p className="hint" style={{ marginTop: 12 }}>
+              Sessions and engaged reads count towards the campaign that started the session.
+              Signups and newsletter subscriptions count towards the campaign that first brought the visitor.
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,262 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { apiClient, endpoints, withQuery, response } from '../api';
+import SkeletonTable from './SkeletonTable';
+import { useModal } from '../contexts/ModalContext';
+import './AdminUsers.css';
+import './AdminSessions.css';
+import './AdminComments.css';
+
+const STATUS_TABS = [
+  { key: 'pending', label: 'Pending' },
+  { key: 'approved', label: 'Approved' },
+  { key: 'spam', label: 'Spam' },
+  { key: 'rejected', label: 'Rejected' },
+];
+
+// Moderation actions offered for comments in each tab
+const ACTIONS = [
+  { status: 'approved', label: 'Approve', className: 'primary' },
+  { status: 'rejected', label: 'Reject', className: '' },
+  { status: 'spam', label: 'Spam', className: 'danger' },
+];
+
+const PAGE_SIZE = 50;
+
+export default function AdminComments() {
+  const modal = useModal();
+  const [status, setStatus] = useState('pending');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [query, setQuery] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [comments, setComments] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const { data } = await apiClient.get(withQuery(endpoints.admin.comments, {
+        status,
+        q: query || undefined,
+        limit: PAGE_SIZE,
+        offset,
+      }));
+      setComments(data.comments || []);
+      setCounts(data.counts || {});
+      setTotal(data.total || 0);
+      setSelectedIds(new Set());
+    } catch (e) {
+      setError(response.getErrorMessage(e));
+    } finally {
+      setLoading(false);
+    }
+  }, [status, query, offset]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const changeTab = (key) => {
+    setStatus(key);
+    setOffset(0);
+  };
+
+  const moderate = async (ids, nextStatus) => {
+    setBusy(true);
+    try {
+      if (ids.length === 1) {
+        await apiClient.patch(endpoints.admin.comment(ids[0]), { status: nextStatus });
+      } else {
+        await apiClient.post(endpoints.admin.commentsBulk, { ids, status: nextStatus });
+      }
+      await load();
+    } catch (e) {
+      await modal.alert(response.getErrorMessage(e), 'Error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const bulkModerate = async (action) => {
+    if (selectedIds.size === 0) return;
+    const confirmed = await modal.confirm(
+      `${action.label} ${selectedIds.size} comment(s)?`,
+      'Bulk Moderation',
+      { confirmText: action.label, variant: action.status === 'approved' ? 'primary' : 'danger' }
+    );
+    if (!confirmed) return;
+    moderate(Array.from(selectedIds), action.status);
+  };
+
+  const toggleSelectAll = () => {
+    if (selectedIds.size === comments.length) {
+      setSelectedIds(new Set());
+    } else {
+      setSelectedIds(new Set(comments.map(c => c.id)));
+    }
+  };
+
+  const toggleSelect = (id) => {
+    const newSet = new Set(selectedIds);
+    if (newSet.has(id)) {
+      newSet.delete(id);
+    } else {
+      newSet.add(id);
+    }
+    setSelectedIds(newSet);
+  };
+
+  const actions = ACTIONS.filter(action => action.status !== status);
+
+  return (
+    <div className="admin-users admin-comments">
+      <div className="traffic-toolbar">
+        <div className="toolbar-top">
+          <div className="title">Comments</div>
+          <div className="tabs">
+            {STATUS_TABS.map(t => (
+              <button
+                key={t.key}
+                className={`tab ${status === t.key ? 'active' : ''}`}
+                onClick={() => changeTab(t.key)}
+              >
+                {t.label}{counts[t.key] ? ` (${counts[t.key]})` : ''}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <form
+          className="traffic-search-form"
+          onSubmit={(e) => { e.preventDefault(); setOffset(0); setQuery(searchTerm.trim()); }}
+        >
+          <div className="traffic-search" role="search">
+            <input
+              type="search"
+              className="traffic-search-input"
+              placeholder="Search comments, authors or posts..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              aria-label="Search comments"
+            />
+            <button type="submit" className="btn primary search-btn">Search</button>
+          </div>
+        </form>
+
+        {selectedIds.size > 0 && (
+          <div className="traffic-chip-row">
+            <span className="chip-info">{selectedIds.size} selected</span>
+            {actions.map(action => (
+              <button
+                key={action.status}
+                type="button"
+                className={`traffic-chip ${action.className}`}
+                onClick={() => bulkModerate(action)}
+                disabled={busy}
+              >
+                {action.label} Selected
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {loading && <SkeletonTable rows={8} columns={5} />}
+      {error && !loading && <div style={{padding: '0.75rem', color: '#b91c1c'}}>Error: {error}</div>}
+
+      {!loading && !error && (
+        <div className="table-wrap">
+          <table className="table">
+            <thead>
+              <tr>
+                <th style={{width: '40px'}}>
+                  <input
+                    type="checkbox"
+                    checked={comments.length > 0 && selectedIds.size === comments.length}
+                    onChange={toggleSelectAll}
+                    aria-label="Select all"
+                  />
+                </th>
+                {['Comment', 'Author', 'Post', 'Posted', 'Actions'].map((h) => <th key={h}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {comments.map((c) => (
+                <tr key={c.id}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.has(c.id)}
+                      onChange={() => toggleSelect(c.id)}
+                      aria-label={`Select comment ${c.id}`}
+                    />
+                  </td>
+                  <td className="comment-cell">
+                    {c.parent_body && (
+                      <div className="comment-parent">Replying to: {c.parent_body}</div>
+                    )}
+                    <div className="comment-body">{c.body}</div>
+                  </td>
+                  <td>
+                    <div>{c.author_name || '—'}</div>
+                    <div className="comment-email">{c.author_email}</div>
+                  </td>
+                  <td>
+                    <a href={`/blog/${c.post_slug}`} target="_blank" rel="noopener noreferrer">{c.post_title}</a>
+                  </td>
+                  <td>{new Date(c.created_at).toLocaleString()}</td>
+                  <td>
+                    <div className="row-actions">
+                      {actions.map(action => (
+                        <button
+                          key={action.status}
+                          className={`btn small ${action.className}`}
+                          onClick={() => moderate([c.id], action.status)}
+                          disabled={busy}
+                        >
+                          {action.label}
+                        </button>
+                      ))}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+              {comments.length === 0 && (
+                <tr>
+                  <td colSpan={6} style={{textAlign: 'center', color: '#666'}}>
+                    {status === 'pending' ? 'No comments waiting for moderation.' : 'No comments here.'}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {!loading && total > PAGE_SIZE && (
+        <div className="comments-pagination">
+          <button
+            className="btn small"
+            onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+            disabled={offset === 0}
+          >
+            Previous
+          </button>
+          <span>{offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}</span>
+          <button
+            className="btn small"
+            onClick={() => setOffset(offset + PAGE_SIZE)}
+            disabled={offset + PAGE_SIZE >= total}
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
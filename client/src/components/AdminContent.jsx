@@ -8,6 +8,20 @@ import { useModal } from '../contexts/ModalContext';
 import './AdminContent.css';
 import './AdminSessions.css';
 
+// "2d 4h", "3h 12m", "45s" until a scheduled post goes live
+function formatCountdown(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+}
+
 export default function AdminContent() {
   const modal = useModal();
   const navigate = useNavigate();
@@ -15,12 +29,21 @@ export default function AdminContent() {
   const [posts, setPosts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [now, setNow] = useState(() => Date.now());
 
   // Fetch posts on mount
   useEffect(() => {
     fetchPosts();
   }, []);
 
+  // Tick the countdowns while any post is waiting to be published
+  const hasScheduled = posts.some(p => p.status === 'scheduled');
+  useEffect(() => {
+    if (!hasScheduled) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [hasScheduled]);
+
   const fetchPosts = async () => {
     try {
       setLoading(true);
@@ -56,7 +79,7 @@ export default function AdminContent() {
   const handleTogglePublish = async (postId, currentStatus) => {
     try {
       const { data } = await apiClient.patch(endpoints.blog.publish(postId));
-      setPosts(posts.map(p => p.id === postId ? { ...p, status: data.post.status } : p));
+      setPosts(posts.map(p => p.id === postId ? { ...p, status: data.post.status, scheduled_for: null } : p));
       await modal.alert(data.message, 'Success');
     } catch (err) {
       await modal.alert(response.getErrorMessage(err), 'Error');
@@ -103,6 +126,13 @@ export default function AdminContent() {
           >
             Drafts
           </button>
+          <button 
+            className={`traffic-chip ${activeTab === 'scheduled' ? 'active' : ''}`} 
+            type="button"
+            onClick={() => setActiveTab('scheduled')}
+          >
+            Scheduled
+          </button>
           <button 
             className={`traffic-chip ${activeTab === 'tags' ? 'active' : ''}`} 
             type="button"
@@ -118,10 +148,21 @@ export default function AdminContent() {
       ) : (
         <div className="card-grid">
           {posts
-            .filter(p => activeTab === 'drafts' ? p.status === 'draft' : true)
+            .filter(p => {
+              if (activeTab === 'drafts') return p.status === 'draft';
+              if (activeTab === 'scheduled') return p.status === 'scheduled';
+              return true;
+            })
             .map((p) => (
               <div key={p.id} className="content-card">
                 <div className="content-title">{p.title}</div>
+                {p.status === 'scheduled' && p.scheduled_for && (
+                  <div className="content-schedule" title={new Date(p.scheduled_for).toLocaleString()}>
+                    {new Date(p.scheduled_for).getTime() > now
+                      ? `Publishes in ${formatCountdown(new Date(p.scheduled_for).getTime() - now)}`
+                      : 'Publishing shortly'}
+                  </div>
+                )}
                 <div className="content-excerpt">{p.excerpt}</div>
                 {p.tags && p.tags.length > 0 && (
                   <div className="content-tags">
@@ -146,7 +187,7 @@ export default function AdminContent() {
                     className="btn small" 
                     onClick={() => handleTogglePublish(p.id, p.status)}
                   >
-                    {p.status === 'published' ? 'Unpublish' : 'Publish'}
+                    {p.status === 'published' ? 'Unpublish' : p.status === 'scheduled' ? 'Publish now' : 'Publish'}
                   </button>
                   <button className="btn small danger" onClick={() => handleDeletePost(p.id)}>Delete</button>
                 </div>
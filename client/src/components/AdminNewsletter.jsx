@@ -0,0 +1,365 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, Edit2, Trash2, X, Send, Eye, RotateCcw } from 'lucide-react';
+import { apiClient, endpoints, response } from '../api';
+import { useModal } from '../contexts/ModalContext';
+import SkeletonTable from './SkeletonTable';
+import './AdminTags.css';
+import './AdminNewsletter.css';
+
+const EMPTY_FORM = { source: 'post', post_id: '', subject: '', html: '' };
+const POLL_INTERVAL_MS = 5000;
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  queued: 'Queued',
+  sending: 'Sending',
+  sent: 'Sent',
+};
+
+export default function AdminNewsletter() {
+  const modal = useModal();
+  const [campaigns, setCampaigns] = useState([]);
+  const [subscribers, setSubscribers] = useState({ verified: 0, unverified: 0 });
+  const [sender, setSender] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingCampaign, setEditingCampaign] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [publishedPosts, setPublishedPosts] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchCampaigns = useCallback(async () => {
+    try {
+      const { data } = await apiClient.get(endpoints.admin.newsletter);
+      setCampaigns(data.campaigns);
+      setSubscribers(data.subscribers);
+      setSender(data.sender);
+      setError('');
+    } catch (err) {
+      setError(response.getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCampaigns();
+  }, [fetchCampaigns]);
+
+  // Refresh delivery progress while a campaign is going out
+  const inFlight = campaigns.some(c => c.status === 'queued' || c.status === 'sending');
+  useEffect(() => {
+    if (!inFlight) return;
+    const timer = setInterval(fetchCampaigns, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [inFlight, fetchCampaigns]);
+
+  const handleOpenModal = async (campaign = null) => {
+    if (campaign) {
+      try {
+        const { data } = await apiClient.get(endpoints.admin.newsletterCampaign(campaign.id));
+        setEditingCampaign(data.campaign);
+        setFormData({
+          source: 'html',
+          post_id: data.campaign.post_id || '',
+          subject: data.campaign.subject,
+          html: data.campaign.html,
+        });
+      } catch (err) {
+        await modal.alert(response.getErrorMessage(err), 'Error');
+        return;
+      }
+    } else {
+      setEditingCampaign(null);
+      setFormData(EMPTY_FORM);
+      try {
+        const { data } = await apiClient.get(endpoints.admin.blogPosts);
+        setPublishedPosts((data.posts || []).filter(p => p.status === 'published'));
+      } catch (err) {
+        console.error('Failed to fetch posts:', err);
+      }
+    }
+    setShowModal(true);
+  };
+
+  const handleCloseModal = () => {
+    setShowModal(false);
+    setEditingCampaign(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const payload = formData.source === 'post'
+      ? { post_id: formData.post_id, subject: formData.subject }
+      : { subject: formData.subject, html: formData.html };
+
+    try {
+      if (editingCampaign) {
+        await apiClient.put(endpoints.admin.newsletterCampaign(editingCampaign.id), payload);
+      } else {
+        await apiClient.post(endpoints.admin.newsletterCampaigns, payload);
+      }
+      handleCloseModal();
+      fetchCampaigns();
+    } catch (err) {
+      await modal.alert(response.getErrorMessage(err), 'Error');
+    }
+  };
+
+  const runAction = async (campaign, action) => {
+    setBusyId(campaign.id);
+    try {
+      const { data } = await action();
+      if (data?.message) await modal.alert(data.message, 'Newsletter');
+      fetchCampaigns();
+    } catch (err) {
+      await modal.alert(response.getErrorMessage(err), 'Error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePreview = (campaign) =>
+    runAction(campaign, () => apiClient.post(endpoints.admin.newsletterPreview(campaign.id)));
+
+  const handleSend = async (campaign) => {
+    const confirmed = await modal.confirm(
+      `Send "${campaign.subject}" to ${subscribers.verified} verified subscriber${subscribers.verified !== 1 ? 's' : ''}? This cannot be undone.`,
+      'Send Campaign',
+      { confirmText: 'Send', variant: 'primary' }
+    );
+    if (!confirmed) return;
+    runAction(campaign, () => apiClient.post(endpoints.admin.newsletterSend(campaign.id)));
+  };
+
+  const handleRetry = (campaign) =>
+    runAction(campaign, () => apiClient.post(endpoints.admin.newsletterRetry(campaign.id)));
+
+  const handleDelete = async (campaign) => {
+    const confirmed = await modal.confirm('Delete this draft?', 'Confirm Delete', { variant: 'danger' });
+    if (!confirmed) return;
+    runAction(campaign, () => apiClient.delete(endpoints.admin.newsletterCampaign(campaign.id)));
+  };
+
+  if (loading) return <SkeletonTable rows={5} />;
+  if (error) return <div style={{ padding: '2rem', color: '#b91c1c' }}>Error: {error}</div>;
+
+  return (
+    <div className="admin-tags">
+      <div className="tags-header">
+        <div>
+          <h2>Newsletter</h2>
+          <div className="tag-meta" style={{ marginTop: '0.25rem' }}>
+            {subscribers.verified} verified subscriber{subscribers.verified !== 1 ? 's' : ''}
+            {subscribers.unverified > 0 && ` • ${subscribers.unverified} awaiting confirmation`}
+          </div>
+        </div>
+        <button className="btn-primary" onClick={() => handleOpenModal()}>
+          <Plus size={18} />
+          New Campaign
+        </button>
+      </div>
+
+      {sender && !sender.mailConfigured && (
+        <div className="newsletter-warning">
+          Email is not configured, so previews and campaigns cannot be sent. Set <code>SMTP_HOST</code> on
+          the server. A local sink like MailHog or Mailpit works for testing.
+        </div>
+      )}
+
+      <div className="newsletter-list">
+        {campaigns.map(campaign => {
+          const total = campaign.recipients || campaign.total_recipients || 0;
+          const done = campaign.sent + campaign.failed + campaign.skipped;
+          const progress = total > 0 ? Math.round((done / total) * 100) : 0;
+
+          return (
+            <div key={campaign.id} className="tag-card">
+              <div className="tag-info">
+                <div className="tag-details">
+                  <div className="tag-name">
+                    {campaign.subject}
+                    <span className={`newsletter-status ${campaign.status}`}>
+                      {STATUS_LABELS[campaign.status] || campaign.status}
+                    </span>
+                  </div>
+                  <div className="tag-meta">
+                    {campaign.status === 'draft'
+                      ? `Created ${new Date(campaign.created_at).toLocaleString()}`
+                      : `${campaign.sent} sent • ${campaign.failed} failed • ${campaign.skipped} skipped of ${total}`}
+                    {campaign.completed_at && ` • Finished ${new Date(campaign.completed_at).toLocaleString()}`}
+                  </div>
+                  {(campaign.status === 'queued' || campaign.status === 'sending') && (
+                    <div className="newsletter-progress">
+                      <div className="newsletter-progress-bar" style={{ width: `${progress}%` }} />
+                    </div>
+                  )}
+                </div>
+              </div>
+              <div className="tag-actions">
+                <button
+                  className="btn-icon"
+                  onClick={() => handlePreview(campaign)}
+                  disabled={busyId === campaign.id}
+                  title="Send preview to yourself"
+                >
+                  <Eye size={16} />
+                </button>
+                {campaign.status === 'draft' && (
+                  <>
+                    <button
+                      className="btn-icon"
+                      onClick={() => handleOpenModal(campaign)}
+                      title="Edit"
+                    >
+                      <Edit2 size={16} />
+                    </button>
+                    <button
+                      className="btn-icon"
+                      onClick={() => handleSend(campaign)}
+                      disabled={busyId === campaign.id}
+                      title="Send to subscribers"
+                    >
+                      <Send size={16} />
+                    </button>
+                    <button
+                      className="btn-icon danger"
+                      onClick={() => handleDelete(campaign)}
+                      title="Delete"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </>
+                )}
+                {campaign.failed > 0 && campaign.status === 'sent' && (
+                  <button
+                    className="btn-icon"
+                    onClick={() => handleRetry(campaign)}
+                    disabled={busyId === campaign.id}
+                    title="Retry failed recipients"
+                  >
+                    <RotateCcw size={16} />
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {campaigns.length === 0 && (
+        <div className="no-tags">
+          <p>No campaigns yet. Compose one from a published post or write your own.</p>
+        </div>
+      )}
+
+      {showModal && (
+        <div className="modal-overlay" onClick={handleCloseModal}>
+          <div className="tag-modal newsletter-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>{editingCampaign ? 'Edit Campaign' : 'New Campaign'}</h3>
+              <button className="close-btn" onClick={handleCloseModal}>
+                <X size={20} />
+              </button>
+            </div>
+
+            <form onSubmit={handleSubmit}>
+              {!editingCampaign && (
+                <div className="form-group">
+                  <label>Content</label>
+                  <div className="newsletter-source-toggle">
+                    <button
+                      type="button"
+                      className={formData.source === 'post' ? 'active' : ''}
+                      onClick={() => setFormData({ ...formData, source: 'post' })}
+                    >
+                      From a blog post
+                    </button>
+                    <button
+                      type="button"
+                      className={formData.source === 'html' ? 'active' : ''}
+                      onClick={() => setFormData({ ...formData, source: 'html' })}
+                    >
+                      Freeform HTML
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {formData.source === 'post' && (
+                <div className="form-group">
+                  <label htmlFor="newsletter-post">Published post</label>
+                  <select
+                    id="newsletter-post"
+                    value={formData.post_id}
+                    onChange={(e) => setFormData({ ...formData, post_id: e.target.value })}
+                    required
+                  >
+                    <option value="">Choose a post...</option>
+                    {publishedPosts.map(post => (
+                      <option key={post.id} value={post.id}>{post.title}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div className="form-group">
+                <label htmlFor="newsletter-subject">Subject</label>
+                <input
+                  id="newsletter-subject"
+                  type="text"
+                  value={formData.subject}
+                  onChange={(e) => setFormData({ ...formData, subject: e.target.value })}
+                  placeholder={formData.source === 'post' ? 'Defaults to the post title' : 'This week at PeakSelf'}
+                  maxLength={200}
+                  required={formData.source === 'html'}
+                />
+              </div>
+
+              {formData.source === 'html' && (
+                <>
+                  <div className="form-group">
+                    <label htmlFor="newsletter-html">Email body (HTML)</label>
+                    <textarea
+                      id="newsletter-html"
+                      value={formData.html}
+                      onChange={(e) => setFormData({ ...formData, html: e.target.value })}
+                      rows={10}
+                      required
+                    />
+                    <small style={{ color: '#6b7280', fontSize: '0.75rem', marginTop: '0.25rem', display: 'block' }}>
+                      An unsubscribe footer is added to every email automatically.
+                    </small>
+                  </div>
+                  {formData.html && (
+                    <div className="form-group">
+                      <label>Preview</label>
+                      <iframe
+                        title="Campaign preview"
+                        className="newsletter-preview-frame"
+                        sandbox=""
+                        srcDoc={formData.html}
+                      />
+                    </div>
+                  )}
+                </>
+              )}
+
+              <div className="modal-actions">
+                <button type="button" className="btn-secondary" onClick={handleCloseModal}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn-primary">
+                  {editingCampaign ? 'Save Draft' : 'Create Draft'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,282 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Edit2, Trash2, X, RefreshCw } from 'lucide-react';
+import { apiClient, endpoints, response } from '../api';
+import { useModal } from '../contexts/ModalContext';
+import SkeletonTable from './SkeletonTable';
+import './AdminSessions.css';
+import './AdminTags.css';
+import './AdminReferrerRules.css';
+
+const CHANNEL_LABELS = {
+  organic_search: 'Organic search',
+  social: 'Social',
+  email: 'Email',
+  referral: 'Referral',
+  direct: 'Direct',
+};
+
+const EMPTY_FORM = { match_type: 'domain', pattern: '', source: '', channel: 'referral', priority: 100 };
+
+export default function AdminReferrerRules() {
+  const modal = useModal();
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [rulesChanged, setRulesChanged] = useState(false);
+  const [reclassifying, setReclassifying] = useState(false);
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const fetchRules = async () => {
+    try {
+      setLoading(true);
+      const { data } = await apiClient.get(endpoints.admin.referrerRules);
+      setRules(data.rules);
+    } catch (err) {
+      setError(response.getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Rules are matched by priority, then in creation order
+  const sortRules = (list) => [...list].sort((a, b) => (a.priority - b.priority) || (a.id - b.id));
+
+  const handleOpenModal = (rule = null) => {
+    setEditingRule(rule);
+    setFormData(rule ? {
+      match_type: rule.match_type,
+      pattern: rule.pattern,
+      source: rule.source,
+      channel: rule.channel,
+      priority: rule.priority,
+    } : EMPTY_FORM);
+    setShowModal(true);
+  };
+
+  const handleCloseModal = () => {
+    setShowModal(false);
+    setEditingRule(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      if (editingRule) {
+        const { data } = await apiClient.put(endpoints.admin.referrerRule(editingRule.id), formData);
+        setRules(sortRules(rules.map(r => r.id === editingRule.id ? data.rule : r)));
+      } else {
+        const { data } = await apiClient.post(endpoints.admin.referrerRules, formData);
+        setRules(sortRules([...rules, data.rule]));
+      }
+      setRulesChanged(true);
+      handleCloseModal();
+    } catch (err) {
+      await modal.alert(response.getErrorMessage(err), 'Error');
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    const confirmed = await modal.confirm(
+      `Delete the rule for "${rule.pattern}"? Matching traffic falls through to the next rule.`,
+      'Confirm Delete',
+      { variant: 'danger' }
+    );
+    if (!confirmed) return;
+
+    try {
+      await apiClient.delete(endpoints.admin.referrerRule(rule.id));
+      setRules(rules.filter(r => r.id !== rule.id));
+      setRulesChanged(true);
+    } catch (err) {
+      await modal.alert(response.getErrorMessage(err), 'Error');
+    }
+  };
+
+  const handleReclassify = async () => {
+    const confirmed = await modal.confirm(
+      'Apply the current rules to all recorded traffic events and sessions? Reports will show the new sources and channels.',
+      'Re-classify Traffic'
+    );
+    if (!confirmed) return;
+
+    try {
+      setReclassifying(true);
+      const { data } = await apiClient.post(endpoints.admin.referrerRulesReclassify);
+      setRulesChanged(false);
+      await modal.alert(
+        `Updated ${data.updated.traffic_events.toLocaleString()} traffic events and ${data.updated.sessions.toLocaleString()} sessions.`,
+        'Traffic Re-classified'
+      );
+    } catch (err) {
+      await modal.alert(response.getErrorMessage(err), 'Error');
+    } finally {
+      setReclassifying(false);
+    }
+  };
+
+  if (loading) return <SkeletonTable rows={8} />;
+  if (error) return <div style={{padding: '2rem', color: '#b91c1c'}}>Error: {error}</div>;
+
+  return (
+    <div className="admin-traffic">
+      <div className="traffic-toolbar">
+        <div className="toolbar-top">
+          <div className="title">Referrer Rules</div>
+          <div className="referrer-rules-actions">
+            <button className="btn small" onClick={handleReclassify} disabled={reclassifying}>
+              <RefreshCw size={14} />
+              {reclassifying ? 'Re-classifying...' : 'Re-classify history'}
+            </button>
+            <button className="btn primary small" onClick={() => handleOpenModal()}>
+              <Plus size={14} />
+              Add Rule
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {rulesChanged && (
+        <div className="referrer-rules-notice">
+          New traffic uses the changed rules right away. Re-classify history to apply them to past traffic events and sessions too.
+        </div>
+      )}
+
+      <div className="table-card" style={{ marginTop: 16 }}>
+        <div style={{ padding: 16 }}>
+          {rules.length === 0 ? (
+            <p className="hint">No rules. Every visit with a referrer is counted as an "other" referral, visits without one as direct.</p>
+          ) : (
+            <div className="table-scroll-container">
+              <table className="referrer-rules-table">
+                <thead>
+                  <tr>
+                    <th>Priority</th>
+                    <th>Matches</th>
+                    <th>Pattern</th>
+                    <th>Source</th>
+                    <th>Channel</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {rules.map(rule => (
+                    <tr key={rule.id}>
+                      <td>{rule.priority}</td>
+                      <td>{rule.match_type === 'domain' ? 'Referrer domain' : 'Source hint'}</td>
+                      <td className="rule-pattern">{rule.pattern}</td>
+                      <td>{rule.source}</td>
+                      <td>{CHANNEL_LABELS[rule.channel] || rule.channel}</td>
+                      <td className="rule-actions">
+                        <button className="btn-icon" onClick={() => handleOpenModal(rule)} title="Edit">
+                          <Edit2 size={16} />
+                        </button>
+                        <button className="btn-icon danger" onClick={() => handleDelete(rule)} title="Delete">
+                          <Trash2 size={16} />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <p className="hint" style={{ marginTop: 12 }}>
+            Rules are tried from the lowest priority number; the first match sets the source and channel.
+            Domain rules match the referrer and its subdomains (google.* matches any Google domain).
+            Hint rules match when the ?source= or utm_source value of the landing URL contains the pattern.
+            Unmatched visits are direct without a referrer, otherwise "other" referrals.
+          </p>
+        </div>
+      </div>
+
+      {showModal && (
+        <div className="modal-overlay" onClick={handleCloseModal}>
+          <div className="tag-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>{editingRule ? 'Edit Rule' : 'Create Rule'}</h3>
+              <button className="close-btn" onClick={handleCloseModal}>
+                <X size={20} />
+              </button>
+            </div>
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label htmlFor="rule-match-type">Matches</label>
+                <select
+                  id="rule-match-type"
+                  value={formData.match_type}
+                  onChange={(e) => setFormData({ ...formData, match_type: e.target.value })}
+                >
+                  <option value="domain">Referrer domain</option>
+                  <option value="hint">Source hint (?source= / utm_source)</option>
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="rule-pattern">Pattern</label>
+                <input
+                  id="rule-pattern"
+                  type="text"
+                  value={formData.pattern}
+                  onChange={(e) => setFormData({ ...formData, pattern: e.target.value })}
+                  placeholder={formData.match_type === 'domain' ? 'e.g., linkedin.com' : 'e.g., linkedin'}
+                  required
+                  autoFocus
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="rule-source">Source</label>
+                <input
+                  id="rule-source"
+                  type="text"
+                  value={formData.source}
+                  onChange={(e) => setFormData({ ...formData, source: e.target.value })}
+                  placeholder="e.g., linkedin"
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="rule-channel">Channel</label>
+                <select
+                  id="rule-channel"
+                  value={formData.channel}
+                  onChange={(e) => setFormData({ ...formData, channel: e.target.value })}
+                >
+                  {Object.entries(CHANNEL_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="rule-priority">Priority</label>
+                <input
+                  id="rule-priority"
+                  type="number"
+                  min="0"
+                  max="1000"
+                  value={formData.priority}
+                  onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
+                  required
+                />
+              </div>
+              <div className="modal-actions">
+                <button type="button" className="btn-secondary" onClick={handleCloseModal}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn-primary">
+                  {editingRule ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
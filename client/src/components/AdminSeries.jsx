@@ -0,0 +1,319 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Edit2, Trash2, X, ListOrdered, ArrowUp, ArrowDown } from 'lucide-react';
+import { apiClient, endpoints, response } from '../api';
+import { useModal } from '../contexts/ModalContext';
+import SkeletonTable from './SkeletonTable';
+import './AdminTags.css';
+
+const EMPTY_FORM = { title: '', description: '' };
+
+export default function AdminSeries() {
+  const modal = useModal();
+  const [seriesList, setSeriesList] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingSeries, setEditingSeries] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  // Reading order editor
+  const [orderingSeries, setOrderingSeries] = useState(null);
+  const [seriesPosts, setSeriesPosts] = useState([]);
+  const [allPosts, setAllPosts] = useState([]);
+  const [postToAdd, setPostToAdd] = useState('');
+  const [savingOrder, setSavingOrder] = useState(false);
+
+  useEffect(() => {
+    fetchSeries();
+  }, []);
+
+  const fetchSeries = async () => {
+    try {
+      setLoading(true);
+      const { data } = await apiClient.get(endpoints.series.list);
+      setSeriesList(data.series);
+    } catch (err) {
+      setError(response.getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenModal = (series = null) => {
+    setEditingSeries(series);
+    setFormData(series ? { title: series.title, description: series.description || '' } : EMPTY_FORM);
+    setShowModal(true);
+  };
+
+  const handleCloseModal = () => {
+    setShowModal(false);
+    setEditingSeries(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      if (editingSeries) {
+        const { data } = await apiClient.put(endpoints.series.update(editingSeries.id), formData);
+        setSeriesList(seriesList.map(s => s.id === editingSeries.id ? { ...s, ...data.series } : s));
+      } else {
+        const { data } = await apiClient.post(endpoints.series.create, formData);
+        setSeriesList([data.series, ...seriesList]);
+      }
+      handleCloseModal();
+    } catch (err) {
+      await modal.alert(response.getErrorMessage(err), 'Error');
+    }
+  };
+
+  const handleDelete = async (series) => {
+    const message = series.post_count > 0
+      ? `This series has ${series.post_count} post${series.post_count !== 1 ? 's' : ''}. The posts are kept, but no longer grouped. Delete it?`
+      : 'Are you sure you want to delete this series?';
+
+    const confirmed = await modal.confirm(message, 'Confirm Delete', { variant: 'danger' });
+    if (!confirmed) return;
+
+    try {
+      await apiClient.delete(endpoints.series.delete(series.id));
+      setSeriesList(seriesList.filter(s => s.id !== series.id));
+    } catch (err) {
+      await modal.alert(response.getErrorMessage(err), 'Error');
+    }
+  };
+
+  const handleOpenOrder = async (series) => {
+    try {
+      const [{ data: seriesData }, { data: postsData }] = await Promise.all([
+        apiClient.get(endpoints.series.byId(series.id)),
+        apiClient.get(endpoints.admin.blogPosts)
+      ]);
+      setSeriesPosts(seriesData.posts || []);
+      setAllPosts(postsData.posts || []);
+      setPostToAdd('');
+      setOrderingSeries(series);
+    } catch (err) {
+      await modal.alert(response.getErrorMessage(err), 'Error');
+    }
+  };
+
+  const movePost = (index, offset) => {
+    const next = [...seriesPosts];
+    const [post] = next.splice(index, 1);
+    next.splice(index + offset, 0, post);
+    setSeriesPosts(next);
+  };
+
+  const addPost = () => {
+    const post = allPosts.find(p => p.id === Number(postToAdd));
+    if (!post) return;
+    setSeriesPosts([...seriesPosts, post]);
+    setPostToAdd('');
+  };
+
+  const handleSaveOrder = async () => {
+    try {
+      setSavingOrder(true);
+      const { data } = await apiClient.put(endpoints.series.posts(orderingSeries.id), {
+        postIds: seriesPosts.map(p => p.id)
+      });
+      // Counts of other series change too when posts were moved over from them
+      await fetchSeries();
+      setSeriesPosts(data.posts);
+      setOrderingSeries(null);
+    } catch (err) {
+      await modal.alert(response.getErrorMessage(err), 'Error');
+    } finally {
+      setSavingOrder(false);
+    }
+  };
+
+  if (loading) return <SkeletonTable rows={5} />;
+  if (error) return <div style={{padding: '2rem', color: '#b91c1c'}}>Error: {error}</div>;
+
+  const memberIds = new Set(seriesPosts.map(p => p.id));
+  const addablePosts = allPosts.filter(p => !memberIds.has(p.id));
+
+  return (
+    <div className="admin-tags">
+      <div className="tags-header">
+        <h2>Series</h2>
+        <button className="btn-primary" onClick={() => handleOpenModal()}>
+          <Plus size={18} />
+          Add Series
+        </button>
+      </div>
+
+      <div className="tags-grid">
+        {seriesList.map(series => (
+          <div key={series.id} className="tag-card">
+            <div className="tag-info">
+              <div className="tag-details">
+                <div className="tag-name">{series.title}</div>
+                <div className="tag-meta">
+                  {series.post_count} part{series.post_count !== 1 ? 's' : ''}
+                  {series.published_count !== series.post_count && ` (${series.published_count} published)`}
+                </div>
+              </div>
+            </div>
+            <div className="tag-actions">
+              <button
+                className="btn-icon"
+                onClick={() => handleOpenOrder(series)}
+                title="Posts and reading order"
+              >
+                <ListOrdered size={16} />
+              </button>
+              <button
+                className="btn-icon"
+                onClick={() => handleOpenModal(series)}
+                title="Edit"
+              >
+                <Edit2 size={16} />
+              </button>
+              <button
+                className="btn-icon danger"
+                onClick={() => handleDelete(series)}
+                title="Delete"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {seriesList.length === 0 && (
+        <div className="no-tags">
+          <p>No series yet. Create a series to publish multi-part posts in reading order.</p>
+        </div>
+      )}
+
+      {showModal && (
+        <div className="modal-overlay" onClick={handleCloseModal}>
+          <div className="tag-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>{editingSeries ? 'Edit Series' : 'Create Series'}</h3>
+              <button className="close-btn" onClick={handleCloseModal}>
+                <X size={20} />
+              </button>
+            </div>
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label htmlFor="series-title">Title</label>
+                <input
+                  id="series-title"
+                  type="text"
+                  value={formData.title}
+                  onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+                  placeholder="e.g., Sleep Fundamentals"
+                  required
+                  autoFocus
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="series-description">Description (Optional)</label>
+                <textarea
+                  id="series-description"
+                  rows="3"
+                  value={formData.description}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                  placeholder="Shown at the top of the series page"
+                />
+              </div>
+              <div className="modal-actions">
+                <button type="button" className="btn-secondary" onClick={handleCloseModal}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn-primary">
+                  {editingSeries ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {orderingSeries && (
+        <div className="modal-overlay" onClick={() => setOrderingSeries(null)}>
+          <div className="tag-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>{orderingSeries.title}</h3>
+              <button className="close-btn" onClick={() => setOrderingSeries(null)}>
+                <X size={20} />
+              </button>
+            </div>
+
+            {seriesPosts.length === 0 ? (
+              <p style={{ color: '#6b7280', fontSize: '0.9rem', marginBottom: '1rem' }}>
+                No posts in this series yet.
+              </p>
+            ) : (
+              <ol style={{ listStyle: 'none', padding: 0, margin: '0 0 1rem', maxHeight: '50vh', overflowY: 'auto' }}>
+                {seriesPosts.map((post, index) => (
+                  <li
+                    key={post.id}
+                    style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', padding: '0.5rem 0', borderBottom: '1px solid #f0f0f0' }}
+                  >
+                    <span style={{ fontWeight: 700, color: '#6b7280', minWidth: '3.5rem', fontSize: '0.85rem' }}>
+                      Part {index + 1}
+                    </span>
+                    <span style={{ flex: 1, fontSize: '0.9rem' }}>
+                      {post.title}
+                      {post.status !== 'published' && (
+                        <span style={{ color: '#9ca3af', marginLeft: '0.5rem', fontSize: '0.75rem' }}>({post.status})</span>
+                      )}
+                    </span>
+                    <button className="btn-icon" onClick={() => movePost(index, -1)} disabled={index === 0} title="Move up">
+                      <ArrowUp size={14} />
+                    </button>
+                    <button className="btn-icon" onClick={() => movePost(index, 1)} disabled={index === seriesPosts.length - 1} title="Move down">
+                      <ArrowDown size={14} />
+                    </button>
+                    <button
+                      className="btn-icon danger"
+                      onClick={() => setSeriesPosts(seriesPosts.filter(p => p.id !== post.id))}
+                      title="Remove from series"
+                    >
+                      <X size={14} />
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            )}
+
+            <div className="form-group" style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+              <select
+                aria-label="Post to add"
+                value={postToAdd}
+                onChange={(e) => setPostToAdd(e.target.value)}
+                style={{ flex: 1 }}
+              >
+                <option value="">Add a post...</option>
+                {addablePosts.map(post => (
+                  <option key={post.id} value={post.id}>{post.title}</option>
+                ))}
+              </select>
+              <button type="button" className="btn-secondary" onClick={addPost} disabled={!postToAdd}>
+                Add
+              </button>
+            </div>
+            <small style={{ color: '#6b7280', fontSize: '0.75rem', display: 'block', marginBottom: '1rem' }}>
+              A post belongs to one series; adding it here moves it out of any other series.
+            </small>
+
+            <div className="modal-actions">
+              <button type="button" className="btn-secondary" onClick={() => setOrderingSeries(null)}>
+                Cancel
+              </button>
+              <button type="button" className="btn-primary" onClick={handleSaveOrder} disabled={savingOrder}>
+                {savingOrder ? 'Saving...' : 'Save Order'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
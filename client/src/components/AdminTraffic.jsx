@@ -564,6 +564,12 @@ return (
                     </div>
                   </div>
                 </div>
+                {selectedEvent.channel && (
+                  <div className="detail-item">
+                    <div className="detail-label">Channel</div>
+                    <div className="detail-value">{selectedEvent.channel.replace('_', ' ')}</div>
+                  </div>
+                )}
                 <div className="detail-item">
                   <div className="detail-label">IP Address</div>
                   <div className="detail-value">{selectedEvent.ip || 'Unknown'}</div>
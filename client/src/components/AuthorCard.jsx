@@ -0,0 +1,67 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Globe, Twitter, Linkedin, Github, Instagram, Youtube } from 'lucide-react';
+
+const SOCIAL_ICONS = {
+  website: Globe,
+  twitter: Twitter,
+  linkedin: Linkedin,
+  github: Github,
+  instagram: Instagram,
+  youtube: Youtube,
+};
+
+/**
+ * Author profile: avatar, name, bio and social links
+ * @param {Object} props.author - { name, slug, bio, avatar_url, social_links }
+ * @param {boolean} props.linkName - Link the name to the author page (off on the author page itself)
+ */
+export default function AuthorCard({ author, linkName = true }) {
+  const initials = author.name.split(' ').map(n => n[0]).join('').slice(0, 2);
+  const links = Object.entries(author.social_links || {}).filter(([network]) => SOCIAL_ICONS[network]);
+
+  return (
+    <div className="flex items-start space-x-4">
+      {author.avatar_url ? (
+        <img
+          src={author.avatar_url}
+          alt={author.name}
+          className="w-16 h-16 rounded-full object-cover flex-shrink-0"
+        />
+      ) : (
+        <div className="w-16 h-16 bg-gradient-to-r from-blue-500 to-purple-500 rounded-full flex items-center justify-center flex-shrink-0">
+          <span className="text-white font-bold text-xl">{initials}</span>
+        </div>
+      )}
+      <div>
+        <h3 className="text-xl font-semibold text-gray-900 mb-2">
+          {linkName ? (
+            <Link to={`/author/${author.slug}`} className="hover:text-blue-600 transition-colors duration-200">
+              {author.name}
+            </Link>
+          ) : author.name}
+        </h3>
+        {author.bio && <p className="text-gray-600">{author.bio}</p>}
+        {links.length > 0 && (
+          <div className="flex items-center gap-3 mt-3">
+            {links.map(([network, url]) => {
+              const Icon = SOCIAL_ICONS[network];
+              return (
+                <a
+                  key={network}
+                  href={url}
+                  target="_blank"
+                  rel="noopener noreferrer me"
+                  className="text-gray-500 hover:text-blue-600 transition-colors duration-200"
+                  aria-label={`${author.name} on ${network}`}
+                >
+                  <Icon className="w-5 h-5" />
+                </a>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
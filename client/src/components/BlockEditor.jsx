@@ -0,0 +1,617 @@
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  Bold, Italic, Underline, Strikethrough, Code, Link as LinkIcon,
+  ChevronUp, ChevronDown, Trash2, Plus
+} from 'lucide-react';
+import { apiClient, endpoints } from '../api';
+import { useModal } from '../contexts/ModalContext';
+import { BLOCK_TYPES, CALLOUT_VARIANTS, createBlock, convertBlock, stripTags } from '../utils/blocks';
+import './BlockEditor.css';
+
+// Find the nearest ancestor with the given tag, without leaving the editable field
+function closestWithin(node, tagName, root) {
+  let current = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  while (current && current !== root) {
+    if (current.tagName === tagName) return current;
+    current = current.parentElement;
+  }
+  return null;
+}
+
+function unwrap(element) {
+  const parent = element.parentNode;
+  while (element.firstChild) parent.insertBefore(element.firstChild, element);
+  parent.removeChild(element);
+}
+
+// The current selection, if it sits inside one of the editor's inline fields
+function getEditableSelection() {
+  const selection = window.getSelection();
+  if (!selection.rangeCount) return null;
+  const range = selection.getRangeAt(0);
+  const node = range.commonAncestorContainer;
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  const editable = element?.closest('[data-inline-editable]');
+  return editable ? { selection, range, editable } : null;
+}
+
+// Let React see changes made to the DOM outside of typing
+function notifyInput(editable) {
+  editable.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+// Wrap the selection in a formatting element, or remove it if already applied
+function toggleInline(tagName, attributes = {}) {
+  const current = getEditableSelection();
+  if (!current) return;
+  const { selection, range, editable } = current;
+
+  const existing = closestWithin(range.commonAncestorContainer, tagName, editable);
+  if (existing) {
+    unwrap(existing);
+  } else {
+    if (range.collapsed) return;
+    const element = document.createElement(tagName.toLowerCase());
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    element.appendChild(range.extractContents());
+    range.insertNode(element);
+
+    const next = document.createRange();
+    next.selectNodeContents(element);
+    selection.removeAllRanges();
+    selection.addRange(next);
+  }
+  notifyInput(editable);
+}
+
+function isEmptyHtml(html) {
+  return stripTags(html).trim() === '';
+}
+
+function isCaretAtStart(element) {
+  const selection = window.getSelection();
+  if (!selection.rangeCount || !selection.isCollapsed) return false;
+  const range = selection.getRangeAt(0).cloneRange();
+  range.selectNodeContents(element);
+  range.setEnd(selection.anchorNode, selection.anchorOffset);
+  return range.toString() === '';
+}
+
+/**
+ * Single-line rich text field; holds inline HTML (bold, italic, links...)
+ */
+function InlineEditable({ value, onChange, placeholder, className = '', autoFocus, onKeyDown }) {
+  const ref = useRef(null);
+
+  // Only write to the DOM when the value changed from outside, so typing keeps the caret
+  useEffect(() => {
+    if (ref.current && ref.current.innerHTML !== value) {
+      ref.current.innerHTML = value;
+    }
+  }, [value]);
+
+  useEffect(() => {
+    if (!autoFocus || !ref.current) return;
+    ref.current.focus();
+    const range = document.createRange();
+    range.selectNodeContents(ref.current);
+    range.collapse(false);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }, [autoFocus]);
+
+  // Paste as plain text; formatting is applied with the toolbar
+  const handlePaste = (e) => {
+    e.preventDefault();
+    const text = e.clipboardData.getData('text/plain').replace(/\s*\n\s*/g, ' ');
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return;
+    const range = selection.getRangeAt(0);
+    range.deleteContents();
+    const node = document.createTextNode(text);
+    range.insertNode(node);
+    range.setStartAfter(node);
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    onChange(e.currentTarget.innerHTML);
+  };
+
+  return (
+    <div
+      ref={ref}
+      contentEditable
+      suppressContentEditableWarning
+      data-inline-editable
+      data-placeholder={placeholder}
+      className={`inline-editable ${className}`}
+      onInput={(e) => onChange(e.currentTarget.innerHTML)}
+      onPaste={handlePaste}
+      onKeyDown={onKeyDown}
+    />
+  );
+}
+
+function ImageBlockBody({ block, onUpdate }) {
+  const modal = useModal();
+  const fileInputRef = useRef(null);
+  const [uploading, setUploading] = useState(false);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!file.type.startsWith('image/')) {
+      await modal.alert('Please select an image file', 'Invalid File');
+      return;
+    }
+
+    try {
+      setUploading(true);
+      const formData = new FormData();
+      formData.append('image', file);
+      const { data } = await apiClient.upload(endpoints.blog.uploadImage, formData);
+      onUpdate({ url: data.url });
+    } catch (error) {
+      await modal.alert(`Failed to upload image: ${error.message}`, 'Upload Error');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  if (!block.url) {
+    return (
+      <div className="block-image-empty">
+        <button
+          type="button"
+          className="block-upload-btn"
+          onClick={() => fileInputRef.current.click()}
+          disabled={uploading}
+        >
+          {uploading ? 'Uploading...' : 'Upload image'}
+        </button>
+        <input
+          type="url"
+          placeholder="or paste an image URL and press Enter"
+          className="block-field"
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && e.currentTarget.value.trim()) {
+              e.preventDefault();
+              onUpdate({ url: e.currentTarget.value.trim() });
+            }
+          }}
+        />
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/*"
+          onChange={handleUpload}
+          style={{ display: 'none' }}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <figure className="block-image">
+      <img src={block.url} alt={block.alt} />
+      <button type="button" className="block-image-replace" onClick={() => onUpdate({ url: '' })}>
+        Replace
+      </button>
+      <input
+        type="text"
+        placeholder="Alt text (describe the image for screen readers)"
+        value={block.alt}
+        onChange={(e) => onUpdate({ alt: e.target.value })}
+        className="block-field"
+      />
+      <InlineEditable
+        value={block.caption || ''}
+        onChange={(caption) => onUpdate({ caption })}
+        placeholder="Caption (optional)"
+        className="block-caption"
+      />
+    </figure>
+  );
+}
+
+function BlockBody({ block, focused, focusedItem, onUpdate, onEnter, onRemoveEmpty, onItemsKeyDown }) {
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      onEnter();
+    } else if (e.key === 'Backspace' && isEmptyHtml(e.currentTarget.innerHTML)) {
+      e.preventDefault();
+      onRemoveEmpty();
+    }
+  };
+
+  switch (block.type) {
+    case 'heading':
+      return (
+        <InlineEditable
+          value={block.text}
+          onChange={(text) => onUpdate({ text })}
+          placeholder="Heading"
+          className={`block-heading block-heading-${block.level}`}
+          autoFocus={focused}
+          onKeyDown={handleKeyDown}
+        />
+      );
+    case 'list': {
+      const ListTag = block.style === 'ordered' ? 'ol' : 'ul';
+      return (
+        <ListTag className="block-list">
+          {block.items.map((item, index) => (
+            <li key={index}>
+              <InlineEditable
+                value={item}
+                onChange={(value) => onUpdate({ items: block.items.map((it, i) => (i === index ? value : it)) })}
+                placeholder="List item"
+                autoFocus={focusedItem === index}
+                onKeyDown={(e) => onItemsKeyDown(e, index)}
+              />
+            </li>
+          ))}
+        </ListTag>
+      );
+    }
+    case 'quote':
+      return (
+        <blockquote className="block-quote">
+          <InlineEditable
+            value={block.text}
+            onChange={(text) => onUpdate({ text })}
+            placeholder="Quote"
+            autoFocus={focused}
+            onKeyDown={handleKeyDown}
+          />
+          <input
+            type="text"
+            placeholder="Source (optional)"
+            value={block.cite || ''}
+            onChange={(e) => onUpdate({ cite: e.target.value })}
+            className="block-field"
+          />
+        </blockquote>
+      );
+    case 'code':
+      return (
+        <textarea
+          value={block.code}
+          onChange={(e) => onUpdate({ code: e.target.value })}
+          placeholder="Code"
+          className="block-code"
+          rows={Math.max(3, block.code.split('\n').length)}
+          spellCheck={false}
+        />
+      );
+    case 'image':
+      return <ImageBlockBody block={block} onUpdate={onUpdate} />;
+    case 'embed':
+      return (
+        <div className="block-embed">
+          <input
+            type="url"
+            placeholder="YouTube or Vimeo URL"
+            value={block.url}
+            onChange={(e) => onUpdate({ url: e.target.value })}
+            className="block-field"
+          />
+          <span className="block-hint">YouTube and Vimeo links play inline; other links are shown as a link.</span>
+          <InlineEditable
+            value={block.caption || ''}
+            onChange={(caption) => onUpdate({ caption })}
+            placeholder="Caption (optional)"
+            className="block-caption"
+          />
+        </div>
+      );
+    case 'callout':
+      return (
+        <InlineEditable
+          value={block.text}
+          onChange={(text) => onUpdate({ text })}
+          placeholder="Callout text"
+          className={`block-callout block-callout-${block.variant}`}
+          autoFocus={focused}
+          onKeyDown={handleKeyDown}
+        />
+      );
+    default:
+      return (
+        <InlineEditable
+          value={block.text}
+          onChange={(text) => onUpdate({ text })}
+          placeholder="Write something..."
+          className="block-paragraph"
+          autoFocus={focused}
+          onKeyDown={handleKeyDown}
+        />
+      );
+  }
+}
+
+/**
+ * Block-based post editor
+ * @param {object[]} blocks - Blocks with editor keys (see utils/blocks)
+ * @param {Function} onChange - Called with the new block array
+ */
+export default function BlockEditor({ blocks, onChange }) {
+  const [focus, setFocus] = useState(null);
+  const [insertAt, setInsertAt] = useState(null);
+  const [showLinkModal, setShowLinkModal] = useState(false);
+  const [linkUrl, setLinkUrl] = useState('');
+  const savedSelectionRef = useRef(null);
+
+  const updateBlock = (index, changes) => {
+    onChange(blocks.map((block, i) => (i === index ? { ...block, ...changes } : block)));
+  };
+
+  const insertBlock = (index, type) => {
+    const block = createBlock(type);
+    onChange([...blocks.slice(0, index), block, ...blocks.slice(index)]);
+    setFocus({ key: block.key, item: 0 });
+    setInsertAt(null);
+  };
+
+  const removeBlock = (index) => {
+    const next = blocks.filter((_, i) => i !== index);
+    onChange(next.length ? next : [createBlock('paragraph')]);
+    if (index > 0) {
+      const previous = blocks[index - 1];
+      setFocus({ key: previous.key, item: (previous.items?.length ?? 1) - 1 });
+    }
+  };
+
+  const moveBlock = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= blocks.length) return;
+    const next = [...blocks];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  const handleItemsKeyDown = (e, index, itemIndex) => {
+    const block = blocks[index];
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      // Enter on an empty last item ends the list
+      if (itemIndex === block.items.length - 1 && isEmptyHtml(block.items[itemIndex]) && block.items.length > 1) {
+        const paragraph = createBlock('paragraph');
+        onChange([
+          ...blocks.slice(0, index),
+          { ...block, items: block.items.slice(0, -1) },
+          paragraph,
+          ...blocks.slice(index + 1),
+        ]);
+        setFocus({ key: paragraph.key, item: 0 });
+        return;
+      }
+      const items = [...block.items];
+      items.splice(itemIndex + 1, 0, '');
+      updateBlock(index, { items });
+      setFocus({ key: block.key, item: itemIndex + 1 });
+    } else if (e.key === 'Backspace' && isCaretAtStart(e.currentTarget) && isEmptyHtml(block.items[itemIndex])) {
+      e.preventDefault();
+      if (block.items.length === 1) {
+        removeBlock(index);
+        return;
+      }
+      updateBlock(index, { items: block.items.filter((_, i) => i !== itemIndex) });
+      setFocus({ key: block.key, item: Math.max(0, itemIndex - 1) });
+    }
+  };
+
+  const openLinkModal = () => {
+    const current = getEditableSelection();
+    if (!current) return;
+
+    // Clicking the link button inside an existing link removes it
+    const existing = closestWithin(current.range.commonAncestorContainer, 'A', current.editable);
+    if (existing) {
+      unwrap(existing);
+      notifyInput(current.editable);
+      return;
+    }
+    if (current.range.collapsed) return;
+
+    savedSelectionRef.current = current.range.cloneRange();
+    setShowLinkModal(true);
+  };
+
+  const handleLinkSubmit = () => {
+    setShowLinkModal(false);
+    const range = savedSelectionRef.current;
+    savedSelectionRef.current = null;
+
+    if (linkUrl && range) {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+      toggleInline('A', { href: linkUrl.trim() });
+    }
+    setLinkUrl('');
+  };
+
+  const formatButtons = [
+    { tag: 'STRONG', title: 'Bold', icon: <Bold size={18} /> },
+    { tag: 'EM', title: 'Italic', icon: <Italic size={18} /> },
+    { tag: 'U', title: 'Underline', icon: <Underline size={18} /> },
+    { tag: 'S', title: 'Strikethrough', icon: <Strikethrough size={18} /> },
+    { tag: 'CODE', title: 'Inline code', icon: <Code size={18} /> },
+  ];
+
+  return (
+    <div className="block-editor">
+      <div className="editor-toolbar">
+        {formatButtons.map(({ tag, title, icon }) => (
+          <button
+            key={tag}
+            type="button"
+            // Keep the text selection when the button is pressed
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => toggleInline(tag)}
+            className="toolbar-btn"
+            title={title}
+          >
+            {icon}
+          </button>
+        ))}
+        <div className="toolbar-divider"></div>
+        <button
+          type="button"
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={openLinkModal}
+          className="toolbar-btn"
+          title="Link"
+        >
+          <LinkIcon size={18} />
+        </button>
+      </div>
+
+      <div className="editor-content">
+        {blocks.map((block, index) => (
+          <React.Fragment key={block.key}>
+            <div className={`block block-${block.type}-wrap`}>
+              <div className="block-controls">
+                <select
+                  value={block.type}
+                  onChange={(e) => updateBlock(index, convertBlock(block, e.target.value))}
+                  className="block-select"
+                  aria-label="Block type"
+                >
+                  {BLOCK_TYPES.map(({ type, label }) => (
+                    <option key={type} value={type}>{label}</option>
+                  ))}
+                </select>
+                {block.type === 'heading' && (
+                  <select
+                    value={block.level}
+                    onChange={(e) => updateBlock(index, { level: parseInt(e.target.value) })}
+                    className="block-select"
+                    aria-label="Heading level"
+                  >
+                    <option value={2}>H2</option>
+                    <option value={3}>H3</option>
+                    <option value={4}>H4</option>
+                  </select>
+                )}
+                {block.type === 'list' && (
+                  <select
+                    value={block.style}
+                    onChange={(e) => updateBlock(index, { style: e.target.value })}
+                    className="block-select"
+                    aria-label="List style"
+                  >
+                    <option value="unordered">Bulleted</option>
+                    <option value="ordered">Numbered</option>
+                  </select>
+                )}
+                {block.type === 'callout' && (
+                  <select
+                    value={block.variant}
+                    onChange={(e) => updateBlock(index, { variant: e.target.value })}
+                    className="block-select"
+                    aria-label="Callout style"
+                  >
+                    {CALLOUT_VARIANTS.map(variant => (
+                      <option key={variant} value={variant}>
+                        {variant.charAt(0).toUpperCase() + variant.slice(1)}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                {block.type === 'code' && (
+                  <input
+                    type="text"
+                    value={block.language || ''}
+                    onChange={(e) => updateBlock(index, { language: e.target.value })}
+                    placeholder="Language"
+                    className="block-select block-language"
+                  />
+                )}
+                <div className="block-actions">
+                  <button type="button" onClick={() => moveBlock(index, -1)} disabled={index === 0} title="Move up">
+                    <ChevronUp size={16} />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveBlock(index, 1)}
+                    disabled={index === blocks.length - 1}
+                    title="Move down"
+                  >
+                    <ChevronDown size={16} />
+                  </button>
+                  <button type="button" onClick={() => removeBlock(index)} title="Delete block">
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </div>
+
+              <BlockBody
+                block={block}
+                focused={focus?.key === block.key}
+                focusedItem={focus?.key === block.key ? focus.item : null}
+                onUpdate={(changes) => updateBlock(index, changes)}
+                onEnter={() => insertBlock(index + 1, 'paragraph')}
+                onRemoveEmpty={() => blocks.length > 1 && removeBlock(index)}
+                onItemsKeyDown={(e, itemIndex) => handleItemsKeyDown(e, index, itemIndex)}
+              />
+            </div>
+
+            <div className="block-insert">
+              {insertAt === index + 1 ? (
+                <div className="block-insert-menu">
+                  {BLOCK_TYPES.map(({ type, label }) => (
+                    <button key={type} type="button" onClick={() => insertBlock(index + 1, type)}>
+                      {label}
+                    </button>
+                  ))}
+                  <button type="button" className="block-insert-cancel" onClick={() => setInsertAt(null)}>
+                    Cancel
+                  </button>
+                </div>
+              ) : (
+                <button
+                  type="button"
+                  className="block-insert-btn"
+                  onClick={() => setInsertAt(index + 1)}
+                  title="Add block"
+                >
+                  <Plus size={14} />
+                </button>
+              )}
+            </div>
+          </React.Fragment>
+        ))}
+      </div>
+
+      {showLinkModal && (
+        <div className="link-modal-overlay" onClick={() => setShowLinkModal(false)}>
+          <div className="link-modal" onClick={(e) => e.stopPropagation()}>
+            <h3>Insert Link</h3>
+            <input
+              type="url"
+              placeholder="URL (https://...)"
+              value={linkUrl}
+              onChange={(e) => setLinkUrl(e.target.value)}
+              className="link-input"
+              autoFocus
+            />
+            <div className="link-modal-actions">
+              <button onClick={() => setShowLinkModal(false)} className="btn-secondary">
+                Cancel
+              </button>
+              <button onClick={handleLinkSubmit} className="btn-primary">
+                Insert
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,30 +1,45 @@
-import React, { useState, useRef } from 'react';
-import { Bold, Italic, Underline, Link as LinkIcon, Image } from 'lucide-react';
+import React, { useState, useRef, useEffect } from 'react';
 import { apiClient, endpoints } from '../api';
 import { useModal } from '../contexts/ModalContext';
+import BlockEditor from './BlockEditor';
+import { fromDocument, toDocument, blocksToText } from '../utils/blocks';
 import './ContentEditor.css';
 
-export default function ContentEditor({ onSave, onCancel, initialPost }) {
+const AUTOSAVE_INTERVAL_MS = 15000;
+
+// Format a date for a datetime-local input (local time, minute precision)
+function toDateTimeLocal(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+}
+
+export default function ContentEditor({ onSave, onCancel, initialPost, onShowHistory, onAutosave }) {
   const modal = useModal();
   const [title, setTitle] = useState(initialPost?.title || '');
   const [excerpt, setExcerpt] = useState(initialPost?.excerpt || '');
   const [featuredImage, setFeaturedImage] = useState(initialPost?.image || '');
   const [uploadingFeatured, setUploadingFeatured] = useState(false);
-  const [content, setContent] = useState([]);
-  const [showLinkModal, setShowLinkModal] = useState(false);
-  const [linkText, setLinkText] = useState('');
-  const [linkUrl, setLinkUrl] = useState('');
+  const [blocks, setBlocks] = useState(() => fromDocument(initialPost?.content_blocks));
   const [tags, setTags] = useState([]);
   const [selectedTags, setSelectedTags] = useState(initialPost?.tags?.map(t => t.id) || []);
   const [showTags, setShowTags] = useState(false);
   const [niches, setNiches] = useState([]);
   const [selectedNiche, setSelectedNiche] = useState(initialPost?.niche_id || '');
-  const editorRef = useRef(null);
-  const fileInputRef = useRef(null);
+  const [authors, setAuthors] = useState([]);
+  const [selectedAuthors, setSelectedAuthors] = useState(initialPost?.author_ids || []);
+  const [seriesList, setSeriesList] = useState([]);
+  const [selectedSeries, setSelectedSeries] = useState(initialPost?.series_id || '');
+  const [seriesPosition, setSeriesPosition] = useState(initialPost?.series_position || '');
+  const [status, setStatus] = useState(initialPost?.status || 'draft');
+  const [scheduledFor, setScheduledFor] = useState(toDateTimeLocal(initialPost?.scheduled_for));
   const featuredImageInputRef = useRef(null);
-  const savedSelectionRef = useRef(null);
+  const fieldsRef = useRef(null);
+  const lastAutosaveRef = useRef(null);
+  const [autosaveStatus, setAutosaveStatus] = useState('');
 
-  // Load available tags and niches
+  // Load available tags, niches, authors and series
   React.useEffect(() => {
     const loadTags = async () => {
       try {
@@ -47,182 +62,80 @@ export default function ContentEditor({ onSave, onCancel, initialPost }) {
       }
     };
     
+    const loadAuthors = async () => {
+      try {
+        const { data } = await apiClient.get(endpoints.authors.list);
+        setAuthors(data?.authors || []);
+      } catch (error) {
+        console.error('Failed to load authors:', error);
+        setAuthors([]);
+      }
+    };
+    
+    const loadSeries = async () => {
+      try {
+        const { data } = await apiClient.get(endpoints.series.list);
+        setSeriesList(data?.series || []);
+      } catch (error) {
+        console.error('Failed to load series:', error);
+        setSeriesList([]);
+      }
+    };
+    
     loadTags();
     loadNiches();
+    loadAuthors();
+    loadSeries();
   }, []);
 
-  // Load initial content if editing
-  React.useEffect(() => {
-    if (initialPost?.content && editorRef.current) {
-      editorRef.current.innerHTML = initialPost.content;
-    }
-  }, [initialPost]);
+  // Keep the latest field values where the autosave timer can read them
+  useEffect(() => {
+    fieldsRef.current = {
+      title,
+      blocks: toDocument(blocks),
+      excerpt,
+      image: featuredImage,
+      tagIds: selectedTags,
+      nicheId: selectedNiche || null,
+      status,
+      scheduledFor: status === 'scheduled' && scheduledFor ? new Date(scheduledFor).toISOString() : null
+    };
+  });
 
-  const applyFormat = (command) => {
-    document.execCommand(command, false, null);
-    editorRef.current.focus();
-  };
+  // Periodically autosave unsaved changes to the server-side draft slot
+  useEffect(() => {
+    if (!onAutosave) return;
 
-  const insertLink = () => {
-    const selection = window.getSelection();
-    const selectedText = selection.toString();
-    
-    // Save the current selection/range
-    if (selection.rangeCount > 0) {
-      savedSelectionRef.current = selection.getRangeAt(0).cloneRange();
-    }
-    
-    if (selectedText) {
-      setLinkText(selectedText);
-    }
-    setShowLinkModal(true);
-  };
+    // What the editor opened with counts as already saved
+    lastAutosaveRef.current = JSON.stringify(fieldsRef.current);
 
-  const handleLinkSubmit = () => {
-    setShowLinkModal(false);
-    
-    if (linkUrl) {
-      // Need to delay slightly to ensure modal is closed and focus is back
-      setTimeout(() => {
-        editorRef.current.focus();
-        
-        // Restore the saved selection
-        if (savedSelectionRef.current) {
-          const selection = window.getSelection();
-          selection.removeAllRanges();
-          selection.addRange(savedSelectionRef.current);
-        }
-        
-        const link = `<a href="${linkUrl}" target="_blank" rel="noopener noreferrer">${linkText || linkUrl}</a>`;
-        document.execCommand('insertHTML', false, link);
-        
-        savedSelectionRef.current = null;
-      }, 0);
-    }
-    
-    setLinkText('');
-    setLinkUrl('');
-  };
+    const autosave = async () => {
+      const draft = fieldsRef.current;
+      const snapshot = JSON.stringify(draft);
+      if (snapshot === lastAutosaveRef.current) return;
 
-  const handleImageUpload = async (e) => {
-    const file = e.target.files[0];
-    console.log('File selected:', file);
-    
-    if (!file) {
-      console.log('No file selected');
-      return;
-    }
-    
-    if (!file.type.startsWith('image/')) {
-      await modal.alert('Please select an image file', 'Invalid File');
-      return;
-    }
-    
-    // Show loading indicator (use base64 preview temporarily)
-    const reader = new FileReader();
-    reader.onerror = async (error) => {
-      console.error('FileReader error:', error);
-      await modal.alert('Failed to read image file', 'Error');
+      setAutosaveStatus('Saving draft...');
+      try {
+        await onAutosave(draft);
+        lastAutosaveRef.current = snapshot;
+        setAutosaveStatus(`Draft saved ${new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+      } catch (error) {
+        console.error('Autosave failed:', error);
+        setAutosaveStatus('Autosave failed');
+      }
     };
-    
-    reader.onload = async (event) => {
-      console.log('File loaded, inserting temp image');
-      
-      // Focus editor before inserting
-      editorRef.current.focus();
-      
-      const tempImageHTML = `<div class="image-wrapper uploading" contenteditable="false" data-temp="true"><img src="${event.target.result}" class="blog-image" alt="Uploading..." /></div>`;
-      document.execCommand('insertHTML', false, tempImageHTML);
-      
-      console.log('Temp image inserted, starting upload');
-        
-        try {
-          // Upload to Supabase via API
-          const formData = new FormData();
-          formData.append('image', file);
-          
-          console.log('Uploading to server...');
-          const { data } = await apiClient.upload(endpoints.blog.uploadImage, formData);
-          console.log('Upload successful, image URL:', data.url);
-          
-          // Replace temp image with actual URL
-          const tempWrapper = editorRef.current.querySelector('.image-wrapper[data-temp="true"]');
-          if (tempWrapper) {
-            const imageHTML = `<div class="image-wrapper" contenteditable="false"><img src="${data.url}" class="blog-image" alt="Blog image" /></div><p><br></p>`;
-            tempWrapper.outerHTML = imageHTML;
-            console.log('Image inserted successfully');
-          } else {
-            console.warn('Could not find temp image wrapper');
-          }
-        } catch (error) {
-          console.error('Error uploading image:', error);
-          // Remove the temporary image on error
-          const tempWrapper = editorRef.current.querySelector('.image-wrapper[data-temp="true"]');
-          if (tempWrapper) {
-            tempWrapper.remove();
-          }
-          await modal.alert(`Failed to upload image: ${error.message}`, 'Upload Error');
-        }
-        
-      // Add event listeners to handle deletion
-      setTimeout(() => {
-        const images = editorRef.current.querySelectorAll('.image-wrapper');
-        images.forEach(wrapper => {
-          if (!wrapper.hasAttribute('data-listener')) {
-            wrapper.setAttribute('data-listener', 'true');
-            wrapper.addEventListener('click', function() {
-              this.classList.toggle('selected');
-            });
-          }
-        });
-      }, 0);
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') autosave();
     };
-    
-    reader.readAsDataURL(file);
-    e.target.value = '';
-  };
 
-  const handleKeyDown = (e) => {
-    // Handle backspace and delete for image wrappers
-    if (e.key === 'Backspace' || e.key === 'Delete') {
-      const selection = window.getSelection();
-      if (selection.rangeCount > 0) {
-        const range = selection.getRangeAt(0);
-        const container = range.startContainer;
-        
-        // Check if we're adjacent to an image wrapper
-        let imageWrapper = null;
-        
-        if (e.key === 'Backspace') {
-          // Look backwards
-          const prev = container.nodeType === 3 ? container.previousSibling : 
-                      range.startOffset === 0 && container.previousSibling;
-          if (prev && prev.classList && prev.classList.contains('image-wrapper')) {
-            imageWrapper = prev;
-          }
-        } else if (e.key === 'Delete') {
-          // Look forwards
-          const next = container.nodeType === 3 ? container.nextSibling : 
-                      container.childNodes[range.startOffset];
-          if (next && next.classList && next.classList.contains('image-wrapper')) {
-            imageWrapper = next;
-          }
-        }
-        
-        // Also check for selected image wrappers
-        const selected = editorRef.current.querySelector('.image-wrapper.selected');
-        if (selected) {
-          imageWrapper = selected;
-        }
-        
-        if (imageWrapper) {
-          e.preventDefault();
-          imageWrapper.remove();
-          return;
-        }
-      }
-    }
-  };
+    const timer = setInterval(autosave, AUTOSAVE_INTERVAL_MS);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [onAutosave]);
 
   const toggleTag = (tagId) => {
     setSelectedTags(prev => 
@@ -256,15 +169,27 @@ export default function ContentEditor({ onSave, onCancel, initialPost }) {
     }
   };
 
-  const handleSave = () => {
-    const editorContent = editorRef.current.innerHTML;
+  const handleSave = async () => {
+    if (status === 'scheduled' && !scheduledFor) {
+      await modal.alert('Pick a date and time to publish this post', 'Schedule Post');
+      return;
+    }
+
     onSave({
       title,
       image: featuredImage,
-      content: editorContent,
-      excerpt: excerpt || editorRef.current.innerText.substring(0, 150),
+      blocks: toDocument(blocks),
+      excerpt: excerpt || blocksToText(blocks).substring(0, 150),
       tagIds: selectedTags,
-      nicheId: selectedNiche || null
+      nicheId: selectedNiche || null,
+      // Byline order; without authors the post is credited to whoever created it
+      authorIds: selectedAuthors,
+      seriesId: selectedSeries ? Number(selectedSeries) : null,
+      // Empty part number adds the post at the end of the series
+      seriesPosition: selectedSeries && seriesPosition ? Number(seriesPosition) : null,
+      status,
+      // datetime-local is in the browser's timezone; send an absolute timestamp
+      scheduledFor: status === 'scheduled' ? new Date(scheduledFor).toISOString() : null
     });
   };
 
@@ -273,8 +198,14 @@ export default function ContentEditor({ onSave, onCancel, initialPost }) {
       <div className="content-editor-container">
         <div className="editor-top-bar">
           <div className="editor-title-row">
-            <h3 className="editor-heading">{initialPost ? 'Edit Post' : 'New Post'}</h3>
+            <h3 className="editor-heading">{initialPost?.id ? 'Edit Post' : 'New Post'}</h3>
             <div className="editor-actions-top">
+              {autosaveStatus && <span className="autosave-status">{autosaveStatus}</span>}
+              {onShowHistory && (
+                <button onClick={onShowHistory} className="btn-cancel-top">
+                  History
+                </button>
+              )}
               <button onClick={onCancel} className="btn-cancel-top">
                 Cancel
               </button>
@@ -356,6 +287,89 @@ export default function ContentEditor({ onSave, onCancel, initialPost }) {
             </select>
           </div>
           
+          <div className="niche-section authors-section">
+            <label htmlFor="author-select" className="niche-label">Authors</label>
+            {selectedAuthors.map(authorId => {
+              const author = authors.find(a => a.id === authorId);
+              return (
+                <button
+                  key={authorId}
+                  type="button"
+                  className="tag-chip selected author-chip"
+                  onClick={() => setSelectedAuthors(selectedAuthors.filter(id => id !== authorId))}
+                  title="Remove author"
+                >
+                  {author?.name || `Author #${authorId}`} ×
+                </button>
+              );
+            })}
+            <select
+              id="author-select"
+              value=""
+              onChange={(e) => e.target.value && setSelectedAuthors([...selectedAuthors, Number(e.target.value)])}
+              className="niche-select"
+            >
+              <option value="">{selectedAuthors.length === 0 ? 'Post creator (default)' : 'Add co-author...'}</option>
+              {authors.filter(a => !selectedAuthors.includes(a.id)).map(author => (
+                <option key={author.id} value={author.id}>
+                  {author.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          
+          <div className="niche-section">
+            <label htmlFor="series-select" className="niche-label">Series</label>
+            <select
+              id="series-select"
+              value={selectedSeries}
+              onChange={(e) => setSelectedSeries(e.target.value)}
+              className="niche-select"
+            >
+              <option value="">No series</option>
+              {seriesList.map(series => (
+                <option key={series.id} value={series.id}>
+                  {series.title}
+                </option>
+              ))}
+            </select>
+            {selectedSeries && (
+              <input
+                type="number"
+                min="1"
+                aria-label="Part number"
+                placeholder="Part (last)"
+                value={seriesPosition}
+                onChange={(e) => setSeriesPosition(e.target.value)}
+                className="niche-select series-part-input"
+              />
+            )}
+          </div>
+          
+          <div className="niche-section">
+            <label htmlFor="status-select" className="niche-label">Status</label>
+            <select
+              id="status-select"
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+              className="niche-select"
+            >
+              <option value="draft">Draft</option>
+              <option value="published">Published</option>
+              <option value="scheduled">Scheduled</option>
+            </select>
+            {status === 'scheduled' && (
+              <input
+                type="datetime-local"
+                aria-label="Publish at"
+                value={scheduledFor}
+                min={toDateTimeLocal(new Date())}
+                onChange={(e) => setScheduledFor(e.target.value)}
+                className="niche-select schedule-input"
+              />
+            )}
+          </div>
+          
           <div className="tags-section">
             <button 
               type="button"
@@ -391,95 +405,7 @@ export default function ContentEditor({ onSave, onCancel, initialPost }) {
           </div>
         </div>
 
-        <div className="editor-toolbar">
-          <button
-            type="button"
-            onClick={() => applyFormat('bold')}
-            className="toolbar-btn"
-            title="Bold"
-          >
-            <Bold size={18} />
-          </button>
-          <button
-            type="button"
-            onClick={() => applyFormat('italic')}
-            className="toolbar-btn"
-            title="Italic"
-          >
-            <Italic size={18} />
-          </button>
-          <button
-            type="button"
-            onClick={() => applyFormat('underline')}
-            className="toolbar-btn"
-            title="Underline"
-          >
-            <Underline size={18} />
-          </button>
-          <div className="toolbar-divider"></div>
-          <button
-            type="button"
-            onClick={insertLink}
-            className="toolbar-btn"
-            title="Insert Link"
-          >
-            <LinkIcon size={18} />
-          </button>
-          <button
-            type="button"
-            onClick={() => fileInputRef.current.click()}
-            className="toolbar-btn"
-            title="Insert Image"
-          >
-            <Image size={18} />
-          </button>
-          <input
-            ref={fileInputRef}
-            type="file"
-            accept="image/*"
-            onChange={handleImageUpload}
-            style={{ display: 'none' }}
-          />
-        </div>
-
-        <div
-          ref={editorRef}
-          contentEditable
-          className="editor-content"
-          onKeyDown={handleKeyDown}
-          suppressContentEditableWarning
-        >
-        </div>
-
-        {showLinkModal && (
-          <div className="link-modal-overlay" onClick={() => setShowLinkModal(false)}>
-            <div className="link-modal" onClick={(e) => e.stopPropagation()}>
-              <h3>Insert Link</h3>
-              <input
-                type="text"
-                placeholder="Link text"
-                value={linkText}
-                onChange={(e) => setLinkText(e.target.value)}
-                className="link-input"
-              />
-              <input
-                type="url"
-                placeholder="URL (https://...)"
-                value={linkUrl}
-                onChange={(e) => setLinkUrl(e.target.value)}
-                className="link-input"
-              />
-              <div className="link-modal-actions">
-                <button onClick={() => setShowLinkModal(false)} className="btn-secondary">
-                  Cancel
-                </button>
-                <button onClick={handleLinkSubmit} className="btn-primary">
-                  Insert
-                </button>
-              </div>
-            </div>
-          </div>
-        )}
+        <BlockEditor blocks={blocks} onChange={setBlocks} />
       </div>
     </div>
   );
@@ -50,7 +50,7 @@ const Header = () => {
     const path = location.pathname;
     // Check if we're on a niche page (/:nicheSlug or /:nicheSlug/blog)
     const nicheMatch = path.match(/^\/([^/]+)(\/blog)?$/);
-    if (nicheMatch && nicheMatch[1] !== 'blog' && nicheMatch[1] !== 'about' && nicheMatch[1] !== 'contact' && nicheMatch[1] !== 'login' && nicheMatch[1] !== 'register' && nicheMatch[1] !== 'admin' && nicheMatch[1] !== 'check-email' && nicheMatch[1] !== 'rate-limit' && nicheMatch[1] !== 'not-accessible') {
+    if (nicheMatch && nicheMatch[1] !== 'blog' && nicheMatch[1] !== 'about' && nicheMatch[1] !== 'contact' && nicheMatch[1] !== 'login' && nicheMatch[1] !== 'register' && nicheMatch[1] !== 'admin' && nicheMatch[1] !== 'check-email' && nicheMatch[1] !== 'rate-limit' && nicheMatch[1] !== 'not-accessible' && nicheMatch[1] !== 'forgot-password' && nicheMatch[1] !== 'reset-password' && nicheMatch[1] !== 'account' && nicheMatch[1] !== 'newsletter') {
       const nicheSlug = nicheMatch[1];
       const niche = niches.find(n => n.slug === nicheSlug);
       setCurrentNiche(niche || null);
@@ -279,6 +279,8 @@ const Header = () => {
                     {user?.role === 'admin' && (
                       <a href="/admin" className="profile-menu-item admin-btn">Admin Dashboard</a>
                     )}
+                    <Link to="/reading-list" className="profile-menu-item" onClick={() => setUserMenuOpen(false)}>Reading list</Link>
+                    <Link to="/account" className="profile-menu-item" onClick={() => setUserMenuOpen(false)}>Account settings</Link>
                     <button className="profile-menu-item" onClick={logout}>Logout</button>
                   </div>
                 )}
@@ -405,6 +407,25 @@ const Header = () => {
                 </>
               )}
 
+              {/* Account Link */}
+              {user && (
+                <>
+                  <div className="mobile-nav-divider" />
+                  <Link
+                    to="/reading-list"
+                    className={`header-mobile-nav-link ${location.pathname === '/reading-list' ? 'active' : ''}`}
+                  >
+                    Reading list
+                  </Link>
+                  <Link
+                    to="/account"
+                    className={`header-mobile-nav-link ${location.pathname === '/account' ? 'active' : ''}`}
+                  >
+                    Account settings
+                  </Link>
+                </>
+              )}
+
               {/* Admin Link */}
               {user && user.role === 'admin' && (
                 <>
@@ -1,6 +1,7 @@
 import React, { useMemo } from 'react';
 import { Link } from 'react-router-dom';
-import { Calendar, Clock, User, ArrowRight } from 'lucide-react';
+import { Calendar, Clock, User, ArrowRight, Heart } from 'lucide-react';
+import { usePostReactions } from '../hooks/usePostReactions';
 import './PostCard.css';
 
 const PostCard = ({ post, featured = false, showMeta = true }) => {
@@ -16,11 +17,14 @@ const PostCard = ({ post, featured = false, showMeta = true }) => {
   }, [post.published_at, post.publishedAt, post.created_at]);
 
   const readingTime = useMemo(() => {
+    if (post.reading_time) return post.reading_time;
     const wordsPerMinute = 200;
     const content = post.content || '';
     const wordCount = content.split(' ').length;
     return Math.ceil(wordCount / wordsPerMinute);
-  }, [post.content]);
+  }, [post.reading_time, post.content]);
+
+  const reactions = usePostReactions(post);
 
   return (
     <article className="post-card">
@@ -96,10 +100,22 @@ const PostCard = ({ post, featured = false, showMeta = true }) => {
             })}
           </div>
           
-          <Link to={`/blog/${post.slug}`} className="post-card-read-more">
-            Read More
-            <ArrowRight className="post-card-read-more-arrow" />
-          </Link>
+          <div className="post-card-actions">
+            <Link to={`/blog/${post.slug}`} className="post-card-read-more">
+              Read More
+              <ArrowRight className="post-card-read-more-arrow" />
+            </Link>
+            <button
+              type="button"
+              className={`post-card-like ${reactions.liked ? 'liked' : ''}`}
+              onClick={reactions.toggleLike}
+              aria-pressed={reactions.liked}
+              aria-label={reactions.liked ? 'Unlike' : 'Like'}
+            >
+              <Heart className="post-card-like-icon" />
+              {reactions.likes > 0 && <span>{reactions.likes}</span>}
+            </button>
+          </div>
         </div>
       </div>
     </article>
@@ -0,0 +1,54 @@
+import { useEffect, useRef } from 'react';
+import '../pages/Post.css';
+import './PostClickMap.css';
+
+/**
+ * The post's content with its click report laid over it: a badge with the click count on
+ * every link and a dot for each recent click.
+ * `links` are matched to the content's links by position (link_index), falling back to the
+ * href for clicks recorded without one. `clicks` positions are fractions of the content's size
+ * on the reader's screen, so on a different width they show roughly where the click was.
+ */
+export default function PostClickMap({ content, links, clicks }) {
+  const contentRef = useRef(null);
+
+  useEffect(() => {
+    if (!contentRef.current) return;
+
+    const anchors = Array.from(contentRef.current.querySelectorAll('a[href]'));
+    anchors.forEach((anchor, index) => {
+      const href = anchor.getAttribute('href');
+      const matches = links.filter(link =>
+        link.link_index === index || (link.link_index === null && link.href === href)
+      );
+      const count = matches.reduce((sum, link) => sum + link.clicks, 0);
+      anchor.classList.add('click-map-link');
+      anchor.classList.toggle('has-clicks', count > 0);
+      anchor.dataset.clicks = count;
+      anchor.title = `${count} click${count !== 1 ? 's' : ''}`;
+    });
+  }, [content, links]);
+
+  return (
+    <div
+      className="click-map"
+      // Links are for reading the report, not for leaving the page
+      onClickCapture={(e) => e.preventDefault()}
+    >
+      <div className="click-map-canvas">
+        <div
+          ref={contentRef}
+          className="post-content click-map-content"
+          dangerouslySetInnerHTML={{ __html: content }}
+        />
+        {clicks.map((click, index) => (
+          <span
+            key={index}
+            className={`click-map-point ${click.is_link ? 'link' : ''}`}
+            style={{ left: `${click.x * 100}%`, top: `${click.y * 100}%` }}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
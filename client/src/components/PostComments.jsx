@@ -0,0 +1,214 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { MessageCircle } from 'lucide-react';
+import { apiClient, endpoints, response } from '../api';
+import './PostComments.css';
+
+const MAX_COMMENT_LENGTH = 2000;
+// Replies nest visually up to this depth; deeper threads keep the last indent
+const MAX_REPLY_DEPTH = 4;
+
+// Nest the flat, oldest-first list; replies whose parent isn't visible are dropped
+function buildThreads(comments) {
+  const nodes = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+  const roots = [];
+  nodes.forEach(node => {
+    if (!node.parent_id) {
+      roots.push(node);
+    } else if (nodes.has(node.parent_id)) {
+      nodes.get(node.parent_id).replies.push(node);
+    }
+  });
+  return roots;
+}
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+});
+
+function CommentForm({ onSubmit, onCancel, placeholder, autoFocus = false }) {
+  const [body, setBody] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+    setSubmitting(true);
+    setError('');
+    try {
+      await onSubmit(body);
+      setBody('');
+    } catch (err) {
+      setError(response.getErrorMessage(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="comment-form" onSubmit={handleSubmit}>
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        placeholder={placeholder}
+        maxLength={MAX_COMMENT_LENGTH}
+        rows={3}
+        autoFocus={autoFocus}
+        required
+      />
+      {error && <p className="comment-form-error">{error}</p>}
+      <div className="comment-form-actions">
+        <span className="comment-form-count">{body.length}/{MAX_COMMENT_LENGTH}</span>
+        {onCancel && (
+          <button type="button" className="comment-btn secondary" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+        <button type="submit" className="comment-btn" disabled={submitting || !body.trim()}>
+          {submitting ? 'Posting...' : 'Post'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function CommentThread({ comment, depth, canReply, replyingTo, setReplyingTo, onReply }) {
+  const isReplying = replyingTo === comment.id;
+
+  return (
+    <li className="comment">
+      <div className={`comment-card ${comment.status === 'pending' ? 'pending' : ''}`}>
+        <div className="comment-meta">
+          {comment.author_avatar ? (
+            <img src={comment.author_avatar} alt="" className="comment-avatar" />
+          ) : (
+            <span className="comment-avatar placeholder">{comment.author_name.charAt(0).toUpperCase()}</span>
+          )}
+          <span className="comment-author">{comment.author_name}</span>
+          <span className="comment-date">{formatDate(comment.created_at)}</span>
+          {comment.status === 'pending' && <span className="comment-pending">Awaiting moderation</span>}
+        </div>
+        <p className="comment-text">{comment.body}</p>
+        {canReply && comment.status === 'approved' && !isReplying && (
+          <button type="button" className="comment-reply-btn" onClick={() => setReplyingTo(comment.id)}>
+            Reply
+          </button>
+        )}
+        {isReplying && (
+          <CommentForm
+            placeholder={`Reply to ${comment.author_name}...`}
+            onSubmit={(body) => onReply(body, comment.id)}
+            onCancel={() => setReplyingTo(null)}
+            autoFocus
+          />
+        )}
+      </div>
+
+      {comment.replies.length > 0 && (
+        <ul className={`comment-replies ${depth < MAX_REPLY_DEPTH ? 'indented' : ''}`}>
+          {comment.replies.map(reply => (
+            <CommentThread
+              key={reply.id}
+              comment={reply}
+              depth={depth + 1}
+              canReply={canReply}
+              replyingTo={replyingTo}
+              setReplyingTo={setReplyingTo}
+              onReply={onReply}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Threaded comments for a published post.
+ * Anyone can read approved comments; verified users can post, and new comments
+ * are only visible to their author until a moderator approves them.
+ */
+export default function PostComments({ slug, onComment }) {
+  const [comments, setComments] = useState([]);
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [notice, setNotice] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        setLoading(true);
+        const [commentsResult, meResult] = await Promise.allSettled([
+          apiClient.get(endpoints.blog.comments(slug)),
+          apiClient.get(endpoints.auth.me),
+        ]);
+        if (cancelled) return;
+        setComments(commentsResult.status === 'fulfilled' ? commentsResult.value.data.comments || [] : []);
+        setUser(meResult.status === 'fulfilled' ? meResult.value.data.user : null);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [slug]);
+
+  const threads = useMemo(() => buildThreads(comments), [comments]);
+  const approvedCount = comments.filter(c => c.status === 'approved').length;
+  const canComment = Boolean(user?.verified);
+
+  const handleSubmit = async (body, parentId = null) => {
+    const { data } = await apiClient.post(endpoints.blog.comments(slug), { body, parent_id: parentId });
+    setComments(prev => [...prev, data.comment]);
+    setReplyingTo(null);
+    setNotice(data.message || '');
+    if (onComment) onComment();
+  };
+
+  return (
+    <section className="post-comments" aria-labelledby="comments-heading">
+      <h2 id="comments-heading" className="post-comments-title">
+        <MessageCircle className="w-6 h-6" />
+        Comments{approvedCount > 0 ? ` (${approvedCount})` : ''}
+      </h2>
+
+      {!loading && !user && (
+        <p className="post-comments-prompt">
+          <Link to="/login">Log in</Link> or <Link to="/register">create an account</Link> to join the discussion.
+        </p>
+      )}
+      {!loading && user && !canComment && (
+        <p className="post-comments-prompt">Please verify your email address to comment.</p>
+      )}
+      {canComment && (
+        <CommentForm placeholder="Share your thoughts..." onSubmit={(body) => handleSubmit(body)} />
+      )}
+      {notice && <p className="post-comments-notice">{notice}</p>}
+
+      {loading ? (
+        <p className="post-comments-empty">Loading comments...</p>
+      ) : threads.length === 0 ? (
+        <p className="post-comments-empty">No comments yet. Be the first to share your thoughts.</p>
+      ) : (
+        <ul className="comment-list">
+          {threads.map(comment => (
+            <CommentThread
+              key={comment.id}
+              comment={comment}
+              depth={1}
+              canReply={canComment}
+              replyingTo={replyingTo}
+              setReplyingTo={setReplyingTo}
+              onReply={handleSubmit}
+            />
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
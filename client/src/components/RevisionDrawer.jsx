@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, RotateCcw } from 'lucide-react';
+import { apiClient, endpoints, response } from '../api';
+import { useModal } from '../contexts/ModalContext';
+import { htmlToLines, htmlToTextLines, diffLines, toSideBySide } from '../utils/diff';
+import './RevisionDrawer.css';
+
+function describeAuthor(revision) {
+  return revision.author_name || revision.author_email || 'Unknown';
+}
+
+export default function RevisionDrawer({ postId, onClose, onRestored }) {
+  const modal = useModal();
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [baseId, setBaseId] = useState(null);
+  const [compareId, setCompareId] = useState(null);
+  const [loaded, setLoaded] = useState({});
+  const [mode, setMode] = useState('text');
+  const [restoring, setRestoring] = useState(false);
+
+  useEffect(() => {
+    const loadRevisions = async () => {
+      try {
+        const { data } = await apiClient.get(endpoints.blog.revisions(postId));
+        setRevisions(data.revisions);
+        // Default to comparing the latest save with the one before it
+        setCompareId(data.revisions[0]?.id ?? null);
+        setBaseId(data.revisions[1]?.id ?? data.revisions[0]?.id ?? null);
+      } catch (err) {
+        setError(response.getErrorMessage(err));
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadRevisions();
+  }, [postId]);
+
+  // Fetch revision bodies on demand; they are kept for the life of the drawer
+  useEffect(() => {
+    const missing = [baseId, compareId].filter(id => id !== null && !loaded[id]);
+    if (missing.length === 0) return;
+
+    Promise.all(missing.map(id => apiClient.get(endpoints.blog.revision(postId, id))))
+      .then(results => {
+        setLoaded(prev => {
+          const next = { ...prev };
+          results.forEach(({ data }) => { next[data.revision.id] = data.revision; });
+          return next;
+        });
+      })
+      .catch(err => setError(response.getErrorMessage(err)));
+  }, [postId, baseId, compareId, loaded]);
+
+  const base = loaded[baseId];
+  const compare = loaded[compareId];
+
+  const rows = useMemo(() => {
+    if (!base || !compare) return [];
+    const toLines = mode === 'html' ? htmlToLines : htmlToTextLines;
+    const before = [`Title: ${base.title}`, ...toLines(base.content)];
+    const after = [`Title: ${compare.title}`, ...toLines(compare.content)];
+    return toSideBySide(diffLines(before, after));
+  }, [base, compare, mode]);
+
+  const changedCount = rows.filter(row => row.type !== 'equal').length;
+
+  const handleRestore = async (revision) => {
+    const confirmed = await modal.confirm(
+      `Restore the version saved ${new Date(revision.created_at).toLocaleString()}? The current version stays in the history.`,
+      'Restore Revision',
+      { confirmText: 'Restore', variant: 'primary' }
+    );
+    if (!confirmed) return;
+
+    setRestoring(true);
+    try {
+      const { data } = await apiClient.post(endpoints.blog.restoreRevision(postId, revision.id));
+      onRestored(data.post);
+    } catch (err) {
+      await modal.alert(response.getErrorMessage(err), 'Error');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className="revision-overlay" onClick={onClose}>
+      <aside className="revision-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="revision-header">
+          <h3>Revision History</h3>
+          <button className="revision-close" onClick={onClose} title="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        {loading && <div className="revision-empty">Loading...</div>}
+        {error && <div className="revision-error">{error}</div>}
+        {!loading && !error && revisions.length === 0 && (
+          <div className="revision-empty">No revisions yet. One is saved every time you save the post.</div>
+        )}
+
+        {revisions.length > 0 && (
+          <div className="revision-body">
+            <div className="revision-list">
+              <div className="revision-list-head">
+                <span>A</span>
+                <span>B</span>
+                <span>Saved</span>
+              </div>
+              {revisions.map((revision, index) => (
+                <div key={revision.id} className="revision-item">
+                  <input
+                    type="radio"
+                    name="revision-base"
+                    aria-label="Compare from"
+                    checked={baseId === revision.id}
+                    onChange={() => setBaseId(revision.id)}
+                  />
+                  <input
+                    type="radio"
+                    name="revision-compare"
+                    aria-label="Compare to"
+                    checked={compareId === revision.id}
+                    onChange={() => setCompareId(revision.id)}
+                  />
+                  <div className="revision-meta">
+                    <div className="revision-date">
+                      {new Date(revision.created_at).toLocaleString()}
+                      {index === 0 && <span className="revision-badge">Current</span>}
+                    </div>
+                    <div className="revision-author">
+                      {describeAuthor(revision)}
+                      {revision.restored_from && ' • restored'}
+                    </div>
+                  </div>
+                  {index > 0 && (
+                    <button
+                      className="revision-restore"
+                      onClick={() => handleRestore(revision)}
+                      disabled={restoring}
+                      title="Restore this revision"
+                    >
+                      <RotateCcw size={14} />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="revision-diff">
+              <div className="revision-diff-toolbar">
+                <div className="revision-mode">
+                  <button className={mode === 'text' ? 'active' : ''} onClick={() => setMode('text')}>Text</button>
+                  <button className={mode === 'html' ? 'active' : ''} onClick={() => setMode('html')}>HTML</button>
+                </div>
+                <span className="revision-summary">
+                  {base && compare ? `${changedCount} changed line${changedCount !== 1 ? 's' : ''}` : 'Loading...'}
+                </span>
+              </div>
+
+              {base && compare && (
+                <table className={`revision-table ${mode}`}>
+                  <thead>
+                    <tr>
+                      <th>A — {new Date(base.created_at).toLocaleString()}</th>
+                      <th>B — {new Date(compare.created_at).toLocaleString()}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map((row, index) => (
+                      <tr key={index} className={`diff-${row.type}`}>
+                        <td className={row.left === null ? 'diff-blank' : ''}>{row.left}</td>
+                        <td className={row.right === null ? 'diff-blank' : ''}>{row.right}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        )}
+      </aside>
+    </div>
+  );
+}
@@ -4,6 +4,8 @@ import {
     generateTitle,
     getCanonicalUrl,
     getDefaultOgImage,
+    getFeedLinks,
+    getOgImageUrl,
 } from '../utils/seo';
 
 /**
@@ -14,6 +16,9 @@ import {
  * @param {string} props.title - Page title (will be combined with site name)
  * @param {string} props.description - Meta description
  * @param {string} props.image - Open Graph image URL
+ * @param {Object} props.ogCard - Generated card to use when there is no image
+ * @param {string} props.ogCard.type - 'post' or 'niche'
+ * @param {string} props.ogCard.slug - Post or niche slug
  * @param {string} props.url - Canonical URL (path, will be made absolute)
  * @param {string} props.type - og:type (default: 'website', use 'article' for blog posts)
  * @param {Object} props.article - Article metadata (for blog posts)
@@ -24,21 +29,30 @@ import {
  * @param {boolean} props.noindex - Whether to add noindex meta tag
  * @param {Object} props.structuredData - JSON-LD structured data object
  * @param {Array<string>} props.keywords - Meta keywords (optional, not heavily used by search engines)
+ * @param {Object} props.feed - Scoped feed to advertise alongside the site-wide feeds
+ * @param {string} props.feed.path - Feed scope path (e.g. '/productivity' or '/blog/tags/habits')
+ * @param {string} props.feed.title - Feed title
  */
 const SEOHead = ({
     title,
     description,
     image,
+    ogCard,
     url,
     type = 'website',
     article,
     noindex = false,
     structuredData,
     keywords,
+    feed,
 }) => {
     const pageTitle = generateTitle(title);
     const canonicalUrl = url ? getCanonicalUrl(url) : getCanonicalUrl('/');
-    const ogImage = image || getDefaultOgImage();
+    const ogImage = image || (ogCard ? getOgImageUrl(ogCard.type, ogCard.slug) : getDefaultOgImage());
+    const feedLinks = [
+        ...(feed ? getFeedLinks(feed.path, feed.title) : []),
+        ...getFeedLinks(),
+    ];
 
     return (
         <Helmet>
@@ -52,6 +66,11 @@ const SEOHead = ({
             {/* Canonical URL */}
             <link rel="canonical" href={canonicalUrl} />
 
+            {/* Syndication Feeds */}
+            {feedLinks.map(link => (
+                <link key={link.href} rel="alternate" type={link.type} title={link.title} href={link.href} />
+            ))}
+
             {/* Robots */}
             {noindex && <meta name="robots" content="noindex, nofollow" />}
 
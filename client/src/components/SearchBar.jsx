@@ -1,11 +1,15 @@
 import React, { useState, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import { Search, X } from 'lucide-react';
 import { trackSearch } from '../utils/analytics';
 import { hasConsent } from '../utils/consent';
 import './SearchBar.css';
 
-const SearchBar = ({ onSearch, placeholder = "Search articles..." }) => {
+const MAX_SNIPPETS = 5;
+
+const SearchBar = ({ onSearch, placeholder = "Search articles...", results = null, suggestion = null }) => {
   const [searchTerm, setSearchTerm] = useState('');
+  const [showResults, setShowResults] = useState(false);
 
   // Memoize event handlers to prevent unnecessary re-renders
   const handleSubmit = useCallback((e) => {
@@ -23,8 +27,26 @@ const SearchBar = ({ onSearch, placeholder = "Search articles..." }) => {
     onSearch('');
   }, [onSearch]);
 
+  const applySuggestion = useCallback(() => {
+    setSearchTerm(suggestion);
+    onSearch(suggestion);
+  }, [suggestion, onSearch]);
+
+  // Server search results carry a highlighted snippet (escaped HTML with <mark>)
+  const snippets = (results || []).filter(post => post.headline).slice(0, MAX_SNIPPETS);
+
   return (
-    <form onSubmit={handleSubmit} className="search-bar-form">
+    <form
+      onSubmit={handleSubmit}
+      className="search-bar-form"
+      onFocus={() => setShowResults(true)}
+      onBlur={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setShowResults(false);
+      }}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') setShowResults(false);
+      }}
+    >
       <div className="search-bar-container">
         <div className="search-bar-icon-container">
           <Search className="search-bar-icon" />
@@ -52,6 +74,31 @@ const SearchBar = ({ onSearch, placeholder = "Search articles..." }) => {
           </div>
         )}
       </div>
+      {searchTerm && suggestion && (
+        <p className="search-bar-suggestion">
+          Did you mean{' '}
+          <button type="button" onClick={applySuggestion} className="search-bar-suggestion-btn">
+            {suggestion}
+          </button>
+          ?
+        </p>
+      )}
+      {showResults && searchTerm && snippets.length > 0 && (
+        // Keep focus in the form while a result is being clicked
+        <ul className="search-bar-results" onMouseDown={(e) => e.preventDefault()}>
+          {snippets.map(post => (
+            <li key={post.id}>
+              <Link to={`/blog/${post.slug}`} className="search-bar-result">
+                <span className="search-bar-result-title">{post.title}</span>
+                <span
+                  className="search-bar-result-snippet"
+                  dangerouslySetInnerHTML={{ __html: post.headline }}
+                />
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
     </form>
   );
 };
@@ -0,0 +1,60 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, ArrowRight, Layers } from 'lucide-react';
+import './SeriesNavigator.css';
+
+/**
+ * Previous/next navigation and reading progress for a post that is part of a series.
+ * `series` is the object embedded in the post response: { title, slug, posts: [{ id, title, slug }] }
+ */
+export default function SeriesNavigator({ series, postId }) {
+  const index = series.posts.findIndex(p => p.id === postId);
+  if (index === -1) return null;
+
+  const total = series.posts.length;
+  const previous = series.posts[index - 1];
+  const next = series.posts[index + 1];
+
+  return (
+    <nav className="series-navigator" aria-label={`Series: ${series.title}`}>
+      <div className="series-navigator-header">
+        <Layers className="w-4 h-4" />
+        <Link to={`/blog/series/${series.slug}`} className="series-navigator-title">
+          {series.title}
+        </Link>
+        <span className="series-navigator-part">Part {index + 1} of {total}</span>
+      </div>
+
+      <div
+        className="series-navigator-progress"
+        role="progressbar"
+        aria-valuemin={1}
+        aria-valuemax={total}
+        aria-valuenow={index + 1}
+      >
+        <div style={{ width: `${((index + 1) / total) * 100}%` }} />
+      </div>
+
+      <div className="series-navigator-links">
+        {previous ? (
+          <Link to={`/blog/${previous.slug}`} className="series-navigator-link">
+            <ArrowLeft className="w-4 h-4" />
+            <span>
+              <small>Previous</small>
+              {previous.title}
+            </span>
+          </Link>
+        ) : <span />}
+        {next && (
+          <Link to={`/blog/${next.slug}`} className="series-navigator-link next">
+            <span>
+              <small>Next</small>
+              {next.title}
+            </span>
+            <ArrowRight className="w-4 h-4" />
+          </Link>
+        )}
+      </div>
+    </nav>
+  );
+}
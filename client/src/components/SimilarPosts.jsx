@@ -2,11 +2,21 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { ArrowRight } from 'lucide-react';
 import { apiClient, endpoints } from '../api';
+import { hasConsent } from '../utils/consent';
 import PostCard from './PostCard';
 import './SimilarPosts.css';
 
+// Impressions and clicks per scoring strategy, compared in admin blog analytics
+const trackRelatedEvent = (postId, payload) => {
+  if (!hasConsent()) return;
+  apiClient.post(`/api/track/blog/${postId}/related`, payload).catch(() => {
+    // Silent fail - don't disrupt user experience
+  });
+};
+
 const SimilarPosts = ({ postId }) => {
   const [posts, setPosts] = useState([]);
+  const [strategy, setStrategy] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -17,6 +27,10 @@ const SimilarPosts = ({ postId }) => {
         setLoading(true);
         const { data } = await apiClient.get(endpoints.blog.similar(postId));
         setPosts(data.posts || []);
+        setStrategy(data.strategy || null);
+        if (data.strategy && data.posts?.length > 0) {
+          trackRelatedEvent(postId, { strategy: data.strategy, event: 'impression' });
+        }
       } catch (error) {
         console.error('Error fetching similar posts:', error);
         setPosts([]);
@@ -53,6 +67,13 @@ const SimilarPosts = ({ postId }) => {
     return null;
   }
 
+  // Only clicks through to the related post count, not tag links or the like button
+  const handleCardClick = (event, post, position) => {
+    if (!strategy) return;
+    if (event.target.closest('a')?.getAttribute('href') !== `/blog/${post.slug}`) return;
+    trackRelatedEvent(postId, { strategy, event: 'click', related_post_id: post.id, position });
+  };
+
   return (
     <div className="similar-posts-section">
       <div className="similar-posts-container">
@@ -61,8 +82,14 @@ const SimilarPosts = ({ postId }) => {
           Continue exploring topics that might interest you
         </p>
         <div className="similar-posts-grid">
-          {posts.map((post) => (
-            <PostCard key={post.id} post={post} showMeta={false} />
+          {posts.map((post, index) => (
+            <div
+              key={post.id}
+              className="similar-post-item"
+              onClick={(event) => handleCardClick(event, post, index)}
+            >
+              <PostCard post={post} showMeta={false} />
+            </div>
           ))}
         </div>
         <div className="similar-posts-view-more">
@@ -4,6 +4,7 @@ import { getCookieConsent, setCookieConsent } from '../utils/consent';
 import { updateConsent, trackPageView } from '../utils/analytics';
 import { apiFetch } from '../utils/api';
 import { API_BASE } from '../config';
+import { landingUtm } from '../utils/utm';
 import './SitePrefsBanner.css';
 
 export default function SitePrefsBanner() {
@@ -34,7 +35,8 @@ export default function SitePrefsBanner() {
         body: JSON.stringify({
           referrer: document.referrer || null,
           path: location.pathname,
-          source: sourceHint || undefined
+          source: sourceHint || undefined,
+          utm: landingUtm
         })
       }).catch(() => {});
     } catch (_) {}
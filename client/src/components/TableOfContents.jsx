@@ -0,0 +1,72 @@
+import React, { useEffect, useState } from 'react';
+import { List } from 'lucide-react';
+import './TableOfContents.css';
+
+/**
+ * Sticky table of contents for a post, highlighting the section being read.
+ * `toc` is the outline stored with the post: [{ id, level, text }] for its h2/h3 headings,
+ * whose ids match the anchors in the rendered content.
+ */
+export default function TableOfContents({ toc }) {
+  const [activeId, setActiveId] = useState(toc[0]?.id);
+
+  useEffect(() => {
+    const headings = toc
+      .map(item => document.getElementById(item.id))
+      .filter(Boolean);
+    if (headings.length === 0) return;
+
+    // The active section is the last heading that has scrolled into the top third of the viewport
+    const updateActive = () => {
+      const threshold = window.innerHeight / 3;
+      let current = headings[0].id;
+      for (const heading of headings) {
+        if (heading.getBoundingClientRect().top > threshold) break;
+        current = heading.id;
+      }
+      setActiveId(current);
+    };
+
+    const observer = new IntersectionObserver(updateActive, {
+      rootMargin: '0px 0px -66% 0px'
+    });
+    headings.forEach(heading => observer.observe(heading));
+    updateActive();
+
+    return () => observer.disconnect();
+  }, [toc]);
+
+  const handleClick = (e, id) => {
+    const heading = document.getElementById(id);
+    if (!heading) return;
+    e.preventDefault();
+    heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    window.history.replaceState(null, '', `#${id}`);
+    setActiveId(id);
+  };
+
+  return (
+    <aside className="post-toc">
+      <nav className="post-toc-inner" aria-label="Table of contents">
+        <div className="post-toc-title">
+          <List className="w-4 h-4" />
+          <span>On this page</span>
+        </div>
+        <ol className="post-toc-list">
+          {toc.map(item => (
+            <li key={item.id} className={`post-toc-item level-${item.level}`}>
+              <a
+                href={`#${item.id}`}
+                className={item.id === activeId ? 'active' : undefined}
+                aria-current={item.id === activeId ? 'location' : undefined}
+                onClick={(e) => handleClick(e, item.id)}
+              >
+                {item.text}
+              </a>
+            </li>
+          ))}
+        </ol>
+      </nav>
+    </aside>
+  );
+}
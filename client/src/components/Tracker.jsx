@@ -4,6 +4,7 @@ import { apiFetch } from '../utils/api';
 import { API_BASE } from '../config';
 import { hasConsent } from '../utils/consent';
 import { trackPageView } from '../utils/analytics';
+import { landingUtm } from '../utils/utm';
 
 export default function Tracker() {
   const location = useLocation();
@@ -80,6 +81,11 @@ export default function Tracker() {
         trackingData.source = sourceHint;
       }
 
+      // Campaign parameters are only read from the landing URL
+      if (isFirstRouteHit) {
+        trackingData.utm = landingUtm;
+      }
+
       // Send to internal analytics API
       apiFetch(`${API_BASE}/api/track`, {
         method: 'POST',
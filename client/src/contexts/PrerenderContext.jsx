@@ -0,0 +1,26 @@
+import React, { useEffect, useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { PrerenderContext } from '../hooks/usePrerenderedData';
+
+/**
+ * Prerender Context
+ *
+ * Holds the { path, data } the server rendered the page with (see hooks/usePrerenderedData).
+ * The data is dropped after the first client-side navigation.
+ */
+export function PrerenderProvider({ value, children }) {
+  const location = useLocation();
+  const [prerender, setPrerender] = useState(value || null);
+
+  useEffect(() => {
+    if (prerender && prerender.path !== location.pathname) {
+      setPrerender(null);
+    }
+  }, [location.pathname, prerender]);
+
+  return (
+    <PrerenderContext.Provider value={prerender}>
+      {children}
+    </PrerenderContext.Provider>
+  );
+}
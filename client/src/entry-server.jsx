@@ -0,0 +1,44 @@
+import React, { StrictMode } from 'react'
+import { prerenderToNodeStream } from 'react-dom/static'
+import { StaticRouter } from 'react-router-dom'
+import './index.css'
+import App from './App.jsx'
+import ErrorBoundary from './components/ErrorBoundary.jsx'
+import { PrerenderProvider } from './contexts/PrerenderContext.jsx'
+
+/**
+ * Server entry used by the API server to prerender public pages (see server/routes/prerender.js).
+ * Built with `vite build --ssr` into dist-server/entry-server.js.
+ *
+ * @param {string} url - Request path
+ * @param {Object} prerender - { path, data } API data the page starts from
+ * @returns {Promise<{ html: string, head: string }>} App markup and the SEOHead tags
+ */
+export async function render(url, prerender) {
+  const helmetContext = {}
+
+  // Waits for lazy-loaded pages, unlike renderToString which would render the Suspense fallback
+  const { prelude } = await prerenderToNodeStream(
+    <StrictMode>
+      <ErrorBoundary>
+        <StaticRouter location={url}>
+          <PrerenderProvider value={prerender}>
+            <App helmetContext={helmetContext} />
+          </PrerenderProvider>
+        </StaticRouter>
+      </ErrorBoundary>
+    </StrictMode>,
+  )
+
+  let html = ''
+  for await (const chunk of prelude) {
+    html += chunk
+  }
+
+  const { helmet } = helmetContext
+  const head = helmet
+    ? [helmet.title, helmet.meta, helmet.link, helmet.script].map(tags => tags.toString()).join('')
+    : ''
+
+  return { html, head }
+}
@@ -3,9 +3,22 @@ import { useLocation } from 'react-router-dom';
 import api from '../api/client';
 import { hasConsent } from '../utils/consent';
 
+// Top-level blocks of the rendered post content, with their index and the anchor of the
+// h2/h3 section they belong to (null before the first heading)
+function getContentBlocks(content) {
+  let section = null;
+  return Array.from(content.children).map((element, paragraph) => {
+    if (/^H[23]$/.test(element.tagName) && element.id) {
+      section = element.id;
+    }
+    return { element, section, paragraph };
+  });
+}
+
 /**
  * Hook to track blog post engagement
- * Tracks: views, scroll depth, time on page, clicks, shares
+ * Tracks: views, scroll depth (with the heading section reached), time each section is in view,
+ * time on page, clicks on links and elements in the article, shares
  * 
  * @param {number} postId - The blog post ID
  * @param {boolean} enabled - Whether tracking is enabled
@@ -78,6 +91,9 @@ export function useBlogEngagementTracking(postId, enabled = true) {
 
   // Calculate scroll depth percentage (based on article content, not footer)
   const calculateScrollDepth = () => {
+    // Nothing has been scrolled while the page is prerendered on the server
+    if (typeof document === 'undefined') return 0;
+
     // Find the article element (blog post content)
     const article = document.querySelector('article');
     if (!article) {
@@ -103,6 +119,18 @@ export function useBlogEngagementTracking(postId, enabled = true) {
     return Math.max(0, percentScrolled);
   };
 
+  // Id of the heading section the reader is in: the last anchored h2/h3 above the middle of the viewport
+  const getCurrentSection = () => {
+    if (typeof document === 'undefined') return undefined;
+    const middle = window.innerHeight / 2;
+    let section;
+    for (const heading of document.querySelectorAll('.post-content h2[id], .post-content h3[id]')) {
+      if (heading.getBoundingClientRect().top > middle) break;
+      section = heading.id;
+    }
+    return section;
+  };
+
   // Get time spent on page in seconds
   const getTimeSpent = () => {
     if (!startTimeRef.current) return 0;
@@ -197,19 +225,19 @@ export function useBlogEngagementTracking(postId, enabled = true) {
           const depth = calculateScrollDepth();
 
           if (depth >= 25 && !tracked.scroll25) {
-            trackEvent('scroll_milestone', { depth: 25 });
+            trackEvent('scroll_milestone', { depth: 25, section: getCurrentSection() });
             setTracked(prev => ({ ...prev, scroll25: true }));
           }
           if (depth >= 50 && !tracked.scroll50) {
-            trackEvent('scroll_milestone', { depth: 50 });
+            trackEvent('scroll_milestone', { depth: 50, section: getCurrentSection() });
             setTracked(prev => ({ ...prev, scroll50: true }));
           }
           if (depth >= 75 && !tracked.scroll75) {
-            trackEvent('scroll_milestone', { depth: 75 });
+            trackEvent('scroll_milestone', { depth: 75, section: getCurrentSection() });
             setTracked(prev => ({ ...prev, scroll75: true }));
           }
           if (depth >= 100 && !tracked.scroll100) {
-            trackEvent('scroll_milestone', { depth: 100 });
+            trackEvent('scroll_milestone', { depth: 100, section: getCurrentSection() });
             setTracked(prev => ({ ...prev, scroll100: true }));
           }
 
@@ -256,6 +284,38 @@ export function useBlogEngagementTracking(postId, enabled = true) {
     };
   }, [postId, enabled, consentGiven]);
 
+  // Send an event while the page is going away, when a normal request may be cancelled
+  const beaconEvent = (eventType, eventData) => {
+    // Extract source from URL params for beacon
+    const urlParams = new URLSearchParams(window.location.search);
+    const source = urlParams.get('src') || urlParams.get('source') || urlParams.get('utm_source');
+
+    const data = JSON.stringify({
+      event_type: eventType,
+      event_data: eventData,
+      source: source || undefined,
+      referrer: document.referrer || undefined
+    });
+
+    // Try sendBeacon first (more reliable)
+    // Note: sendBeacon automatically includes credentials (cookies)
+    if (navigator.sendBeacon) {
+      const blob = new Blob([data], { type: 'application/json' });
+      navigator.sendBeacon(`/api/track/blog/${postId}/engagement`, blob);
+    } else {
+      // Fallback to synchronous XHR with credentials
+      try {
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', `/api/track/blog/${postId}/engagement`, false);
+        xhr.setRequestHeader('Content-Type', 'application/json');
+        xhr.withCredentials = true; // Include cookies
+        xhr.send(data);
+      } catch (e) {
+        // Silent fail
+      }
+    }
+  };
+
   // Track exit on beforeunload (page close/refresh)
   useEffect(() => {
     if (!enabled || !postId || !consentGiven) return;
@@ -263,34 +323,7 @@ export function useBlogEngagementTracking(postId, enabled = true) {
     const handleBeforeUnload = () => {
       const timeSpent = getTimeSpent();
       if (timeSpent > 0) {
-        // Extract source from URL params for beacon
-        const urlParams = new URLSearchParams(window.location.search);
-        const source = urlParams.get('src') || urlParams.get('source') || urlParams.get('utm_source');
-        
-        const data = JSON.stringify({
-          event_type: 'exit',
-          event_data: { time_on_page: timeSpent },
-          source: source || undefined,
-          referrer: document.referrer || undefined
-        });
-        
-        // Try sendBeacon first (more reliable)
-        // Note: sendBeacon automatically includes credentials (cookies)
-        if (navigator.sendBeacon) {
-          const blob = new Blob([data], { type: 'application/json' });
-          navigator.sendBeacon(`/api/track/blog/${postId}/engagement`, blob);
-        } else {
-          // Fallback to synchronous XHR with credentials
-          try {
-            const xhr = new XMLHttpRequest();
-            xhr.open('POST', `/api/track/blog/${postId}/engagement`, false);
-            xhr.setRequestHeader('Content-Type', 'application/json');
-            xhr.withCredentials = true; // Include cookies
-            xhr.send(data);
-          } catch (e) {
-            // Silent fail
-          }
-        }
+        beaconEvent('exit', { time_on_page: timeSpent });
       }
     };
 
@@ -299,6 +332,135 @@ export function useBlogEngagementTracking(postId, enabled = true) {
     return () => {
       window.removeEventListener('beforeunload', handleBeforeUnload);
     };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [postId, enabled, consentGiven]);
+
+  // Track how long each block of the article (paragraph, heading, list, ...) stays in view.
+  // Views are batched as section_view events: { section, paragraph, seconds }, where section is
+  // the anchor of the h2/h3 the block belongs to (null before the first heading).
+  useEffect(() => {
+    if (!enabled || !postId || !consentGiven) return;
+
+    const content = document.querySelector('.post-content');
+    if (!content || typeof IntersectionObserver === 'undefined') return;
+
+    const blocks = new Map();
+    for (const { element, section, paragraph } of getContentBlocks(content)) {
+      blocks.set(element, { section, paragraph, visibleSince: null, seconds: 0 });
+    }
+    if (blocks.size === 0) return;
+
+    const stopTimer = (block, now) => {
+      if (block.visibleSince === null) return;
+      block.seconds += (now - block.visibleSince) / 1000;
+      block.visibleSince = null;
+    };
+
+    // A block counts as in view when half of it, or half of the viewport, shows it
+    const observer = new IntersectionObserver((entries) => {
+      const now = Date.now();
+      for (const entry of entries) {
+        const block = blocks.get(entry.target);
+        const inView = entry.intersectionRatio >= 0.5 ||
+          entry.intersectionRect.height >= window.innerHeight / 2;
+        if (inView && !document.hidden) {
+          if (block.visibleSince === null) block.visibleSince = now;
+        } else {
+          stopTimer(block, now);
+        }
+      }
+    }, { threshold: [0, 0.25, 0.5, 0.75, 1] });
+
+    // Report blocks seen for at least a second since the last flush; skimmed ones are ignored
+    const flush = (send) => {
+      const now = Date.now();
+      const views = [];
+      for (const block of blocks.values()) {
+        const visible = block.visibleSince !== null;
+        stopTimer(block, now);
+        if (visible) block.visibleSince = now;
+        if (block.seconds >= 1) {
+          views.push({
+            section: block.section,
+            paragraph: block.paragraph,
+            seconds: Math.round(block.seconds * 10) / 10
+          });
+          block.seconds = 0;
+        }
+      }
+      // The server accepts up to 200 views per event
+      for (let i = 0; i < views.length; i += 200) {
+        send('section_view', { views: views.slice(i, i + 200) });
+      }
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.hidden) {
+        flush(beaconEvent);
+        blocks.forEach(block => stopTimer(block, Date.now()));
+      } else {
+        // Resume timing whatever is still on screen
+        observer.disconnect();
+        blocks.forEach((block, element) => observer.observe(element));
+      }
+    };
+
+    blocks.forEach((block, element) => observer.observe(element));
+    const interval = setInterval(() => flush(trackEvent), 15000);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      observer.disconnect();
+      flush(trackEvent);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [postId, enabled, consentGiven]);
+
+  // Track clicks inside the article: which link (href, text, index among the content's links)
+  // or element was clicked, the block and section it is in, and where, as a fraction of the
+  // content's width and height (x, y) for the click heatmap
+  useEffect(() => {
+    if (!enabled || !postId || !consentGiven) return;
+
+    const content = document.querySelector('.post-content');
+    if (!content) return;
+
+    const handleClick = (event) => {
+      const rect = content.getBoundingClientRect();
+      if (!rect.width || !rect.height) return;
+
+      const block = getContentBlocks(content).find(b => b.element.contains(event.target));
+      const position = {
+        paragraph: block?.paragraph,
+        section: block?.section ?? null,
+        x: Math.round(((event.clientX - rect.left) / rect.width) * 1000) / 1000,
+        y: Math.round(((event.clientY - rect.top) / rect.height) * 1000) / 1000
+      };
+
+      const link = event.target.closest('a[href]');
+      if (link && content.contains(link)) {
+        const isExternal = new URL(link.href, window.location.href).origin !== window.location.origin;
+        // Following the link leaves the page, so send it the way exits are sent
+        beaconEvent(isExternal ? 'outbound_click' : 'internal_click', {
+          href: link.getAttribute('href'),
+          text: (link.textContent || link.getAttribute('aria-label') || '').trim().slice(0, 200),
+          link_index: Array.from(content.querySelectorAll('a[href]')).indexOf(link),
+          ...position
+        });
+        return;
+      }
+
+      trackEvent('click', { element: event.target.tagName.toLowerCase(), ...position });
+    };
+
+    content.addEventListener('click', handleClick);
+
+    return () => {
+      content.removeEventListener('click', handleClick);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [postId, enabled, consentGiven]);
 
   // Public methods for manual tracking
@@ -0,0 +1,100 @@
+/**
+ * usePostReactions Hook
+ *
+ * Like and bookmark state for a post, with optimistic toggles.
+ * Post cards share one request for the reader's liked/bookmarked post IDs;
+ * the post page asks for the exact state of its own post instead.
+ * Signed-out readers are sent to the login page when they try to react.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { apiClient, endpoints } from '../api';
+
+// Shared { liked: Set, bookmarked: Set } for the signed-in reader
+let viewerReactions = null;
+
+function loadViewerReactions() {
+  if (!viewerReactions) {
+    viewerReactions = apiClient.get(endpoints.user.reactions)
+      .then(({ data }) => ({ liked: new Set(data.liked), bookmarked: new Set(data.bookmarked) }))
+      .catch(() => {
+        // Signed out (or offline): try again next time a card mounts
+        viewerReactions = null;
+        return null;
+      });
+  }
+  return viewerReactions;
+}
+
+function rememberReaction(postId, state) {
+  if (!viewerReactions) return;
+  viewerReactions.then(sets => {
+    if (!sets) return;
+    sets.liked[state.liked ? 'add' : 'delete'](postId);
+    sets.bookmarked[state.bookmarked ? 'add' : 'delete'](postId);
+  });
+}
+
+export function usePostReactions(post, { exact = false, onLike } = {}) {
+  const navigate = useNavigate();
+  const [state, setState] = useState({
+    likes: post?.likes_count || 0,
+    liked: false,
+    bookmarked: false,
+  });
+
+  const postId = post?.id;
+  const slug = post?.slug;
+
+  useEffect(() => {
+    if (!postId) return;
+    let cancelled = false;
+
+    if (exact) {
+      apiClient.get(endpoints.blog.reactions(slug))
+        .then(({ data }) => { if (!cancelled) setState(data); })
+        .catch(() => {});
+    } else {
+      loadViewerReactions().then(sets => {
+        if (cancelled || !sets) return;
+        setState(prev => ({ ...prev, liked: sets.liked.has(postId), bookmarked: sets.bookmarked.has(postId) }));
+      });
+    }
+    return () => { cancelled = true; };
+  }, [postId, slug, exact]);
+
+  const toggle = useCallback(async (kind) => {
+    const key = kind === 'like' ? 'liked' : 'bookmarked';
+    const active = !state[key];
+    const previous = state;
+
+    setState(prev => ({
+      ...prev,
+      [key]: active,
+      likes: kind === 'like' ? Math.max(0, prev.likes + (active ? 1 : -1)) : prev.likes,
+    }));
+
+    try {
+      const url = kind === 'like' ? endpoints.blog.like(slug) : endpoints.blog.bookmark(slug);
+      const { data } = active ? await apiClient.put(url) : await apiClient.delete(url);
+      setState(data);
+      rememberReaction(postId, data);
+      if (kind === 'like' && active && onLike) onLike();
+    } catch (err) {
+      setState(previous);
+      if (err.status === 401) {
+        viewerReactions = null;
+        navigate('/login');
+      } else {
+        console.error(`Failed to update ${kind}:`, err);
+      }
+    }
+  }, [state, slug, postId, onLike, navigate]);
+
+  return {
+    ...state,
+    toggleLike: () => toggle('like'),
+    toggleBookmark: () => toggle('bookmark'),
+  };
+}
@@ -0,0 +1,20 @@
+/**
+ * usePrerenderedData Hook
+ *
+ * Public pages rendered by the server start from the API data it loaded for them:
+ * { path, data }, embedded in the HTML as window.__PRERENDER__ so the client hydrates
+ * from the same data instead of fetching it again. The data only belongs to the page
+ * it was rendered for, so the hook returns null on any other path.
+ */
+
+import { createContext, useContext } from 'react';
+import { useLocation } from 'react-router-dom';
+
+// Provided by PrerenderProvider (contexts/PrerenderContext.jsx)
+export const PrerenderContext = createContext(null);
+
+export function usePrerenderedData() {
+  const prerender = useContext(PrerenderContext);
+  const location = useLocation();
+  return prerender && prerender.path === location.pathname ? prerender.data : null;
+}
@@ -1,20 +1,34 @@
 import React, { StrictMode } from 'react'
-import { createRoot } from 'react-dom/client'
+import { createRoot, hydrateRoot } from 'react-dom/client'
 import { BrowserRouter } from 'react-router-dom'
 import './index.css'
 import App from './App.jsx'
 import ErrorBoundary from './components/ErrorBoundary.jsx'
+import { PrerenderProvider } from './contexts/PrerenderContext.jsx'
 import { initGA } from './utils/analytics'
 
 // Initialize Google Analytics
 initGA();
 
-createRoot(document.getElementById('root')).render(
+// Pages prerendered by the server embed the data they were rendered with
+const prerender = window.__PRERENDER__
+
+const app = (
   <StrictMode>
     <ErrorBoundary>
       <BrowserRouter>
-        <App />
+        <PrerenderProvider value={prerender}>
+          <App />
+        </PrerenderProvider>
       </BrowserRouter>
     </ErrorBoundary>
-  </StrictMode>,
+  </StrictMode>
 )
+
+const root = document.getElementById('root')
+
+if (prerender) {
+  hydrateRoot(root, app)
+} else {
+  createRoot(root).render(app)
+}
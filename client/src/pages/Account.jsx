@@ -0,0 +1,382 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { User, Lock, Mail, Download, Trash2 } from 'lucide-react';
+import { apiClient, endpoints, response, auth as apiAuth } from '../api';
+import './Account.css';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+function SectionMessage({ msg }) {
+  if (!msg?.text) return null;
+  return (
+    <div className={`account-message ${msg.type}`}>
+      {msg.text}
+    </div>
+  );
+}
+
+export default function Account() {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [banner, setBanner] = useState(null);
+
+  // Profile form
+  const [name, setName] = useState('');
+  const [avatarUrl, setAvatarUrl] = useState('');
+  const [profileMsg, setProfileMsg] = useState(null);
+  const [savingProfile, setSavingProfile] = useState(false);
+
+  // Password form
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [passwordMsg, setPasswordMsg] = useState(null);
+  const [savingPassword, setSavingPassword] = useState(false);
+
+  // Email form
+  const [newEmail, setNewEmail] = useState('');
+  const [emailPassword, setEmailPassword] = useState('');
+  const [emailMsg, setEmailMsg] = useState(null);
+  const [savingEmail, setSavingEmail] = useState(false);
+
+  // Data export / account deletion
+  const [exporting, setExporting] = useState(false);
+  const [exportMsg, setExportMsg] = useState(null);
+  const [deleteConfirm, setDeleteConfirm] = useState('');
+  const [deleteMsg, setDeleteMsg] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        const { data } = await apiClient.get(endpoints.user.profile);
+        setUser(data.user);
+        setName(data.user.name || '');
+        setAvatarUrl(data.user.avatar_url || '');
+      } catch (err) {
+        if (apiAuth.isAuthError(err)) {
+          navigate('/login');
+          return;
+        }
+        setBanner({ type: 'error', text: response.getErrorMessage(err) });
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchProfile();
+  }, [navigate]);
+
+  // Result of following the email change link
+  useEffect(() => {
+    if (searchParams.get('email_changed') === 'true') {
+      setBanner({ type: 'success', text: 'Your email address has been updated.' });
+    } else if (searchParams.get('error') === 'email_taken') {
+      setBanner({ type: 'error', text: 'That email address was claimed by another account before you confirmed it.' });
+    }
+    if (searchParams.has('email_changed') || searchParams.has('error')) {
+      setSearchParams({}, { replace: true });
+    }
+  }, [searchParams, setSearchParams]);
+
+  const saveProfile = async (e) => {
+    e.preventDefault();
+    setProfileMsg(null);
+    setSavingProfile(true);
+    try {
+      const { data } = await apiClient.put(endpoints.user.updateProfile, { name, avatar_url: avatarUrl });
+      setUser((prev) => ({ ...prev, ...data.user }));
+      setProfileMsg({ type: 'success', text: data.message || 'Profile updated' });
+    } catch (err) {
+      setProfileMsg({ type: 'error', text: response.getErrorMessage(err) });
+    } finally {
+      setSavingProfile(false);
+    }
+  };
+
+  const changePassword = async (e) => {
+    e.preventDefault();
+    setPasswordMsg(null);
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      setPasswordMsg({ type: 'error', text: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      setPasswordMsg({ type: 'error', text: 'Passwords do not match' });
+      return;
+    }
+    setSavingPassword(true);
+    try {
+      const { data } = await apiClient.put(endpoints.user.changePassword, { currentPassword, newPassword });
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      setPasswordMsg({ type: 'success', text: data.message });
+    } catch (err) {
+      setPasswordMsg({ type: 'error', text: response.getErrorMessage(err) });
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  const changeEmail = async (e) => {
+    e.preventDefault();
+    setEmailMsg(null);
+    setSavingEmail(true);
+    try {
+      const { data } = await apiClient.post(endpoints.user.changeEmail, { email: newEmail, password: emailPassword });
+      setUser((prev) => ({ ...prev, pending_email: data.pending_email }));
+      setNewEmail('');
+      setEmailPassword('');
+      setEmailMsg({ type: 'success', text: data.message });
+    } catch (err) {
+      setEmailMsg({ type: 'error', text: response.getErrorMessage(err) });
+    } finally {
+      setSavingEmail(false);
+    }
+  };
+
+  const exportData = async () => {
+    setExportMsg(null);
+    setExporting(true);
+    try {
+      const { data } = await apiClient.get(endpoints.user.exportData);
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `peakself-export-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setExportMsg({ type: 'error', text: response.getErrorMessage(err) });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const deleteAccount = async (e) => {
+    e.preventDefault();
+    setDeleteMsg(null);
+    if (!window.confirm('Delete your account? You will be signed out immediately.')) return;
+    setDeleting(true);
+    try {
+      const body = user.has_password ? { password: deleteConfirm } : { confirmEmail: deleteConfirm };
+      await apiClient.delete(endpoints.user.deleteAccount, body);
+      apiAuth.logout();
+      window.location.href = '/';
+    } catch (err) {
+      setDeleteMsg({ type: 'error', text: response.getErrorMessage(err) });
+      setDeleting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="account-container">
+        <div className="account-loading">Loading your account...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="account-container">
+      <section className="account-hero">
+        <div className="account-hero-content">
+          <h1 className="account-hero-title">Account settings</h1>
+          <p className="account-hero-subtitle">Manage your profile, password and email address.</p>
+        </div>
+      </section>
+
+      <section className="account-main">
+        <div className="account-content">
+          <SectionMessage msg={banner} />
+
+          {user && (
+            <>
+              {/* Profile */}
+              <div className="account-card">
+                <div className="account-card-header">
+                  <User className="account-card-icon" />
+                  <h2 className="account-card-title">Profile</h2>
+                </div>
+                <form onSubmit={saveProfile} className="account-form">
+                  <div className="account-form-group">
+                    <label className="account-form-label">Name</label>
+                    <input
+                      type="text"
+                      className="account-form-input"
+                      value={name}
+                      maxLength={100}
+                      onChange={(e) => setName(e.target.value)}
+                      placeholder="Your name"
+                    />
+                  </div>
+                  <div className="account-form-group">
+                    <label className="account-form-label">Avatar URL</label>
+                    <input
+                      type="url"
+                      className="account-form-input"
+                      value={avatarUrl}
+                      onChange={(e) => setAvatarUrl(e.target.value)}
+                      placeholder="https://..."
+                    />
+                  </div>
+                  <button type="submit" className="account-submit-btn" disabled={savingProfile}>
+                    {savingProfile ? 'Saving...' : 'Save profile'}
+                  </button>
+                  <SectionMessage msg={profileMsg} />
+                </form>
+              </div>
+
+              {/* Password */}
+              <div className="account-card">
+                <div className="account-card-header">
+                  <Lock className="account-card-icon" />
+                  <h2 className="account-card-title">Password</h2>
+                </div>
+                {user.has_password ? (
+                  <form onSubmit={changePassword} className="account-form">
+                    <div className="account-form-group">
+                      <label className="account-form-label">Current password</label>
+                      <input
+                        type="password"
+                        className="account-form-input"
+                        value={currentPassword}
+                        onChange={(e) => setCurrentPassword(e.target.value)}
+                        autoComplete="current-password"
+                        required
+                      />
+                    </div>
+                    <div className="account-form-group">
+                      <label className="account-form-label">New password</label>
+                      <input
+                        type="password"
+                        className="account-form-input"
+                        value={newPassword}
+                        onChange={(e) => setNewPassword(e.target.value)}
+                        autoComplete="new-password"
+                        required
+                      />
+                    </div>
+                    <div className="account-form-group">
+                      <label className="account-form-label">Confirm new password</label>
+                      <input
+                        type="password"
+                        className="account-form-input"
+                        value={confirmPassword}
+                        onChange={(e) => setConfirmPassword(e.target.value)}
+                        autoComplete="new-password"
+                        required
+                      />
+                    </div>
+                    <button type="submit" className="account-submit-btn" disabled={savingPassword}>
+                      {savingPassword ? 'Updating...' : 'Change password'}
+                    </button>
+                    <SectionMessage msg={passwordMsg} />
+                  </form>
+                ) : (
+                  <p className="account-card-note">
+                    You sign in with Google, so there is no password to change.
+                  </p>
+                )}
+              </div>
+
+              {/* Email */}
+              <div className="account-card">
+                <div className="account-card-header">
+                  <Mail className="account-card-icon" />
+                  <h2 className="account-card-title">Email address</h2>
+                </div>
+                <p className="account-card-note">
+                  Current address: <strong>{user.email}</strong>
+                  {user.pending_email && (
+                    <><br />Waiting for confirmation from <strong>{user.pending_email}</strong></>
+                  )}
+                </p>
+                <form onSubmit={changeEmail} className="account-form">
+                  <div className="account-form-group">
+                    <label className="account-form-label">New email address</label>
+                    <input
+                      type="email"
+                      className="account-form-input"
+                      value={newEmail}
+                      onChange={(e) => setNewEmail(e.target.value)}
+                      placeholder="you@example.com"
+                      required
+                    />
+                  </div>
+                  {user.has_password && (
+                    <div className="account-form-group">
+                      <label className="account-form-label">Password</label>
+                      <input
+                        type="password"
+                        className="account-form-input"
+                        value={emailPassword}
+                        onChange={(e) => setEmailPassword(e.target.value)}
+                        autoComplete="current-password"
+                        required
+                      />
+                    </div>
+                  )}
+                  <button type="submit" className="account-submit-btn" disabled={savingEmail}>
+                    {savingEmail ? 'Sending...' : 'Send confirmation link'}
+                  </button>
+                  <SectionMessage msg={emailMsg} />
+                </form>
+              </div>
+
+              {/* Data export */}
+              <div className="account-card">
+                <div className="account-card-header">
+                  <Download className="account-card-icon" />
+                  <h2 className="account-card-title">Your data</h2>
+                </div>
+                <p className="account-card-note">
+                  Download a copy of everything we hold about you: your profile, browsing sessions,
+                  reading activity and newsletter status.
+                </p>
+                <button type="button" className="account-submit-btn" onClick={exportData} disabled={exporting}>
+                  {exporting ? 'Preparing...' : 'Download my data'}
+                </button>
+                <SectionMessage msg={exportMsg} />
+              </div>
+
+              {/* Delete account */}
+              <div className="account-card account-card-danger">
+                <div className="account-card-header">
+                  <Trash2 className="account-card-icon" />
+                  <h2 className="account-card-title">Delete account</h2>
+                </div>
+                <p className="account-card-note">
+                  Your account is deactivated right away and permanently erased, together with your
+                  activity data, after the retention period.
+                </p>
+                <form onSubmit={deleteAccount} className="account-form">
+                  <div className="account-form-group">
+                    <label className="account-form-label">
+                      {user.has_password ? 'Password' : 'Type your email address to confirm'}
+                    </label>
+                    <input
+                      type={user.has_password ? 'password' : 'email'}
+                      className="account-form-input"
+                      value={deleteConfirm}
+                      onChange={(e) => setDeleteConfirm(e.target.value)}
+                      autoComplete={user.has_password ? 'current-password' : 'off'}
+                      required
+                    />
+                  </div>
+                  <button type="submit" className="account-submit-btn account-danger-btn" disabled={deleting}>
+                    {deleting ? 'Deleting...' : 'Delete my account'}
+                  </button>
+                  <SectionMessage msg={deleteMsg} />
+                </form>
+              </div>
+            </>
+          )}
+        </div>
+      </section>
+    </div>
+  );
+}
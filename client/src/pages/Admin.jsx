@@ -1,6 +1,6 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import { Routes, Route, Navigate, useNavigate, useLocation } from 'react-router-dom';
-import { BarChart3, Users as UsersIcon, FileText, Settings as SettingsIcon, Activity, Menu, X, Database, Folder, TrendingUp } from 'lucide-react';
+import { BarChart3, Users as UsersIcon, FileText, Settings as SettingsIcon, Activity, Menu, X, Database, Folder, Layers, PenLine, TrendingUp, Mail, MessageSquare, Megaphone, Signpost } from 'lucide-react';
 import { apiClient, endpoints, auth as apiAuth } from '../api';
 import AdminSettings from '../components/AdminSettings';
 import AdminOverview from '../components/AdminOverview';
@@ -9,6 +9,12 @@ import AdminContent from '../components/AdminContent';
 import AdminSessions from '../components/AdminSessions';
 import AdminPerformance from '../components/AdminPerformance';
 import AdminNiches from '../components/AdminNiches';
+import AdminSeries from '../components/AdminSeries';
+import AdminAuthors from '../components/AdminAuthors';
+import AdminNewsletter from '../components/AdminNewsletter';
+import AdminComments from '../components/AdminComments';
+import AdminCampaigns from '../components/AdminCampaigns';
+import AdminReferrerRules from '../components/AdminReferrerRules';
 import ContentEditorPage from './ContentEditorPage';
 import BlogAnalytics from './BlogAnalytics';
 import SinglePostAnalytics from './SinglePostAnalytics';
@@ -42,10 +48,16 @@ export default function Admin() {
     const base = [
       { key: 'overview', label: 'Overview', icon: BarChart3, path: '/admin/overview' },
       { key: 'sessions', label: 'Sessions', icon: Activity, path: '/admin/sessions' },
+      { key: 'campaigns', label: 'Campaigns', icon: Megaphone, path: '/admin/campaigns' },
+      { key: 'referrers', label: 'Referrer Rules', icon: Signpost, path: '/admin/referrers' },
       { key: 'users', label: 'Users', icon: UsersIcon, path: '/admin/users' },
       { key: 'content', label: 'Content', icon: FileText, path: '/admin/content' },
+      { key: 'comments', label: 'Comments', icon: MessageSquare, path: '/admin/comments' },
       { key: 'blog-analytics', label: 'Blog Analytics', icon: TrendingUp, path: '/admin/blog-analytics' },
       { key: 'niches', label: 'Niches', icon: Folder, path: '/admin/niches' },
+      { key: 'series', label: 'Series', icon: Layers, path: '/admin/series' },
+      { key: 'authors', label: 'Authors', icon: PenLine, path: '/admin/authors' },
+      { key: 'newsletter', label: 'Newsletter', icon: Mail, path: '/admin/newsletter' },
       { key: 'performance', label: 'Performance', icon: Database, path: '/admin/performance' },
       { key: 'settings', label: 'Settings', icon: SettingsIcon, path: '/admin/settings' }
     ];
@@ -149,6 +161,8 @@ export default function Admin() {
           <Route index element={<Navigate to="/admin/overview" replace />} />
           <Route path="overview" element={<AdminOverview />} />
           <Route path="sessions" element={<AdminSessions />} />
+          <Route path="campaigns" element={<AdminCampaigns />} />
+          <Route path="referrers" element={<AdminReferrerRules />} />
           <Route path="users" element={<AdminUsers />} />
           <Route path="content" element={<AdminContent />} />
           <Route path="content/new" element={<ContentEditorPage />} />
@@ -156,6 +170,10 @@ export default function Admin() {
           <Route path="blog-analytics" element={<BlogAnalytics />} />
           <Route path="blog-analytics/:postId" element={<SinglePostAnalytics />} />
           <Route path="niches" element={<AdminNiches />} />
+          <Route path="series" element={<AdminSeries />} />
+          <Route path="authors" element={<AdminAuthors />} />
+          <Route path="newsletter" element={<AdminNewsletter />} />
+          <Route path="comments" element={<AdminComments />} />
           <Route path="performance" element={<AdminPerformance />} />
           <Route path="settings" element={<AdminSettings />} />
         </Routes>
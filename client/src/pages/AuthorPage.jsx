@@ -0,0 +1,132 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { apiClient, endpoints } from '../api';
+import PostCard from '../components/PostCard';
+import AuthorCard from '../components/AuthorCard';
+import SEOHead from '../components/SEOHead';
+import { usePrerenderedData } from '../hooks/usePrerenderedData';
+import { generatePersonSchema } from '../utils/seo';
+import '../pages/Blog.css';
+
+const PAGE_SIZE = 12;
+
+const AuthorPage = () => {
+  const { slug } = useParams();
+  const prerendered = usePrerenderedData();
+  const [author, setAuthor] = useState(prerendered?.author || null);
+  const [posts, setPosts] = useState(prerendered?.posts || []);
+  const [loading, setLoading] = useState(!prerendered);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(prerendered ? prerendered.posts.length === PAGE_SIZE : false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (prerendered) return;
+
+    const fetchAuthor = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const { data } = await apiClient.get(endpoints.blog.author(slug), { limit: PAGE_SIZE });
+        setAuthor(data.author);
+        setPosts(data.posts || []);
+        setHasMore((data.posts || []).length === PAGE_SIZE);
+      } catch (err) {
+        console.error('Failed to fetch author:', err);
+        setError(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAuthor();
+  }, [slug, prerendered]);
+
+  const loadMorePosts = async () => {
+    try {
+      setLoadingMore(true);
+      const { data } = await apiClient.get(endpoints.blog.author(slug), { limit: PAGE_SIZE, offset: posts.length });
+      const newPosts = data.posts || [];
+      setPosts(prev => [...prev, ...newPosts]);
+      setHasMore(newPosts.length === PAGE_SIZE);
+    } catch (err) {
+      console.error('Failed to load more posts:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="blog-container">
+        <div className="blog-content-wrapper">
+          <div className="blog-header">
+            <p className="blog-subtitle">Loading...</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !author) {
+    return (
+      <div className="blog-container">
+        <div className="blog-content-wrapper">
+          <div className="blog-no-results">
+            <div className="blog-no-results-title">Author not found</div>
+            <p className="blog-no-results-subtitle">
+              <Link to="/blog">Browse all articles</Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="blog-container">
+      <SEOHead
+        title={author.name}
+        description={author.bio || `Articles by ${author.name}`}
+        image={author.avatar_url}
+        url={`/author/${author.slug}`}
+        type="profile"
+        structuredData={generatePersonSchema(author)}
+      />
+      <div className="blog-content-wrapper">
+        <div className="blog-header" style={{ maxWidth: '48rem', margin: '0 auto', textAlign: 'left' }}>
+          <AuthorCard author={author} linkName={false} />
+        </div>
+
+        <div className="blog-results-count">
+          <p>
+            {posts.length === 0
+              ? 'No articles yet'
+              : `Showing ${posts.length} article${posts.length !== 1 ? 's' : ''}`
+            }
+          </p>
+        </div>
+
+        {posts.length > 0 && (
+          <div className="recent-cards-container" style={{marginTop: '2rem'}}>
+            {posts.map(post => (
+              <div key={post.id} style={{display: 'flex', flexDirection: 'column', minHeight: '380px'}}>
+                <PostCard post={post} />
+              </div>
+            ))}
+          </div>
+        )}
+
+        {hasMore && (
+          <div style={{ marginTop: '2rem', textAlign: 'center' }}>
+            <button className="recent-button" onClick={loadMorePosts} disabled={loadingMore}>
+              <span>{loadingMore ? 'Loading...' : 'Load more articles'}</span>
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuthorPage;
@@ -4,22 +4,29 @@ import Fuse from 'fuse.js';
 import { apiClient, endpoints } from '../api';
 import PostCard from '../components/PostCard';
 import SearchBar from '../components/SearchBar';
+import SEOHead from '../components/SEOHead';
+import { usePrerenderedData } from '../hooks/usePrerenderedData';
 import './Blog.css';
 
 const Blog = () => {
   const { nicheSlug } = useParams();
-  const [posts, setPosts] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const prerendered = usePrerenderedData();
+  const [posts, setPosts] = useState(prerendered?.posts || []);
+  const [loading, setLoading] = useState(!prerendered);
   const [loadingMore, setLoadingMore] = useState(false);
-  const [hasMore, setHasMore] = useState(true);
+  // Niche pages show all posts at once for now
+  const [hasMore, setHasMore] = useState(prerendered ? !nicheSlug && prerendered.posts.length === 12 : true);
   const [searchInput, setSearchInput] = useState('');
   const [searchTerm, setSearchTerm] = useState(''); // debounced term used for API/Fuse
   const [searchResults, setSearchResults] = useState(null);
-  const [niche, setNiche] = useState(null);
+  const [searchSuggestion, setSearchSuggestion] = useState(null);
+  const [niche, setNiche] = useState(prerendered?.niche || null);
   const observerRef = useRef();
   const lastPostRef = useRef();
 
   useEffect(() => {
+    if (prerendered) return;
+
     const fetchPosts = async () => {
       try {
         setLoading(true);
@@ -45,7 +52,7 @@ const Blog = () => {
       }
     };
     fetchPosts();
-  }, [nicheSlug]);
+  }, [nicheSlug, prerendered]);
 
   // Infinite scroll (disabled while searching)
   useEffect(() => {
@@ -141,6 +148,7 @@ const Blog = () => {
   useEffect(() => {
     if (!searchTerm || searchTerm.length < 2) {
       setSearchResults(null);
+      setSearchSuggestion(null);
       return;
     }
 
@@ -151,6 +159,7 @@ const Blog = () => {
         const { data } = await apiClient.get(endpoints.blog.list, { limit: 50, offset: 0, search: searchTerm });
         if (!cancelled) {
           setSearchResults(data.posts || []);
+          setSearchSuggestion(data.suggestion || null);
           // For search, we don't auto-load more via infinite scroll
           setHasMore(false);
         }
@@ -158,6 +167,7 @@ const Blog = () => {
         if (!cancelled) {
           console.error('Failed to search posts:', err);
           setSearchResults([]);
+          setSearchSuggestion(null);
         }
       }
     };
@@ -228,6 +238,12 @@ const Blog = () => {
 
   return (
     <div className="blog-container">
+      <SEOHead
+        title={niche ? `${niche.display_name || niche.name} Blog` : 'Blog'}
+        url={nicheSlug ? `/${nicheSlug}/blog` : '/blog'}
+        ogCard={niche ? { type: 'niche', slug: niche.slug } : undefined}
+        feed={niche ? { path: `/${niche.slug}`, title: niche.display_name || niche.name } : undefined}
+      />
       <div className="blog-content-wrapper">
         {/* Header */}
         <div className="blog-header">
@@ -248,6 +264,8 @@ const Blog = () => {
             <SearchBar 
               onSearch={handleSearch}
               placeholder="Search articles, tags, or topics..."
+              results={searchResults}
+              suggestion={searchSuggestion}
             />
           </div>
         </div>
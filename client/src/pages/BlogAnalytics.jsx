@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
-import { Eye, TrendingUp, Share2, BarChart3, Clock, ChevronLeft, ChevronRight, Activity, Target, Heart } from 'lucide-react';
+import { Eye, TrendingUp, Share2, BarChart3, Clock, ChevronLeft, ChevronRight, Activity, Target, Heart, MousePointerClick } from 'lucide-react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, BarChart as RechartsBarChart, Bar, PieChart, Pie, Cell } from 'recharts';
 import api from '../api/client';
 import SkeletonGrid from '../components/SkeletonGrid';
@@ -16,6 +16,7 @@ export default function BlogAnalytics() {
   const [topPostsTimeline, setTopPostsTimeline] = useState([]);
   const [timelineMetric, setTimelineMetric] = useState('views');
   const [timelinePosts, setTimelinePosts] = useState([]);
+  const [relatedPosts, setRelatedPosts] = useState(null);
   const [pagination, setPagination] = useState(null);
   const [loading, setLoading] = useState(true);
   const [sortBy, setSortBy] = useState('engagement_score');
@@ -31,10 +32,11 @@ export default function BlogAnalytics() {
   const fetchData = async () => {
     try {
       setLoading(true);
-      const [comparisonRes, overviewRes, timelineRes] = await Promise.all([
+      const [comparisonRes, overviewRes, timelineRes, relatedRes] = await Promise.all([
         api.get(`/api/admin/blog-analytics/comparison?sort_by=${sortBy}&order=${sortOrder}&page=${currentPage}&limit=${pageSize}`),
         api.get('/api/admin/blog-analytics/'),
-        api.get(`/api/admin/blog-analytics/top-posts-timeline?days=30&limit=5&metric=${timelineMetric}`)
+        api.get(`/api/admin/blog-analytics/top-posts-timeline?days=30&limit=5&metric=${timelineMetric}`),
+        api.get('/api/admin/blog-analytics/related-posts?days=30')
       ]);
       
       setPosts(comparisonRes.data?.data?.posts || []);
@@ -43,6 +45,7 @@ export default function BlogAnalytics() {
       setTopPosts(overviewRes.data?.data?.top_posts_week || []);
       setTopPostsTimeline(timelineRes.data?.data?.timeline || []);
       setTimelinePosts(timelineRes.data?.data?.posts || []);
+      setRelatedPosts(relatedRes.data?.data || null);
     } catch (error) {
       console.error('Failed to fetch analytics:', error);
     } finally {
@@ -352,6 +355,50 @@ export default function BlogAnalytics() {
               </RechartsBarChart>
             </ResponsiveContainer>
           </div>
+
+          {relatedPosts && (
+            <div style={{ 
+              border: '1px solid #d0d0d0', 
+              borderRadius: 16, 
+              background: '#fff',
+              boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+              padding: '1.5rem'
+            }}>
+              <h3 style={{ fontSize: 16, fontWeight: 800, color: '#111', marginBottom: '0.25rem', display: 'flex', alignItems: 'center', gap: 8 }}>
+                <MousePointerClick size={18} style={{ color: '#f59e0b' }} />
+                Related Posts Strategies
+              </h3>
+              <p style={{ fontSize: 12, color: '#666', margin: '0 0 1rem' }}>
+                Click-through of "Related Articles" over the last {relatedPosts.days} days. Serving: {relatedPosts.active.join(', ')}
+              </p>
+              {relatedPosts.strategies.length === 0 ? (
+                <div style={{ fontSize: 13, color: '#999', padding: '2rem 0', textAlign: 'center' }}>
+                  No related post impressions yet
+                </div>
+              ) : (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+                  <thead>
+                    <tr style={{ color: '#666', textAlign: 'left' }}>
+                      <th style={{ padding: '0.5rem 0', fontWeight: 700 }}>Strategy</th>
+                      <th style={{ padding: '0.5rem 0', fontWeight: 700, textAlign: 'right' }}>Impressions</th>
+                      <th style={{ padding: '0.5rem 0', fontWeight: 700, textAlign: 'right' }}>Clicks</th>
+                      <th style={{ padding: '0.5rem 0', fontWeight: 700, textAlign: 'right' }}>CTR</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {relatedPosts.strategies.map(row => (
+                      <tr key={row.strategy} style={{ borderTop: '1px solid #e5e5e5' }}>
+                        <td style={{ padding: '0.5rem 0', fontWeight: 600, textTransform: 'capitalize' }}>{row.strategy}</td>
+                        <td style={{ padding: '0.5rem 0', textAlign: 'right' }}>{formatNumber(row.impressions)}</td>
+                        <td style={{ padding: '0.5rem 0', textAlign: 'right' }}>{formatNumber(row.clicks)}</td>
+                        <td style={{ padding: '0.5rem 0', textAlign: 'right', fontWeight: 700 }}>{row.ctr.toFixed(2)}%</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
         </div>
       )}
 
@@ -1,53 +1,129 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import ContentEditor from '../components/ContentEditor';
+import RevisionDrawer from '../components/RevisionDrawer';
 import { apiClient, endpoints, response } from '../api';
 import { useModal } from '../contexts/ModalContext';
 
+// Apply an autosaved draft on top of the post it was based on
+function applyDraft(post, draft) {
+  return {
+    ...post,
+    title: draft.title,
+    content: draft.content,
+    content_blocks: draft.content_blocks,
+    excerpt: draft.excerpt,
+    image: draft.image,
+    niche_id: draft.niche_id,
+    tags: draft.tag_ids.map(id => ({ id })),
+    status: draft.status || post?.status,
+    scheduled_for: draft.scheduled_for,
+    updated_at: post?.updated_at ?? draft.updated_at,
+  };
+}
+
 export default function ContentEditorPage() {
   const navigate = useNavigate();
   const [searchParams] = useSearchParams();
   const modal = useModal();
   const postId = searchParams.get('id');
   const [initialPost, setInitialPost] = useState(null);
-  const [loading, setLoading] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [showHistory, setShowHistory] = useState(false);
+  // updated_at of the version being edited, sent back on save to detect concurrent edits
+  const baseUpdatedAtRef = useRef(null);
+  const savingRef = useRef(false);
 
   useEffect(() => {
-    if (postId) {
-      // Load the post data for editing
-      const loadPost = async () => {
-        try {
-          setLoading(true);
+    const loadPost = async () => {
+      try {
+        setLoading(true);
+        let post = null;
+
+        if (postId) {
+          // Load the post data for editing
           const { data } = await apiClient.get(endpoints.admin.blogPosts);
-          const post = data.posts.find(p => p.id === parseInt(postId));
-          if (post) {
-            setInitialPost(post);
-          } else {
+          post = data.posts.find(p => p.id === parseInt(postId));
+          if (!post) {
             await modal.alert('Post not found', 'Error');
             navigate('/admin/content');
+            return;
           }
-        } catch (err) {
-          await modal.alert(response.getErrorMessage(err), 'Error');
-          navigate('/admin/content');
-        } finally {
-          setLoading(false);
         }
-      };
-      loadPost();
-    }
+        baseUpdatedAtRef.current = post?.updated_at ?? null;
+
+        // Offer to recover work that was autosaved but never saved
+        const { data: draftData } = await apiClient.get(endpoints.blog.draft(postId));
+        const draft = draftData.draft;
+        const hasChanges = draft && (!post || draft.title !== post.title || draft.content !== post.content ||
+          (draft.excerpt || '') !== (post.excerpt || ''));
+
+        if (hasChanges) {
+          const savedSince = post && draft.base_updated_at &&
+            new Date(draft.base_updated_at).getTime() !== new Date(post.updated_at).getTime();
+          const recover = await modal.confirm(
+            `You have unsaved changes from ${new Date(draft.updated_at).toLocaleString()}. Recover them?` +
+              (savedSince ? ' The post has been saved by someone else since then.' : ''),
+            'Recover Draft',
+            { confirmText: 'Recover', cancelText: 'Discard', variant: 'primary' }
+          );
+          if (recover) {
+            post = applyDraft(post, draft);
+            baseUpdatedAtRef.current = draft.base_updated_at ?? baseUpdatedAtRef.current;
+          } else {
+            await apiClient.delete(endpoints.blog.draft(postId));
+          }
+        }
+
+        setInitialPost(post);
+      } catch (err) {
+        await modal.alert(response.getErrorMessage(err), 'Error');
+        navigate('/admin/content');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadPost();
   }, [postId, navigate, modal]);
 
+  const handleAutosave = useCallback(async (draft) => {
+    if (savingRef.current) return;
+    await apiClient.put(endpoints.blog.draft(postId), {
+      ...draft,
+      baseUpdatedAt: baseUpdatedAtRef.current,
+    });
+  }, [postId]);
+
   const handleSave = async (postData) => {
+    savingRef.current = true;
     try {
       if (postId) {
         // Update existing post
-        await apiClient.put(endpoints.blog.update(postId), postData);
+        await apiClient.put(endpoints.blog.update(postId), {
+          ...postData,
+          expectedUpdatedAt: baseUpdatedAtRef.current,
+        });
       } else {
         // Create new post
         await apiClient.post(endpoints.blog.create, postData);
       }
       navigate('/admin/content');
     } catch (err) {
+      savingRef.current = false;
+      if (err.status === 409 && err.data?.post) {
+        const editor = err.data.updatedBy?.name || err.data.updatedBy?.email || 'Someone else';
+        const overwrite = await modal.confirm(
+          `${editor} saved this post at ${new Date(err.data.post.updated_at).toLocaleString()}, after you opened it. ` +
+            'Overwrite their changes with yours? You can compare both versions in History afterwards.',
+          'Edit Conflict',
+          { confirmText: 'Overwrite', variant: 'danger' }
+        );
+        if (overwrite) {
+          baseUpdatedAtRef.current = err.data.post.updated_at;
+          return handleSave(postData);
+        }
+        return;
+      }
       await modal.alert(response.getErrorMessage(err), 'Error');
     }
   };
@@ -56,6 +132,14 @@ export default function ContentEditorPage() {
     navigate('/admin/content');
   };
 
+  // Reload the editor with the restored content
+  const handleRestored = async (post) => {
+    setShowHistory(false);
+    baseUpdatedAtRef.current = post.updated_at;
+    setInitialPost(post);
+    await modal.alert('Revision restored', 'Success');
+  };
+
   if (loading) {
     return (
       <div style={{ padding: '2rem', textAlign: 'center' }}>
@@ -65,10 +149,22 @@ export default function ContentEditorPage() {
   }
 
   return (
-    <ContentEditor
-      onSave={handleSave}
-      onCancel={handleCancel}
-      initialPost={initialPost}
-    />
+    <>
+      <ContentEditor
+        key={initialPost ? `${initialPost.id ?? 'new'}-${initialPost.updated_at}` : 'new'}
+        onSave={handleSave}
+        onCancel={handleCancel}
+        onAutosave={handleAutosave}
+        initialPost={initialPost}
+        onShowHistory={postId ? () => setShowHistory(true) : undefined}
+      />
+      {showHistory && (
+        <RevisionDrawer
+          postId={postId}
+          onClose={() => setShowHistory(false)}
+          onRestored={handleRestored}
+        />
+      )}
+    </>
   );
 }
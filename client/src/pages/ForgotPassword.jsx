@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { apiClient, endpoints, response } from '../api';
+import './Login.css';
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [msg, setMsg] = useState('');
+  const [sent, setSent] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setMsg('');
+    setLoading(true);
+    try {
+      const { data } = await apiClient.post(endpoints.auth.forgotPassword, { email });
+      setSent(true);
+      setMsg(data.message);
+    } catch (err) {
+      setMsg(response.getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <section className="login-hero hero-section">
+        <div className="container">
+          <div>
+            <div className="login-content">
+              <div className="login-text-section">
+                <h1 className="hero-title md:text-5xl">Forgot your password?</h1>
+                <p className="hero-subtitle" style={{ margin: '0 auto 1.5rem auto' }}>Enter your email and we'll send you a link to choose a new one.</p>
+                <div className="login-dev-tip">
+                  <span className="font-semibold">Tip:</span> In development, reset links are printed in the server console.
+                </div>
+              </div>
+              <div>
+                <div className="login-form-container">
+                  <div className="login-form-header">
+                    <div className="login-avatar">
+                      P
+                    </div>
+                    <h2 className="login-form-title">Reset password</h2>
+                    <p className="login-form-subtitle">The link will expire in one hour</p>
+                  </div>
+
+                  <div className="login-form-content">
+                    <form onSubmit={onSubmit} className="login-form">
+                      <div className="login-form-fields">
+                        <div className="login-form-group">
+                          <label className="login-form-label">Email address</label>
+                          <input
+                            type="email"
+                            className="login-form-input"
+                            placeholder="you@example.com"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            required
+                          />
+                        </div>
+                      </div>
+
+                      <div className="login-submit-wrapper">
+                        <button
+                          type="submit"
+                          className="login-submit-btn"
+                          disabled={loading || sent}
+                        >
+                          {loading ? 'Sending...' : 'Send reset link'}
+                        </button>
+                      </div>
+                    </form>
+
+                    <div className="login-form-footer">
+                      <p>
+                        Remembered it?{' '}
+                        <Link to="/login" className="login-signup-link">
+                          Back to login
+                        </Link>
+                      </p>
+                    </div>
+                  </div>
+
+                  {msg && (
+                    <div className={`login-message ${sent ? 'success' : 'error'}`}>
+                      {msg}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </section>
+    </div>
+  );
+}
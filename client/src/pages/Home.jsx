@@ -6,16 +6,20 @@ import PostCard from '../components/PostCard';
 import { apiClient, endpoints, response } from '../api';
 import { useModal } from '../contexts/ModalContext';
 import SEOHead from '../components/SEOHead';
+import { usePrerenderedData } from '../hooks/usePrerenderedData';
 import { generateOrganizationSchema } from '../utils/seo';
 import './Home.css';
 
 const Home = () => {
   const modal = useModal();
-  const [recentPosts, setRecentPosts] = useState([]);
-  const [niches, setNiches] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const prerendered = usePrerenderedData();
+  const [recentPosts, setRecentPosts] = useState(prerendered?.posts || []);
+  const [niches, setNiches] = useState(prerendered?.niches || []);
+  const [loading, setLoading] = useState(!prerendered);
 
   useEffect(() => {
+    if (prerendered) return;
+
     const fetchData = async () => {
       try {
         // Fetch niches with posts
@@ -32,7 +36,7 @@ const Home = () => {
       }
     };
     fetchData();
-  }, []);
+  }, [prerendered]);
 
   return (
     <div className="home-container">
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { apiClient, endpoints, response } from '../api';
 import './Login.css';
 
@@ -103,7 +103,7 @@ export default function Login() {
                         <div className="login-form-group">
                           <div className="login-password-header">
                             <label className="login-form-label">Password</label>
-                            <a href="#" className="login-forgot-password">Forgot password?</a>
+                            <Link to="/forgot-password" className="login-forgot-password">Forgot password?</Link>
                           </div>
                           <input
                             type="password"
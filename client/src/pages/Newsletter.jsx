@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { apiClient, endpoints, response } from '../api';
+import './Login.css';
+
+/**
+ * Newsletter landing page
+ * - ?confirmed=true          after clicking the confirmation link
+ * - ?error=invalid_token     confirmation link expired or already used
+ * - ?unsubscribe=<token>     unsubscribe confirmation (linked from every newsletter email)
+ */
+export default function Newsletter() {
+  const [searchParams] = useSearchParams();
+  const unsubscribeToken = searchParams.get('unsubscribe');
+  const confirmed = searchParams.get('confirmed') === 'true';
+  const invalidToken = searchParams.get('error') === 'invalid_token';
+
+  const [subscription, setSubscription] = useState(null);
+  const [loading, setLoading] = useState(Boolean(unsubscribeToken));
+  const [submitting, setSubmitting] = useState(false);
+  const [msg, setMsg] = useState(null);
+
+  useEffect(() => {
+    if (!unsubscribeToken) return;
+    const fetchSubscription = async () => {
+      try {
+        const { data } = await apiClient.get(endpoints.newsletter.unsubscribe(unsubscribeToken));
+        setSubscription(data.data);
+      } catch (err) {
+        setMsg({ type: 'error', text: response.getErrorMessage(err) });
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSubscription();
+  }, [unsubscribeToken]);
+
+  const onUnsubscribe = async () => {
+    setMsg(null);
+    setSubmitting(true);
+    try {
+      const { data } = await apiClient.post(endpoints.newsletter.unsubscribe(unsubscribeToken));
+      setSubscription(data.data);
+      setMsg({ type: 'success', text: data.message });
+    } catch (err) {
+      setMsg({ type: 'error', text: response.getErrorMessage(err) });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  let title = 'Newsletter';
+  let subtitle = 'Weekly insights on growth and performance.';
+  if (unsubscribeToken) {
+    title = 'Unsubscribe';
+    subtitle = "We're sorry to see you go.";
+  } else if (confirmed) {
+    title = "You're subscribed!";
+    subtitle = 'Thanks for confirming. The next issue will land in your inbox.';
+  } else if (invalidToken) {
+    title = 'Link expired';
+    subtitle = 'This confirmation link is invalid or has already been used. Subscribe again to get a new one.';
+  }
+
+  return (
+    <div className="login-container">
+      <section className="login-hero hero-section">
+        <div className="container">
+          <div>
+            <div className="login-content">
+              <div className="login-text-section">
+                <h1 className="hero-title md:text-5xl">{title}</h1>
+                <p className="hero-subtitle" style={{ margin: '0 auto 1.5rem auto' }}>{subtitle}</p>
+              </div>
+              <div>
+                <div className="login-form-container">
+                  <div className="login-form-header">
+                    <div className="login-avatar">
+                      P
+                    </div>
+                    <h2 className="login-form-title">PeakSelf newsletter</h2>
+                    {subscription && (
+                      <p className="login-form-subtitle">{subscription.email}</p>
+                    )}
+                  </div>
+
+                  <div className="login-form-content">
+                    {unsubscribeToken && loading && (
+                      <p className="login-form-subtitle">Loading your subscription...</p>
+                    )}
+
+                    {unsubscribeToken && subscription && (
+                      <div className="login-submit-wrapper">
+                        {subscription.subscribed ? (
+                          <button
+                            type="button"
+                            className="login-submit-btn"
+                            onClick={onUnsubscribe}
+                            disabled={submitting}
+                          >
+                            {submitting ? 'Unsubscribing...' : 'Unsubscribe'}
+                          </button>
+                        ) : (
+                          <p className="login-form-subtitle">You will no longer receive our emails.</p>
+                        )}
+                      </div>
+                    )}
+
+                    <div className="login-form-footer">
+                      <p>
+                        <Link to="/" className="login-signup-link">
+                          Back to home
+                        </Link>
+                      </p>
+                    </div>
+                  </div>
+
+                  {msg && (
+                    <div className={`login-message ${msg.type}`}>
+                      {msg.text}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </section>
+    </div>
+  );
+}
@@ -4,6 +4,8 @@ import { ArrowRight } from 'lucide-react';
 import PostCard from '../components/PostCard';
 import { apiClient, endpoints, response } from '../api';
 import { useModal } from '../contexts/ModalContext';
+import { usePrerenderedData } from '../hooks/usePrerenderedData';
+import SEOHead from '../components/SEOHead';
 import './Blog.css';
 import './Home.css';
 
@@ -39,11 +41,14 @@ const ArticleSection = ({ sectionKey, title, description, posts, niche, backgrou
 const NichePage = () => {
   const modal = useModal();
   const { nicheSlug } = useParams();
-  const [niche, setNiche] = useState(null);
-  const [posts, setPosts] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const prerendered = usePrerenderedData();
+  const [niche, setNiche] = useState(prerendered?.niche || null);
+  const [posts, setPosts] = useState(prerendered?.posts || []);
+  const [loading, setLoading] = useState(!prerendered);
 
   useEffect(() => {
+    if (prerendered) return;
+
     const fetchNicheData = async () => {
       try {
         setLoading(true);
@@ -58,7 +63,7 @@ const NichePage = () => {
       }
     };
     fetchNicheData();
-  }, [nicheSlug]);
+  }, [nicheSlug, prerendered]);
 
   if (loading) {
     return (
@@ -80,8 +85,17 @@ const NichePage = () => {
     );
   }
 
+  const nicheName = niche.display_name || niche.name;
+
   return (
     <div className="home-container">
+      <SEOHead
+        title={nicheName}
+        description={`Articles and insights about ${nicheName.toLowerCase()}`}
+        ogCard={{ type: 'niche', slug: niche.slug }}
+        url={`/${niche.slug}`}
+        feed={{ path: `/${niche.slug}`, title: nicheName }}
+      />
       {/* Hero Section */}
       <section className="hero-section">
         <div className="container">
@@ -1,25 +1,34 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { Calendar, Clock, User, ArrowLeft, Share2, Heart } from 'lucide-react';
+import { Calendar, Clock, User, ArrowLeft, Share2, Heart, Bookmark } from 'lucide-react';
 import { apiClient, endpoints } from '../api';
 import { useBlogEngagementTracking } from '../hooks/useBlogEngagementTracking';
+import { usePostReactions } from '../hooks/usePostReactions';
 import SimilarPosts from '../components/SimilarPosts';
+import SeriesNavigator from '../components/SeriesNavigator';
+import AuthorCard from '../components/AuthorCard';
+import TableOfContents from '../components/TableOfContents';
+import PostComments from '../components/PostComments';
 import SEOHead from '../components/SEOHead';
+import { usePrerenderedData } from '../hooks/usePrerenderedData';
 import { truncateDescription, generateBlogPostSchema } from '../utils/seo';
 import './Post.css';
 
 const Post = () => {
   const { slug } = useParams();
-  const [post, setPost] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const prerendered = usePrerenderedData();
+  const [post, setPost] = useState(prerendered?.post || null);
+  const [loading, setLoading] = useState(!prerendered);
   const [error, setError] = useState(null);
-  const [isLiked, setIsLiked] = useState(false);
   const [showCopied, setShowCopied] = useState(false);
 
   // Blog engagement tracking (handles views, scroll, time automatically)
   const tracking = useBlogEngagementTracking(post?.id, !!post);
+  const reactions = usePostReactions(post, { exact: true, onLike: tracking.trackLike });
 
   useEffect(() => {
+    if (prerendered) return;
+
     const fetchPost = async () => {
       try {
         setLoading(true);
@@ -32,7 +41,7 @@ const Post = () => {
       }
     };
     fetchPost();
-  }, [slug]);
+  }, [slug, prerendered]);
 
   if (loading) {
     return (
@@ -69,20 +78,13 @@ const Post = () => {
     });
   };
 
-  const getReadingTime = (content) => {
-    const wordsPerMinute = 200;
-    // Strip HTML tags for word count
-    const text = content.replace(/<[^>]*>/g, ' ');
-    const wordCount = text.trim().split(/\s+/).length;
-    return Math.ceil(wordCount / wordsPerMinute);
-  };
-
   return (
     <div className="min-h-screen bg-white">
       <SEOHead
         title={post.title}
         description={post.excerpt || truncateDescription(post.content)}
         image={post.image}
+        ogCard={{ type: 'post', slug: post.slug }}
         url={`/blog/${post.slug}`}
         type="article"
         article={{
@@ -114,7 +116,21 @@ const Post = () => {
 
         {/* Meta Information */}
         <div className="flex flex-wrap items-center gap-6 text-gray-600 mb-8">
-          {post.author && (
+          {post.authors?.length > 0 ? (
+            <div className="flex items-center space-x-2">
+              <User className="w-5 h-5" />
+              <span>
+                {post.authors.map((author, index) => (
+                  <React.Fragment key={author.id}>
+                    {index > 0 && (index === post.authors.length - 1 ? ' and ' : ', ')}
+                    <Link to={`/author/${author.slug}`} className="hover:text-gray-900 transition-colors duration-200">
+                      {author.name}
+                    </Link>
+                  </React.Fragment>
+                ))}
+              </span>
+            </div>
+          ) : post.author && (
             <div className="flex items-center space-x-2">
               <User className="w-5 h-5" />
               <span>{post.author}</span>
@@ -126,7 +142,8 @@ const Post = () => {
           </div>
           <div className="flex items-center space-x-2">
             <Clock className="w-5 h-5" />
-            <span>{getReadingTime(post.content)} min read</span>
+            {/* reading_time is 0 only for posts without text */}
+            <span>{post.reading_time || 1} min read</span>
           </div>
         </div>
 
@@ -163,14 +180,23 @@ const Post = () => {
 
           <div className="flex items-center space-x-6">
             <button
-              className={`flex items-center space-x-2 transition-all duration-200 ${isLiked ? 'text-red-500' : 'text-gray-600 hover:text-red-500'}`}
-              onClick={() => {
-                setIsLiked(!isLiked);
-                tracking.trackLike();
-              }}
+              className={`flex items-center space-x-2 transition-all duration-200 ${reactions.liked ? 'text-red-500' : 'text-gray-600 hover:text-red-500'}`}
+              onClick={reactions.toggleLike}
+              aria-pressed={reactions.liked}
+            >
+              <Heart className={`w-5 h-5 ${reactions.liked ? 'fill-current like-animation' : ''}`} />
+              <span className="text-sm font-medium">
+                {reactions.liked ? 'Liked' : 'Like'}{reactions.likes > 0 ? ` · ${reactions.likes}` : ''}
+              </span>
+            </button>
+            <button
+              className={`flex items-center space-x-2 transition-colors duration-200 ${reactions.bookmarked ? 'text-blue-600' : 'text-gray-600 hover:text-blue-600'}`}
+              onClick={reactions.toggleBookmark}
+              aria-pressed={reactions.bookmarked}
+              title={reactions.bookmarked ? 'Remove from reading list' : 'Save to reading list'}
             >
-              <Heart className={`w-5 h-5 ${isLiked ? 'fill-current like-animation' : ''}`} />
-              <span className="text-sm font-medium">Like</span>
+              <Bookmark className={`w-5 h-5 ${reactions.bookmarked ? 'fill-current' : ''}`} />
+              <span className="text-sm font-medium">{reactions.bookmarked ? 'Saved' : 'Save'}</span>
             </button>
             <button
               className="flex items-center space-x-2 text-gray-600 hover:text-blue-500 transition-colors duration-200 relative"
@@ -209,41 +235,38 @@ const Post = () => {
         </div>
 
         {/* Article Content */}
-        <div className="prose prose-lg max-w-none">
-          {post.excerpt && (
-            <div className="text-xl text-gray-600 mb-8 leading-relaxed">
-              {post.excerpt}
-            </div>
-          )}
+        <div className="post-body">
+          {post.toc?.length > 0 && <TableOfContents toc={post.toc} />}
 
-          <div
-            className="post-content text-gray-800 leading-relaxed"
-            dangerouslySetInnerHTML={{ __html: post.content }}
-          />
+          <div className="prose prose-lg max-w-none">
+            {post.excerpt && (
+              <div className="text-xl text-gray-600 mb-8 leading-relaxed">
+                {post.excerpt}
+              </div>
+            )}
+
+            <div
+              className="post-content text-gray-800 leading-relaxed"
+              dangerouslySetInnerHTML={{ __html: post.content }}
+            />
+          </div>
         </div>
 
-        {/* Author Bio */}
-        {post.author && (
-          <div className="mt-12 p-6 bg-gray-50 rounded-lg">
-            <div className="flex items-start space-x-4">
-              <div className="w-16 h-16 bg-gradient-to-r from-blue-500 to-purple-500 rounded-full flex items-center justify-center">
-                <span className="text-white font-bold text-xl">
-                  {post.author.split(' ').map(n => n[0]).join('')}
-                </span>
-              </div>
-              <div>
-                <h3 className="text-xl font-semibold text-gray-900 mb-2">
-                  {post.author}
-                </h3>
-                <p className="text-gray-600">
-                  Passionate writer and technology enthusiast with over 5 years of experience
-                  in web development and digital innovation. Loves sharing knowledge and helping
-                  others grow in their careers.
-                </p>
-              </div>
-            </div>
+        {post.series?.posts?.length > 0 && (
+          <SeriesNavigator series={post.series} postId={post.id} />
+        )}
+
+        {/* Author Bios */}
+        {post.authors?.length > 0 && (
+          <div className="mt-12 p-6 bg-gray-50 rounded-lg space-y-6">
+            {post.authors.map(author => (
+              <AuthorCard key={author.id} author={author} />
+            ))}
           </div>
         )}
+
+        {/* Comments */}
+        <PostComments slug={post.slug} onComment={tracking.trackComment} />
       </article>
 
       {/* Similar Posts - Full Width */}
@@ -0,0 +1,88 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { apiClient, endpoints } from '../api';
+import PostCard from '../components/PostCard';
+import '../pages/Blog.css';
+
+const ReadingList = () => {
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchBookmarks = async () => {
+      try {
+        const { data } = await apiClient.get(endpoints.user.bookmarks);
+        setPosts(data.posts || []);
+      } catch (err) {
+        if (err.status !== 401) console.error('Failed to fetch reading list:', err);
+        setError(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchBookmarks();
+  }, []);
+
+  const renderBody = () => {
+    if (loading) {
+      return <p className="blog-no-results-subtitle">Loading your reading list...</p>;
+    }
+
+    if (error?.status === 401) {
+      return (
+        <div className="blog-no-results">
+          <div className="blog-no-results-title">Sign in to see your reading list</div>
+          <p className="blog-no-results-subtitle">
+            <Link to="/login">Log in</Link> and save articles to read them later.
+          </p>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div className="blog-no-results">
+          <div className="blog-no-results-title">Failed to load your reading list</div>
+          <p className="blog-no-results-subtitle">Please try again later</p>
+        </div>
+      );
+    }
+
+    if (posts.length === 0) {
+      return (
+        <div className="blog-no-results">
+          <div className="blog-no-results-title">Nothing saved yet</div>
+          <p className="blog-no-results-subtitle">
+            Use the Save button on any <Link to="/blog">article</Link> to add it here.
+          </p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="recent-cards-container" style={{marginTop: '2rem'}}>
+        {posts.map(post => (
+          <div key={post.id} style={{display: 'flex', flexDirection: 'column', minHeight: '380px'}}>
+            <PostCard post={post} />
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="blog-container">
+      <div className="blog-content-wrapper">
+        <div className="blog-header">
+          <h1 className="blog-title">Reading list</h1>
+          <p className="blog-subtitle">Articles you saved to read later, newest first.</p>
+        </div>
+        {renderBody()}
+      </div>
+    </div>
+  );
+};
+
+export default ReadingList;
@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { apiClient, endpoints, response } from '../api';
+import './Login.css';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+export default function ResetPassword() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [msg, setMsg] = useState('');
+  const [done, setDone] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setMsg('');
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setMsg(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    if (password !== confirm) {
+      setMsg('Passwords do not match');
+      return;
+    }
+    setLoading(true);
+    try {
+      const { data } = await apiClient.post(endpoints.auth.resetPassword, { token, password });
+      setDone(true);
+      setMsg(data.message);
+      // Give the user a moment to read the confirmation before sending them to login
+      setTimeout(() => navigate('/login'), 2500);
+    } catch (err) {
+      setMsg(response.getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <section className="login-hero hero-section">
+        <div className="container">
+          <div>
+            <div className="login-content">
+              <div className="login-text-section">
+                <h1 className="hero-title md:text-5xl">Choose a new password</h1>
+                <p className="hero-subtitle" style={{ margin: '0 auto 1.5rem auto' }}>You'll be signed out on every device once it's changed.</p>
+              </div>
+              <div>
+                <div className="login-form-container">
+                  <div className="login-form-header">
+                    <div className="login-avatar">
+                      P
+                    </div>
+                    <h2 className="login-form-title">Reset password</h2>
+                    <p className="login-form-subtitle">At least {MIN_PASSWORD_LENGTH} characters</p>
+                  </div>
+
+                  {!token ? (
+                    <div className="login-form-content">
+                      <div className="login-message error">
+                        This reset link is missing its token. Please request a new one.
+                      </div>
+                      <div className="login-form-footer">
+                        <p>
+                          <Link to="/forgot-password" className="login-signup-link">
+                            Request a new link
+                          </Link>
+                        </p>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="login-form-content">
+                      <form onSubmit={onSubmit} className="login-form">
+                        <div className="login-form-fields">
+                          <div className="login-form-group">
+                            <label className="login-form-label">New password</label>
+                            <input
+                              type="password"
+                              className="login-form-input"
+                              placeholder="Enter a new password"
+                              value={password}
+                              onChange={(e) => setPassword(e.target.value)}
+                              autoComplete="new-password"
+                              required
+                            />
+                          </div>
+                          <div className="login-form-group">
+                            <label className="login-form-label">Confirm password</label>
+                            <input
+                              type="password"
+                              className="login-form-input"
+                              placeholder="Repeat the new password"
+                              value={confirm}
+                              onChange={(e) => setConfirm(e.target.value)}
+                              autoComplete="new-password"
+                              required
+                            />
+                          </div>
+                        </div>
+
+                        <div className="login-submit-wrapper">
+                          <button
+                            type="submit"
+                            className="login-submit-btn"
+                            disabled={loading || done}
+                          >
+                            {loading ? 'Saving...' : 'Set new password'}
+                          </button>
+                        </div>
+                      </form>
+
+                      <div className="login-form-footer">
+                        <p>
+                          Link expired?{' '}
+                          <Link to="/forgot-password" className="login-signup-link">
+                            Request a new one
+                          </Link>
+                        </p>
+                      </div>
+                    </div>
+                  )}
+
+                  {msg && (
+                    <div className={`login-message ${done ? 'success' : 'error'}`}>
+                      {msg}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { ArrowRight } from 'lucide-react';
+import { apiClient, endpoints } from '../api';
+import PostCard from '../components/PostCard';
+import SEOHead from '../components/SEOHead';
+import { usePrerenderedData } from '../hooks/usePrerenderedData';
+import '../pages/Blog.css';
+
+const SeriesPage = () => {
+  const { slug } = useParams();
+  const prerendered = usePrerenderedData();
+  const [series, setSeries] = useState(prerendered?.series || null);
+  const [posts, setPosts] = useState(prerendered?.posts || []);
+  const [loading, setLoading] = useState(!prerendered);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (prerendered) return;
+
+    const fetchSeries = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const { data } = await apiClient.get(endpoints.blog.series(slug));
+        setSeries(data.series);
+        setPosts(data.posts || []);
+      } catch (err) {
+        console.error('Failed to fetch series:', err);
+        setError(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSeries();
+  }, [slug, prerendered]);
+
+  if (loading) {
+    return (
+      <div className="blog-container">
+        <div className="blog-content-wrapper">
+          <div className="blog-header">
+            <p className="blog-subtitle">Loading...</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !series) {
+    return (
+      <div className="blog-container">
+        <div className="blog-content-wrapper">
+          <div className="blog-no-results">
+            <div className="blog-no-results-title">Series not found</div>
+            <p className="blog-no-results-subtitle">
+              <Link to="/blog">Browse all articles</Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="blog-container">
+      <SEOHead
+        title={series.title}
+        description={series.description || `Read ${series.title} in order, part by part.`}
+        url={`/blog/series/${series.slug}`}
+      />
+      <div className="blog-content-wrapper">
+        {/* Header */}
+        <div className="blog-header">
+          <h1 className="blog-title">{series.title}</h1>
+          {series.description && (
+            <p className="blog-subtitle">{series.description}</p>
+          )}
+        </div>
+
+        <div className="blog-results-count">
+          <p>
+            {posts.length === 0
+              ? 'No parts published yet'
+              : `${posts.length} part${posts.length !== 1 ? 's' : ''}`
+            }
+          </p>
+        </div>
+
+        {/* Parts in reading order */}
+        {posts.length > 0 ? (
+          <div className="recent-cards-container" style={{marginTop: '2rem'}}>
+            {posts.map(post => (
+              <div key={post.id} style={{display: 'flex', flexDirection: 'column', minHeight: '380px'}}>
+                <p style={{ marginBottom: '0.5rem', color: '#6b7280', fontWeight: 600, fontSize: '0.875rem' }}>
+                  Part {post.series_part}
+                </p>
+                <PostCard post={post} />
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="blog-no-results">
+            <div className="blog-no-results-title">No articles yet</div>
+            <p className="blog-no-results-subtitle">
+              The first part of this series is coming soon
+            </p>
+          </div>
+        )}
+
+        {posts.length > 0 && (
+          <div style={{ marginTop: '2rem', textAlign: 'center' }}>
+            <Link to={`/blog/${posts[0].slug}`} className="recent-button">
+              <span>Start with part 1</span>
+              <ArrowRight className="recent-button-arrow" />
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SeriesPage;
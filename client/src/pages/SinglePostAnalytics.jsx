@@ -7,6 +7,7 @@ import {
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, BarChart as RechartsBarChart, Bar, PieChart, Pie, Cell } from 'recharts';
 import api from '../api/client';
 import SkeletonGrid from '../components/SkeletonGrid';
+import PostClickMap from '../components/PostClickMap';
 import '../components/AdminContent.css';
 import '../components/AdminSessions.css';
 
@@ -18,6 +19,8 @@ export default function SinglePostAnalytics() {
   const [trends, setTrends] = useState(null);
   const [audience, setAudience] = useState(null);
   const [heatmap, setHeatmap] = useState(null);
+  const [sections, setSections] = useState(null);
+  const [linkReport, setLinkReport] = useState(null);
   const [timeline, setTimeline] = useState([]);
   const [loading, setLoading] = useState(true);
 
@@ -28,11 +31,13 @@ export default function SinglePostAnalytics() {
   const fetchData = async () => {
     try {
       setLoading(true);
-      const [postRes, audienceRes, heatmapRes, timelineRes] = await Promise.all([
+      const [postRes, audienceRes, heatmapRes, timelineRes, sectionsRes, linksRes] = await Promise.all([
         api.get(`/api/admin/blog-analytics/${postId}`),
         api.get(`/api/admin/blog-analytics/${postId}/audience`),
         api.get(`/api/admin/blog-analytics/${postId}/heatmap`),
-        api.get(`/api/admin/blog-analytics/${postId}/timeline?days=30`)
+        api.get(`/api/admin/blog-analytics/${postId}/timeline?days=30`),
+        api.get(`/api/admin/blog-analytics/${postId}/sections`),
+        api.get(`/api/admin/blog-analytics/${postId}/links`)
       ]);
       
       setPost(postRes.data.data.post);
@@ -41,6 +46,8 @@ export default function SinglePostAnalytics() {
       setAudience(audienceRes.data.data || {});
       setHeatmap(heatmapRes.data.data || {});
       setTimeline(timelineRes.data.data.timeline || []);
+      setSections(sectionsRes.data.data.sections || []);
+      setLinkReport(linksRes.data.data || null);
     } catch (error) {
       console.error('Failed to fetch analytics:', error);
     } finally {
@@ -380,6 +387,63 @@ export default function SinglePostAnalytics() {
         )}
       </ChartCard>
 
+      {/* Section Retention */}
+      <ChartCard title="Section Retention" subtitle="Share of sessions that read each section of the article, with average time in view">
+        {sections?.some(section => section.readers > 0) ? (
+          <div>
+            {sections.map(section => (
+              <div
+                key={section.id ?? 'introduction'}
+                title={`${formatNumber(section.readers)} readers`}
+                style={{ marginBottom: 10, paddingLeft: section.level === 3 ? 20 : 0 }}
+              >
+                <div style={{ display: 'flex', justifyContent: 'space-between', gap: 12, marginBottom: 4, fontSize: 12 }}>
+                  <span style={{ fontWeight: section.level === 3 ? 500 : 700, color: '#111', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {section.text}
+                  </span>
+                  <span style={{ whiteSpace: 'nowrap', color: '#666' }}>
+                    <strong style={{ color: '#111' }}>{section.retention}%</strong> · {formatTime(section.avg_seconds)} avg
+                  </span>
+                </div>
+                <div style={{ height: 8, borderRadius: 4, background: '#f3f4f6', overflow: 'hidden' }}>
+                  <div style={{ width: `${Math.min(100, section.retention)}%`, height: '100%', borderRadius: 4, background: '#3b82f6' }} />
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p style={{ color: '#999', textAlign: 'center', padding: '2rem 0' }}>No section data yet</p>
+        )}
+      </ChartCard>
+
+      {/* Link Clicks */}
+      {linkReport?.content && (
+        <ChartCard title="Link Clicks" subtitle="Clicks on each link in the article; dots mark where readers clicked (red on links)">
+          {linkReport.links.length > 0 && (
+            <div style={{ marginBottom: '1rem' }}>
+              {linkReport.links.slice(0, 10).map(link => (
+                <div
+                  key={`${link.link_index}-${link.href}-${link.is_outbound}`}
+                  style={{ display: 'flex', justifyContent: 'space-between', gap: 12, marginBottom: 8, fontSize: 12 }}
+                >
+                  <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={link.href}>
+                    <strong>{link.text || link.href}</strong>
+                    <span style={{ color: '#666', marginLeft: 6 }}>
+                      {link.is_outbound ? 'Outbound' : 'Internal'} · {link.href}
+                    </span>
+                  </span>
+                  <span style={{ whiteSpace: 'nowrap' }}>
+                    <strong>{formatNumber(link.clicks)}</strong>
+                    <span style={{ color: '#666' }}> clicks · {link.ctr}% CTR</span>
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+          <PostClickMap content={linkReport.content} links={linkReport.links} clicks={linkReport.clicks} />
+        </ChartCard>
+      )}
+
       {/* Engagement Details */}
       {heatmap?.time_distribution && (
         <ChartCard title="Time Spent Distribution" subtitle="How long readers stay">
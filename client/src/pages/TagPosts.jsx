@@ -3,20 +3,28 @@ import { useParams, Link } from 'react-router-dom';
 import { ArrowRight } from 'lucide-react';
 import { apiClient, endpoints } from '../api';
 import PostCard from '../components/PostCard';
+import SEOHead from '../components/SEOHead';
+import { usePrerenderedData } from '../hooks/usePrerenderedData';
 import '../pages/Blog.css';
 
 const TagPosts = () => {
   const { tagSlugs } = useParams(); // comma-separated slugs
-  const [posts, setPosts] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const prerendered = usePrerenderedData(); // single-tag pages only
+  const [posts, setPosts] = useState(prerendered?.posts || []);
+  const [loading, setLoading] = useState(!prerendered);
   const [loadingMore, setLoadingMore] = useState(false);
-  const [hasMore, setHasMore] = useState(true);
+  const [hasMore, setHasMore] = useState(prerendered ? prerendered.posts.length === 12 : true);
   const [error, setError] = useState(null);
-  const [tagNames, setTagNames] = useState([]);
+  const [tagNames, setTagNames] = useState(() => {
+    const matchedTag = prerendered?.posts[0]?.tags?.find(t => t.slug === tagSlugs);
+    return matchedTag ? [matchedTag.name] : [];
+  });
   const observerRef = useRef();
   const lastPostRef = useRef();
 
   useEffect(() => {
+    if (prerendered) return;
+
     const fetchPosts = async () => {
       try {
         setLoading(true);
@@ -74,7 +82,7 @@ const TagPosts = () => {
     };
 
     fetchPosts();
-  }, [tagSlugs]);
+  }, [tagSlugs, prerendered]);
 
   // Infinite scroll
   useEffect(() => {
@@ -191,9 +199,15 @@ const TagPosts = () => {
   }
 
   const displayTags = tagNames.length > 0 ? tagNames.join(', ') : tagSlugs.replace(/,/g, ', ');
+  const singleTag = !tagSlugs.includes(',');
 
   return (
     <div className="blog-container">
+      <SEOHead
+        title={singleTag ? `#${displayTags}` : `Tagged: ${displayTags}`}
+        url={`/blog/tags/${tagSlugs}`}
+        feed={singleTag ? { path: `/blog/tags/${tagSlugs}`, title: `#${displayTags}` } : undefined}
+      />
       <div className="blog-content-wrapper">
         {/* Header */}
         <div className="blog-header">
@@ -0,0 +1,130 @@
+/**
+ * Block document helpers for the post editor
+ * The server validates and renders documents; these only build and convert blocks.
+ */
+
+export const DOCUMENT_VERSION = 1;
+
+export const BLOCK_TYPES = [
+  { type: 'paragraph', label: 'Paragraph' },
+  { type: 'heading', label: 'Heading' },
+  { type: 'list', label: 'List' },
+  { type: 'quote', label: 'Quote' },
+  { type: 'code', label: 'Code' },
+  { type: 'image', label: 'Image' },
+  { type: 'embed', label: 'Embed' },
+  { type: 'callout', label: 'Callout' },
+];
+
+export const CALLOUT_VARIANTS = ['info', 'tip', 'warning', 'success'];
+
+// Types whose content is a single line of inline HTML
+const TEXT_TYPES = ['paragraph', 'heading', 'quote', 'callout'];
+
+let nextKey = 0;
+
+// Editor-only key so React can track blocks as they move
+function withKey(block) {
+  nextKey += 1;
+  return { ...block, key: `block-${nextKey}` };
+}
+
+/**
+ * Create an empty block
+ * @param {string} type - Block type
+ * @returns {object} Block with an editor key
+ */
+export function createBlock(type) {
+  switch (type) {
+    case 'heading':
+      return withKey({ type, level: 2, text: '' });
+    case 'list':
+      return withKey({ type, style: 'unordered', items: [''] });
+    case 'quote':
+      return withKey({ type, text: '', cite: '' });
+    case 'code':
+      return withKey({ type, code: '', language: '' });
+    case 'image':
+      return withKey({ type, url: '', alt: '', caption: '' });
+    case 'embed':
+      return withKey({ type, url: '', caption: '' });
+    case 'callout':
+      return withKey({ type, variant: 'info', text: '' });
+    default:
+      return withKey({ type: 'paragraph', text: '' });
+  }
+}
+
+/**
+ * Inline HTML to plain text
+ * @param {string} html
+ * @returns {string}
+ */
+export function stripTags(html) {
+  const doc = new DOMParser().parseFromString(html || '', 'text/html');
+  return doc.body.textContent || '';
+}
+
+/**
+ * Change a block's type, carrying its text over where that makes sense
+ * @param {object} block - Existing block
+ * @param {string} type - New type
+ * @returns {object} Converted block (same key)
+ */
+export function convertBlock(block, type) {
+  if (block.type === type) return block;
+
+  let text = '';
+  if (TEXT_TYPES.includes(block.type)) text = block.text;
+  else if (block.type === 'list') text = block.items.join('<br>');
+  else if (block.type === 'code') text = block.code.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/\n/g, '<br>');
+
+  const converted = { ...createBlock(type), key: block.key };
+  if (TEXT_TYPES.includes(type)) converted.text = text;
+  else if (type === 'list') converted.items = text ? text.split(/<br\s*\/?>/i) : [''];
+  else if (type === 'code') converted.code = stripTags(text.replace(/<br\s*\/?>/gi, '\n'));
+  return converted;
+}
+
+/**
+ * Load blocks from a stored document
+ * @param {object|null} doc - { version, blocks }
+ * @returns {object[]} Blocks with editor keys; never empty
+ */
+export function fromDocument(doc) {
+  const blocks = Array.isArray(doc?.blocks) ? doc.blocks.map(withKey) : [];
+  return blocks.length ? blocks : [createBlock('paragraph')];
+}
+
+/**
+ * Build the document sent to the server
+ * @param {object[]} blocks - Editor blocks
+ * @returns {{version: number, blocks: object[]}}
+ */
+export function toDocument(blocks) {
+  return {
+    version: DOCUMENT_VERSION,
+    blocks: blocks.map(block => {
+      const { key, ...rest } = block;
+      return key ? rest : block;
+    }),
+  };
+}
+
+/**
+ * Plain text of the blocks, e.g. for a default excerpt
+ * @param {object[]} blocks - Editor blocks
+ * @returns {string}
+ */
+export function blocksToText(blocks) {
+  return blocks
+    .map(block => {
+      if (block.type === 'list') return block.items.map(stripTags).join(' ');
+      if (TEXT_TYPES.includes(block.type)) return stripTags(block.text);
+      return '';
+    })
+    .filter(Boolean)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,120 @@
+/**
+ * Line diff helpers for comparing blog post revisions
+ * Produces rows for a side-by-side view (old on the left, new on the right)
+ */
+
+// Larger comparisons fall back to a plain "everything changed" view
+const MAX_DIFF_CELLS = 4_000_000;
+
+const BLOCK_TAGS = 'p|div|h[1-6]|li|ul|ol|blockquote|pre|figure|figcaption|table|tr|section|article';
+
+/**
+ * Split HTML into one line per tag boundary
+ * @param {string} html - Post content
+ * @returns {string[]} Lines of markup
+ */
+export function htmlToLines(html) {
+  return (html || '')
+    .replace(/>\s*</g, '>\n<')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Convert HTML into readable text, one line per block element
+ * @param {string} html - Post content
+ * @returns {string[]} Lines of text
+ */
+export function htmlToTextLines(html) {
+  const withBreaks = (html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(new RegExp(`</(${BLOCK_TAGS})>`, 'gi'), '$&\n')
+    .replace(/<img[^>]*alt="([^"]*)"[^>]*>/gi, '\n[image: $1]\n');
+  const doc = new DOMParser().parseFromString(withBreaks, 'text/html');
+  return (doc.body.textContent || '')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Longest-common-subsequence diff of two line arrays
+ * @param {string[]} before - Old lines
+ * @param {string[]} after - New lines
+ * @returns {Array<{type: 'equal'|'remove'|'add', text: string}>} Edit script
+ */
+export function diffLines(before, after) {
+  const n = before.length;
+  const m = after.length;
+
+  if (n * m > MAX_DIFF_CELLS) {
+    return [
+      ...before.map(text => ({ type: 'remove', text })),
+      ...after.map(text => ({ type: 'add', text })),
+    ];
+  }
+
+  // lengths[i][j] = LCS length of before[i..] and after[j..]
+  const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (before[i] === after[j]) {
+      ops.push({ type: 'equal', text: before[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ type: 'remove', text: before[i++] });
+    } else {
+      ops.push({ type: 'add', text: after[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: 'remove', text: before[i++] });
+  while (j < m) ops.push({ type: 'add', text: after[j++] });
+
+  return ops;
+}
+
+/**
+ * Pair removals with the additions that follow them so changed lines sit side by side
+ * @param {Array<{type: string, text: string}>} ops - Output of diffLines
+ * @returns {Array<{type: 'equal'|'change'|'remove'|'add', left: string|null, right: string|null}>} Rows
+ */
+export function toSideBySide(ops) {
+  const rows = [];
+  let k = 0;
+
+  while (k < ops.length) {
+    if (ops[k].type === 'equal') {
+      rows.push({ type: 'equal', left: ops[k].text, right: ops[k].text });
+      k++;
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (k < ops.length && ops[k].type !== 'equal') {
+      (ops[k].type === 'remove' ? removed : added).push(ops[k].text);
+      k++;
+    }
+
+    for (let r = 0; r < Math.max(removed.length, added.length); r++) {
+      const left = removed[r] ?? null;
+      const right = added[r] ?? null;
+      const type = left !== null && right !== null ? 'change' : left !== null ? 'remove' : 'add';
+      rows.push({ type, left, right });
+    }
+  }
+
+  return rows;
+}
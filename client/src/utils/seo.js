@@ -79,6 +79,30 @@ export function getCanonicalUrl(path) {
     return `${cleanBase}${cleanPath}`;
 }
 
+/**
+ * Feed links for a page, served by the API at <path>/feed.xml, /atom.xml and /feed.json
+ * @param {string} path - Feed scope path ('' for the whole site, '/:nicheSlug', '/blog/tags/:tagSlug')
+ * @param {string} title - Feed title shown by feed readers
+ * @returns {Array<{type: string, title: string, href: string}>}
+ */
+export function getFeedLinks(path = '', title = SITE_NAME) {
+    return [
+        { type: 'application/rss+xml', title: `${title} (RSS)`, href: getCanonicalUrl(`${path}/feed.xml`) },
+        { type: 'application/atom+xml', title: `${title} (Atom)`, href: getCanonicalUrl(`${path}/atom.xml`) },
+        { type: 'application/feed+json', title: `${title} (JSON Feed)`, href: getCanonicalUrl(`${path}/feed.json`) },
+    ];
+}
+
+/**
+ * Generated Open Graph card, served by the API at /api/og/:type/:slug.png
+ * @param {'post'|'niche'} type - What the card is for
+ * @param {string} slug - Post or niche slug
+ * @returns {string} Absolute image URL
+ */
+export function getOgImageUrl(type, slug) {
+    return getCanonicalUrl(`/api/og/${type}/${encodeURIComponent(slug)}.png`);
+}
+
 /**
  * Generate JSON-LD structured data for a blog post
  * @param {Object} post - Blog post object
@@ -92,13 +116,12 @@ export function generateBlogPostSchema(post) {
         '@type': 'BlogPosting',
         headline: post.title,
         description: post.excerpt || truncateDescription(post.content),
-        image: post.image ? (post.image.startsWith('http') ? post.image : `${baseUrl}${post.image}`) : `${baseUrl}${DEFAULT_OG_IMAGE}`,
+        image: post.image ? (post.image.startsWith('http') ? post.image : `${baseUrl}${post.image}`) : getOgImageUrl('post', post.slug),
         datePublished: post.published_at || post.created_at,
         dateModified: post.updated_at || post.published_at || post.created_at,
-        author: {
-            '@type': 'Person',
-            name: post.author || 'Peakium Team',
-        },
+        author: post.authors?.length
+            ? post.authors.map(author => generatePersonSchema(author, false))
+            : { '@type': 'Person', name: post.author || 'Peakium Team' },
         publisher: {
             '@type': 'Organization',
             name: SITE_NAME,
@@ -114,6 +137,26 @@ export function generateBlogPostSchema(post) {
     };
 }
 
+/**
+ * Generate JSON-LD structured data for a blog author
+ * @param {Object} author - Author profile { name, slug, bio, avatar_url, social_links }
+ * @param {boolean} standalone - Include @context (false when nested in another schema)
+ * @returns {Object} Person structured data
+ */
+export function generatePersonSchema(author, standalone = true) {
+    const sameAs = Object.values(author.social_links || {});
+
+    return {
+        ...(standalone && { '@context': 'https://schema.org' }),
+        '@type': 'Person',
+        name: author.name,
+        url: getCanonicalUrl(`/author/${author.slug}`),
+        ...(author.bio && { description: author.bio }),
+        ...(author.avatar_url && { image: author.avatar_url }),
+        ...(sameAs.length > 0 && { sameAs }),
+    };
+}
+
 /**
  * Generate JSON-LD structured data for organization
  * @returns {Object} Organization structured data
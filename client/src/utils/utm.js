@@ -0,0 +1,24 @@
+/**
+ * UTM parameters of the landing URL, sent with the first tracking hit of a visit
+ * (see server/utils/utm.js for how they are stored)
+ */
+
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+/**
+ * @param {string} search - Query string, defaults to the current URL's
+ * @returns {object|undefined} The utm_* values present, or undefined when there are none
+ */
+export function getUtmParams(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const utm = {};
+  for (const name of UTM_PARAMS) {
+    const value = params.get(name);
+    if (value) utm[name] = value;
+  }
+  return Object.keys(utm).length > 0 ? utm : undefined;
+}
+
+// Captured once at app load: by the time a later hit is sent (e.g. the consent banner is
+// accepted) the SPA may have navigated away from the landing URL
+export const landingUtm = typeof window !== 'undefined' ? getUtmParams() : undefined;
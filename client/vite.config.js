@@ -2,7 +2,7 @@ import { defineConfig, loadEnv } from "vite";
 import react from "@vitejs/plugin-react";
 import { visualizer } from "rollup-plugin-visualizer";
 
-export default defineConfig(({ mode }) => {
+export default defineConfig(({ mode, isSsrBuild }) => {
   // Load env file based on mode (from client directory)
   const env = loadEnv(mode, '.', '');
   console.log('🔧 Vite loading GA ID:', env.VITE_GA_MEASUREMENT_ID);
@@ -10,7 +10,8 @@ export default defineConfig(({ mode }) => {
   return {
   plugins: [
     react(),
-    visualizer({
+    // Bundle report for the browser build only (the SSR build writes to dist-server/)
+    !isSsrBuild && visualizer({
       open: false,
       filename: "dist/stats.html",
       gzipSize: true,
@@ -34,15 +35,24 @@ export default defineConfig(({ mode }) => {
         target: "http://localhost:5000",
         changeOrigin: true,
       },
+      // RSS / Atom / JSON feeds (site-wide, per niche and per tag) are served by the API
+      "^(/.*)?/(feed\\.xml|atom\\.xml|feed\\.json)(\\?|$)": {
+        target: "http://localhost:5000",
+        changeOrigin: true,
+      },
     },
   },
+  ssr: {
+    // CommonJS package without proper ESM named exports; bundle it into the SSR entry
+    noExternal: ["react-helmet-async"],
+  },
   build: {
     // Enable minification
     minify: "esbuild",
     // Target modern browsers for better optimization
     target: "es2020",
-    // Optimize chunk splitting
-    rollupOptions: {
+    // Optimize chunk splitting (browser build only; the SSR entry keeps node_modules external)
+    rollupOptions: isSsrBuild ? {} : {
       output: {
         manualChunks: {
           // Vendor chunk for React and router
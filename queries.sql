@@ -43,6 +43,9 @@ $$;
 -- Required for gen_random_uuid()
 CREATE EXTENSION IF NOT EXISTS pgcrypto;
 
+-- Required for "did you mean" blog search suggestions (trigram similarity)
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- Optional: Performance monitoring (highly recommended for production)
 -- Uncomment if you want query performance tracking
 -- CREATE EXTENSION IF NOT EXISTS pg_stat_statements;
@@ -77,6 +80,7 @@ CREATE TABLE users (
   sessions_count BIGINT NOT NULL DEFAULT 0,
   name TEXT NULL,
   avatar_url TEXT NULL,
+  password_changed_at TIMESTAMPTZ NULL,  -- JWTs issued before this are rejected
   deleted_at TIMESTAMPTZ NULL,  -- NULL = active, timestamp = soft deleted
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
@@ -145,6 +149,43 @@ CREATE INDEX idx_email_verification_active
   ON email_verification_tokens(user_id, expires_at)
   WHERE consumed_at IS NULL;
 
+-- ----------------------------------------------------------------------------
+-- Password Reset Tokens Table
+-- ----------------------------------------------------------------------------
+-- Single-use password reset tokens for local accounts (stored as SHA-256 hashes)
+CREATE TABLE password_reset_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  consumed_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Index for active tokens
+CREATE INDEX idx_password_reset_active
+  ON password_reset_tokens(user_id, expires_at)
+  WHERE consumed_at IS NULL;
+
+-- ----------------------------------------------------------------------------
+-- Email Change Tokens Table
+-- ----------------------------------------------------------------------------
+-- Pending email address changes, confirmed from the new address (stored as SHA-256 hashes)
+CREATE TABLE email_change_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  new_email TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  consumed_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Index for active tokens
+CREATE INDEX idx_email_change_active
+  ON email_change_tokens(user_id, expires_at)
+  WHERE consumed_at IS NULL;
+
 -- ----------------------------------------------------------------------------
 -- Sessions Table
 -- ----------------------------------------------------------------------------
@@ -173,7 +214,8 @@ CREATE TABLE traffic_events (
   referrer TEXT NULL,
   user_agent TEXT NULL,
   ip TEXT NULL,
-  source TEXT NOT NULL CHECK (source IN ('instagram', 'youtube', 'google', 'other'))
+  source TEXT NOT NULL,  -- From referrer_rules (instagram, google, ...), 'other' or 'direct'
+  channel TEXT NULL  -- organic_search, social, email, referral or direct
 );
 
 -- Traffic event indexes
@@ -184,6 +226,47 @@ CREATE INDEX idx_traffic_events_source ON traffic_events(source);
 CREATE INDEX idx_traffic_events_source_time ON traffic_events(source, occurred_at DESC);
 CREATE INDEX idx_traffic_events_time ON traffic_events(occurred_at DESC);
 
+-- ----------------------------------------------------------------------------
+-- Referrer Rules Table
+-- ----------------------------------------------------------------------------
+-- Classify hits into a source and channel (see server/utils/trafficSources.js). Hint rules
+-- match the ?source= / utm_source hint, domain rules the referrer host; lowest priority first
+CREATE TABLE referrer_rules (
+  id SERIAL PRIMARY KEY,
+  match_type VARCHAR(10) NOT NULL CHECK (match_type IN ('domain', 'hint')),
+  pattern VARCHAR(100) NOT NULL,  -- Host name (google.* for any labels) or hint substring
+  source VARCHAR(32) NOT NULL,
+  channel VARCHAR(20) NOT NULL CHECK (channel IN ('organic_search', 'social', 'email', 'referral', 'direct')),
+  priority INTEGER NOT NULL DEFAULT 100,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (match_type, pattern)
+);
+
+-- Default rules (same as DEFAULT_RULES in server/utils/trafficSources.js)
+INSERT INTO referrer_rules (match_type, pattern, source, channel, priority) VALUES
+  ('hint', 'newsletter', 'email', 'email', 10),
+  ('hint', 'email', 'email', 'email', 10),
+  ('hint', 'instagram', 'instagram', 'social', 20),
+  ('hint', 'facebook', 'facebook', 'social', 20),
+  ('hint', 'fb', 'facebook', 'social', 20),
+  ('hint', 'youtube', 'youtube', 'social', 20),
+  ('hint', 'twitter', 'twitter', 'social', 20),
+  ('hint', 'google', 'google', 'organic_search', 20),
+  ('domain', 'mail.google.com', 'email', 'email', 50),
+  ('domain', 'outlook.live.com', 'email', 'email', 50),
+  ('domain', 'instagram.com', 'instagram', 'social', 100),
+  ('domain', 'facebook.com', 'facebook', 'social', 100),
+  ('domain', 'fb.com', 'facebook', 'social', 100),
+  ('domain', 'youtube.com', 'youtube', 'social', 100),
+  ('domain', 'youtu.be', 'youtube', 'social', 100),
+  ('domain', 'twitter.com', 'twitter', 'social', 100),
+  ('domain', 'x.com', 'twitter', 'social', 100),
+  ('domain', 't.co', 'twitter', 'social', 100),
+  ('domain', 'google.*', 'google', 'organic_search', 100),
+  ('domain', 'bing.com', 'bing', 'organic_search', 100),
+  ('domain', 'duckduckgo.com', 'duckduckgo', 'organic_search', 100);
+
 -- ----------------------------------------------------------------------------
 -- Visitors Table
 -- ----------------------------------------------------------------------------
@@ -196,6 +279,11 @@ CREATE TABLE visitors (
   first_referrer TEXT NULL,
   current_referrer TEXT NULL,
   first_landing_path TEXT NULL,
+  utm_source TEXT NULL,  -- Campaign parameters of the first landing URL (first touch)
+  utm_medium TEXT NULL,
+  utm_campaign TEXT NULL,
+  utm_term TEXT NULL,
+  utm_content TEXT NULL,
   deleted_at TIMESTAMPTZ NULL,  -- Soft delete support
   first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
@@ -206,6 +294,7 @@ CREATE TABLE visitors (
 CREATE INDEX idx_visitors_user ON visitors(user_id);
 CREATE INDEX idx_visitors_last_seen ON visitors(last_seen_at DESC);
 CREATE INDEX idx_visitors_active ON visitors(id) WHERE deleted_at IS NULL;
+CREATE INDEX idx_visitors_utm_campaign ON visitors(utm_campaign) WHERE utm_campaign IS NOT NULL;
 
 -- ----------------------------------------------------------------------------
 -- User Sessions Table
@@ -216,9 +305,15 @@ CREATE TABLE user_sessions (
   visitor_id UUID NOT NULL REFERENCES visitors(id) ON DELETE CASCADE,
   user_id UUID NULL REFERENCES users(id) ON DELETE SET NULL,
   source TEXT NOT NULL,
+  channel TEXT NULL,  -- Channel grouping of the source (see referrer_rules)
   landing_path TEXT NULL,
   user_agent TEXT NULL,
   ip TEXT NULL,
+  utm_source TEXT NULL,  -- Campaign parameters of the landing URL
+  utm_medium TEXT NULL,
+  utm_campaign TEXT NULL,
+  utm_term TEXT NULL,
+  utm_content TEXT NULL,
   started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   ended_at TIMESTAMPTZ NULL,
@@ -236,6 +331,9 @@ CREATE INDEX idx_user_sessions_source ON user_sessions(source);
 CREATE INDEX idx_user_sessions_visitor_time ON user_sessions(visitor_id, started_at DESC);
 CREATE INDEX idx_user_sessions_user_time ON user_sessions(user_id, started_at DESC) WHERE user_id IS NOT NULL;
 
+-- Campaigns report index
+CREATE INDEX idx_user_sessions_utm_campaign ON user_sessions(utm_campaign, started_at) WHERE utm_campaign IS NOT NULL;
+
 -- ----------------------------------------------------------------------------
 -- Session Events Table
 -- ----------------------------------------------------------------------------
@@ -364,7 +462,11 @@ WHERE ended_at IS NULL AND last_seen_at >= NOW() - INTERVAL '30 minutes';
 CREATE TABLE blog_posts (
   id SERIAL PRIMARY KEY,
   title VARCHAR(255) NOT NULL,
-  content TEXT NOT NULL,
+  content TEXT NOT NULL,  -- HTML rendered from content_blocks
+  content_blocks JSONB,  -- Block document: { version, blocks: [...] }
+  word_count INTEGER NOT NULL DEFAULT 0,  -- Reading stats and outline, computed on save
+  reading_time INTEGER NOT NULL DEFAULT 0,  -- Minutes; 0 only for posts without text
+  toc JSONB NOT NULL DEFAULT '[]',  -- [{ id, level, text }] of the h2/h3 headings
   excerpt TEXT,
   slug VARCHAR(255) UNIQUE,
   status VARCHAR(20) DEFAULT 'draft',
@@ -372,13 +474,18 @@ CREATE TABLE blog_posts (
   image TEXT,  -- Featured image URL
   created_at TIMESTAMP DEFAULT NOW(),
   updated_at TIMESTAMP DEFAULT NOW(),
-  published_at TIMESTAMP
+  published_at TIMESTAMP,
+  scheduled_for TIMESTAMPTZ,  -- When a 'scheduled' post goes live
+  search_vector tsvector  -- Full-text search document, maintained by triggers (see Blog Search)
 );
 
 -- Blog post indexes
 CREATE INDEX idx_blog_posts_status ON blog_posts(status);
 CREATE INDEX idx_blog_posts_slug ON blog_posts(slug);
 
+-- Scheduled publishing index (scanned by the publish scheduler)
+CREATE INDEX idx_blog_posts_scheduled_for ON blog_posts(scheduled_for) WHERE status = 'scheduled';
+
 -- Performance index
 CREATE INDEX idx_blog_posts_status_time ON blog_posts(status, created_at DESC);
 
@@ -414,6 +521,265 @@ CREATE TABLE blog_post_tags (
 CREATE INDEX idx_blog_post_tags_post ON blog_post_tags(blog_post_id);
 CREATE INDEX idx_blog_post_tags_tag ON blog_post_tags(tag_id);
 
+-- ----------------------------------------------------------------------------
+-- Blog Search
+-- ----------------------------------------------------------------------------
+-- blog_posts.search_vector weights: title A, tag names B, excerpt C, content D.
+-- Triggers keep it current when a post, its tags, or a tag's name changes.
+CREATE OR REPLACE FUNCTION blog_post_search_vector(p_id INTEGER, p_title TEXT, p_excerpt TEXT, p_content TEXT)
+RETURNS tsvector AS $$
+DECLARE
+  tag_names TEXT;
+BEGIN
+  SELECT string_agg(t.name, ' ') INTO tag_names
+  FROM content_tags ct
+  JOIN tags t ON t.id = ct.tag_id
+  WHERE ct.content_id = p_id;
+
+  RETURN setweight(to_tsvector('english', COALESCE(p_title, '')), 'A')
+    || setweight(to_tsvector('english', COALESCE(tag_names, '')), 'B')
+    || setweight(to_tsvector('english', COALESCE(p_excerpt, '')), 'C')
+    || setweight(to_tsvector('english', regexp_replace(COALESCE(p_content, ''), '<[^>]*>', ' ', 'g')), 'D');
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+CREATE OR REPLACE FUNCTION blog_posts_search_vector_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_vector := blog_post_search_vector(NEW.id, NEW.title, NEW.excerpt, NEW.content);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION content_tags_search_vector_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    UPDATE blog_posts SET search_vector = blog_post_search_vector(id, title, excerpt, content)
+    WHERE id = OLD.content_id;
+  END IF;
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    UPDATE blog_posts SET search_vector = blog_post_search_vector(id, title, excerpt, content)
+    WHERE id = NEW.content_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION tags_search_vector_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE blog_posts SET search_vector = blog_post_search_vector(id, title, excerpt, content)
+  WHERE id IN (SELECT content_id FROM content_tags WHERE tag_id = NEW.id);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_blog_posts_search_vector
+BEFORE INSERT OR UPDATE OF title, excerpt, content ON blog_posts
+FOR EACH ROW EXECUTE FUNCTION blog_posts_search_vector_update();
+
+CREATE TRIGGER trg_tags_search_vector
+AFTER UPDATE OF name ON tags
+FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name)
+EXECUTE FUNCTION tags_search_vector_update();
+
+-- Post tags live in content_tags (created outside this file); attach when it exists
+DO $$
+BEGIN
+  IF to_regclass('content_tags') IS NOT NULL THEN
+    DROP TRIGGER IF EXISTS trg_content_tags_search_vector ON content_tags;
+    CREATE TRIGGER trg_content_tags_search_vector
+    AFTER INSERT OR UPDATE OR DELETE ON content_tags
+    FOR EACH ROW EXECUTE FUNCTION content_tags_search_vector_update();
+  END IF;
+END
+$$;
+
+-- Full-text search index
+CREATE INDEX idx_blog_posts_search ON blog_posts USING GIN (search_vector);
+
+-- ----------------------------------------------------------------------------
+-- Blog Post Revisions Table
+-- ----------------------------------------------------------------------------
+-- Snapshot written on every save of a blog post (history, diff and restore)
+CREATE TABLE blog_post_revisions (
+  id SERIAL PRIMARY KEY,
+  post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  content TEXT NOT NULL,
+  content_blocks JSONB,
+  excerpt TEXT,
+  image TEXT,
+  niche_id INTEGER,
+  tag_ids INTEGER[] NOT NULL DEFAULT '{}',
+  author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  restored_from INTEGER REFERENCES blog_post_revisions(id) ON DELETE SET NULL,  -- Set when the save was a restore
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Revision history index
+CREATE INDEX idx_blog_post_revisions_post ON blog_post_revisions(post_id, created_at DESC);
+
+-- ----------------------------------------------------------------------------
+-- Blog Post Drafts Table
+-- ----------------------------------------------------------------------------
+-- Editor autosave slot per post and user (post_id NULL = post not created yet)
+CREATE TABLE blog_post_drafts (
+  id SERIAL PRIMARY KEY,
+  post_id INTEGER REFERENCES blog_posts(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title TEXT NOT NULL DEFAULT '',
+  content TEXT NOT NULL DEFAULT '',
+  content_blocks JSONB,
+  excerpt TEXT,
+  image TEXT,
+  niche_id INTEGER,
+  tag_ids INTEGER[] NOT NULL DEFAULT '{}',
+  status VARCHAR(20),
+  scheduled_for TIMESTAMPTZ,
+  base_updated_at TIMESTAMPTZ,  -- blog_posts.updated_at the draft was started from
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One draft slot per post and user
+CREATE UNIQUE INDEX idx_blog_post_drafts_post_user ON blog_post_drafts(post_id, user_id) WHERE post_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_blog_post_drafts_new_user ON blog_post_drafts(user_id) WHERE post_id IS NULL;
+
+-- ----------------------------------------------------------------------------
+-- Blog Comments Table
+-- ----------------------------------------------------------------------------
+-- Threaded reader comments; new comments wait for moderation
+CREATE TABLE blog_comments (
+  id SERIAL PRIMARY KEY,
+  post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  user_id UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+  parent_id INTEGER NULL REFERENCES blog_comments(id) ON DELETE CASCADE,  -- Reply to another comment
+  body TEXT NOT NULL,  -- Plain text
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'spam')),
+  moderated_by UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+  moderated_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Comment indexes (per-post thread, moderation queue, per-user rate checks)
+CREATE INDEX idx_blog_comments_post ON blog_comments(post_id, status, created_at);
+CREATE INDEX idx_blog_comments_status ON blog_comments(status, created_at DESC);
+CREATE INDEX idx_blog_comments_user ON blog_comments(user_id, created_at DESC);
+
+-- ----------------------------------------------------------------------------
+-- Blog Likes & Bookmarks Tables
+-- ----------------------------------------------------------------------------
+-- One like per user and post
+CREATE TABLE blog_post_likes (
+  post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (post_id, user_id)
+);
+
+-- Bookmarked posts make up the reader's reading list
+CREATE TABLE blog_post_bookmarks (
+  post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (post_id, user_id)
+);
+
+-- Per-user lookups (liked posts, reading list newest first)
+CREATE INDEX idx_blog_post_likes_user ON blog_post_likes(user_id, created_at DESC);
+CREATE INDEX idx_blog_post_bookmarks_user ON blog_post_bookmarks(user_id, created_at DESC);
+
+-- ----------------------------------------------------------------------------
+-- Blog Series Tables
+-- ----------------------------------------------------------------------------
+-- Ordered multi-part posts
+CREATE TABLE blog_series (
+  id SERIAL PRIMARY KEY,
+  title VARCHAR(200) NOT NULL,
+  slug VARCHAR(200) NOT NULL UNIQUE,
+  description TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- A post belongs to at most one series
+CREATE TABLE blog_series_posts (
+  series_id INTEGER NOT NULL REFERENCES blog_series(id) ON DELETE CASCADE,
+  post_id INTEGER NOT NULL UNIQUE REFERENCES blog_posts(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,  -- 1-based part number
+  PRIMARY KEY (series_id, post_id)
+);
+
+-- Series parts in reading order
+CREATE INDEX idx_blog_series_posts_order ON blog_series_posts(series_id, position);
+
+-- ----------------------------------------------------------------------------
+-- Blog Authors Tables
+-- ----------------------------------------------------------------------------
+-- Author profiles; a profile may belong to a user, guest authors have none
+CREATE TABLE blog_authors (
+  id SERIAL PRIMARY KEY,
+  user_id UUID UNIQUE REFERENCES users(id) ON DELETE SET NULL,
+  name VARCHAR(100) NOT NULL,
+  slug VARCHAR(120) NOT NULL UNIQUE,
+  bio TEXT,
+  avatar_url TEXT,
+  social_links JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Authors of a post in byline order
+CREATE TABLE blog_post_authors (
+  post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  author_id INTEGER NOT NULL REFERENCES blog_authors(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  PRIMARY KEY (post_id, author_id)
+);
+
+-- Posts by author (author pages)
+CREATE INDEX idx_blog_post_authors_author ON blog_post_authors(author_id);
+
+-- ----------------------------------------------------------------------------
+-- Related Posts Tables
+-- ----------------------------------------------------------------------------
+-- Text (TF-IDF) and co-reading scores per post pair, rebuilt by utils/relatedPostsIndexer.js
+CREATE TABLE blog_post_similarity (
+  post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  related_post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  text_score REAL NOT NULL DEFAULT 0,
+  coread_score REAL NOT NULL DEFAULT 0,
+  computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (post_id, related_post_id)
+);
+
+-- Impressions and clicks of the related posts block, per strategy (click-through comparison)
+CREATE TABLE blog_related_post_events (
+  id BIGSERIAL PRIMARY KEY,
+  post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  related_post_id INTEGER NULL REFERENCES blog_posts(id) ON DELETE CASCADE,  -- NULL for impressions
+  strategy TEXT NOT NULL,
+  event_type TEXT NOT NULL CHECK (event_type IN ('impression', 'click')),
+  position INTEGER NULL,
+  visitor_id UUID NULL REFERENCES visitors(id) ON DELETE SET NULL,
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Related posts event index (per-strategy reports)
+CREATE INDEX idx_blog_related_post_events_strategy ON blog_related_post_events(strategy, occurred_at DESC);
+
+-- ----------------------------------------------------------------------------
+-- Blog Engagement Tables (migration-only)
+-- ----------------------------------------------------------------------------
+-- Blog engagement tracking tables (blog_post_analytics, blog_engagement_events, blog_post_sessions,
+-- blog_post_daily_stats) are not part of this file: they are created by
+-- server/migrations/create_blog_engagement.js (node server/migrations/run_blog_engagement_migration.js up)
+-- after this schema has been loaded, and every later change to them is a migration too:
+--   server/migrations/add_section_view_events.js  adds 'section_view' to the blog_engagement_events event_type CHECK
+--   server/migrations/create_related_posts.js     adds idx_blog_post_sessions_visitor (co-reading)
+
 -- ----------------------------------------------------------------------------
 -- Newsletter Subscriptions Table
 -- ----------------------------------------------------------------------------
@@ -422,6 +788,7 @@ CREATE TABLE newsletter_subscriptions (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   email TEXT NOT NULL UNIQUE,
   verified BOOLEAN NOT NULL DEFAULT FALSE,
+  visitor_id UUID NULL,  -- Visitor who signed up (campaign attribution)
   deleted_at TIMESTAMPTZ NULL,  -- Soft delete support
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
@@ -432,6 +799,65 @@ CREATE INDEX idx_newsletter_active ON newsletter_subscriptions(email) WHERE dele
 -- Performance index
 CREATE INDEX idx_newsletter_email ON newsletter_subscriptions(email) WHERE deleted_at IS NULL;
 
+-- ----------------------------------------------------------------------------
+-- Newsletter Tokens Table
+-- ----------------------------------------------------------------------------
+-- Confirmation and unsubscribe links (stored as SHA-256 hashes)
+CREATE TABLE newsletter_tokens (
+  id BIGSERIAL PRIMARY KEY,
+  email TEXT NOT NULL REFERENCES newsletter_subscriptions(email) ON DELETE CASCADE,
+  purpose TEXT NOT NULL CHECK (purpose IN ('verify', 'unsubscribe')),
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  consumed_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Newsletter token indexes
+CREATE INDEX idx_newsletter_tokens_email ON newsletter_tokens(email, purpose);
+CREATE INDEX idx_newsletter_tokens_expires ON newsletter_tokens(expires_at);
+
+-- ----------------------------------------------------------------------------
+-- Newsletter Campaigns Table
+-- ----------------------------------------------------------------------------
+-- Campaigns composed in the admin panel, from a blog post or freeform HTML
+CREATE TABLE newsletter_campaigns (
+  id SERIAL PRIMARY KEY,
+  subject TEXT NOT NULL,
+  html TEXT NOT NULL,
+  post_id INTEGER NULL REFERENCES blog_posts(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'queued', 'sending', 'sent')),
+  total_recipients INTEGER NOT NULL DEFAULT 0,
+  created_by UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  queued_at TIMESTAMPTZ NULL,
+  completed_at TIMESTAMPTZ NULL
+);
+
+-- Campaign indexes
+CREATE INDEX idx_newsletter_campaigns_status ON newsletter_campaigns(status, queued_at);
+
+-- ----------------------------------------------------------------------------
+-- Newsletter Sends Table
+-- ----------------------------------------------------------------------------
+-- Per-recipient delivery status for each campaign
+CREATE TABLE newsletter_sends (
+  id BIGSERIAL PRIMARY KEY,
+  campaign_id INTEGER NOT NULL REFERENCES newsletter_campaigns(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'skipped')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error TEXT NULL,
+  message_id TEXT NULL,
+  sent_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE(campaign_id, email)
+);
+
+-- Newsletter send indexes
+CREATE INDEX idx_newsletter_sends_campaign_status ON newsletter_sends(campaign_id, status);
+
 -- ============================================================================
 -- DASHBOARD METRICS
 -- ============================================================================
@@ -491,7 +917,7 @@ WITH
       COALESCE(SUM(CASE WHEN source = 'instagram' THEN 1 ELSE 0 END), 0)::BIGINT AS traffic_instagram,
       COALESCE(SUM(CASE WHEN source = 'youtube' THEN 1 ELSE 0 END), 0)::BIGINT AS traffic_youtube,
       COALESCE(SUM(CASE WHEN source = 'google' THEN 1 ELSE 0 END), 0)::BIGINT AS traffic_google,
-      COALESCE(SUM(CASE WHEN source = 'other' THEN 1 ELSE 0 END), 0)::BIGINT AS traffic_others
+      COALESCE(SUM(CASE WHEN source NOT IN ('instagram', 'youtube', 'google') THEN 1 ELSE 0 END), 0)::BIGINT AS traffic_others
     FROM traffic_events
     WHERE occurred_at >= NOW() - INTERVAL '7 days'
   ),
@@ -500,7 +926,7 @@ WITH
     FROM (
       SELECT COALESCE(NULLIF(referrer, ''), '(direct)') AS ref, COUNT(*) AS cnt
       FROM traffic_events
-      WHERE occurred_at >= NOW() - INTERVAL '7 days' AND source = 'other'
+      WHERE occurred_at >= NOW() - INTERVAL '7 days' AND source NOT IN ('instagram', 'youtube', 'google')
       GROUP BY COALESCE(NULLIF(referrer, ''), '(direct)')
       ORDER BY cnt DESC
       LIMIT 5
@@ -590,6 +1016,9 @@ BEGIN
   RAISE NOTICE '  ✓ Soft delete support';
   RAISE NOTICE '  ✓ Session-based analytics';
   RAISE NOTICE '  ✓ Blog with tags';
+  RAISE NOTICE '  ✓ Full-text blog search';
+  RAISE NOTICE '  ✓ Moderated blog comments';
+  RAISE NOTICE '  ✓ Likes and reading list';
   RAISE NOTICE '  ✓ 9 performance indexes';
   RAISE NOTICE '  ✓ Auto-updating metrics';
   RAISE NOTICE '';
@@ -172,6 +172,35 @@ describe('Authentication Middleware Tests', () => {
       expect(res.json).toHaveBeenCalledWith({ error: 'Unauthorized' });
       expect(next).not.toHaveBeenCalled();
     });
+
+    it('should reject JWT issued before the last password change', async () => {
+      const issuedAt = Math.floor(Date.now() / 1000) - 3600;
+      const token = jwt.sign({ sub: 'user-123', email: 'test@example.com', role: 'user', iat: issuedAt }, process.env.JWT_SECRET);
+      req.cookies = { access_token: token };
+
+      mockPool.query.mockResolvedValue({
+        rows: [{ password_changed_at: new Date() }],
+      });
+
+      await authModule.requireAuth(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject JWT of a deleted account', async () => {
+      const token = jwt.sign({ sub: 'user-123', email: 'test@example.com', role: 'user' }, process.env.JWT_SECRET);
+      req.cookies = { access_token: token };
+
+      mockPool.query.mockResolvedValue({
+        rows: [{ password_changed_at: null, deleted_at: new Date() }],
+      });
+
+      await authModule.requireAuth(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
   });
 
   describe('requireAdmin', () => {
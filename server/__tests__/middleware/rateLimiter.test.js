@@ -44,6 +44,7 @@ describe('Rate Limiter Middleware Tests', () => {
       expect(rateLimiters.authOAuthLimiter).toBeDefined();
       expect(rateLimiters.authGeneralLimiter).toBeDefined();
       expect(rateLimiters.subscribeLimiter).toBeDefined();
+      expect(rateLimiters.commentLimiter).toBeDefined();
       expect(rateLimiters.apiLimiter).toBeDefined();
       expect(rateLimiters.adminLimiter).toBeDefined();
       expect(rateLimiters.trackingLimiter).toBeDefined();
@@ -59,6 +60,7 @@ describe('Rate Limiter Middleware Tests', () => {
       expect(typeof rateLimiters.authOAuthLimiter).toBe('function');
       expect(typeof rateLimiters.authGeneralLimiter).toBe('function');
       expect(typeof rateLimiters.subscribeLimiter).toBe('function');
+      expect(typeof rateLimiters.commentLimiter).toBe('function');
       expect(typeof rateLimiters.apiLimiter).toBe('function');
       expect(typeof rateLimiters.adminLimiter).toBe('function');
       expect(typeof rateLimiters.trackingLimiter).toBe('function');
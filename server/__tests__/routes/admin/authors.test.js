@@ -0,0 +1,88 @@
+import { jest, describe, it, expect, beforeAll, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createMockPool } from '../../setup.js';
+
+const mockPool = createMockPool();
+
+jest.unstable_mockModule('../../../utils/db.js', () => ({
+  default: mockPool,
+}));
+
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+describe('Admin Author Routes', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = express();
+    app.use(express.json());
+
+    const authorsRouter = (await import('../../../routes/admin/authors.js')).default;
+    app.use('/api/admin/authors', authorsRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/admin/authors', () => {
+    it('should create a profile with a slug from the name and normalized links', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 1, name: 'Ada Lovelace', slug: 'ada-lovelace' }] });
+
+      const response = await request(app)
+        .post('/api/admin/authors')
+        .send({
+          name: ' Ada Lovelace ',
+          bio: 'Writes about focus',
+          socialLinks: { website: 'https://ada.example.com', twitter: '' },
+        })
+        .expect(201);
+
+      expect(mockPool.query.mock.calls[0][1]).toEqual([
+        'Ada Lovelace', 'ada-lovelace', 'Writes about focus', null, '{"website":"https://ada.example.com/"}', null,
+      ]);
+      expect(response.body.author.post_count).toBe(0);
+    });
+
+    it('should reject invalid social links and user IDs', async () => {
+      await request(app)
+        .post('/api/admin/authors')
+        .send({ name: 'Ada', socialLinks: { website: 'javascript:alert(1)' } })
+        .expect(400);
+      await request(app)
+        .post('/api/admin/authors')
+        .send({ name: 'Ada', userId: 'not-a-uuid' })
+        .expect(400);
+
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    it('should explain which unique field is taken', async () => {
+      mockPool.query.mockRejectedValueOnce(
+        Object.assign(new Error('duplicate'), { code: '23505', constraint: 'blog_authors_user_id_key' })
+      );
+
+      const response = await request(app)
+        .post('/api/admin/authors')
+        .send({ name: 'Ada', userId: '6f1c2b1e-8a4d-4c57-9d7e-2f3a4b5c6d7e' })
+        .expect(409);
+
+      expect(response.body.error).toBe('This user already has an author profile');
+    });
+  });
+
+  describe('DELETE /api/admin/authors/:id', () => {
+    it('should return 404 for an unknown author', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).delete('/api/admin/authors/99').expect(404);
+    });
+  });
+});
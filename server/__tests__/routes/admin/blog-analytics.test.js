@@ -0,0 +1,95 @@
+import { jest, describe, it, expect, beforeAll, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createMockPool } from '../../setup.js';
+
+const mockPool = createMockPool();
+
+jest.unstable_mockModule('../../../utils/db.js', () => ({
+  default: mockPool,
+}));
+
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+describe('Admin Blog Analytics Routes', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = express();
+    app.use(express.json());
+
+    const analyticsRouter = (await import('../../../routes/admin/blog-analytics.js')).default;
+    app.use('/api/admin/blog-analytics', analyticsRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/admin/blog-analytics/:postId/sections', () => {
+    it('should report retention for the introduction and every outline section', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({
+          rows: [{
+            toc: [{ id: 'setup', level: 2, text: 'Setup' }, { id: 'usage', level: 2, text: 'Usage' }],
+            total_sessions: 10,
+          }],
+        })
+        .mockResolvedValueOnce({
+          rows: [
+            { section: 'setup', paragraph: 3, is_section_total: false, readers: 4, seconds: 20 },
+            { section: 'setup', paragraph: null, is_section_total: true, readers: 5, seconds: 45 },
+            { section: null, paragraph: 0, is_section_total: false, readers: 10, seconds: 30 },
+            { section: null, paragraph: null, is_section_total: true, readers: 10, seconds: 30 },
+          ],
+        });
+
+      const response = await request(app)
+        .get('/api/admin/blog-analytics/1/sections')
+        .expect(200);
+
+      const { sections, total_sessions } = response.body.data;
+      expect(total_sessions).toBe(10);
+      expect(sections.map(s => [s.id, s.retention, s.avg_seconds])).toEqual([
+        [null, 100, 3],
+        ['setup', 50, 9],
+        ['usage', 0, 0],
+      ]);
+      expect(sections[1].paragraphs).toEqual([{ paragraph: 3, readers: 4, retention: 40, avg_seconds: 5 }]);
+    });
+
+    it('should return 404 for an unknown post', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get('/api/admin/blog-analytics/99/sections').expect(404);
+    });
+  });
+
+  describe('GET /api/admin/blog-analytics/:postId/links', () => {
+    it('should return link clicks with click-through rates and heatmap points', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ content: '<p><a href="/blog/x">x</a></p>', total_sessions: 20 }] })
+        .mockResolvedValueOnce({
+          rows: [{ link_index: 0, href: '/blog/x', is_outbound: false, text: 'x', clicks: 6, sessions: 5 }],
+        })
+        .mockResolvedValueOnce({ rows: [{ x: 0.2, y: 0.1, is_link: true }] });
+
+      const response = await request(app)
+        .get('/api/admin/blog-analytics/1/links')
+        .expect(200);
+
+      expect(response.body.data.links[0]).toMatchObject({ link_index: 0, clicks: 6, ctr: 25 });
+      expect(response.body.data.clicks).toHaveLength(1);
+      expect(response.body.data.content).toContain('href="/blog/x"');
+      expect(mockPool.query.mock.calls[2][1]).toEqual(['1', 2000]);
+    });
+  });
+});
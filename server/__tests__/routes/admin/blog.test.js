@@ -6,6 +6,7 @@ import jwt from 'jsonwebtoken';
 import { createMockPool } from '../../setup.js';
 
 const mockPool = createMockPool();
+const mockClient = { query: jest.fn(), release: jest.fn() };
 const mockUploadImage = jest.fn();
 const mockDeleteImage = jest.fn();
 const mockValidateCsrfToken = jest.fn(() => true);
@@ -408,4 +409,409 @@ describe('Admin Blog Routes Tests', () => {
       );
     });
   });
+
+  describe('Revisions', () => {
+    beforeEach(() => {
+      mockPool.connect.mockResolvedValue(mockClient);
+    });
+
+    it('should record a revision when a post is saved', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Updated' }] }) // UPDATE
+        .mockResolvedValueOnce({}) // DELETE tags
+        .mockResolvedValueOnce({ rowCount: 1 }) // revision
+        .mockResolvedValueOnce({ rowCount: 1 }) // clear autosave draft
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Updated', tags: [] }] })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      await request(app)
+        .put('/api/admin/blog/1')
+        .send({ title: 'Updated', content: '<p>New</p>', status: 'draft' })
+        .expect(200);
+
+      const [sql, params] = mockClient.query.mock.calls[3];
+      expect(sql).toContain('INSERT INTO blog_post_revisions');
+      expect(params).toEqual(['1', 'admin-123', null]);
+      expect(mockClient.query.mock.calls[6][0]).toBe('COMMIT');
+    });
+
+    it('should list revisions newest first', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 12, title: 'Second', author_email: 'admin@test.com' },
+            { id: 11, title: 'First', author_email: 'admin@test.com' },
+          ],
+        });
+
+      const response = await request(app)
+        .get('/api/admin/blog/1/revisions')
+        .expect(200);
+
+      expect(response.body.revisions.map(r => r.id)).toEqual([12, 11]);
+      expect(mockPool.query.mock.calls[1][0]).toContain('ORDER BY r.created_at DESC');
+    });
+
+    it('should return 404 listing revisions of a missing post', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/api/admin/blog/999/revisions')
+        .expect(404);
+
+      expect(response.body.error).toBe('Blog post not found');
+    });
+
+    it('should only return revisions belonging to the post', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/api/admin/blog/1/revisions/50')
+        .expect(404);
+
+      expect(response.body.error).toBe('Revision not found');
+      expect(mockPool.query.mock.calls[0][1]).toEqual(['50', '1']);
+    });
+
+    it('should restore a revision and record the restore', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({
+          rows: [{ id: 11, post_id: 1, title: 'Old Title', content: '<p>Old</p>', excerpt: null, image: null, niche_id: null, tag_ids: [3] }],
+        })
+        .mockResolvedValueOnce({}) // UPDATE post
+        .mockResolvedValueOnce({}) // DELETE tags
+        .mockResolvedValueOnce({}) // INSERT tags
+        .mockResolvedValueOnce({ rowCount: 1 }) // revision
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Old Title', tags: [] }] })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const response = await request(app)
+        .post('/api/admin/blog/1/revisions/11/restore')
+        .expect(200);
+
+      expect(response.body.post.title).toBe('Old Title');
+      expect(mockClient.query.mock.calls[2][1]).toEqual(
+        expect.arrayContaining(['Old Title', '<p>Old</p>', 'old-title'])
+      );
+      expect(mockClient.query.mock.calls[4][1]).toEqual(['1', [3]]);
+      expect(mockClient.query.mock.calls[5][1]).toEqual(['1', 'admin-123', 11]);
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should return 404 when restoring an unknown revision', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({}); // ROLLBACK
+
+      const response = await request(app)
+        .post('/api/admin/blog/1/revisions/99/restore')
+        .expect(404);
+
+      expect(response.body.error).toBe('Revision not found');
+      expect(mockClient.query.mock.calls[2][0]).toBe('ROLLBACK');
+    });
+  });
+
+  describe('Autosave drafts and conflicts', () => {
+    beforeEach(() => {
+      mockPool.connect.mockResolvedValue(mockClient);
+    });
+
+    it('should reject a stale write with 409 and the latest version', async () => {
+      const savedAt = new Date('2026-03-01T10:00:05.123Z');
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ updated_at: savedAt }] }) // SELECT ... FOR UPDATE
+        .mockResolvedValueOnce({}) // ROLLBACK
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Their edit', updated_at: savedAt, tags: [] }] })
+        .mockResolvedValueOnce({ rows: [{ email: 'editor@test.com', name: 'Editor' }] });
+
+      const response = await request(app)
+        .put('/api/admin/blog/1')
+        .send({
+          title: 'My edit',
+          content: '<p>Mine</p>',
+          status: 'draft',
+          expectedUpdatedAt: '2026-03-01T09:00:00.000Z',
+        })
+        .expect(409);
+
+      expect(response.body.post.title).toBe('Their edit');
+      expect(response.body.updatedBy.email).toBe('editor@test.com');
+      expect(mockClient.query.mock.calls[2][0]).toBe('ROLLBACK');
+      expect(mockClient.query.mock.calls.some(([sql]) => sql.includes('UPDATE blog_posts'))).toBe(false);
+    });
+
+    it('should accept a write based on the current version', async () => {
+      const savedAt = new Date('2026-03-01T10:00:05.123Z');
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ updated_at: savedAt }] }) // SELECT ... FOR UPDATE
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'My edit' }] }) // UPDATE
+        .mockResolvedValueOnce({}) // DELETE tags
+        .mockResolvedValueOnce({ rowCount: 1 }) // revision
+        .mockResolvedValueOnce({ rowCount: 1 }) // clear autosave draft
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'My edit', tags: [] }] })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      await request(app)
+        .put('/api/admin/blog/1')
+        .send({
+          title: 'My edit',
+          content: '<p>Mine</p>',
+          status: 'draft',
+          expectedUpdatedAt: savedAt.toISOString(),
+        })
+        .expect(200);
+
+      expect(mockClient.query.mock.calls[5]).toEqual([
+        'DELETE FROM blog_post_drafts WHERE post_id = $1 AND user_id = $2',
+        ['1', 'admin-123'],
+      ]);
+    });
+
+    it('should move the post to its new part number in a series', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Part two' }] }) // UPDATE
+        .mockResolvedValueOnce({}) // DELETE tags
+        .mockResolvedValueOnce({ rows: [{ id: 3 }] }) // lock the series
+        .mockResolvedValueOnce({}) // leave the old series
+        .mockResolvedValueOnce({ rows: [{ post_id: 7 }, { post_id: 8 }, { post_id: 9 }] }) // current parts
+        .mockResolvedValueOnce({}) // clear positions
+        .mockResolvedValueOnce({}) // renumbered parts
+        .mockResolvedValueOnce({ rowCount: 1 }) // revision
+        .mockResolvedValueOnce({ rowCount: 1 }) // clear autosave draft
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Part two', series_id: 3, series_position: 2, tags: [] }] })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const response = await request(app)
+        .put('/api/admin/blog/1')
+        .send({ title: 'Part two', content: '<p>Body</p>', status: 'draft', seriesId: 3, seriesPosition: 2 })
+        .expect(200);
+
+      expect(mockClient.query.mock.calls[3]).toEqual(['SELECT id FROM blog_series WHERE id = $1 FOR UPDATE', [3]]);
+      expect(mockClient.query.mock.calls[4]).toEqual(['DELETE FROM blog_series_posts WHERE post_id = $1', ['1']]);
+      expect(mockClient.query.mock.calls[7][1]).toEqual([3, [7, 1, 8, 9]]);
+      expect(response.body.post.series_position).toBe(2);
+    });
+
+    it('should reject a series that does not exist', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Part two' }] }) // UPDATE
+        .mockResolvedValueOnce({}) // DELETE tags
+        .mockResolvedValueOnce({ rows: [] }) // lock the series
+        .mockResolvedValueOnce({}); // ROLLBACK
+
+      const response = await request(app)
+        .put('/api/admin/blog/1')
+        .send({ title: 'Part two', content: '<p>Body</p>', status: 'draft', seriesId: 99 })
+        .expect(400);
+
+      expect(response.body.error).toBe('Series not found');
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+    });
+
+    it('should replace the post authors in byline order', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Co-written' }] }) // UPDATE
+        .mockResolvedValueOnce({}) // DELETE tags
+        .mockResolvedValueOnce({ rows: [{ id: 2 }, { id: 4 }] }) // lock the authors
+        .mockResolvedValueOnce({}) // DELETE authors
+        .mockResolvedValueOnce({}) // INSERT authors
+        .mockResolvedValueOnce({ rowCount: 1 }) // revision
+        .mockResolvedValueOnce({ rowCount: 1 }) // clear autosave draft
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Co-written', author_ids: [4, 2], tags: [] }] })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const response = await request(app)
+        .put('/api/admin/blog/1')
+        .send({ title: 'Co-written', content: '<p>Body</p>', status: 'draft', authorIds: [4, 2] })
+        .expect(200);
+
+      expect(mockClient.query.mock.calls[3][1]).toEqual([[4, 2]]);
+      expect(mockClient.query.mock.calls[4]).toEqual(['DELETE FROM blog_post_authors WHERE post_id = $1', ['1']]);
+      expect(mockClient.query.mock.calls[5][1]).toEqual(['1', [4, 2]]);
+      expect(response.body.post.author_ids).toEqual([4, 2]);
+    });
+
+    it('should reject authors that do not exist', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Co-written' }] }) // UPDATE
+        .mockResolvedValueOnce({}) // DELETE tags
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] }) // lock the authors
+        .mockResolvedValueOnce({}); // ROLLBACK
+
+      const response = await request(app)
+        .put('/api/admin/blog/1')
+        .send({ title: 'Co-written', content: '<p>Body</p>', status: 'draft', authorIds: [4, 99] })
+        .expect(400);
+
+      expect(response.body.error).toBe('Author not found');
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+    });
+
+    it('should reject duplicate author IDs', async () => {
+      await request(app)
+        .put('/api/admin/blog/1')
+        .send({ title: 'Co-written', content: '<p>Body</p>', status: 'draft', authorIds: [4, 4] })
+        .expect(400);
+
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    it('should return the autosaved draft for a post', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [{ post_id: 1, title: 'Unsaved', content: '<p>Work in progress</p>' }],
+      });
+
+      const response = await request(app)
+        .get('/api/admin/blog/1/draft')
+        .expect(200);
+
+      expect(response.body.draft.title).toBe('Unsaved');
+      expect(mockPool.query.mock.calls[0][1]).toEqual(['1', 'admin-123']);
+    });
+
+    it('should use the new-post slot when the post does not exist yet', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/api/admin/blog/drafts/new')
+        .expect(200);
+
+      expect(response.body.draft).toBeNull();
+      expect(mockPool.query.mock.calls[0][1]).toEqual([null, 'admin-123']);
+    });
+
+    it('should upsert the draft on autosave', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ updated_at: '2026-03-01T10:00:00.000Z' }] });
+
+      const response = await request(app)
+        .put('/api/admin/blog/1/draft')
+        .send({
+          title: 'Unsaved',
+          blocks: { version: 1, blocks: [{ type: 'paragraph', text: 'Typing' }] },
+          tagIds: [2],
+          status: 'draft',
+        })
+        .expect(200);
+
+      const [sql, params] = mockPool.query.mock.calls[0];
+      expect(sql).toContain('ON CONFLICT (post_id, user_id) WHERE post_id IS NOT NULL');
+      expect(params.slice(0, 5)).toEqual([
+        '1', 'admin-123', 'Unsaved', '<p>Typing</p>',
+        JSON.stringify({ version: 1, blocks: [{ type: 'paragraph', text: 'Typing' }] }),
+      ]);
+      expect(response.body.savedAt).toBe('2026-03-01T10:00:00.000Z');
+    });
+
+    it('should return 404 autosaving a draft for a deleted post', async () => {
+      mockPool.query.mockRejectedValueOnce({ code: '23503' });
+
+      await request(app)
+        .put('/api/admin/blog/999/draft')
+        .send({ title: 'Orphan' })
+        .expect(404);
+    });
+
+    it('should discard the draft', async () => {
+      mockPool.query.mockResolvedValueOnce({ rowCount: 1 });
+
+      await request(app)
+        .delete('/api/admin/blog/drafts/new')
+        .expect(200);
+
+      expect(mockPool.query.mock.calls[0][1]).toEqual([null, 'admin-123']);
+    });
+  });
+
+  describe('Block content', () => {
+    beforeEach(() => {
+      mockPool.connect.mockResolvedValue(mockClient);
+    });
+
+    it('should store the block document and its rendered HTML', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Blocks' }] }) // UPDATE
+        .mockResolvedValueOnce({}) // DELETE tags
+        .mockResolvedValueOnce({ rowCount: 1 }) // revision
+        .mockResolvedValueOnce({ rowCount: 1 }) // clear autosave draft
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Blocks', tags: [] }] })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      await request(app)
+        .put('/api/admin/blog/1')
+        .send({
+          title: 'Blocks',
+          status: 'draft',
+          blocks: {
+            version: 1,
+            blocks: [
+              { type: 'heading', level: 2, text: 'Intro' },
+              { type: 'paragraph', text: 'Hello <script>alert(1)</script>world' },
+            ],
+          },
+        })
+        .expect(200);
+
+      const params = mockClient.query.mock.calls[1][1];
+      expect(params[1]).toBe('<h2 id="intro">Intro</h2>\n<p>Hello world</p>');
+      expect(JSON.parse(params[10]).blocks[1]).toEqual({ type: 'paragraph', text: 'Hello world' });
+    });
+
+    it('should sanitize raw HTML content from older clients', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] }) // INSERT
+        .mockResolvedValueOnce({ rowCount: 1 }) // revision
+        .mockResolvedValueOnce({ rowCount: 0 }) // clear autosave draft
+        .mockResolvedValueOnce({ rows: [{ id: 5, title: 'Raw', tags: [] }] })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      await request(app)
+        .post('/api/admin/blog')
+        .send({
+          title: 'Raw',
+          content: '<p onclick="alert(1)">Hi <a href="javascript:alert(1)">there</a></p><script>alert(2)</script>' +
+            '<img src="x" onerror="alert(3)">',
+        })
+        .expect(201);
+
+      const html = mockClient.query.mock.calls[1][1][1];
+      expect(html).toBe('<p>Hi there</p>');
+    });
+
+    it('should reject unknown block types', async () => {
+      const response = await request(app)
+        .post('/api/admin/blog')
+        .send({ title: 'Bad', blocks: { version: 1, blocks: [{ type: 'marquee', text: 'hi' }] } })
+        .expect(400);
+
+      expect(response.body.error).toBe('Unknown block type: marquee');
+    });
+
+    it('should import a block document for posts saved before the block editor', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [{ id: 1, title: 'Legacy', content: '<p>Old <b>post</b></p>', content_blocks: null, tags: [] }],
+      });
+
+      const response = await request(app)
+        .get('/api/admin/blog/1')
+        .expect(200);
+
+      expect(response.body.post.content_blocks).toEqual({
+        version: 1,
+        blocks: [{ type: 'paragraph', text: 'Old <strong>post</strong>' }],
+      });
+    });
+  });
 });
@@ -0,0 +1,73 @@
+import { jest, describe, it, expect, beforeAll, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createMockPool } from '../../setup.js';
+
+const mockPool = createMockPool();
+
+jest.unstable_mockModule('../../../utils/db.js', () => ({
+  default: mockPool,
+}));
+
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+describe('Admin Campaigns Routes', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = express();
+    app.use(express.json());
+
+    const campaignsRouter = (await import('../../../routes/admin/campaigns.js')).default;
+    app.use('/api/admin/campaigns', campaignsRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/admin/campaigns', () => {
+    it('should report each campaign with totals over the date range', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [
+          { campaign: 'spring', source: 'newsletter', medium: 'email', sessions: 8, visitors: 6, engaged_reads: 5, signups: 2, newsletter_signups: 1 },
+          { campaign: 'launch', source: null, medium: null, sessions: 0, visitors: 0, engaged_reads: 0, signups: 1, newsletter_signups: 0 },
+        ],
+      });
+
+      const response = await request(app)
+        .get('/api/admin/campaigns?from=2026-03-01&to=2026-03-31')
+        .expect(200);
+
+      const [start, end] = mockPool.query.mock.calls[0][1];
+      expect(start.toISOString()).toBe('2026-03-01T00:00:00.000Z');
+      expect(end.toISOString()).toBe('2026-04-01T00:00:00.000Z');
+      expect(response.body.from).toBe('2026-03-01');
+      expect(response.body.campaigns).toHaveLength(2);
+      expect(response.body.totals).toEqual({ sessions: 8, visitors: 6, engaged_reads: 5, signups: 3, newsletter_signups: 1 });
+    });
+
+    it('should credit each signup only to the first visitor of the user', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get('/api/admin/campaigns?from=2026-03-01&to=2026-03-31').expect(200);
+
+      const sql = mockPool.query.mock.calls[0][0];
+      expect(sql).toMatch(/WHERE user_id = u\.id\s+ORDER BY first_seen_at ASC\s+LIMIT 1/);
+      expect(sql).not.toContain('JOIN visitors v ON v.user_id = u.id');
+    });
+
+    it('should reject malformed or reversed ranges', async () => {
+      await request(app).get('/api/admin/campaigns?from=03/01/2026').expect(400);
+      await request(app).get('/api/admin/campaigns?from=2026-03-31&to=2026-03-01').expect(400);
+      await request(app).get('/api/admin/campaigns?from=2024-01-01&to=2026-01-01').expect(400);
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import { jest, describe, it, expect, beforeAll, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createMockPool } from '../../setup.js';
+
+// Mock modules
+const mockPool = createMockPool();
+
+jest.unstable_mockModule('../../../utils/db.js', () => ({
+  default: mockPool,
+  isDatabaseAvailable: true,
+}));
+
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const mockQueueUpdate = jest.fn();
+jest.unstable_mockModule('../../../utils/analyticsQueue.js', () => ({
+  default: { queueUpdate: mockQueueUpdate },
+}));
+
+describe('Admin Comment Moderation Routes', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = express();
+    app.use(express.json());
+
+    // Mock requireAdmin middleware
+    app.use((req, res, next) => {
+      req.currentUser = { id: 'admin-123', email: 'admin@test.com', role: 'admin' };
+      next();
+    });
+
+    const commentsRouter = (await import('../../../routes/admin/comments.js')).default;
+    app.use('/api/admin/comments', commentsRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/admin/comments', () => {
+    it('should list the pending queue oldest first with status counts', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, body: 'Nice post', status: 'pending', total: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ status: 'pending', count: 1 }, { status: 'approved', count: 4 }] });
+
+      const response = await request(app)
+        .get('/api/admin/comments')
+        .expect(200);
+
+      const [sql, params] = mockPool.query.mock.calls[0];
+      expect(sql).toContain('ORDER BY c.created_at ASC');
+      expect(params).toEqual(['pending', 50, 0]);
+      expect(response.body).toEqual({
+        comments: [{ id: 3, body: 'Nice post', status: 'pending' }],
+        total: 1,
+        counts: { pending: 1, approved: 4, rejected: 0, spam: 0 },
+      });
+    });
+
+    it('should filter by status and search text', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/admin/comments?status=spam&q=casino')
+        .expect(200);
+
+      const [sql, params] = mockPool.query.mock.calls[0];
+      expect(sql).toContain('c.body ILIKE $2');
+      expect(sql).toContain('LIMIT $3 OFFSET $4');
+      expect(params).toEqual(['spam', '%casino%', 50, 0]);
+    });
+
+    it('should fall back to the default page for malformed limit and offset', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/admin/comments?limit=abc&offset=xyz')
+        .expect(200);
+
+      expect(mockPool.query.mock.calls[0][1]).toEqual(['pending', 50, 0]);
+    });
+  });
+
+  describe('PATCH /api/admin/comments/:id', () => {
+    it('should approve a comment and refresh post analytics', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [{ id: 3, post_id: 7, status: 'approved', previous_status: 'pending' }],
+      });
+
+      const response = await request(app)
+        .patch('/api/admin/comments/3')
+        .send({ status: 'approved' })
+        .expect(200);
+
+      expect(mockPool.query.mock.calls[0][1]).toEqual([[3], 'approved', 'admin-123']);
+      expect(mockQueueUpdate).toHaveBeenCalledWith(7);
+      expect(response.body.comment.status).toBe('approved');
+    });
+
+    it('should not refresh analytics when the approved count is unchanged', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [{ id: 3, post_id: 7, status: 'spam', previous_status: 'pending' }],
+      });
+
+      await request(app)
+        .patch('/api/admin/comments/3')
+        .send({ status: 'spam' })
+        .expect(200);
+
+      expect(mockQueueUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown statuses', async () => {
+      await request(app)
+        .patch('/api/admin/comments/3')
+        .send({ status: 'deleted' })
+        .expect(400);
+
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for missing comments', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .patch('/api/admin/comments/99')
+        .send({ status: 'rejected' })
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/admin/comments/bulk', () => {
+    it('should moderate many comments and refresh each affected post once', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [
+          { id: 1, post_id: 7, status: 'rejected', previous_status: 'approved' },
+          { id: 2, post_id: 7, status: 'rejected', previous_status: 'approved' },
+          { id: 4, post_id: 9, status: 'rejected', previous_status: 'pending' },
+        ],
+      });
+
+      const response = await request(app)
+        .post('/api/admin/comments/bulk')
+        .send({ ids: [1, '2', 2, 4, 'x'], status: 'rejected' })
+        .expect(200);
+
+      expect(mockPool.query.mock.calls[0][1][0]).toEqual([1, 2, 4]);
+      expect(mockQueueUpdate).toHaveBeenCalledTimes(1);
+      expect(mockQueueUpdate).toHaveBeenCalledWith(7);
+      expect(response.body.updated).toBe(3);
+    });
+
+    it('should require an ids array', async () => {
+      await request(app)
+        .post('/api/admin/comments/bulk')
+        .send({ status: 'approved' })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,230 @@
+import { jest, describe, it, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createMockPool } from '../../setup.js';
+
+// Mock modules
+const mockPool = createMockPool();
+const mockClient = { query: jest.fn(), release: jest.fn() };
+const sentMail = [];
+
+jest.unstable_mockModule('../../../utils/db.js', () => ({
+  default: mockPool,
+  isDatabaseAvailable: true,
+}));
+
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('nodemailer', () => ({
+  default: {
+    createTransport: () => ({
+      sendMail: async (message) => {
+        sentMail.push(message);
+        return { messageId: 'test-message-id' };
+      },
+    }),
+  },
+}));
+
+const mockKick = jest.fn();
+jest.unstable_mockModule('../../../utils/newsletterSender.js', () => ({
+  default: {
+    kick: mockKick,
+    getStatus: () => ({ processing: false, mailConfigured: true }),
+  },
+}));
+
+describe('Admin Newsletter Routes Tests', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = express();
+    app.use(express.json());
+
+    // Mock requireAdmin middleware
+    app.use((req, res, next) => {
+      req.currentUser = { id: 'admin-123', email: 'admin@test.com', role: 'admin' };
+      next();
+    });
+
+    const newsletterRouter = (await import('../../../routes/admin/newsletter.js')).default;
+    app.use('/api/admin/newsletter', newsletterRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sentMail.length = 0;
+    mockPool.connect.mockResolvedValue(mockClient);
+    process.env.SMTP_HOST = 'localhost';
+  });
+
+  afterEach(() => {
+    delete process.env.SMTP_HOST;
+  });
+
+  describe('GET /api/admin/newsletter', () => {
+    it('should list campaigns with subscriber counts', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, subject: 'Hello', status: 'sent', sent: 10, failed: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ verified: 12, unverified: 3 }] });
+
+      const response = await request(app)
+        .get('/api/admin/newsletter')
+        .expect(200);
+
+      expect(response.body.campaigns).toHaveLength(1);
+      expect(response.body.subscribers.verified).toBe(12);
+      expect(response.body.sender.mailConfigured).toBe(true);
+    });
+  });
+
+  describe('POST /api/admin/newsletter/campaigns', () => {
+    it('should compose a campaign from a published post', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 7, title: 'Deep Work', slug: 'deep-work', excerpt: 'Focus <better>', image: null }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, subject: 'Deep Work', status: 'draft' }] });
+
+      await request(app)
+        .post('/api/admin/newsletter/campaigns')
+        .send({ post_id: 7 })
+        .expect(201);
+
+      expect(mockPool.query.mock.calls[0][0]).toContain("status = 'published'");
+      const [subject, html, postId, createdBy] = mockPool.query.mock.calls[1][1];
+      expect(subject).toBe('Deep Work');
+      expect(html).toContain('/blog/deep-work');
+      expect(html).toContain('Focus &lt;better&gt;');
+      expect(postId).toBe(7);
+      expect(createdBy).toBe('admin-123');
+    });
+
+    it('should accept freeform HTML', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 2, status: 'draft' }] });
+
+      await request(app)
+        .post('/api/admin/newsletter/campaigns')
+        .send({ subject: 'News', html: '<p>Hi</p>' })
+        .expect(201);
+
+      expect(mockPool.query.mock.calls[0][1].slice(0, 3)).toEqual(['News', '<p>Hi</p>', null]);
+    });
+
+    it('should reject unpublished posts', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/admin/newsletter/campaigns')
+        .send({ post_id: 99 })
+        .expect(400);
+
+      expect(response.body.error).toContain('not published');
+    });
+
+    it('should require a subject and a body', async () => {
+      await request(app)
+        .post('/api/admin/newsletter/campaigns')
+        .send({ html: '<p>Hi</p>' })
+        .expect(400);
+
+      await request(app)
+        .post('/api/admin/newsletter/campaigns')
+        .send({ subject: 'Empty' })
+        .expect(400);
+    });
+  });
+
+  describe('PUT /api/admin/newsletter/campaigns/:id', () => {
+    it('should not edit a campaign that was already sent', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 1, status: 'sent' }] });
+
+      await request(app)
+        .put('/api/admin/newsletter/campaigns/1')
+        .send({ subject: 'Changed' })
+        .expect(409);
+    });
+  });
+
+  describe('POST /api/admin/newsletter/campaigns/:id/preview', () => {
+    it('should send a preview to the current admin', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 1, subject: 'Hello', html: '<p>Body</p>' }] });
+
+      const response = await request(app)
+        .post('/api/admin/newsletter/campaigns/1/preview')
+        .expect(200);
+
+      expect(response.body.message).toContain('admin@test.com');
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe('admin@test.com');
+      expect(sentMail[0].subject).toBe('[Preview] Hello');
+      expect(sentMail[0].html).toContain('<p>Body</p>');
+    });
+
+    it('should explain when SMTP is not configured', async () => {
+      delete process.env.SMTP_HOST;
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 1, subject: 'Hello', html: '<p>Body</p>' }] });
+
+      const response = await request(app)
+        .post('/api/admin/newsletter/campaigns/1/preview')
+        .expect(503);
+
+      expect(response.body.error).toContain('SMTP_HOST');
+      expect(sentMail).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/admin/newsletter/campaigns/:id/send', () => {
+    it('should queue one send per verified subscriber and wake the sender', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1, status: 'draft' }] }) // Lock campaign
+        .mockResolvedValueOnce({ rowCount: 25 }) // Insert sends
+        .mockResolvedValueOnce({ rows: [{ id: 1, status: 'queued', total_recipients: 25 }] }) // Update campaign
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const response = await request(app)
+        .post('/api/admin/newsletter/campaigns/1/send')
+        .expect(200);
+
+      expect(response.body.campaign.status).toBe('queued');
+      const insert = mockClient.query.mock.calls[2][0];
+      expect(insert).toContain('INSERT INTO newsletter_sends');
+      expect(insert).toContain('verified = TRUE AND deleted_at IS NULL');
+      expect(mockClient.query.mock.calls[4][0]).toBe('COMMIT');
+      expect(mockKick).toHaveBeenCalled();
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should not send a campaign twice', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1, status: 'sent' }] })
+        .mockResolvedValueOnce({}); // ROLLBACK
+
+      await request(app)
+        .post('/api/admin/newsletter/campaigns/1/send')
+        .expect(409);
+
+      expect(mockKick).not.toHaveBeenCalled();
+    });
+
+    it('should refuse when there are no verified subscribers', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1, status: 'draft' }] })
+        .mockResolvedValueOnce({ rowCount: 0 })
+        .mockResolvedValueOnce({}); // ROLLBACK
+
+      const response = await request(app)
+        .post('/api/admin/newsletter/campaigns/1/send')
+        .expect(400);
+
+      expect(response.body.error).toContain('no verified subscribers');
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import { jest, describe, it, expect, beforeAll, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createMockPool } from '../../setup.js';
+
+const mockPool = createMockPool();
+const mockClient = { query: jest.fn(), release: jest.fn() };
+
+jest.unstable_mockModule('../../../utils/db.js', () => ({
+  default: mockPool,
+}));
+
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const ONE_RULE = { id: 1, match_type: 'domain', pattern: 'instagram.com', source: 'instagram', channel: 'social', priority: 100 };
+
+describe('Admin Referrer Rules Routes', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = express();
+    app.use(express.json());
+
+    const referrerRulesRouter = (await import('../../../routes/admin/referrer-rules.js')).default;
+    app.use('/api/admin/referrer-rules', referrerRulesRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPool.connect.mockResolvedValue(mockClient);
+  });
+
+  describe('POST /api/admin/referrer-rules', () => {
+    it('should create a rule and reload the rules', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ ...ONE_RULE, id: 2, pattern: 'linkedin.com', source: 'linkedin' }] })
+        .mockResolvedValueOnce({ rows: [ONE_RULE] }); // reload
+
+      const response = await request(app)
+        .post('/api/admin/referrer-rules')
+        .send({ match_type: 'domain', pattern: 'LinkedIn.com', source: 'linkedin', channel: 'social', priority: 90 })
+        .expect(201);
+
+      expect(mockPool.query.mock.calls[0][1]).toEqual(['domain', 'linkedin.com', 'linkedin', 'social', 90]);
+      expect(mockPool.query.mock.calls[1][0]).toContain('FROM referrer_rules');
+      expect(response.body.rule.source).toBe('linkedin');
+    });
+
+    it('should reject invalid rules', async () => {
+      await request(app)
+        .post('/api/admin/referrer-rules')
+        .send({ match_type: 'domain', pattern: 'linkedin.com', source: 'linkedin', channel: 'paid' })
+        .expect(400);
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject duplicate patterns', async () => {
+      mockPool.query.mockRejectedValueOnce(Object.assign(new Error('duplicate'), { code: '23505' }));
+
+      await request(app)
+        .post('/api/admin/referrer-rules')
+        .send({ match_type: 'domain', pattern: 'instagram.com', source: 'instagram', channel: 'social' })
+        .expect(409);
+    });
+  });
+
+  describe('POST /api/admin/referrer-rules/reclassify', () => {
+    it('should re-classify traffic events and sessions with the current rules', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [ONE_RULE] }); // reload
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ referrer: 'https://www.instagram.com/', source: '' }, { referrer: '', source: 'other' }] })
+        .mockResolvedValueOnce({ rowCount: 12 })
+        .mockResolvedValueOnce({ rows: [{ referrer: '', utm_source: '', source: 'other' }] })
+        .mockResolvedValueOnce({ rowCount: 3 })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const response = await request(app).post('/api/admin/referrer-rules/reclassify').expect(200);
+
+      expect(response.body.updated).toEqual({ traffic_events: 12, sessions: 3 });
+      // New source and channel per distinct referrer; rows without one become direct
+      expect(mockClient.query.mock.calls[2][1]).toEqual([
+        ['https://www.instagram.com/', ''],
+        ['', 'other'],
+        ['instagram', 'direct'],
+        ['social', 'direct'],
+      ]);
+      expect(mockClient.query.mock.calls[5][0]).toBe('COMMIT');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should apply an edited domain rule to past hits', async () => {
+      const { DEFAULT_RULES } = await import('../../../utils/trafficSources.js');
+      const rules = DEFAULT_RULES.map((rule, index) => ({
+        ...rule,
+        id: index + 1,
+        source: rule.pattern === 'google.*' ? 'google-search' : rule.source,
+      }));
+      mockPool.query.mockResolvedValueOnce({ rows: rules }); // reload
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ referrer: 'https://www.google.com/search', source: '' }] })
+        .mockResolvedValueOnce({ rowCount: 40 })
+        .mockResolvedValueOnce({ rows: [{ referrer: 'https://www.google.com/', utm_source: '', source: '' }] })
+        .mockResolvedValueOnce({ rowCount: 9 })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      await request(app).post('/api/admin/referrer-rules/reclassify').expect(200);
+
+      // The stored source (google) is not read as a hint for hits with a referrer
+      expect(mockClient.query.mock.calls[1][0]).toContain("CASE WHEN COALESCE(referrer, '') = '' THEN source ELSE '' END");
+      expect(mockClient.query.mock.calls[3][0]).toContain("THEN s.source ELSE '' END");
+      expect(mockClient.query.mock.calls[2][1].slice(2)).toEqual([['google-search'], ['organic_search']]);
+      expect(mockClient.query.mock.calls[4][1].slice(3)).toEqual([['google-search'], ['organic_search']]);
+    });
+
+    it('should roll back when re-classification fails', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [ONE_RULE] });
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockRejectedValueOnce(new Error('boom'))
+        .mockResolvedValueOnce({}); // ROLLBACK
+
+      await request(app).post('/api/admin/referrer-rules/reclassify').expect(500);
+      expect(mockClient.query.mock.calls[2][0]).toBe('ROLLBACK');
+    });
+  });
+
+  describe('DELETE /api/admin/referrer-rules/:id', () => {
+    it('should return 404 for an unknown rule', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).delete('/api/admin/referrer-rules/99').expect(404);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import { jest, describe, it, expect, beforeAll, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createMockPool } from '../../setup.js';
+
+const mockPool = createMockPool();
+const mockClient = { query: jest.fn(), release: jest.fn() };
+
+jest.unstable_mockModule('../../../utils/db.js', () => ({
+  default: mockPool,
+}));
+
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+describe('Admin Series Routes', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = express();
+    app.use(express.json());
+
+    const seriesRouter = (await import('../../../routes/admin/series.js')).default;
+    app.use('/api/admin/series', seriesRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPool.connect.mockResolvedValue(mockClient);
+  });
+
+  describe('POST /api/admin/series', () => {
+    it('should create a series with a slug from its title', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 1, title: 'Sleep 101', slug: 'sleep-101' }] });
+
+      const response = await request(app)
+        .post('/api/admin/series')
+        .send({ title: 'Sleep 101', description: 'Five parts' })
+        .expect(201);
+
+      expect(mockPool.query.mock.calls[0][1]).toEqual(['Sleep 101', 'sleep-101', 'Five parts']);
+      expect(response.body.series.post_count).toBe(0);
+    });
+
+    it('should require a title', async () => {
+      await request(app).post('/api/admin/series').send({ title: '  ' }).expect(400);
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject duplicate titles', async () => {
+      mockPool.query.mockRejectedValueOnce(Object.assign(new Error('duplicate'), { code: '23505' }));
+
+      await request(app).post('/api/admin/series').send({ title: 'Sleep 101' }).expect(409);
+    });
+  });
+
+  describe('PUT /api/admin/series/:id/posts', () => {
+    it('should replace the posts in the given order', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // series lock
+        .mockResolvedValueOnce({}) // DELETE
+        .mockResolvedValueOnce({}) // INSERT
+        .mockResolvedValueOnce({ rows: [{ id: 9, position: 1 }, { id: 7, position: 2 }] })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const response = await request(app)
+        .put('/api/admin/series/1/posts')
+        .send({ postIds: [9, 7] })
+        .expect(200);
+
+      expect(mockClient.query.mock.calls[2][1]).toEqual(['1', [9, 7]]);
+      expect(mockClient.query.mock.calls[3][0]).toContain('WITH ORDINALITY');
+      expect(response.body.posts.map(post => post.id)).toEqual([9, 7]);
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should reject duplicate or invalid post IDs', async () => {
+      await request(app).put('/api/admin/series/1/posts').send({ postIds: [7, 7] }).expect(400);
+      await request(app).put('/api/admin/series/1/posts').send({ postIds: ['7'] }).expect(400);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown series', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [] }) // series lock
+        .mockResolvedValueOnce({}); // ROLLBACK
+
+      await request(app).put('/api/admin/series/99/posts').send({ postIds: [] }).expect(404);
+      expect(mockClient.query.mock.calls[2][0]).toBe('ROLLBACK');
+    });
+  });
+
+  describe('DELETE /api/admin/series/:id', () => {
+    it('should return 404 for an unknown series', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).delete('/api/admin/series/99').expect(404);
+    });
+  });
+});
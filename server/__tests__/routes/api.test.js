@@ -5,6 +5,7 @@ import cookieParser from 'cookie-parser';
 import session from 'express-session';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 import { createMockPool } from '../setup.js';
 
 // Mock modules before importing routes
@@ -381,6 +382,102 @@ describe('API Routes Integration Tests', () => {
         expect(response.body.error).toContain('Invalid or expired token');
       });
     });
+
+    describe('POST /api/auth/forgot-password', () => {
+      it('should issue a reset token for a local user', async () => {
+        mockPool.query
+          .mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'test@example.com', provider: 'local' }] })
+          .mockResolvedValueOnce({ rowCount: 0 }) // Invalidate previous tokens
+          .mockResolvedValueOnce({ rows: [] }); // Insert token
+
+        const response = await request(app)
+          .post('/api/auth/forgot-password')
+          .send({ email: 'Test@Example.com' })
+          .expect(200);
+
+        expect(response.body.message).toContain('reset link');
+        const insertCall = mockPool.query.mock.calls[2];
+        expect(insertCall[0]).toContain('INSERT INTO password_reset_tokens');
+        expect(insertCall[1][0]).toBe('user-123');
+        // Token is stored hashed (sha256 hex), never in plain text
+        expect(insertCall[1][1]).toMatch(/^[a-f0-9]{64}$/);
+      });
+
+      it('should give the same answer for unknown emails', async () => {
+        mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+        const response = await request(app)
+          .post('/api/auth/forgot-password')
+          .send({ email: 'nobody@example.com' })
+          .expect(200);
+
+        expect(response.body.message).toContain('reset link');
+        expect(mockPool.query).toHaveBeenCalledTimes(1);
+      });
+
+      it('should not issue tokens for Google-only accounts', async () => {
+        mockPool.query.mockResolvedValueOnce({ rows: [{ id: 'user-456', email: 'g@example.com', provider: 'google' }] });
+
+        await request(app)
+          .post('/api/auth/forgot-password')
+          .send({ email: 'g@example.com' })
+          .expect(200);
+
+        expect(mockPool.query).toHaveBeenCalledTimes(1);
+      });
+
+      it('should reject missing email', async () => {
+        const response = await request(app)
+          .post('/api/auth/forgot-password')
+          .send({})
+          .expect(400);
+
+        expect(response.body.error).toContain('required');
+      });
+    });
+
+    describe('POST /api/auth/reset-password', () => {
+      it('should reset the password and revoke sessions', async () => {
+        mockPool.query
+          .mockResolvedValueOnce({ rows: [{ user_id: 'user-123' }] }) // Consume token
+          .mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'test@example.com' }] }) // Update password
+          .mockResolvedValueOnce({ rowCount: 2 }); // Delete sessions
+
+        const response = await request(app)
+          .post('/api/auth/reset-password')
+          .send({ token: 'a'.repeat(64), password: 'NewSecurePass1!' })
+          .expect(200);
+
+        expect(response.body.message).toContain('password has been reset');
+        expect(mockPool.query.mock.calls[0][1][0]).toBe(
+          crypto.createHash('sha256').update('a'.repeat(64)).digest('hex')
+        );
+        expect(mockPool.query.mock.calls[1][0]).toContain('password_changed_at = NOW()');
+        expect(mockPool.query.mock.calls[2][0]).toContain('DELETE FROM session');
+        expect(mockPool.query.mock.calls[2][1]).toEqual(['user-123', null]);
+      });
+
+      it('should reject an invalid or already used token', async () => {
+        mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+        const response = await request(app)
+          .post('/api/auth/reset-password')
+          .send({ token: 'used-token', password: 'NewSecurePass1!' })
+          .expect(400);
+
+        expect(response.body.error).toContain('Invalid or expired token');
+      });
+
+      it('should reject passwords that are too short', async () => {
+        const response = await request(app)
+          .post('/api/auth/reset-password')
+          .send({ token: 'some-token', password: 'short' })
+          .expect(400);
+
+        expect(response.body.error).toContain('at least');
+        expect(mockPool.query).not.toHaveBeenCalled();
+      });
+    });
   });
 
   describe('Subscribe Routes', () => {
@@ -388,7 +485,10 @@ describe('API Routes Integration Tests', () => {
       it('should subscribe new email', async () => {
         mockPool.query
           .mockResolvedValueOnce({ rows: [] }) // Check existing subscription
-          .mockResolvedValueOnce({ rows: [{ id: 1 }] }); // Insert subscription
+          .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // Insert subscription
+          .mockResolvedValueOnce({ rowCount: 0 }) // Invalidate older confirmation links
+          .mockResolvedValueOnce({ rows: [] }) // Insert verify token
+          .mockResolvedValueOnce({ rows: [] }); // Insert unsubscribe token
 
         const response = await request(app)
           .post('/api/subscribe')
@@ -396,6 +496,9 @@ describe('API Routes Integration Tests', () => {
           .expect(200);
 
         expect(response.body.message).toContain('email');
+        const tokenInserts = mockPool.query.mock.calls.filter(c => c[0].includes('INSERT INTO newsletter_tokens'));
+        expect(tokenInserts.map(c => c[1][1])).toEqual(['verify', 'unsubscribe']);
+        expect(tokenInserts[0][1][2]).toMatch(/^[a-f0-9]{64}$/);
       });
 
       it('should reject subscription with missing email', async () => {
@@ -409,7 +512,7 @@ describe('API Routes Integration Tests', () => {
 
       it('should handle already subscribed email', async () => {
         mockPool.query.mockResolvedValueOnce({
-          rows: [{ email: 'existing@example.com' }],
+          rows: [{ email: 'existing@example.com', verified: true, deleted_at: null }],
         });
 
         const response = await request(app)
@@ -418,27 +521,57 @@ describe('API Routes Integration Tests', () => {
           .expect(200);
 
         expect(response.body.message).toContain('subscribed');
+        expect(mockPool.query).toHaveBeenCalledTimes(1);
+      });
+
+      it('should restore an unsubscribed email pending a new confirmation', async () => {
+        mockPool.query
+          .mockResolvedValueOnce({ rows: [{ email: 'back@example.com', verified: true, deleted_at: new Date() }] })
+          .mockResolvedValue({ rows: [], rowCount: 1 });
+
+        await request(app)
+          .post('/api/subscribe')
+          .send({ email: 'back@example.com' })
+          .expect(200);
+
+        expect(mockPool.query.mock.calls[1][0]).toContain('deleted_at = NULL, verified = FALSE');
       });
     });
 
     describe('GET /api/subscribe/verify', () => {
-      it('should verify subscription', async () => {
-        mockPool.query.mockResolvedValue({ rows: [{ id: 1 }] });
+      it('should verify subscription with a valid token', async () => {
+        mockPool.query
+          .mockResolvedValueOnce({ rows: [{ email: 'test@example.com' }] }) // Consume token
+          .mockResolvedValueOnce({ rowCount: 1 }); // Mark verified
 
         const response = await request(app)
           .get('/api/subscribe/verify')
-          .query({ email: 'test@example.com', token: 'some-token' })
-          .expect(200);
+          .query({ token: 'some-token' })
+          .expect(302);
 
-        expect(response.body.message).toContain('confirmed');
+        expect(response.headers.location).toContain('/newsletter?confirmed=true');
+        expect(mockPool.query.mock.calls[0][1][0]).toBe(crypto.createHash('sha256').update('some-token').digest('hex'));
+        expect(mockPool.query.mock.calls[1][1]).toEqual(['test@example.com']);
       });
 
-      it('should reject verification with missing email', async () => {
+      it('should not verify by email address alone', async () => {
+        mockPool.query.mockResolvedValueOnce({ rows: [] }); // No matching token
+
+        const response = await request(app)
+          .get('/api/subscribe/verify')
+          .query({ email: 'test@example.com', token: 'guessed' })
+          .expect(302);
+
+        expect(response.headers.location).toContain('error=invalid_token');
+        expect(mockPool.query).toHaveBeenCalledTimes(1);
+      });
+
+      it('should reject verification with missing token', async () => {
         const response = await request(app)
           .get('/api/subscribe/verify')
           .expect(400);
 
-        expect(response.body.error).toContain('Missing email');
+        expect(response.body.error).toContain('Missing token');
       });
     });
   });
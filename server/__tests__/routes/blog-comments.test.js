@@ -0,0 +1,175 @@
+import { jest, describe, it, expect, beforeAll, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createMockPool } from '../setup.js';
+
+const mockPool = createMockPool();
+
+jest.unstable_mockModule('../../utils/db.js', () => ({
+  default: mockPool,
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    error: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+const mockQueueUpdate = jest.fn();
+jest.unstable_mockModule('../../utils/analyticsQueue.js', () => ({
+  default: { queueUpdate: mockQueueUpdate },
+}));
+
+// Signed-in requests carry an x-test-user header instead of a JWT
+const userFrom = (req) => (req.headers['x-test-user'] ? { id: req.headers['x-test-user'] } : null);
+jest.unstable_mockModule('../../middleware/auth.js', () => ({
+  getCurrentUser: userFrom,
+  requireAuth: (req, res, next) => {
+    const user = userFrom(req);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+    req.currentUser = user;
+    next();
+  },
+}));
+
+describe('Blog Comment Routes', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = express();
+    app.use(express.json());
+    const commentsRouter = (await import('../../routes/blog-comments.js')).default;
+    app.use('/api/blog', commentsRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/blog/:slug/comments', () => {
+    it('should list approved comments and the reader\'s own pending ones', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, body: 'Great read', status: 'approved' }] });
+
+      const response = await request(app)
+        .get('/api/blog/deep-work/comments')
+        .set('x-test-user', 'user-1')
+        .expect(200);
+
+      const [sql, params] = mockPool.query.mock.calls[1];
+      expect(sql).toContain("c.status = 'pending' AND c.user_id = $2");
+      expect(params).toEqual([7, 'user-1']);
+      expect(response.body.comments).toHaveLength(1);
+    });
+
+    it('should not show the name or avatar of deleted accounts', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get('/api/blog/deep-work/comments').expect(200);
+
+      const [sql] = mockPool.query.mock.calls[1];
+      expect(sql).toContain("COALESCE(CASE WHEN u.deleted_at IS NULL THEN u.name END, 'Reader') AS author_name");
+      expect(sql).toContain('CASE WHEN u.deleted_at IS NULL THEN u.avatar_url END AS author_avatar');
+    });
+
+    it('should return 404 for unpublished posts', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/blog/missing/comments')
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/blog/:slug/comments', () => {
+    it('should require a signed-in user', async () => {
+      await request(app)
+        .post('/api/blog/deep-work/comments')
+        .send({ body: 'Hello' })
+        .expect(401);
+
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject unverified users', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ verified: false, role: 'user' }] });
+
+      const response = await request(app)
+        .post('/api/blog/deep-work/comments')
+        .set('x-test-user', 'user-1')
+        .send({ body: 'Hello' })
+        .expect(403);
+
+      expect(response.body.error).toMatch(/verify your email/);
+    });
+
+    it('should hold comments for moderation', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ verified: true, role: 'user' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 3 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 12, parent_id: 3, body: 'Agreed', status: 'pending' }] });
+
+      const response = await request(app)
+        .post('/api/blog/deep-work/comments')
+        .set('x-test-user', 'user-1')
+        .send({ body: '  Agreed  ', parent_id: 3 })
+        .expect(201);
+
+      expect(mockPool.query.mock.calls[2][1]).toEqual([3, 7]);
+      expect(mockPool.query.mock.calls[3][1]).toEqual([7, 'user-1', 3, 'Agreed', 'pending']);
+      expect(response.body.comment.status).toBe('pending');
+      expect(mockQueueUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should publish admin comments immediately and refresh analytics', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ verified: true, role: 'admin' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 13, status: 'approved' }] });
+
+      await request(app)
+        .post('/api/blog/deep-work/comments')
+        .set('x-test-user', 'admin-1')
+        .send({ body: 'Thanks for reading' })
+        .expect(201);
+
+      expect(mockPool.query.mock.calls[2][1][4]).toBe('approved');
+      expect(mockQueueUpdate).toHaveBeenCalledWith(7);
+    });
+
+    it('should not allow replies to comments that are not approved', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ verified: true, role: 'user' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .post('/api/blog/deep-work/comments')
+        .set('x-test-user', 'user-1')
+        .send({ body: 'Reply', parent_id: 99 })
+        .expect(400);
+    });
+
+    it('should validate the comment body', async () => {
+      await request(app)
+        .post('/api/blog/deep-work/comments')
+        .set('x-test-user', 'user-1')
+        .send({ body: '   ' })
+        .expect(400);
+
+      await request(app)
+        .post('/api/blog/deep-work/comments')
+        .set('x-test-user', 'user-1')
+        .send({ body: 'x'.repeat(2001) })
+        .expect(400);
+
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import { jest, describe, it, expect, beforeAll, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createMockPool } from '../setup.js';
+
+const mockPool = createMockPool();
+
+jest.unstable_mockModule('../../utils/db.js', () => ({
+  default: mockPool,
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    error: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+const mockQueueUpdate = jest.fn();
+jest.unstable_mockModule('../../utils/analyticsQueue.js', () => ({
+  default: { queueUpdate: mockQueueUpdate },
+}));
+
+// Signed-in requests carry an x-test-user header instead of a JWT
+const userFrom = (req) => (req.headers['x-test-user'] ? { id: req.headers['x-test-user'] } : null);
+jest.unstable_mockModule('../../middleware/auth.js', () => ({
+  getCurrentUser: userFrom,
+  requireAuth: (req, res, next) => {
+    const user = userFrom(req);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+    req.currentUser = user;
+    next();
+  },
+}));
+
+const STATE = { likes: 3, liked: true, bookmarked: false };
+
+describe('Blog Like & Bookmark Routes', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = express();
+    app.use(express.json());
+    const reactionsRouter = (await import('../../routes/blog-reactions.js')).default;
+    app.use('/api/blog', reactionsRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/blog/:slug/reactions', () => {
+    it('should return the like count for anonymous readers', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+        .mockResolvedValueOnce({ rows: [{ likes: 3, liked: false, bookmarked: false }] });
+
+      const response = await request(app)
+        .get('/api/blog/deep-work/reactions')
+        .expect(200);
+
+      expect(mockPool.query.mock.calls[1][1]).toEqual([7, null]);
+      expect(response.body).toEqual({ likes: 3, liked: false, bookmarked: false });
+    });
+
+    it('should return 404 for unpublished posts', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/blog/draft-post/reactions')
+        .expect(404);
+    });
+  });
+
+  describe('PUT /api/blog/:slug/like', () => {
+    it('should like a post and refresh its analytics', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [STATE] });
+
+      const response = await request(app)
+        .put('/api/blog/deep-work/like')
+        .set('x-test-user', 'user-1')
+        .expect(200);
+
+      const [sql, params] = mockPool.query.mock.calls[1];
+      expect(sql).toContain('INSERT INTO blog_post_likes');
+      expect(sql).toContain('ON CONFLICT DO NOTHING');
+      expect(params).toEqual([7, 'user-1']);
+      expect(mockQueueUpdate).toHaveBeenCalledWith(7);
+      expect(response.body).toEqual(STATE);
+    });
+
+    it('should be idempotent', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+        .mockResolvedValueOnce({ rowCount: 0 })
+        .mockResolvedValueOnce({ rows: [STATE] });
+
+      await request(app)
+        .put('/api/blog/deep-work/like')
+        .set('x-test-user', 'user-1')
+        .expect(200);
+
+      expect(mockQueueUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should require a signed-in user', async () => {
+      await request(app)
+        .put('/api/blog/deep-work/like')
+        .expect(401);
+
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/blog/:slug/bookmark', () => {
+    it('should remove a bookmark', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [STATE] });
+
+      await request(app)
+        .delete('/api/blog/deep-work/bookmark')
+        .set('x-test-user', 'user-1')
+        .expect(200);
+
+      const [sql, params] = mockPool.query.mock.calls[1];
+      expect(sql).toContain('DELETE FROM blog_post_bookmarks');
+      expect(params).toEqual([7, 'user-1']);
+      expect(mockQueueUpdate).toHaveBeenCalledWith(7);
+    });
+  });
+});
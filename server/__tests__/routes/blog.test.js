@@ -0,0 +1,257 @@
+import { jest, describe, it, expect, beforeAll } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createMockPool } from '../setup.js';
+
+const mockPool = createMockPool();
+
+jest.unstable_mockModule('../../utils/db.js', () => ({
+  default: mockPool,
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    error: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+describe('Public Blog Routes', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = express();
+    app.use(express.json());
+    const blogRouter = (await import('../../routes/blog.js')).default;
+    app.use('/api/blog', blogRouter);
+  });
+
+  describe('GET /api/blog', () => {
+    it('should list posts newest first without search', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 1, title: 'Post' }] });
+
+      const response = await request(app)
+        .get('/api/blog')
+        .expect(200);
+
+      expect(response.body).toEqual({ posts: [{ id: 1, title: 'Post' }] });
+      expect(mockPool.query.mock.calls[0][0]).toContain('ORDER BY bp.created_at DESC');
+    });
+
+    it('should rank full-text matches and return highlighted snippets', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({
+          rows: [{ id: 2, title: 'Deep work', search_rank: 0.6, headline: 'Protect your <<focus>> time' }],
+        })
+        .mockResolvedValueOnce({ rows: [{ word: 'focus', known: true, suggestion: 'focus' }] });
+
+      const response = await request(app)
+        .get('/api/blog?search=focus&tag=productivity')
+        .expect(200);
+
+      const [sql, params] = mockPool.query.mock.calls[0];
+      expect(sql).toContain("bp.search_vector @@ websearch_to_tsquery('english', $2)");
+      expect(sql).toContain('ORDER BY search_rank DESC');
+      expect(params.slice(0, 2)).toEqual(['productivity', 'focus']);
+      expect(response.body).toEqual({
+        posts: [{ id: 2, title: 'Deep work', headline: 'Protect your <mark>focus</mark> time' }],
+        suggestion: null,
+      });
+    });
+
+    it('should suggest a corrected query for misspelled words', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ word: 'focsu', known: false, suggestion: 'focus' }] });
+
+      const response = await request(app)
+        .get('/api/blog?search=focsu')
+        .expect(200);
+
+      expect(response.body).toEqual({ posts: [], suggestion: 'focus' });
+    });
+
+    it('should not look up suggestions past the first page', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/api/blog?search=focsu&offset=10')
+        .expect(200);
+
+      expect(response.body.suggestion).toBeNull();
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('GET /api/blog/similar/:postId', () => {
+    it('should rank related posts by the blended signal weights', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 8, related_score: 0.7 }, { id: 9, related_score: 0.4 }] });
+
+      const response = await request(app)
+        .get('/api/blog/similar/5?limit=2')
+        .expect(200);
+
+      const [sql, params] = mockPool.query.mock.calls[0];
+      expect(sql).toContain('FULL OUTER JOIN');
+      expect(sql).toContain('FROM blog_post_similarity WHERE post_id = $1');
+      expect(params).toEqual([5, 0.4, 0.4, 0.2, 2]);
+      expect(response.body).toEqual({ posts: [{ id: 8, related_score: 0.7 }, { id: 9, related_score: 0.4 }], strategy: 'blended' });
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should score by a single signal when a strategy is requested and fill with top posts', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 8 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 3 }, { id: 4 }] });
+
+      const response = await request(app)
+        .get('/api/blog/similar/5?limit=3&strategy=coread')
+        .expect(200);
+
+      expect(mockPool.query.mock.calls[0][1]).toEqual([5, 0, 0, 1, 3]);
+      expect(mockPool.query.mock.calls[1][1]).toEqual([5, 8, 2]);
+      expect(response.body).toEqual({ posts: [{ id: 8 }, { id: 3 }, { id: 4 }], strategy: 'coread' });
+    });
+
+    it('should ignore unknown strategies and use the configured weights', async () => {
+      process.env.RELATED_POSTS_STRATEGIES = 'blended';
+      process.env.RELATED_POSTS_WEIGHTS = 'tags=0.5,text=0.5,coread=0';
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 8 }] });
+
+      const response = await request(app)
+        .get('/api/blog/similar/5?limit=1&strategy=random')
+        .expect(200);
+
+      expect(mockPool.query.mock.calls[0][1]).toEqual([5, 0.5, 0.5, 0, 1]);
+      expect(response.body.strategy).toBe('blended');
+      delete process.env.RELATED_POSTS_STRATEGIES;
+      delete process.env.RELATED_POSTS_WEIGHTS;
+    });
+
+    it('should reject post IDs that are not integers', async () => {
+      await request(app).get('/api/blog/similar/abc').expect(400);
+      await request(app).get('/api/blog/similar/5abc').expect(400);
+
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/blog/series/:slug', () => {
+    it('should return the series with its published posts in reading order', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, title: 'Sleep 101', slug: 'sleep-101', description: null }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, series_part: 1 }, { id: 9, series_part: 2 }] });
+
+      const response = await request(app)
+        .get('/api/blog/series/sleep-101')
+        .expect(200);
+
+      expect(mockPool.query.mock.calls[1][0]).toContain("bp.status = 'published'");
+      expect(mockPool.query.mock.calls[1][1]).toEqual([3]);
+      expect(response.body).toEqual({
+        series: { id: 3, title: 'Sleep 101', slug: 'sleep-101', description: null },
+        posts: [{ id: 7, series_part: 1 }, { id: 9, series_part: 2 }],
+      });
+    });
+
+    it('should return 404 for an unknown series', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get('/api/blog/series/nope').expect(404);
+    });
+  });
+
+  describe('GET /api/blog/authors/:slug', () => {
+    it('should return the author profile with their published posts', async () => {
+      const author = { id: 2, name: 'Ada Lovelace', slug: 'ada-lovelace', bio: 'Writes about focus', avatar_url: null, social_links: {} };
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [author] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, author: 'Ada Lovelace, Alan Turing' }] });
+
+      const response = await request(app)
+        .get('/api/blog/authors/ada-lovelace?limit=500')
+        .expect(200);
+
+      expect(mockPool.query.mock.calls[1][0]).toContain('blog_post_authors');
+      expect(mockPool.query.mock.calls[1][1]).toEqual([2, 50, 0]);
+      expect(response.body).toEqual({ author, posts: [{ id: 7, author: 'Ada Lovelace, Alan Turing' }] });
+    });
+
+    it('should return 404 for an unknown author', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get('/api/blog/authors/nobody').expect(404);
+    });
+  });
+
+  describe('GET /api/blog/:slug', () => {
+    it('should render the block document to HTML', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [{
+          id: 1,
+          slug: 'hello',
+          title: 'Hello',
+          content: '<p>stale</p>',
+          content_blocks: {
+            version: 1,
+            blocks: [
+              { type: 'heading', level: 2, text: 'Intro' },
+              { type: 'paragraph', text: '<a href="javascript:alert(1)">Hi</a>' },
+            ],
+          },
+          tags: [],
+        }],
+      });
+
+      const response = await request(app)
+        .get('/api/blog/hello')
+        .expect(200);
+
+      expect(response.body.post.content).toBe('<h2 id="intro">Intro</h2>\n<p>Hi</p>');
+      expect(response.body.post.content_blocks).toBeUndefined();
+    });
+
+    it('should fall back to stored HTML for posts without blocks', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [{ id: 2, slug: 'legacy', title: 'Legacy', content: '<p>Legacy</p>', content_blocks: null, search_vector: "'legaci':1A", tags: [] }],
+      });
+
+      const response = await request(app)
+        .get('/api/blog/legacy')
+        .expect(200);
+
+      expect(response.body.post.content).toBe('<p>Legacy</p>');
+      expect(response.body.post.search_vector).toBeUndefined();
+    });
+
+    it('should sanitize stored HTML again on read', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [{
+          id: 3,
+          slug: 'tampered',
+          title: 'Tampered',
+          content: '<p>Safe</p><img src="/x.png" onerror="alert(1)"><iframe src="https://evil.example"></iframe>',
+          content_blocks: null,
+          tags: [],
+        }],
+      });
+
+      const response = await request(app)
+        .get('/api/blog/tampered')
+        .expect(200);
+
+      expect(response.body.post.content).toBe('<p>Safe</p><img src="/x.png">');
+    });
+
+    it('should return 404 for unpublished or missing posts', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/blog/missing')
+        .expect(404);
+
+      expect(mockPool.query.mock.calls[0][0]).toContain("bp.status = 'published'");
+    });
+  });
+});
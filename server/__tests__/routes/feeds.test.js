@@ -0,0 +1,162 @@
+import { jest, describe, it, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createMockPool } from '../setup.js';
+
+const mockPool = createMockPool();
+
+jest.unstable_mockModule('../../utils/db.js', () => ({
+  default: mockPool,
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    error: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+const POST = {
+  id: 1,
+  title: 'Deep Work & Focus',
+  slug: 'deep-work',
+  excerpt: 'How to <focus>',
+  content: '<p>Read <a href="/blog/other">this</a> first.</p>',
+  content_blocks: null,
+  image: '/uploads/deep-work.png',
+  created_at: '2025-01-10T08:00:00.000Z',
+  updated_at: '2025-01-16T09:30:00.000Z',
+  published_at: '2025-01-15T10:00:00.000Z',
+  author: 'Munim',
+  tags: ['Productivity'],
+};
+
+describe('Feed Routes', () => {
+  let app;
+  let cache;
+
+  beforeAll(async () => {
+    app = express();
+    const feedsRouter = (await import('../../routes/feeds.js')).default;
+    cache = (await import('../../utils/cache.js')).default;
+    app.use('/', feedsRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.flush();
+    process.env.APP_BASE_URL = 'https://peakself.test';
+  });
+
+  afterEach(() => {
+    delete process.env.APP_BASE_URL;
+  });
+
+  describe('GET /feed.xml', () => {
+    it('should return an RSS 2.0 feed with full content and an image enclosure', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [POST] });
+
+      const response = await request(app).get('/feed.xml').expect(200);
+
+      expect(response.headers['content-type']).toContain('application/rss+xml');
+      expect(response.text).toContain('<rss version="2.0"');
+      expect(response.text).toContain('<title>Deep Work &amp; Focus</title>');
+      expect(response.text).toContain('<link>https://peakself.test/blog/deep-work</link>');
+      expect(response.text).toContain('<pubDate>Wed, 15 Jan 2025 10:00:00 GMT</pubDate>');
+      expect(response.text).toContain('<description>How to &lt;focus&gt;</description>');
+      expect(response.text).toContain('<content:encoded><![CDATA[<p>Read <a href="https://peakself.test/blog/other">this</a> first.</p>]]></content:encoded>');
+      expect(response.text).toContain('<enclosure url="https://peakself.test/uploads/deep-work.png" type="image/png" length="0" />');
+      expect(response.text).toContain('<category>Productivity</category>');
+    });
+
+    it('should leave out the post body with ?content=excerpt', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [POST] });
+
+      const response = await request(app).get('/feed.xml?content=excerpt').expect(200);
+
+      expect(response.text).toContain('<description>How to &lt;focus&gt;</description>');
+      expect(response.text).not.toContain('<content:encoded>');
+    });
+
+    it('should serve repeat requests from the cache', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [POST] });
+
+      await request(app).get('/feed.xml').expect(200);
+      await request(app).get('/feed.xml').expect(200);
+
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('GET /atom.xml', () => {
+    it('should return an Atom feed with RFC 3339 dates', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [POST] });
+
+      const response = await request(app).get('/atom.xml').expect(200);
+
+      expect(response.headers['content-type']).toContain('application/atom+xml');
+      expect(response.text).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+      expect(response.text).toContain('<updated>2025-01-16T09:30:00.000Z</updated>');
+      expect(response.text).toContain('<published>2025-01-15T10:00:00.000Z</published>');
+      expect(response.text).toContain('<author><name>Munim</name></author>');
+      expect(response.text).toContain('<link href="https://peakself.test/uploads/deep-work.png" rel="enclosure" type="image/png" />');
+    });
+  });
+
+  describe('GET /feed.json', () => {
+    it('should return a JSON Feed', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [POST] });
+
+      const response = await request(app).get('/feed.json').expect(200);
+
+      expect(response.headers['content-type']).toContain('application/feed+json');
+      const feed = JSON.parse(response.text);
+      expect(feed.version).toBe('https://jsonfeed.org/version/1.1');
+      expect(feed.feed_url).toBe('https://peakself.test/feed.json');
+      expect(feed.items[0]).toMatchObject({
+        id: 'https://peakself.test/blog/deep-work',
+        title: 'Deep Work & Focus',
+        image: 'https://peakself.test/uploads/deep-work.png',
+        date_published: '2025-01-15T10:00:00.000Z',
+        authors: [{ name: 'Munim' }],
+        tags: ['Productivity'],
+      });
+    });
+  });
+
+  describe('Scoped feeds', () => {
+    it('should filter a niche feed by niche', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, name: 'fitness', display_name: 'Fitness', slug: 'fitness' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).get('/fitness/feed.xml').expect(200);
+
+      const [sql, params] = mockPool.query.mock.calls[1];
+      expect(sql).toContain('bp.niche_id = $1');
+      expect(params).toEqual([3, 20]);
+      expect(response.text).toContain('<title>Fitness | PeakSelf</title>');
+      expect(response.text).toContain('<atom:link href="https://peakself.test/fitness/feed.xml"');
+    });
+
+    it('should filter a tag feed by tag', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 9, name: 'Habits', slug: 'habits' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).get('/blog/tags/habits/feed.json').expect(200);
+
+      const [sql, params] = mockPool.query.mock.calls[1];
+      expect(sql).toContain('ct.tag_id = $1');
+      expect(params).toEqual([9, 20]);
+      expect(JSON.parse(response.text).home_page_url).toBe('https://peakself.test/blog/tags/habits');
+    });
+
+    it('should return 404 for an unknown niche', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get('/nope/atom.xml').expect(404);
+    });
+  });
+});
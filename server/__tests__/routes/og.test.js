@@ -0,0 +1,141 @@
+import { jest, describe, it, expect, beforeAll, beforeEach, afterAll } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMockPool } from '../setup.js';
+
+const mockPool = createMockPool();
+
+jest.unstable_mockModule('../../utils/db.js', () => ({
+  default: mockPool,
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    error: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+// Rendered cards in the disk cache
+const cachedCards = (dir) => fs.readdirSync(dir).filter(file => file.endsWith('.png'));
+
+describe('OG Image Routes', () => {
+  let app;
+  let cacheDir;
+
+  beforeAll(async () => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'peakself-og-'));
+    process.env.OG_CACHE_DIR = cacheDir;
+
+    const ogRouter = (await import('../../routes/og.js')).default;
+    app = express();
+    app.use('/api/og', ogRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    delete process.env.OG_CACHE_DIR;
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  describe('GET /api/og/post/:slug.png', () => {
+    const POST = { title: 'Deep Work', author: 'Munim', niche_name: 'Productivity', logo_url: null, logo_text: 'P' };
+
+    it('should render a 1200x630 PNG card for a published post', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [POST] });
+
+      const response = await request(app).get('/api/og/post/deep-work.png').expect(200);
+
+      expect(response.headers['content-type']).toBe('image/png');
+      expect(response.headers['cache-control']).toBe('public, max-age=86400');
+      // supertest buffers image bodies, so response.body holds the PNG bytes
+      expect(response.body.subarray(0, 4)).toEqual(PNG_SIGNATURE);
+      // IHDR width and height
+      expect(response.body.readUInt32BE(16)).toBe(1200);
+      expect(response.body.readUInt32BE(20)).toBe(630);
+      expect(mockPool.query.mock.calls[0][1]).toEqual(['deep-work']);
+    });
+
+    it('should reuse the cached card until its content changes', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [POST] })
+        .mockResolvedValueOnce({ rows: [POST] })
+        .mockResolvedValueOnce({ rows: [{ ...POST, title: 'Deeper Work' }] });
+
+      const first = await request(app).get('/api/og/post/deep-work.png').expect(200);
+      const second = await request(app).get('/api/og/post/deep-work.png').expect(200);
+      expect(second.body.equals(first.body)).toBe(true);
+      expect(cachedCards(cacheDir)).toHaveLength(1);
+
+      await request(app).get('/api/og/post/deep-work.png').expect(200);
+      expect(cachedCards(cacheDir)).toHaveLength(2);
+    });
+
+    it('should reuse a card drawn without its logo only briefly', async () => {
+      const fetchSpy = jest.spyOn(global, 'fetch').mockRejectedValue(new Error('offline'));
+      const row = { ...POST, logo_url: 'https://cdn.example.com/logo.png' };
+      mockPool.query.mockResolvedValue({ rows: [row] });
+
+      const first = await request(app).get('/api/og/post/deep-work.png').expect(200);
+      await request(app).get('/api/og/post/deep-work.png').expect(200);
+
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+      expect(fetchSpy).toHaveBeenCalledWith('https://cdn.example.com/logo.png', expect.any(Object));
+      const [fallback] = cachedCards(cacheDir);
+      expect(fallback).toMatch(/\.nologo\.png$/);
+
+      // Once the fallback is old enough the logo is fetched again and the real card replaces it
+      const stale = new Date(Date.now() - 11 * 60 * 1000);
+      fs.utimesSync(path.join(cacheDir, fallback), stale, stale);
+      fetchSpy.mockResolvedValue(new Response(first.body, { headers: { 'content-type': 'image/png' } }));
+
+      await request(app).get('/api/og/post/deep-work.png').expect(200);
+
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+      expect(cachedCards(cacheDir)).toEqual([fallback.replace('.nologo', '')]);
+      fetchSpy.mockRestore();
+      mockPool.query.mockReset();
+    });
+
+    it('should return 404 for unpublished or missing posts', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get('/api/og/post/missing.png').expect(404);
+    });
+
+    it('should handle database errors', async () => {
+      mockPool.query.mockRejectedValueOnce(new Error('Database error'));
+
+      const response = await request(app).get('/api/og/post/deep-work.png').expect(500);
+
+      expect(response.body.error).toBe('Failed to generate image');
+    });
+  });
+
+  describe('GET /api/og/niche/:slug.png', () => {
+    it('should render a card for an active niche', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ name: 'Fitness', logo_url: null, logo_text: 'Fitness' }] });
+
+      const response = await request(app).get('/api/og/niche/fitness.png').expect(200);
+
+      expect(response.body.subarray(0, 4)).toEqual(PNG_SIGNATURE);
+      expect(mockPool.query.mock.calls[0][1]).toEqual(['fitness']);
+    });
+
+    it('should return 404 for an unknown niche', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get('/api/og/niche/nope.png').expect(404);
+    });
+  });
+});
@@ -0,0 +1,219 @@
+import { jest, describe, it, expect, beforeAll, beforeEach, afterAll } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMockPool } from '../setup.js';
+
+const mockPool = createMockPool();
+
+jest.unstable_mockModule('../../utils/db.js', () => ({
+  default: mockPool,
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    error: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+const TEMPLATE = `<!doctype html>
+<html lang="en">
+  <head>
+    <title>PeakSelf</title>
+    <script type="module" src="/assets/index.js"></script>
+  </head>
+  <body>
+    <div id="root"></div>
+  </body>
+</html>`;
+
+// Stand-in for the client's `vite build --ssr` output: echoes what it was asked to render
+const ENTRY_SERVER = `
+export async function render(url, prerender) {
+  if (prerender.data.post && prerender.data.post.slug === 'broken') throw new Error('Render failed');
+  return {
+    html: '<main data-url="' + url + '">' + JSON.stringify(prerender.data) + '</main>',
+    head: '<title data-rh="true">Rendered ' + url + '</title>',
+  };
+}
+`;
+
+const POST = {
+  id: 1,
+  title: 'Deep Work </script><script>alert(1)</script>',
+  slug: 'deep-work',
+  content: '<p>Costs $5</p>',
+  content_blocks: null,
+  published_at: new Date('2025-01-15T10:00:00Z'),
+  tags: [],
+};
+
+describe('Prerender Routes', () => {
+  let app;
+  let cache;
+  let clientDir;
+
+  beforeAll(async () => {
+    clientDir = fs.mkdtempSync(path.join(os.tmpdir(), 'peakself-client-'));
+    fs.mkdirSync(path.join(clientDir, 'dist', 'assets'), { recursive: true });
+    fs.mkdirSync(path.join(clientDir, 'dist-server'));
+    fs.writeFileSync(path.join(clientDir, 'package.json'), '{ "type": "module" }');
+    fs.writeFileSync(path.join(clientDir, 'dist', 'index.html'), TEMPLATE);
+    fs.writeFileSync(path.join(clientDir, 'dist', 'assets', 'index.js'), 'console.log("app")');
+    fs.writeFileSync(path.join(clientDir, 'dist-server', 'entry-server.js'), ENTRY_SERVER);
+    process.env.CLIENT_DIR = clientDir;
+
+    const prerenderRouter = (await import('../../routes/prerender.js')).default;
+    cache = (await import('../../utils/cache.js')).default;
+
+    app = express();
+    app.get('/api/health', (req, res) => res.json({ status: 'ok' }));
+    app.use('/', prerenderRouter);
+    app.use((req, res) => res.status(404).json({ error: 'Not found' }));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.flush();
+  });
+
+  afterAll(() => {
+    delete process.env.CLIENT_DIR;
+    fs.rmSync(clientDir, { recursive: true, force: true });
+  });
+
+  describe('GET /blog/:slug', () => {
+    it('should render the post into the template with its head tags and data', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [POST] });
+
+      const response = await request(app).get('/blog/deep-work').expect(200);
+
+      expect(response.headers['content-type']).toContain('text/html');
+      expect(response.text).toContain('<title data-rh="true">Rendered /blog/deep-work</title>');
+      expect(response.text).not.toContain('<title>PeakSelf</title>');
+      expect(response.text).toContain('<div id="root"><main data-url="/blog/deep-work">');
+      expect(response.text).toContain('Costs $5');
+      expect(mockPool.query.mock.calls[0][1]).toEqual(['deep-work']);
+    });
+
+    it('should embed the data so it cannot close the script tag', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [POST] });
+
+      const response = await request(app).get('/blog/deep-work').expect(200);
+
+      const embedded = /<script>window.__PRERENDER__ = (.*?)<\/script>/.exec(response.text)[1];
+      expect(embedded).not.toContain('</script>');
+      const { path: renderedPath, data } = JSON.parse(embedded);
+      expect(renderedPath).toBe('/blog/deep-work');
+      expect(data.post.title).toBe(POST.title);
+      expect(data.post.published_at).toBe('2025-01-15T10:00:00.000Z');
+    });
+
+    it('should serve repeat requests from the cache', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [POST] });
+
+      await request(app).get('/blog/deep-work').expect(200);
+      const response = await request(app).get('/blog/deep-work').expect(200);
+
+      expect(response.text).toContain('Rendered /blog/deep-work');
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should send the plain shell with 404 for a missing post', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).get('/blog/missing').expect(404);
+
+      expect(response.text).toBe(TEMPLATE);
+    });
+
+    it('should fall back to the plain shell when rendering fails', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ ...POST, slug: 'broken' }] });
+
+      const response = await request(app).get('/blog/broken').expect(200);
+
+      expect(response.text).toBe(TEMPLATE);
+      expect(cache.get('prerender:/blog/broken')).toBeUndefined();
+    });
+  });
+
+  describe('Listing pages', () => {
+    it('should load niches and recent posts for the home page', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, slug: 'fitness', posts: [] }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, slug: 'deep-work' }] });
+
+      const response = await request(app).get('/').expect(200);
+
+      expect(mockPool.query.mock.calls[0][1]).toEqual([3]);
+      expect(mockPool.query.mock.calls[1][1]).toEqual([6, 0]);
+      expect(response.text).toContain('"niches":[{"id":3,"slug":"fitness","posts":[]}]');
+    });
+
+    it('should load a page of posts for a single tag', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [POST] });
+
+      const response = await request(app).get('/blog/tags/habits').expect(200);
+
+      expect(mockPool.query.mock.calls[0][1]).toEqual(['habits', 12, 0]);
+      expect(response.text).toContain('Rendered /blog/tags/habits');
+    });
+
+    it('should send the shell without caching it for tags with no posts', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const first = await request(app).get('/blog/tags/no-such-tag').expect(200);
+      await request(app).get('/blog/tags/no-such-tag').expect(200);
+
+      expect(first.text).toBe(TEMPLATE);
+      expect(mockPool.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should leave multi-tag pages to the client', async () => {
+      const response = await request(app).get('/blog/tags/habits,focus').expect(200);
+
+      expect(response.text).toBe(TEMPLATE);
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    it('should render niche pages and send the shell for other client routes', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, slug: 'fitness' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const niche = await request(app).get('/fitness').expect(200);
+      const about = await request(app).get('/about').expect(200);
+
+      expect(niche.text).toContain('Rendered /fitness');
+      expect(about.text).toBe(TEMPLATE);
+    });
+  });
+
+  describe('Other requests', () => {
+    it('should serve built assets', async () => {
+      const response = await request(app).get('/assets/index.js').expect(200);
+
+      expect(response.text).toBe('console.log("app")');
+    });
+
+    it('should send the plain shell for nested client routes', async () => {
+      const response = await request(app).get('/admin/posts').expect(200);
+
+      expect(response.text).toBe(TEMPLATE);
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    it('should pass API requests through', async () => {
+      await request(app).get('/api/health').expect(200, { status: 'ok' });
+      await request(app).get('/api/unknown').expect(404, { error: 'Not found' });
+      await request(app).get('/api').expect(404, { error: 'Not found' });
+    });
+  });
+});
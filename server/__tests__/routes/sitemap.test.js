@@ -1,24 +1,41 @@
+import { jest, describe, it, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
 import request from 'supertest';
 import express from 'express';
-import pool from '../../utils/db.js';
-import sitemapRouter from '../../routes/sitemap.js';
-import cache from '../../utils/cache.js';
+import { createMockPool } from '../setup.js';
 
-// Create a test app
-const app = express();
-app.use('/', sitemapRouter);
+const mockPool = createMockPool();
 
-jest.mock('../../utils/db.js');
-jest.mock('../../utils/cache.js');
+jest.unstable_mockModule('../../utils/db.js', () => ({
+    default: mockPool,
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+    default: {
+        error: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+    },
+}));
 
 describe('Sitemap Routes', () => {
+    let app;
+    let cache;
+    let SITEMAP_URL_LIMIT;
+
+    beforeAll(async () => {
+        const sitemap = await import('../../routes/sitemap.js');
+        SITEMAP_URL_LIMIT = sitemap.SITEMAP_URL_LIMIT;
+        cache = (await import('../../utils/cache.js')).default;
+
+        // Create a test app
+        app = express();
+        app.use('/', sitemap.default);
+    });
+
     beforeEach(() => {
-        // Clear all mocks before each test
+        // Clear all mocks and cached sitemaps before each test
         jest.clearAllMocks();
-
-        // Reset cache
-        cache.get.mockReturnValue(null);
-        cache.set.mockReturnValue(true);
+        cache.flush();
 
         // Set test environment variable
         process.env.APP_BASE_URL = 'http://localhost:5000';
@@ -30,30 +47,90 @@ describe('Sitemap Routes', () => {
     });
 
     describe('GET /sitemap.xml', () => {
-        it('should return valid XML sitemap', async () => {
-            // Mock database responses
-            pool.query
-                .mockResolvedValueOnce({ rows: [] }) // blog posts
-                .mockResolvedValueOnce({ rows: [] }) // tags
-                .mockResolvedValueOnce({ rows: [] }); // niches
+        // Count queries run in section order: posts, niches, tags, series
+        const mockCounts = (posts, niches, tags, series = 0, authors = 0) => {
+            mockPool.query
+                .mockResolvedValueOnce({ rows: [{ total: posts, lastmod: new Date('2024-03-15T10:30:00Z') }] })
+                .mockResolvedValueOnce({ rows: [{ total: niches, lastmod: null }] })
+                .mockResolvedValueOnce({ rows: [{ total: tags, lastmod: null }] })
+                .mockResolvedValueOnce({ rows: [{ total: series, lastmod: null }] })
+                .mockResolvedValueOnce({ rows: [{ total: authors, lastmod: null }] });
+        };
+
+        it('should return a valid sitemap index', async () => {
+            mockCounts(0, 0, 0);
 
             const response = await request(app).get('/sitemap.xml');
 
             expect(response.status).toBe(200);
-            expect(response.headers['content-type']).toBe('application/xml');
+            expect(response.headers['content-type']).toBe('application/xml; charset=utf-8');
             expect(response.text).toContain('<?xml version="1.0" encoding="UTF-8"?>');
-            expect(response.text).toContain('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
-            expect(response.text).toContain('</urlset>');
+            expect(response.text).toContain('<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+            expect(response.text).toContain('</sitemapindex>');
         });
 
-        it('should include static pages with proper priorities', async () => {
-            pool.query
-                .mockResolvedValueOnce({ rows: [] })
-                .mockResolvedValueOnce({ rows: [] })
-                .mockResolvedValueOnce({ rows: [] });
+        it('should list one child sitemap per non-empty section', async () => {
+            mockCounts(12, 3, 0, 2, 1);
+
+            const response = await request(app).get('/sitemap.xml');
+
+            expect(response.text).toContain('<loc>http://localhost:5000/sitemaps/static-1.xml</loc>');
+            expect(response.text).toContain('<loc>http://localhost:5000/sitemaps/posts-1.xml</loc>');
+            expect(response.text).toContain('<loc>http://localhost:5000/sitemaps/niches-1.xml</loc>');
+            expect(response.text).not.toContain('tags-1.xml');
+            expect(response.text).toContain('<loc>http://localhost:5000/sitemaps/series-1.xml</loc>');
+            expect(response.text).toContain('<loc>http://localhost:5000/sitemaps/authors-1.xml</loc>');
+            expect(response.text).toContain('<lastmod>2024-03-15</lastmod>');
+        });
+
+        it('should chunk sections at the 50,000 URL limit', async () => {
+            // Niches produce two URLs each, so 30,000 niches need two files
+            mockCounts(SITEMAP_URL_LIMIT * 2 + 1, 30000, 1);
+
+            const response = await request(app).get('/sitemap.xml');
+
+            expect(response.text).toContain('/sitemaps/posts-3.xml');
+            expect(response.text).not.toContain('/sitemaps/posts-4.xml');
+            expect(response.text).toContain('/sitemaps/niches-2.xml');
+            expect(response.text).not.toContain('/sitemaps/niches-3.xml');
+        });
+
+        it('should use cache when available', async () => {
+            const cachedSitemap = '<?xml version="1.0"?><sitemapindex>cached</sitemapindex>';
+            cache.set('sitemap:main', cachedSitemap);
+
+            const response = await request(app).get('/sitemap.xml');
+
+            expect(response.status).toBe(200);
+            expect(response.text).toBe(cachedSitemap);
+            expect(mockPool.query).not.toHaveBeenCalled();
+        });
+
+        it('should cache the generated index', async () => {
+            mockCounts(0, 0, 0);
+
+            await request(app).get('/sitemap.xml');
+
+            expect(cache.get('sitemap:main')).toContain('<?xml version="1.0" encoding="UTF-8"?>');
+        });
+
+        it('should handle database errors gracefully', async () => {
+            mockPool.query.mockRejectedValueOnce(new Error('Database error'));
 
             const response = await request(app).get('/sitemap.xml');
 
+            expect(response.status).toBe(500);
+            expect(response.text).toContain('Error generating sitemap');
+        });
+    });
+
+    describe('GET /sitemaps/static-1.xml', () => {
+        it('should include static pages with proper priorities', async () => {
+            const response = await request(app).get('/sitemaps/static-1.xml');
+
+            expect(response.status).toBe(200);
+            expect(response.text).toContain('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"');
+
             // Check homepage
             expect(response.text).toContain('<loc>http://localhost:5000/</loc>');
             expect(response.text).toContain('<priority>1.0</priority>');
@@ -68,169 +145,122 @@ describe('Sitemap Routes', () => {
             // Check blog listing
             expect(response.text).toContain('<loc>http://localhost:5000/blog</loc>');
             expect(response.text).toContain('<priority>0.9</priority>');
+
+            // Should have lastmod for all 4 static pages
+            expect((response.text.match(/<lastmod>/g) || []).length).toBe(4);
+            expect(mockPool.query).not.toHaveBeenCalled();
         });
+    });
 
-        it('should include published blog posts', async () => {
+    describe('GET /sitemaps/posts-:page.xml', () => {
+        it('should include published blog posts with image entries', async () => {
             const mockPosts = [
                 {
                     slug: 'test-post-1',
-                    updated_at: new Date('2024-01-15'),
-                    published_at: new Date('2024-01-10'),
-                    created_at: new Date('2024-01-05'),
+                    image: '/uploads/cover.jpg',
+                    updated_at: new Date('2024-03-15T10:30:00Z'),
+                    published_at: new Date('2024-03-10T08:00:00Z'),
+                    created_at: new Date('2024-03-01T12:00:00Z'),
                 },
                 {
                     slug: 'test-post-2',
+                    image: 'https://cdn.example.com/two.png',
                     updated_at: null,
                     published_at: new Date('2024-01-12'),
                     created_at: new Date('2024-01-08'),
                 },
+                {
+                    slug: 'test-post-3',
+                    image: null,
+                    updated_at: null,
+                    published_at: new Date('2024-01-02'),
+                    created_at: new Date('2024-01-01'),
+                },
             ];
+            mockPool.query.mockResolvedValueOnce({ rows: mockPosts });
 
-            pool.query
-                .mockResolvedValueOnce({ rows: mockPosts })
-                .mockResolvedValueOnce({ rows: [] })
-                .mockResolvedValueOnce({ rows: [] });
-
-            const response = await request(app).get('/sitemap.xml');
+            const response = await request(app).get('/sitemaps/posts-1.xml');
 
+            expect(response.text).toContain('xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"');
             expect(response.text).toContain('<loc>http://localhost:5000/blog/test-post-1</loc>');
-            expect(response.text).toContain('<loc>http://localhost:5000/blog/test-post-2</loc>');
+            expect(response.text).toContain('<lastmod>2024-03-15</lastmod>');
+            expect(response.text).toContain('<image:loc>http://localhost:5000/uploads/cover.jpg</image:loc>');
+            expect(response.text).toContain('<image:loc>https://cdn.example.com/two.png</image:loc>');
+            expect((response.text.match(/<image:image>/g) || []).length).toBe(2);
             expect(response.text).toContain('<priority>0.7</priority>');
             expect(response.text).toContain('<changefreq>weekly</changefreq>');
         });
 
-        it('should include tag pages', async () => {
-            const mockTags = [
-                { slug: 'javascript' },
-                { slug: 'react' },
-            ];
-
-            pool.query
-                .mockResolvedValueOnce({ rows: [] })
-                .mockResolvedValueOnce({ rows: mockTags })
-                .mockResolvedValueOnce({ rows: [] });
+        it('should page through posts in chunks', async () => {
+            mockPool.query.mockResolvedValueOnce({ rows: [{ slug: 'older', image: null, published_at: new Date() }] });
 
-            const response = await request(app).get('/sitemap.xml');
+            await request(app).get('/sitemaps/posts-2.xml').expect(200);
 
-            expect(response.text).toContain('<loc>http://localhost:5000/blog/tags/javascript</loc>');
-            expect(response.text).toContain('<loc>http://localhost:5000/blog/tags/react</loc>');
-            expect(response.text).toContain('<priority>0.6</priority>');
+            expect(mockPool.query.mock.calls[0][1]).toEqual([SITEMAP_URL_LIMIT, SITEMAP_URL_LIMIT]);
         });
 
-        it('should include niche pages', async () => {
-            const mockNiches = [
-                { slug: 'tech' },
-                { slug: 'business' },
-            ];
-
-            pool.query
-                .mockResolvedValueOnce({ rows: [] })
-                .mockResolvedValueOnce({ rows: [] })
-                .mockResolvedValueOnce({ rows: mockNiches });
-
-            const response = await request(app).get('/sitemap.xml');
-
-            // Niche landing pages
-            expect(response.text).toContain('<loc>http://localhost:5000/tech</loc>');
-            expect(response.text).toContain('<loc>http://localhost:5000/business</loc>');
+        it('should return 404 past the last chunk', async () => {
+            mockPool.query.mockResolvedValueOnce({ rows: [] });
 
-            // Niche blog pages
-            expect(response.text).toContain('<loc>http://localhost:5000/tech/blog</loc>');
-            expect(response.text).toContain('<loc>http://localhost:5000/business/blog</loc>');
+            await request(app).get('/sitemaps/posts-9.xml').expect(404);
         });
 
         it('should escape XML special characters in URLs', async () => {
             const mockPosts = [
                 {
                     slug: 'test&special<characters>',
+                    image: null,
                     updated_at: new Date(),
                     published_at: new Date(),
                     created_at: new Date(),
                 },
             ];
+            mockPool.query.mockResolvedValueOnce({ rows: mockPosts });
 
-            pool.query
-                .mockResolvedValueOnce({ rows: mockPosts })
-                .mockResolvedValueOnce({ rows: [] })
-                .mockResolvedValueOnce({ rows: [] });
-
-            const response = await request(app).get('/sitemap.xml');
+            const response = await request(app).get('/sitemaps/posts-1.xml');
 
             expect(response.text).toContain('&amp;');
             expect(response.text).toContain('&lt;');
             expect(response.text).toContain('&gt;');
             expect(response.text).not.toContain('test&special<characters>');
         });
+    });
 
-        it('should use cache when available', async () => {
-            const cachedSitemap = '<?xml version="1.0"?><urlset>cached</urlset>';
-            cache.get.mockReturnValue(cachedSitemap);
-
-            const response = await request(app).get('/sitemap.xml');
-
-            expect(response.status).toBe(200);
-            expect(response.text).toBe(cachedSitemap);
-            expect(pool.query).not.toHaveBeenCalled();
-        });
-
-        it('should cache the generated sitemap', async () => {
-            pool.query
-                .mockResolvedValueOnce({ rows: [] })
-                .mockResolvedValueOnce({ rows: [] })
-                .mockResolvedValueOnce({ rows: [] });
-
-            await request(app).get('/sitemap.xml');
-
-            expect(cache.set).toHaveBeenCalledWith(
-                'sitemap:main',
-                expect.stringContaining('<?xml version="1.0" encoding="UTF-8"?>'),
-                3600
-            );
-        });
-
-        it('should handle database errors gracefully', async () => {
-            pool.query.mockRejectedValueOnce(new Error('Database error'));
+    describe('GET /sitemaps/tags-1.xml and /sitemaps/niches-1.xml', () => {
+        it('should include tag pages', async () => {
+            mockPool.query.mockResolvedValueOnce({
+                rows: [
+                    { slug: 'javascript', lastmod: new Date('2024-02-01') },
+                    { slug: 'react', lastmod: new Date('2024-02-02') },
+                ],
+            });
 
-            const response = await request(app).get('/sitemap.xml');
+            const response = await request(app).get('/sitemaps/tags-1.xml');
 
-            expect(response.status).toBe(500);
-            expect(response.text).toContain('Error generating sitemap');
+            expect(response.text).toContain('<loc>http://localhost:5000/blog/tags/javascript</loc>');
+            expect(response.text).toContain('<loc>http://localhost:5000/blog/tags/react</loc>');
+            expect(response.text).toContain('<priority>0.6</priority>');
         });
 
-        it('should include lastmod dates for all URLs', async () => {
-            pool.query
-                .mockResolvedValueOnce({ rows: [] })
-                .mockResolvedValueOnce({ rows: [] })
-                .mockResolvedValueOnce({ rows: [] });
+        it('should include niche landing and blog pages', async () => {
+            mockPool.query.mockResolvedValueOnce({ rows: [{ slug: 'tech' }, { slug: 'business' }] });
 
-            const response = await request(app).get('/sitemap.xml');
+            const response = await request(app).get('/sitemaps/niches-1.xml');
 
-            // Count occurrences of lastmod tags
-            const lastmodCount = (response.text.match(/<lastmod>/g) || []).length;
+            // Niche landing pages
+            expect(response.text).toContain('<loc>http://localhost:5000/tech</loc>');
+            expect(response.text).toContain('<loc>http://localhost:5000/business</loc>');
 
-            // Should have at least the 4 static pages
-            expect(lastmodCount).toBeGreaterThanOrEqual(4);
+            // Niche blog pages
+            expect(response.text).toContain('<loc>http://localhost:5000/tech/blog</loc>');
+            expect(response.text).toContain('<loc>http://localhost:5000/business/blog</loc>');
         });
 
-        it('should format dates correctly (YYYY-MM-DD)', async () => {
-            const mockPosts = [
-                {
-                    slug: 'test-post',
-                    updated_at: new Date('2024-03-15T10:30:00Z'),
-                    published_at: new Date('2024-03-10T08:00:00Z'),
-                    created_at: new Date('2024-03-01T12:00:00Z'),
-                },
-            ];
-
-            pool.query
-                .mockResolvedValueOnce({ rows: mockPosts })
-                .mockResolvedValueOnce({ rows: [] })
-                .mockResolvedValueOnce({ rows: [] });
-
-            const response = await request(app).get('/sitemap.xml');
+        it('should return 404 for unknown sitemaps', async () => {
+            await request(app).get('/sitemaps/users-1.xml').expect(404);
+            await request(app).get('/sitemaps/posts.xml').expect(404);
 
-            // Should contain date in YYYY-MM-DD format
-            expect(response.text).toMatch(/<lastmod>\d{4}-\d{2}-\d{2}<\/lastmod>/);
+            expect(mockPool.query).not.toHaveBeenCalled();
         });
     });
 });
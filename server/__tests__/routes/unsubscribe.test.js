@@ -0,0 +1,106 @@
+import { jest, describe, it, expect, beforeAll, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import crypto from 'crypto';
+import { createMockPool } from '../setup.js';
+
+// Mock modules before importing routes
+const mockPool = createMockPool();
+jest.unstable_mockModule('../../utils/db.js', () => ({
+  default: mockPool,
+  pool: mockPool,
+  isDatabaseAvailable: true,
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+describe('Newsletter Unsubscribe Routes Tests', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = express();
+    app.use(express.json());
+
+    const unsubscribeRouter = (await import('../../routes/unsubscribe.js')).default;
+    app.use('/api/unsubscribe', unsubscribeRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/unsubscribe/:token', () => {
+    it('should describe the subscription without changing it', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ email: 'reader@example.com' }] })
+        .mockResolvedValueOnce({ rows: [{ deleted_at: null }] });
+
+      const response = await request(app)
+        .get('/api/unsubscribe/valid-token')
+        .expect(200);
+
+      expect(response.body.data).toEqual({ email: 'r***@example.com', subscribed: true });
+      expect(mockPool.query.mock.calls[0][1]).toEqual([
+        crypto.createHash('sha256').update('valid-token').digest('hex'),
+        'unsubscribe',
+      ]);
+      expect(mockPool.query.mock.calls.some(c => c[0].includes('UPDATE'))).toBe(false);
+    });
+
+    it('should return 404 for unknown or expired tokens', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/api/unsubscribe/bad-token')
+        .expect(404);
+
+      expect(response.body.error).toContain('invalid or has expired');
+    });
+  });
+
+  describe('POST /api/unsubscribe/:token', () => {
+    it('should soft delete the subscription', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ email: 'reader@example.com' }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const response = await request(app)
+        .post('/api/unsubscribe/valid-token')
+        .expect(200);
+
+      expect(response.body.message).toContain('unsubscribed');
+      expect(mockPool.query.mock.calls[1][0]).toContain('SET deleted_at = NOW()');
+      expect(mockPool.query.mock.calls[1][1]).toEqual(['reader@example.com']);
+    });
+
+    it('should accept RFC 8058 one-click requests and be idempotent', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ email: 'reader@example.com' }] })
+        .mockResolvedValueOnce({ rowCount: 0 }); // Already unsubscribed
+
+      const response = await request(app)
+        .post('/api/unsubscribe/valid-token')
+        .type('form')
+        .send('List-Unsubscribe=One-Click')
+        .expect(200);
+
+      expect(response.body.data.subscribed).toBe(false);
+    });
+
+    it('should reject invalid tokens', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .post('/api/unsubscribe/bad-token')
+        .expect(404);
+
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,380 @@
+import { jest, describe, it, expect, beforeAll, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import bcrypt from 'bcryptjs';
+import { createMockPool } from '../setup.js';
+
+// Mock modules before importing routes
+const mockPool = createMockPool();
+jest.unstable_mockModule('../../utils/db.js', () => ({
+  default: mockPool,
+  pool: mockPool,
+  isDatabaseAvailable: true,
+  checkDatabaseAvailability: jest.fn(() => true),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const mockSendMail = jest.fn().mockResolvedValue({ messageId: 'test-message-id' });
+jest.unstable_mockModule('nodemailer', () => ({
+  default: {
+    createTransport: jest.fn(() => ({
+      sendMail: mockSendMail,
+    })),
+  },
+}));
+
+const mockRateLimiter = (req, res, next) => next();
+jest.unstable_mockModule('../../middleware/rateLimiter.js', () => ({
+  authPasswordLimiter: mockRateLimiter,
+  apiLimiter: mockRateLimiter,
+}));
+
+// Authenticate every request as a fixed user unless the test says otherwise
+let currentUser = { id: 'user-123', email: 'test@example.com', role: 'user', source: 'jwt' };
+const mockRevokeUserSessions = jest.fn();
+jest.unstable_mockModule('../../middleware/auth.js', () => ({
+  requireAuth: (req, res, next) => {
+    if (!currentUser) return res.status(401).json({ error: 'Unauthorized' });
+    req.currentUser = currentUser;
+    next();
+  },
+  revokeUserSessions: mockRevokeUserSessions,
+  signJwt: () => 'new-token',
+  setJwtCookie: (res, token) => res.cookie('access_token', token),
+}));
+
+describe('User Account Routes Tests', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+
+    const userRouter = (await import('../../routes/user.js')).default;
+    app.use('/api/user', userRouter);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    currentUser = { id: 'user-123', email: 'test@example.com', role: 'user', source: 'jwt' };
+  });
+
+  describe('GET /api/user/profile', () => {
+    it('should return the current user profile', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [{ id: 'user-123', email: 'test@example.com', name: 'Test', has_password: true, pending_email: null }],
+      });
+
+      const response = await request(app)
+        .get('/api/user/profile')
+        .expect(200);
+
+      expect(response.body.user.email).toBe('test@example.com');
+      expect(response.body.user).not.toHaveProperty('password_hash');
+      expect(mockPool.query.mock.calls[0][1]).toEqual(['user-123']);
+    });
+
+    it('should require authentication', async () => {
+      currentUser = null;
+
+      await request(app)
+        .get('/api/user/profile')
+        .expect(401);
+    });
+  });
+
+  describe('PUT /api/user/profile', () => {
+    it('should update name and avatar', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [{ id: 'user-123', name: 'New Name', avatar_url: 'https://example.com/a.png' }],
+      });
+
+      const response = await request(app)
+        .put('/api/user/profile')
+        .send({ name: '  New Name ', avatar_url: 'https://example.com/a.png' })
+        .expect(200);
+
+      expect(response.body.user.name).toBe('New Name');
+      expect(mockPool.query.mock.calls[0][1]).toEqual(['New Name', 'https://example.com/a.png', 'user-123']);
+    });
+
+    it('should reject non-http avatar URLs', async () => {
+      const response = await request(app)
+        .put('/api/user/profile')
+        .send({ avatar_url: 'javascript:alert(1)' })
+        .expect(400);
+
+      expect(response.body.error).toContain('http');
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject empty updates', async () => {
+      await request(app)
+        .put('/api/user/profile')
+        .send({})
+        .expect(400);
+    });
+  });
+
+  describe('PUT /api/user/password', () => {
+    it('should change the password when the current one matches', async () => {
+      const hash = await bcrypt.hash('OldPassword1', 10);
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'test@example.com', role: 'user', password_hash: hash }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const response = await request(app)
+        .put('/api/user/password')
+        .send({ currentPassword: 'OldPassword1', newPassword: 'NewPassword1' })
+        .expect(200);
+
+      expect(response.body.message).toContain('Password updated');
+      expect(mockPool.query.mock.calls[1][0]).toContain('password_changed_at');
+      expect(mockRevokeUserSessions).toHaveBeenCalledWith('user-123', undefined);
+      expect(response.headers['set-cookie'].some(c => c.includes('access_token=new-token'))).toBe(true);
+    });
+
+    it('should reject a wrong current password', async () => {
+      const hash = await bcrypt.hash('OldPassword1', 10);
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 'user-123', password_hash: hash }] });
+
+      const response = await request(app)
+        .put('/api/user/password')
+        .send({ currentPassword: 'WrongPassword', newPassword: 'NewPassword1' })
+        .expect(400);
+
+      expect(response.body.error).toContain('incorrect');
+      expect(mockRevokeUserSessions).not.toHaveBeenCalled();
+    });
+
+    it('should reject accounts without a password', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 'user-123', password_hash: null }] });
+
+      const response = await request(app)
+        .put('/api/user/password')
+        .send({ currentPassword: 'anything', newPassword: 'NewPassword1' })
+        .expect(400);
+
+      expect(response.body.error).toContain('Google');
+    });
+
+    it('should reject short new passwords', async () => {
+      await request(app)
+        .put('/api/user/password')
+        .send({ currentPassword: 'OldPassword1', newPassword: 'short' })
+        .expect(400);
+
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/user/email', () => {
+    it('should store a hashed token and email the new address', async () => {
+      const hash = await bcrypt.hash('Password123', 10);
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'test@example.com', password_hash: hash }] })
+        .mockResolvedValueOnce({ rows: [] }) // Address not taken
+        .mockResolvedValueOnce({ rowCount: 0 }) // Invalidate older requests
+        .mockResolvedValueOnce({ rows: [] }); // Insert token
+
+      const response = await request(app)
+        .post('/api/user/email')
+        .send({ email: 'New@Example.com', password: 'Password123' })
+        .expect(200);
+
+      expect(response.body.pending_email).toBe('new@example.com');
+      const insertCall = mockPool.query.mock.calls[3];
+      expect(insertCall[0]).toContain('INSERT INTO email_change_tokens');
+      expect(insertCall[1][1]).toBe('new@example.com');
+      expect(insertCall[1][2]).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    it('should reject an address used by another account', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'test@example.com', password_hash: null }] })
+        .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+
+      const response = await request(app)
+        .post('/api/user/email')
+        .send({ email: 'taken@example.com' })
+        .expect(409);
+
+      expect(response.body.error).toContain('already in use');
+    });
+
+    it('should require the password for local accounts', async () => {
+      const hash = await bcrypt.hash('Password123', 10);
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'test@example.com', password_hash: hash }] });
+
+      await request(app)
+        .post('/api/user/email')
+        .send({ email: 'new@example.com' })
+        .expect(400);
+    });
+
+    it('should reject invalid addresses', async () => {
+      await request(app)
+        .post('/api/user/email')
+        .send({ email: 'not-an-email' })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/user/email/verify', () => {
+    it('should apply the new email and redirect to the account page', async () => {
+      currentUser = null; // Link can be opened without being signed in
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ user_id: 'user-123', new_email: 'new@example.com' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123' }] });
+
+      const response = await request(app)
+        .get('/api/user/email/verify')
+        .query({ token: 'valid-token' })
+        .expect(302);
+
+      expect(response.headers.location).toContain('/account?email_changed=true');
+      expect(mockPool.query.mock.calls[1][1]).toEqual(['new@example.com', 'user-123']);
+    });
+
+    it('should reject invalid or used tokens', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/api/user/email/verify')
+        .query({ token: 'bad-token' })
+        .expect(400);
+
+      expect(response.body.error).toContain('Invalid or expired token');
+    });
+  });
+
+  describe('GET /api/user/bookmarks', () => {
+    it('should list the reading list newest first', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [{ id: 7, title: 'Deep Work', slug: 'deep-work', likes_count: 2 }],
+      });
+
+      const response = await request(app)
+        .get('/api/user/bookmarks')
+        .expect(200);
+
+      const [sql, params] = mockPool.query.mock.calls[0];
+      expect(sql).toContain("bp.status = 'published'");
+      expect(sql).toContain('ORDER BY b.created_at DESC');
+      expect(params).toEqual(['user-123']);
+      expect(response.body.posts).toHaveLength(1);
+    });
+  });
+
+  describe('GET /api/user/reactions', () => {
+    it('should return liked and bookmarked post IDs', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ liked: [1, 7], bookmarked: [7] }] });
+
+      const response = await request(app)
+        .get('/api/user/reactions')
+        .expect(200);
+
+      expect(response.body).toEqual({ liked: [1, 7], bookmarked: [7] });
+    });
+  });
+
+  describe('GET /api/user/me/export', () => {
+    it('should return all data held about the user as a download', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'test@example.com' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'sess-1' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'evt-1', session_id: 'sess-1', path: '/blog' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'bps-1', post_id: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, event_type: 'view' }] })
+        .mockResolvedValueOnce({ rows: [{ post_id: 1 }, { post_id: 2 }] })
+        .mockResolvedValueOnce({ rows: [{ post_id: 2 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 3, post_id: 1, body: 'Great post', status: 'approved' }] })
+        .mockResolvedValueOnce({ rows: [{ email: 'test@example.com', verified: true }] });
+
+      const response = await request(app)
+        .get('/api/user/me/export')
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toContain('attachment');
+      expect(response.body.user).not.toHaveProperty('password_hash');
+      expect(response.body.sessions).toHaveLength(1);
+      expect(response.body.session_events).toHaveLength(1);
+      expect(response.body.blog_post_sessions).toHaveLength(1);
+      expect(response.body.blog_engagement_events).toHaveLength(1);
+      expect(response.body.likes).toHaveLength(2);
+      expect(response.body.bookmarks).toHaveLength(1);
+      expect(mockPool.query.mock.calls[5][0]).toContain('FROM blog_post_likes WHERE user_id = $1');
+      expect(mockPool.query.mock.calls[6][0]).toContain('FROM blog_post_bookmarks WHERE user_id = $1');
+      expect(response.body.comments).toEqual([{ id: 3, post_id: 1, body: 'Great post', status: 'approved' }]);
+      expect(mockPool.query.mock.calls[7][0]).toContain('FROM blog_comments WHERE user_id = $1');
+      expect(response.body.newsletter.verified).toBe(true);
+    });
+  });
+
+  describe('DELETE /api/user/me', () => {
+    it('should soft delete the account and sign the user out', async () => {
+      const hash = await bcrypt.hash('Password123', 10);
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'test@example.com', role: 'user', password_hash: hash }] })
+        .mockResolvedValueOnce({ rowCount: 1 }) // Soft delete user
+        .mockResolvedValueOnce({ rowCount: 1 }); // Soft delete newsletter subscription
+
+      const response = await request(app)
+        .delete('/api/user/me')
+        .send({ password: 'Password123' })
+        .expect(200);
+
+      expect(response.body.message).toContain('deleted');
+      expect(mockPool.query.mock.calls[1][0]).toContain('SET deleted_at = NOW()');
+      expect(mockPool.query.mock.calls[2][0]).toContain('newsletter_subscriptions');
+      expect(mockRevokeUserSessions).toHaveBeenCalledWith('user-123');
+      expect(response.headers['set-cookie'].some(c => c.startsWith('access_token=;'))).toBe(true);
+    });
+
+    it('should reject a wrong password', async () => {
+      const hash = await bcrypt.hash('Password123', 10);
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'test@example.com', password_hash: hash }] });
+
+      await request(app)
+        .delete('/api/user/me')
+        .send({ password: 'WrongPassword' })
+        .expect(400);
+
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+      expect(mockRevokeUserSessions).not.toHaveBeenCalled();
+    });
+
+    it('should require Google accounts to confirm their email', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'test@example.com', password_hash: null }] });
+
+      const response = await request(app)
+        .delete('/api/user/me')
+        .send({ confirmEmail: 'other@example.com' })
+        .expect(400);
+
+      expect(response.body.error).toContain('email');
+    });
+
+    it('should not let the last admin delete themselves', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'test@example.com', role: 'admin', password_hash: null }] })
+        .mockResolvedValueOnce({ rows: [{ count: 1 }] });
+
+      const response = await request(app)
+        .delete('/api/user/me')
+        .send({ confirmEmail: 'test@example.com' })
+        .expect(400);
+
+      expect(response.body.error).toContain('only admin');
+    });
+  });
+});
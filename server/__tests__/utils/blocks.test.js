@@ -0,0 +1,201 @@
+/**
+ * Tests for the block document model: normalization, rendering and the HTML importer
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  normalizeDocument,
+  renderDocument,
+  htmlToDocument,
+  sanitizeInline,
+  resolveEmbed,
+  documentText,
+  documentOutline,
+  MAX_BLOCKS,
+} from '../../utils/blocks.js';
+
+describe('Block documents', () => {
+  describe('normalizeDocument', () => {
+    it('keeps supported blocks and drops empty ones', () => {
+      const { document } = normalizeDocument({
+        blocks: [
+          { type: 'paragraph', text: 'Hello' },
+          { type: 'paragraph', text: '   ' },
+          { type: 'heading', level: 7, text: 'Title' },
+          { type: 'list', style: 'ordered', items: ['One', ''] },
+          { type: 'callout', variant: 'nope', text: 'Heads up' },
+        ],
+      });
+
+      expect(document).toEqual({
+        version: 1,
+        blocks: [
+          { type: 'paragraph', text: 'Hello' },
+          { type: 'heading', level: 4, text: 'Title' },
+          { type: 'list', style: 'ordered', items: ['One'] },
+          { type: 'callout', variant: 'info', text: 'Heads up' },
+        ],
+      });
+    });
+
+    it('rejects unknown block types', () => {
+      expect(normalizeDocument({ blocks: [{ type: 'marquee', text: 'hi' }] }).error)
+        .toBe('Unknown block type: marquee');
+    });
+
+    it('rejects documents that are not block documents', () => {
+      expect(normalizeDocument('<p>html</p>').error).toBe('Content must be a block document');
+      expect(normalizeDocument({ blocks: new Array(MAX_BLOCKS + 1).fill({ type: 'paragraph', text: 'x' }) }).error)
+        .toMatch(/at most/);
+    });
+
+    it('drops images with unsafe URLs', () => {
+      const { document } = normalizeDocument({
+        blocks: [
+          { type: 'image', url: 'javascript:alert(1)', alt: 'x' },
+          { type: 'image', url: '/uploads/a.png', alt: 'A' },
+        ],
+      });
+      expect(document.blocks).toEqual([{ type: 'image', url: '/uploads/a.png', alt: 'A' }]);
+    });
+  });
+
+  describe('sanitizeInline', () => {
+    it('keeps inline formatting and safe links', () => {
+      expect(sanitizeInline('<b>Bold</b> <i>it</i> <a href="https://example.com" onclick="x()">link</a>'))
+        .toBe('<strong>Bold</strong> <em>it</em> <a href="https://example.com" target="_blank" rel="noopener noreferrer">link</a>');
+    });
+
+    it('removes scripts, handlers and dangerous links', () => {
+      const html = sanitizeInline('<img src=x onerror="alert(1)">a<script>alert(1)</script><a href=" java\tscript:alert(1)">b</a>');
+      expect(html).toBe('ab');
+    });
+
+    it('unwraps tags named after Object.prototype properties', () => {
+      expect(sanitizeInline('a<constructor>b</constructor><toString>c</toString>')).toBe('abc');
+      // Not a tag name to the parser: the opening tag stays (escaped) text, the closing one is dropped
+      expect(sanitizeInline('<__proto__>d</__proto__>')).toBe('&lt;__proto__&gt;d');
+    });
+
+    it('escapes text', () => {
+      expect(sanitizeInline('1 &lt; 2 &amp; "quotes"')).toBe('1 &lt; 2 &amp; &quot;quotes&quot;');
+    });
+  });
+
+  describe('renderDocument', () => {
+    it('renders every block type', () => {
+      const html = renderDocument({
+        version: 1,
+        blocks: [
+          { type: 'heading', level: 2, text: 'Getting started' },
+          { type: 'paragraph', text: 'Text' },
+          { type: 'list', style: 'unordered', items: ['a', 'b'] },
+          { type: 'quote', text: 'Quoted', cite: 'Ada' },
+          { type: 'code', language: 'js', code: 'if (a < b) {}' },
+          { type: 'image', url: '/a.png', alt: 'Alt "text"', caption: 'Caption' },
+          { type: 'embed', url: 'https://youtu.be/dQw4w9WgXcQ' },
+          { type: 'callout', variant: 'warning', text: 'Careful' },
+        ],
+      });
+
+      expect(html).toContain('<h2 id="getting-started">Getting started</h2>');
+      expect(html).toContain('<ul><li>a</li><li>b</li></ul>');
+      expect(html).toContain('<blockquote><p>Quoted</p><cite>Ada</cite></blockquote>');
+      expect(html).toContain('<pre><code class="language-js">if (a &lt; b) {}</code></pre>');
+      expect(html).toContain('alt="Alt &quot;text&quot;"');
+      expect(html).toContain('<figcaption>Caption</figcaption>');
+      expect(html).toContain('src="https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ"');
+      expect(html).toContain('<aside class="post-callout post-callout-warning"><p>Careful</p></aside>');
+    });
+
+    it('gives repeated headings unique anchors', () => {
+      const html = renderDocument({
+        blocks: [
+          { type: 'heading', level: 2, text: 'Setup' },
+          { type: 'heading', level: 3, text: 'Setup' },
+        ],
+      });
+      expect(html).toContain('id="setup"');
+      expect(html).toContain('id="setup-2"');
+    });
+
+    it('renders unknown embed hosts as links, never iframes', () => {
+      const html = renderDocument({ blocks: [{ type: 'embed', url: 'https://evil.example/frame' }] });
+      expect(html).not.toContain('<iframe');
+      expect(html).toContain('href="https://evil.example/frame"');
+    });
+
+    it('re-sanitizes stored documents', () => {
+      const html = renderDocument({ blocks: [{ type: 'paragraph', text: '<script>alert(1)</script>Hi' }] });
+      expect(html).toBe('<p>Hi</p>');
+    });
+  });
+
+  describe('htmlToDocument', () => {
+    it('imports editor HTML into blocks', () => {
+      const document = htmlToDocument(
+        '<h1>Title</h1><p>Intro <b>bold</b><img src="/a.png" alt="A"></p>' +
+        '<ol><li>One</li><li>Two</li></ol><div>Loose text</div>' +
+        '<pre class="language-py">print(1)</pre><blockquote>Quote</blockquote>' +
+        '<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ"></iframe>'
+      );
+
+      expect(document.blocks).toEqual([
+        { type: 'heading', level: 2, text: 'Title' },
+        { type: 'paragraph', text: 'Intro <strong>bold</strong>' },
+        { type: 'image', url: '/a.png', alt: 'A' },
+        { type: 'list', style: 'ordered', items: ['One', 'Two'] },
+        { type: 'paragraph', text: 'Loose text' },
+        { type: 'code', code: 'print(1)', language: 'py' },
+        { type: 'quote', text: 'Quote' },
+        { type: 'embed', url: 'https://www.youtube.com/embed/dQw4w9WgXcQ' },
+      ]);
+    });
+
+    it('treats plain text as a paragraph and drops scripts', () => {
+      expect(htmlToDocument('Just text<script>alert(1)</script>').blocks)
+        .toEqual([{ type: 'paragraph', text: 'Just text' }]);
+    });
+
+    it('imports figures with captions', () => {
+      expect(htmlToDocument('<figure><img src="https://cdn.example/a.jpg" alt=""><figcaption>Sunset</figcaption></figure>').blocks)
+        .toEqual([{ type: 'image', url: 'https://cdn.example/a.jpg', alt: '', caption: 'Sunset' }]);
+    });
+  });
+
+  describe('helpers', () => {
+    it('resolves supported embed providers', () => {
+      expect(resolveEmbed('https://www.youtube.com/watch?v=dQw4w9WgXcQ').provider).toBe('youtube');
+      expect(resolveEmbed('https://vimeo.com/123456789').src).toBe('https://player.vimeo.com/video/123456789');
+      expect(resolveEmbed('https://example.com/video')).toBeNull();
+    });
+
+    it('extracts plain text', () => {
+      expect(documentText({
+        blocks: [
+          { type: 'heading', level: 2, text: 'Intro &amp; more' },
+          { type: 'list', style: 'unordered', items: ['<b>a</b>', 'b'] },
+        ],
+      })).toBe('Intro & more\na\nb');
+    });
+
+    it('builds an outline with the rendered heading anchors', () => {
+      const doc = {
+        blocks: [
+          { type: 'heading', level: 2, text: 'Setup' },
+          { type: 'paragraph', text: 'word '.repeat(450) },
+          { type: 'heading', level: 3, text: '<em>Setup</em>' },
+          { type: 'heading', level: 4, text: 'Details' },
+        ],
+      };
+      const outline = documentOutline(doc);
+      expect(outline.toc).toEqual([
+        { id: 'setup', level: 2, text: 'Setup' },
+        { id: 'setup-2', level: 3, text: 'Setup' },
+      ]);
+      expect(outline.wordCount).toBe(453);
+      expect(outline.readingTime).toBe(3);
+      expect(documentOutline({ blocks: [] })).toEqual({ wordCount: 0, readingTime: 0, toc: [] });
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for the throttled newsletter campaign sender
+ */
+
+import { jest, describe, it, expect, beforeAll, beforeEach, afterAll } from '@jest/globals';
+import { createMockPool } from '../setup.js';
+
+const mockPool = createMockPool();
+const sentMail = [];
+let failFor = null;
+
+jest.unstable_mockModule('../../utils/db.js', () => ({
+  default: mockPool,
+  isDatabaseAvailable: true,
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('nodemailer', () => ({
+  default: {
+    createTransport: () => ({
+      sendMail: async (message) => {
+        if (message.to === failFor) throw new Error('Mailbox unavailable');
+        sentMail.push(message);
+        return { messageId: `<${message.to}>` };
+      },
+    }),
+  },
+}));
+
+describe('Newsletter Sender', () => {
+  let newsletterSender;
+
+  beforeAll(async () => {
+    process.env.SMTP_HOST = 'localhost';
+    newsletterSender = (await import('../../utils/newsletterSender.js')).default;
+  });
+
+  afterAll(() => {
+    newsletterSender.shutdown();
+    delete process.env.SMTP_HOST;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sentMail.length = 0;
+    failFor = null;
+    newsletterSender.recovered = true;
+  });
+
+  // Route each query to a canned result by what it does
+  function mockQueries({ campaign, recipients, completed = false }) {
+    mockPool.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM newsletter_campaigns') && sql.includes('LIMIT 1')) return { rows: campaign ? [campaign] : [] };
+      if (sql.includes('RETURNING id, email')) return { rows: recipients };
+      if (sql.includes("SET status = 'sent', completed_at")) return { rows: completed ? [{ id: campaign.id }] : [] };
+      return { rows: [], rowCount: 0 };
+    });
+  }
+
+  it('should do nothing when no campaign is queued', async () => {
+    mockQueries({ campaign: null, recipients: [] });
+
+    await newsletterSender.processBatch();
+
+    expect(mockPool.query).toHaveBeenCalledTimes(1);
+    expect(sentMail).toHaveLength(0);
+  });
+
+  it('should send each recipient their own unsubscribe link and List-Unsubscribe headers', async () => {
+    mockQueries({
+      campaign: { id: 1, subject: 'Issue #1', html: '<p>Hello</p>' },
+      recipients: [{ id: 10, email: 'a@example.com' }, { id: 11, email: 'b@example.com' }],
+      completed: true,
+    });
+
+    await newsletterSender.processBatch();
+
+    expect(sentMail.map(m => m.to)).toEqual(['a@example.com', 'b@example.com']);
+    expect(sentMail[0].subject).toBe('Issue #1');
+    expect(sentMail[0].html).toContain('<p>Hello</p>');
+    expect(sentMail[0].html).toContain('/newsletter?unsubscribe=');
+    expect(sentMail[0].headers['List-Unsubscribe']).toMatch(/^<http:\/\/localhost:5555\/api\/unsubscribe\/[a-f0-9]{64}>$/);
+    expect(sentMail[0].headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+    expect(sentMail[0].headers['List-Unsubscribe']).not.toBe(sentMail[1].headers['List-Unsubscribe']);
+
+    const sentUpdates = mockPool.query.mock.calls.filter(c => c[0].includes("SET status = 'sent', sent_at"));
+    expect(sentUpdates.map(c => c[1][0])).toEqual([10, 11]);
+  });
+
+  it('should claim at most one batch of pending recipients', async () => {
+    mockQueries({ campaign: { id: 1, subject: 'S', html: 'H' }, recipients: [] });
+
+    await newsletterSender.processBatch();
+
+    const claim = mockPool.query.mock.calls.find(c => c[0].includes('RETURNING id, email'));
+    expect(claim[0]).toContain('FOR UPDATE SKIP LOCKED');
+    expect(claim[1]).toEqual([1, newsletterSender.batchSize]);
+  });
+
+  it('should record failures per recipient and keep going', async () => {
+    failFor = 'bad@example.com';
+    mockQueries({
+      campaign: { id: 1, subject: 'S', html: 'H' },
+      recipients: [{ id: 10, email: 'bad@example.com' }, { id: 11, email: 'good@example.com' }],
+    });
+
+    await newsletterSender.processBatch();
+
+    const failed = mockPool.query.mock.calls.find(c => c[0].includes("SET status = 'failed'"));
+    expect(failed[1]).toEqual([10, 'Mailbox unavailable']);
+    expect(sentMail.map(m => m.to)).toEqual(['good@example.com']);
+  });
+
+  it('should skip recipients who unsubscribed after queueing', async () => {
+    mockQueries({ campaign: { id: 1, subject: 'S', html: 'H' }, recipients: [] });
+
+    await newsletterSender.processBatch();
+
+    const skip = mockPool.query.mock.calls.find(c => c[0].includes("SET status = 'skipped'"));
+    expect(skip[0]).toContain('deleted_at IS NULL');
+    expect(skip[1]).toEqual([1]);
+  });
+
+  it('should not run without SMTP configured', async () => {
+    delete process.env.SMTP_HOST;
+    mockQueries({ campaign: { id: 1, subject: 'S', html: 'H' }, recipients: [] });
+
+    await newsletterSender.processBatch();
+
+    expect(mockPool.query).not.toHaveBeenCalled();
+    process.env.SMTP_HOST = 'localhost';
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Tests for Open Graph card layout: title wrapping and SVG markup
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { buildCardSvg, wrapText } from '../../utils/ogImage.js';
+
+describe('Open Graph cards', () => {
+  describe('wrapText', () => {
+    it('wraps on word boundaries', () => {
+      expect(wrapText('one two three four', 10, 5, 60)).toEqual(['one two', 'three four']);
+    });
+
+    it('cuts overflowing text at a word and ends with an ellipsis', () => {
+      expect(wrapText('one two three four five six', 10, 2, 72)).toEqual(['one two', 'three four…']);
+      expect(wrapText('one two three four fivefold', 10, 2, 60)).toEqual(['one two', 'three…']);
+    });
+
+    it('shortens words longer than a line', () => {
+      expect(wrapText('supercalifragilistic', 10, 3, 60)).toEqual(['supercali…']);
+    });
+  });
+
+  describe('buildCardSvg', () => {
+    it('escapes text drawn on the card', () => {
+      const svg = buildCardSvg({ title: 'Tips & <Tricks>', eyebrow: 'R&D', author: '"Sam"' });
+
+      expect(svg).toContain('Tips &amp; &lt;Tricks&gt;');
+      expect(svg).toContain('>R&amp;D</text>');
+      expect(svg).toContain('By &quot;Sam&quot;');
+    });
+
+    it('draws the logo image, or a lettered badge without one', () => {
+      const withLogo = buildCardSvg({ title: 'Fitness', logo: 'data:image/png;base64,AAAA', logoText: 'Fitness' });
+      const withoutLogo = buildCardSvg({ title: 'Fitness', logoText: 'fitness' });
+
+      expect(withLogo).toContain('<image href="data:image/png;base64,AAAA"');
+      expect(withoutLogo).not.toContain('<image');
+      expect(withoutLogo).toContain('>F</text>');
+    });
+
+    it('shrinks long titles before cutting them off', () => {
+      const short = buildCardSvg({ title: 'Sleep' });
+      const long = buildCardSvg({ title: 'A much longer title about building habits that last for years and years' });
+
+      expect(short).toContain('font-size="72"');
+      expect(long).not.toContain('font-size="72"');
+      expect(long).not.toContain('…');
+    });
+  });
+});
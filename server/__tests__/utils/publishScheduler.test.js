@@ -0,0 +1,83 @@
+/**
+ * Tests for the scheduled post publisher
+ */
+
+import { jest, describe, it, expect, beforeAll, beforeEach, afterAll } from '@jest/globals';
+import { createMockPool } from '../setup.js';
+
+const mockPool = createMockPool();
+
+jest.unstable_mockModule('../../utils/db.js', () => ({
+  default: mockPool,
+  isDatabaseAvailable: true,
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('Publish Scheduler', () => {
+  let publishScheduler;
+  let cache;
+
+  beforeAll(async () => {
+    publishScheduler = (await import('../../utils/publishScheduler.js')).default;
+    cache = (await import('../../utils/cache.js')).default;
+  });
+
+  afterAll(() => {
+    publishScheduler.shutdown();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.flush();
+  });
+
+  it('publishes due posts and clears the sitemap and feed caches', async () => {
+    cache.set(cache.CACHE_KEYS.SITEMAP, '<urlset/>');
+    cache.set(cache.CACHE_KEYS.FEED('site:feed.xml:full'), '<rss/>');
+    mockPool.query.mockResolvedValueOnce({ rows: [{ id: 7, title: 'Launch day' }] });
+
+    const published = await publishScheduler.publishDue();
+
+    expect(published).toEqual([{ id: 7, title: 'Launch day' }]);
+    const [sql] = mockPool.query.mock.calls[0];
+    expect(sql).toContain("status = 'scheduled' AND scheduled_for <= NOW()");
+    expect(sql).toContain('published_at = scheduled_for');
+    expect(cache.get(cache.CACHE_KEYS.SITEMAP)).toBeUndefined();
+    expect(cache.get(cache.CACHE_KEYS.FEED('site:feed.xml:full'))).toBeUndefined();
+  });
+
+  it('leaves the sitemap cache alone when nothing is due', async () => {
+    cache.set(cache.CACHE_KEYS.SITEMAP, '<urlset/>');
+    mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+    const published = await publishScheduler.publishDue();
+
+    expect(published).toEqual([]);
+    expect(cache.get(cache.CACHE_KEYS.SITEMAP)).toBe('<urlset/>');
+  });
+
+  it('skips a run while the previous one is still going', async () => {
+    publishScheduler.processing = true;
+    try {
+      expect(await publishScheduler.publishDue()).toEqual([]);
+      expect(mockPool.query).not.toHaveBeenCalled();
+    } finally {
+      publishScheduler.processing = false;
+    }
+  });
+
+  it('survives database errors', async () => {
+    mockPool.query.mockRejectedValueOnce(new Error('connection lost'));
+
+    expect(await publishScheduler.publishDue()).toEqual([]);
+    expect(publishScheduler.processing).toBe(false);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for related post scoring: strategy weights, visitor assignment and TF-IDF similarity
+ */
+
+import { describe, it, expect, afterEach } from '@jest/globals';
+import {
+  getRelatedWeights,
+  getStrategyWeights,
+  getActiveStrategies,
+  pickStrategy,
+  tokenize,
+  findTextNeighbors,
+} from '../../utils/relatedPosts.js';
+
+describe('Related posts', () => {
+  afterEach(() => {
+    delete process.env.RELATED_POSTS_WEIGHTS;
+    delete process.env.RELATED_POSTS_STRATEGIES;
+  });
+
+  describe('weights', () => {
+    it('overrides default weights per signal and ignores invalid entries', () => {
+      process.env.RELATED_POSTS_WEIGHTS = 'text=0.7, coread=-1, views=2, tags=abc';
+
+      expect(getRelatedWeights()).toEqual({ tags: 0.4, text: 0.7, coread: 0.2 });
+    });
+
+    it('uses a single signal for single-signal strategies', () => {
+      expect(getStrategyWeights('text')).toEqual({ tags: 0, text: 1, coread: 0 });
+      expect(getStrategyWeights('blended')).toEqual({ tags: 0.4, text: 0.4, coread: 0.2 });
+    });
+  });
+
+  describe('pickStrategy', () => {
+    it('keeps a visitor on the same strategy and spreads visitors across the active ones', () => {
+      process.env.RELATED_POSTS_STRATEGIES = 'blended,text,unknown';
+      expect(getActiveStrategies()).toEqual(['blended', 'text']);
+
+      const visitors = Array.from({ length: 50 }, (_, i) => `00000000-0000-4000-8000-${String(i).padStart(12, '0')}`);
+      const picks = visitors.map(pickStrategy);
+
+      expect(visitors.map(pickStrategy)).toEqual(picks);
+      expect(new Set(picks)).toEqual(new Set(['blended', 'text']));
+    });
+
+    it('uses the first active strategy without a visitor', () => {
+      expect(pickStrategy(null)).toBe('blended');
+    });
+  });
+
+  describe('text similarity', () => {
+    it('tokenizes without markup and stop words', () => {
+      expect(tokenize('<p>The <b>sleep</b> habits &amp; your morning-routine</p>'))
+        .toEqual(['sleep', 'habits', 'morning-routine']);
+    });
+
+    it('finds posts about the same topic', () => {
+      const neighbors = findTextNeighbors([
+        { id: 1, title: 'Better sleep', excerpt: 'Sleep habits for deep rest', content: 'Sleep schedule and bedroom light.' },
+        { id: 2, title: 'Sleep and recovery', excerpt: 'Why rest matters', content: 'Deep sleep helps muscles recover.' },
+        { id: 3, title: 'Strength training', excerpt: 'Lifting basics', content: 'Squats, deadlifts and muscles.' },
+        { id: 4, title: 'Budgeting', excerpt: 'Money plans', content: 'Track spending every month.' },
+      ]);
+
+      expect(neighbors.get(1)[0].id).toBe(2);
+      expect(neighbors.get(1).map(n => n.id)).not.toContain(4);
+      expect(neighbors.get(4)).toEqual([]);
+      expect(neighbors.get(1)[0].score).toBeGreaterThan(0);
+      expect(neighbors.get(1)[0].score).toBeLessThanOrEqual(1);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Tests for the blog HTML sanitizer, including known XSS payloads
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { sanitizeHtml, summarizeReport } from '../../utils/sanitize.js';
+import { renderDocument } from '../../utils/blocks.js';
+
+// Nothing executable may survive: no script elements, handlers or script URLs
+function expectInert(html) {
+  expect(html).not.toMatch(/<script/i);
+  expect(html).not.toMatch(/\son[a-z]+\s*=/i);
+  expect(html).not.toMatch(/javascript:/i);
+  expect(html).not.toMatch(/vbscript:/i);
+  expect(html).not.toMatch(/data:text\/html/i);
+  expect(html).not.toMatch(/<(svg|math|object|embed|base|meta|link|style|form)\b/i);
+}
+
+describe('sanitizeHtml', () => {
+  describe('XSS payloads', () => {
+    const payloads = [
+      '<script>alert(1)</script>',
+      '<SCRIPT SRC=//evil.example/xss.js></SCRIPT>',
+      '<scr<script>ipt>alert(1)</script>',
+      '<img src=x onerror=alert(1)>',
+      '<img src="x" ONERROR="alert(1)">',
+      '<img src=javascript:alert(1)>',
+      '<img """><script>alert(1)</script>">',
+      '<svg onload=alert(1)><circle r="1"/></svg>',
+      '<svg><script>alert(1)</script></svg>',
+      '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+      '<a href="javascript:alert(1)">click</a>',
+      '<a href="JaVaScRiPt:alert(1)">click</a>',
+      '<a href="jav&#x09;ascript:alert(1)">click</a>',
+      '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">click</a>',
+      '<a href=" javascript:alert(1)">click</a>',
+      '<a href="vbscript:msgbox(1)">click</a>',
+      '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">click</a>',
+      '<iframe src="javascript:alert(1)"></iframe>',
+      '<iframe src="https://evil.example/"></iframe>',
+      '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+      '<object data="javascript:alert(1)"></object>',
+      '<embed src="javascript:alert(1)">',
+      '<body onload=alert(1)>',
+      '<div style="background:url(javascript:alert(1))">x</div>',
+      '<style>@import "//evil.example/x.css";</style>',
+      '<link rel="stylesheet" href="//evil.example/x.css">',
+      '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+      '<base href="//evil.example/">',
+      '<form action="javascript:alert(1)"><button>go</button></form>',
+      '<input autofocus onfocus=alert(1)>',
+      '<details open ontoggle=alert(1)>',
+      '<video><source onerror=alert(1)></video>',
+      '<p title="</p><script>alert(1)</script>">x</p>',
+      '<!--<img src=x onerror=alert(1)>-->',
+      '<![CDATA[<script>alert(1)</script>]]>',
+      '<p>unclosed <img src=x onerror=alert(1)',
+      '<a href="#" onclick="alert(1)">x</a>',
+    ];
+
+    it.each(payloads)('neutralizes %s', (payload) => {
+      expectInert(sanitizeHtml(payload));
+    });
+
+    it('keeps the text of unwrapped elements but not of scripts', () => {
+      expect(sanitizeHtml('<form><b>Bold</b> text</form><script>evil()</script>'))
+        .toBe('<b>Bold</b> text');
+    });
+
+    it('unwraps tags named after Object.prototype properties', () => {
+      expect(sanitizeHtml('<constructor onclick="x()">a</constructor><toString>b</toString>')).toBe('ab');
+      // Not a tag name to the parser: the opening tag stays (escaped) text, the closing one is dropped
+      expect(sanitizeHtml('<__proto__ onclick="x()">c</__proto__>')).toBe('&lt;__proto__ onclick=&quot;x()&quot;&gt;c');
+    });
+
+    it('escapes text that decodes to markup', () => {
+      expect(sanitizeHtml('<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>'))
+        .toBe('<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    });
+
+    it('escapes attribute values', () => {
+      expect(sanitizeHtml('<img src="/a.png" alt="&quot; onerror=&quot;alert(1)">'))
+        .toBe('<img src="/a.png" alt="&quot; onerror=&quot;alert(1)">');
+    });
+  });
+
+  describe('allowed content', () => {
+    it('keeps formatting, lists, tables and images', () => {
+      const html = '<h2 id="intro">Intro</h2><p><strong>Bold</strong> <em>it</em></p>' +
+        '<ol start="3"><li>One</li></ol><table><tbody><tr><td colspan="2">Cell</td></tr></tbody></table>' +
+        '<figure class="post-image"><img src="https://cdn.example/a.png" alt="A"><figcaption>Cap</figcaption></figure>';
+      expect(sanitizeHtml(html)).toBe(html);
+    });
+
+    it('adds rel to links that open a new tab', () => {
+      expect(sanitizeHtml('<a href="https://example.com" target="_blank" rel="opener">x</a>'))
+        .toBe('<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>');
+    });
+
+    it('keeps mailto, relative and anchor links', () => {
+      expect(sanitizeHtml('<a href="mailto:hi@example.com">m</a><a href="/about">r</a><a href="#top">t</a>'))
+        .toBe('<a href="mailto:hi@example.com">m</a><a href="/about">r</a><a href="#top">t</a>');
+    });
+
+    it('keeps iframes from allowed video hosts only', () => {
+      const youtube = '<iframe src="https://www.youtube-nocookie.com/embed/abc123def" allowfullscreen></iframe>';
+      expect(sanitizeHtml(youtube)).toBe(youtube);
+      expect(sanitizeHtml('<iframe src="http://player.vimeo.com/video/123456"></iframe>')).toBe('');
+      expect(sanitizeHtml('<iframe src="https://player.vimeo.com.evil.example/video/1"></iframe>')).toBe('');
+    });
+
+    it('leaves rendered block documents unchanged', () => {
+      const html = renderDocument({
+        blocks: [
+          { type: 'heading', level: 2, text: 'Title' },
+          { type: 'paragraph', text: 'See <a href="https://example.com">this</a>' },
+          { type: 'code', code: 'a < b', language: 'c++' },
+          { type: 'embed', url: 'https://youtu.be/dQw4w9WgXcQ', caption: 'Video' },
+          { type: 'callout', variant: 'tip', text: 'Tip' },
+        ],
+      });
+      expect(sanitizeHtml(html)).toBe(html);
+    });
+  });
+
+  describe('report', () => {
+    it('records stripped tags and attributes', () => {
+      const report = [];
+      sanitizeHtml('<script>x</script><img src="/a.png" onerror="x"><p style="color:red">y</p><script>z</script>', { report });
+
+      expect(summarizeReport(report)).toEqual({
+        script: 2,
+        'img[onerror]': 1,
+        'p[style]': 1,
+      });
+    });
+  });
+});
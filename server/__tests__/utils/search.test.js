@@ -0,0 +1,59 @@
+/**
+ * Tests for blog search helpers: headline formatting and "did you mean" suggestions
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+import { formatHeadline, suggestSearch } from '../../utils/search.js';
+
+describe('Blog search helpers', () => {
+  describe('formatHeadline', () => {
+    it('wraps matches in <mark>', () => {
+      expect(formatHeadline('Improve your <<focus>> at work … deep <<focus>> sessions'))
+        .toBe('Improve your <mark>focus</mark> at work … deep <mark>focus</mark> sessions');
+    });
+
+    it('decodes and re-escapes text taken from post HTML', () => {
+      expect(formatHeadline('Use &lt;script&gt; tags &amp; <<focus>>'))
+        .toBe('Use &lt;script&gt; tags &amp; <mark>focus</mark>');
+    });
+
+    it('collapses whitespace left by stripped tags', () => {
+      expect(formatHeadline('  Intro   \n  <<sleep>>  better ')).toBe('Intro <mark>sleep</mark> better');
+    });
+
+    it('returns an empty string without a headline', () => {
+      expect(formatHeadline(null)).toBe('');
+    });
+  });
+
+  describe('suggestSearch', () => {
+    it('replaces unknown words with the closest vocabulary word', async () => {
+      const db = {
+        query: jest.fn().mockResolvedValue({
+          rows: [
+            { word: 'prodctivity', known: false, suggestion: 'productivity' },
+            { word: 'tips', known: true, suggestion: 'tips' },
+          ],
+        }),
+      };
+
+      await expect(suggestSearch(db, 'Prodctivity tips')).resolves.toBe('productivity tips');
+      expect(db.query.mock.calls[0][1]).toEqual([['prodctivity', 'tips']]);
+    });
+
+    it('returns null when every word matches', async () => {
+      const db = {
+        query: jest.fn().mockResolvedValue({ rows: [{ word: 'sleep', known: true, suggestion: 'sleep' }] }),
+      };
+
+      await expect(suggestSearch(db, 'sleep')).resolves.toBeNull();
+    });
+
+    it('skips the lookup for short words', async () => {
+      const db = { query: jest.fn() };
+
+      await expect(suggestSearch(db, 'ai')).resolves.toBeNull();
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import { jest, describe, it, expect, beforeAll } from '@jest/globals';
+import { createMockPool } from '../setup.js';
+
+const mockPool = createMockPool();
+
+jest.unstable_mockModule('../../utils/db.js', () => ({
+  default: mockPool,
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+describe('Traffic Source Utils', () => {
+  let trafficSources;
+
+  beforeAll(async () => {
+    trafficSources = await import('../../utils/trafficSources.js');
+  });
+
+  describe('classifySource', () => {
+    it('should classify referrers by domain, including subdomains and wildcard TLDs', () => {
+      const { classifySource } = trafficSources;
+
+      expect(classifySource(null, 'https://l.instagram.com/?u=x')).toEqual({ source: 'instagram', channel: 'social' });
+      expect(classifySource(null, 'https://www.google.co.uk/')).toEqual({ source: 'google', channel: 'organic_search' });
+      expect(classifySource(null, 'https://t.co/abc')).toEqual({ source: 'twitter', channel: 'social' });
+      expect(classifySource(null, 'https://reddit.co/r/x')).toEqual({ source: 'other', channel: 'referral' });
+    });
+
+    it('should try rules by priority, so hints and webmail win over domains', () => {
+      const { classifySource } = trafficSources;
+
+      expect(classifySource('Instagram', 'https://www.google.com/')).toEqual({ source: 'instagram', channel: 'social' });
+      expect(classifySource(null, 'https://mail.google.com/mail/u/0/')).toEqual({ source: 'email', channel: 'email' });
+      expect(classifySource('newsletter', null)).toEqual({ source: 'email', channel: 'email' });
+    });
+
+    it('should treat hits without referrer or hint as direct', () => {
+      expect(trafficSources.classifySource(null, '')).toEqual({ source: 'direct', channel: 'direct' });
+      expect(trafficSources.classifySource('podcast', null)).toEqual({ source: 'other', channel: 'referral' });
+    });
+  });
+
+  describe('loadRules', () => {
+    it('should replace the rules with the stored ones and keep them when loading fails', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [{ id: 1, match_type: 'domain', pattern: 'news.ycombinator.com', source: 'hackernews', channel: 'referral', priority: 100 }]
+      });
+      await trafficSources.loadRules();
+      expect(trafficSources.classifySource(null, 'https://news.ycombinator.com/item?id=1').source).toBe('hackernews');
+      expect(trafficSources.classifySource(null, 'https://instagram.com/').source).toBe('other');
+
+      mockPool.query.mockRejectedValueOnce(new Error('relation "referrer_rules" does not exist'));
+      await trafficSources.loadRules();
+      expect(trafficSources.classifySource(null, 'https://news.ycombinator.com/').source).toBe('hackernews');
+    });
+  });
+
+  describe('validateRule', () => {
+    it('should normalize a valid rule and default its priority', () => {
+      expect(trafficSources.validateRule({ match_type: 'domain', pattern: ' LinkedIn.com ', source: 'LinkedIn', channel: 'social' }))
+        .toEqual({ rule: { match_type: 'domain', pattern: 'linkedin.com', source: 'linkedin', channel: 'social', priority: 100 } });
+    });
+
+    it('should reject unknown types and channels and malformed patterns', () => {
+      const base = { match_type: 'domain', pattern: 'example.com', source: 'example', channel: 'referral' };
+
+      expect(trafficSources.validateRule({ ...base, match_type: 'regex' }).error).toBeDefined();
+      expect(trafficSources.validateRule({ ...base, channel: 'paid' }).error).toBeDefined();
+      expect(trafficSources.validateRule({ ...base, pattern: 'https://example.com/' }).error).toBeDefined();
+      expect(trafficSources.validateRule({ ...base, priority: -1 }).error).toBeDefined();
+    });
+  });
+});
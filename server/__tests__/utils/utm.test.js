@@ -0,0 +1,27 @@
+import { describe, it, expect } from '@jest/globals';
+import { parseUtm } from '../../utils/utm.js';
+
+describe('UTM Utils', () => {
+  describe('parseUtm', () => {
+    it('should keep the five UTM fields, trimmed, with source, medium and campaign lowercased', () => {
+      expect(parseUtm({
+        utm_source: ' Newsletter ',
+        utm_medium: 'Email',
+        utm_campaign: 'Spring-Sale',
+        utm_content: 'Header Link',
+        gclid: 'abc',
+      })).toEqual({
+        utm_source: 'newsletter',
+        utm_medium: 'email',
+        utm_campaign: 'spring-sale',
+        utm_term: null,
+        utm_content: 'Header Link',
+      });
+    });
+
+    it('should return null without any UTM value', () => {
+      expect(parseUtm(undefined)).toBeNull();
+      expect(parseUtm({ utm_source: '  ', utm_campaign: 42 })).toBeNull();
+    });
+  });
+});
@@ -51,6 +51,36 @@ export const JWT_EXPIRATION = '1d';
 /** Email verification token expiration (24 hours) */
 export const EMAIL_VERIFICATION_EXPIRATION_MS = 24 * ONE_HOUR_MS;
 
+/** Password reset token expiration (1 hour) */
+export const PASSWORD_RESET_EXPIRATION_MS = ONE_HOUR_MS;
+
+/** Newsletter confirmation link expiration (7 days) */
+export const NEWSLETTER_VERIFICATION_EXPIRATION_MS = 7 * ONE_DAY_MS;
+
+/** Newsletter unsubscribe link expiration (1 year - links live on in old emails) */
+export const NEWSLETTER_UNSUBSCRIBE_EXPIRATION_MS = 365 * ONE_DAY_MS;
+
+/** Newsletter campaign recipients per batch (override with NEWSLETTER_BATCH_SIZE) */
+export const NEWSLETTER_BATCH_SIZE = 20;
+
+/** Pause between newsletter campaign batches (override with NEWSLETTER_BATCH_INTERVAL_MS) */
+export const NEWSLETTER_BATCH_INTERVAL_MS = 10 * 1000;
+
+/** How often scheduled blog posts are checked for publishing (override with PUBLISH_SCHEDULER_INTERVAL_MS) */
+export const PUBLISH_SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+/** How often related-post text and co-reading scores are recomputed (override with RELATED_POSTS_INDEX_INTERVAL_MS) */
+export const RELATED_POSTS_INDEX_INTERVAL_MS = 6 * ONE_HOUR_MS;
+
+/** Related-post signal weights (override with RELATED_POSTS_WEIGHTS, e.g. "tags=0.5,text=0.3,coread=0.2") */
+export const RELATED_POSTS_WEIGHTS = { tags: 0.4, text: 0.4, coread: 0.2 };
+
+/** Reading speed used for the reading time stored with each post (words per minute) */
+export const READING_WORDS_PER_MINUTE = 200;
+
+/** Minimum length for new passwords (reset / change) */
+export const PASSWORD_MIN_LENGTH = 8;
+
 // ============================================================================
 // RATE LIMIT WINDOWS
 // ============================================================================
@@ -90,6 +120,12 @@ export const RATE_LIMITS = {
     max: 3,
   },
   
+  /** Posting blog comments: 5 comments per 15 minutes per user */
+  COMMENT: {
+    windowMs: RATE_LIMIT_WINDOW_15MIN,
+    max: 5,
+  },
+  
   /** Admin endpoints: 100 requests per 15 minutes */
   ADMIN: {
     windowMs: RATE_LIMIT_WINDOW_15MIN,
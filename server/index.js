@@ -28,6 +28,7 @@ const {
   subscribeLimiter,
   adminLimiter,
   trackingLimiter,
+  apiLimiter,
   globalLimiter
 } = await import("./middleware/rateLimiter.js");
 const { generateCsrfToken, csrfProtection } = await import("./middleware/csrf.js");
@@ -137,26 +138,52 @@ app.use((req, res, next) => {
   if (req.path === '/api/errors/log') {
     return next();
   }
+  // Skip CSRF for newsletter unsubscribe - mail clients POST one-click unsubscribes
+  // without a CSRF token; the unsubscribe token in the URL authorizes the request
+  if (req.path.startsWith('/api/unsubscribe/')) {
+    return next();
+  }
   return csrfProtection(req, res, next);
 });
 
 // Dynamic import to ensure environment variables are loaded before routes
 async function setupRoutes() {
   const { default: authRouter } = await import("./routes/auth.js");
+  const { default: userRouter } = await import("./routes/user.js");
   const { default: subscribeRouter } = await import("./routes/subscribe.js");
+  const { default: unsubscribeRouter } = await import("./routes/unsubscribe.js");
   const { default: adminRouter } = await import("./routes/admin/index.js");
   const { default: trackRouter } = await import("./routes/track.js");
   const { default: blogTrackingRouter } = await import("./routes/blog-tracking.js");
   const { default: healthRouter } = await import("./routes/health.js");
   const { default: errorsRouter } = await import("./routes/errors.js");
   const { default: blogRouter } = await import("./routes/blog.js");
+  const { default: blogCommentsRouter } = await import("./routes/blog-comments.js");
+  const { default: blogReactionsRouter } = await import("./routes/blog-reactions.js");
   const { default: sitemapRouter } = await import("./routes/sitemap.js");
+  const { default: feedsRouter } = await import("./routes/feeds.js");
   const { default: robotsRouter } = await import("./routes/robots.js");
+  const { default: ogRouter } = await import("./routes/og.js");
+  const { default: prerenderRouter } = await import("./routes/prerender.js");
+
+  // Background publisher for scheduled blog posts
+  await import("./utils/publishScheduler.js");
+
+  // Background rebuild of related-post text and co-reading scores
+  await import("./utils/relatedPostsIndexer.js");
+
+  // Referrer rules for traffic source classification (built-in defaults until loaded)
+  const { loadRules: loadReferrerRules } = await import("./utils/trafficSources.js");
+  await loadReferrerRules();
 
   // SEO routes (no rate limiting, no CSRF - for search engine bots)
   app.use("/", sitemapRouter);
+  app.use("/", feedsRouter);
   app.use("/", robotsRouter);
 
+  // Open Graph card images (no rate limiting - fetched by link preview crawlers, cached on disk)
+  app.use("/api/og", ogRouter);
+
   // Health check endpoints (no rate limiting for monitoring)
   app.use("/api/health", healthRouter);
 
@@ -166,12 +193,19 @@ async function setupRoutes() {
   // Apply specific rate limiters to routes
   // Note: auth routes have their own specific limiters (password, OAuth, general) applied per-endpoint
   app.use("/api/auth", authRouter);
-  app.use("/api/blog", globalLimiter, blogRouter);
+  app.use("/api/user", apiLimiter, userRouter);
+  // Post comment and reaction routes go after blogRouter so /:slug/comments etc. never shadow /series/:slug or /authors/:slug
+  app.use("/api/blog", globalLimiter, blogRouter, blogCommentsRouter, blogReactionsRouter);
   app.use("/api/subscribe", subscribeLimiter, subscribeRouter);
+  app.use("/api/unsubscribe", subscribeLimiter, unsubscribeRouter);
   app.use("/api/admin", adminLimiter, adminRouter);
   // Blog tracking must come BEFORE general tracking (more specific routes first)
   app.use("/api/track/blog", trackingLimiter, blogTrackingRouter);
   app.use("/api/track", trackingLimiter, trackRouter);
+
+  // Client build with prerendered public pages (after the API, so it only sees page requests;
+  // passes everything through when client/dist and client/dist-server have not been built)
+  app.use("/", prerenderRouter);
 }
 
 // Setup routes and start server
@@ -1,6 +1,32 @@
 import jwt from "jsonwebtoken";
 import pool from "../utils/db.js";
 import cache from "../utils/cache.js";
+import { COOKIE_JWT_MAX_AGE, JWT_EXPIRATION, DEFAULT_JWT_SECRET } from "../constants.js";
+
+/**
+ * Sign an access token for a user
+ * @param {Object} user - User row (id, email, role)
+ * @returns {string} - Signed JWT
+ */
+export function signJwt(user) {
+  const secret = process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
+  const payload = { sub: user.id, email: user.email, role: user.role };
+  return jwt.sign(payload, secret, { algorithm: 'HS256', expiresIn: JWT_EXPIRATION });
+}
+
+/**
+ * Set the access_token cookie on a response
+ * @param {Response} res - Express response object
+ * @param {string} token - Signed JWT
+ */
+export function setJwtCookie(res, token) {
+  res.cookie('access_token', token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: COOKIE_JWT_MAX_AGE,
+  });
+}
 
 /**
  * Verify JWT token from request (cookie or Authorization header)
@@ -49,6 +75,46 @@ export function getCurrentUser(req) {
   return null;
 }
 
+/**
+ * Check whether a JWT was issued before the user's last password change,
+ * or belongs to an account that has since been deleted
+ * Tokens issued in the same second as the change are still accepted
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {Promise<boolean>} - True if the token must no longer be accepted
+ */
+export async function isJwtRevoked(decoded) {
+  if (!decoded?.sub || !decoded.iat) return false;
+  try {
+    const { rows } = await pool.query(
+      'SELECT password_changed_at, deleted_at FROM users WHERE id = $1',
+      [decoded.sub]
+    );
+    if (rows[0]?.deleted_at) return true;
+    const changedAt = rows[0]?.password_changed_at;
+    if (!changedAt) return false;
+    return decoded.iat < Math.floor(new Date(changedAt).getTime() / 1000);
+  } catch (_) {
+    // If DB not available, fall back to trusting the signature
+    return false;
+  }
+}
+
+/**
+ * Destroy stored passport sessions for a user (connect-pg-simple "session" table)
+ * JWTs are handled separately via users.password_changed_at and users.deleted_at
+ * @param {string} userId - User ID
+ * @param {string} [exceptSessionId] - Session ID to keep (the caller's own session)
+ * @returns {Promise<number>} - Number of sessions removed
+ */
+export async function revokeUserSessions(userId, exceptSessionId = null) {
+  const { rowCount } = await pool.query(
+    "DELETE FROM session WHERE sess::jsonb #>> '{passport,user,id}' = $1 AND sid IS DISTINCT FROM $2",
+    [String(userId), exceptSessionId]
+  );
+  cache.del(`admin_role:${userId}`);
+  return rowCount;
+}
+
 /**
  * Middleware to require authentication (JWT or session)
  * Adds req.currentUser with user info
@@ -58,6 +124,9 @@ export async function requireAuth(req, res, next) {
   if (!user?.id) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
+  if (user.source === 'jwt' && await isJwtRevoked(verifyJwt(req))) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
   req.currentUser = user;
   next();
 }
@@ -76,6 +145,11 @@ export async function requireAdmin(req, res, next) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
+  // Tokens issued before a password reset, or of a deleted account, are no longer valid
+  if (!hasSession && await isJwtRevoked(decoded)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
   // Start with whichever identity we have
   let currentUser = null;
   if (hasSession) {
@@ -97,6 +97,23 @@ export const subscribeLimiter = rateLimit({
   skip: (req) => process.env.ENABLE_RATE_LIMIT !== 'true'
 });
 
+/**
+ * Strict rate limiter for posting blog comments
+ * Keyed by user (it runs after requireAuth) so one account can't flood the moderation queue
+ * 
+ * Limits: 5 comments per 15 minutes per user
+ */
+export const commentLimiter = rateLimit({
+  windowMs: RATE_LIMITS.COMMENT.windowMs,
+  max: RATE_LIMITS.COMMENT.max,
+  message: 'Too many comments, please try again after 15 minutes',
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.currentUser?.id || req.ip,
+  handler: rateLimitHandler,
+  skip: (req) => process.env.ENABLE_RATE_LIMIT !== 'true'
+});
+
 /**
  * Moderate rate limiter for general API endpoints
  * Protects against general abuse
@@ -170,6 +187,7 @@ if (process.env.ENABLE_RATE_LIMIT === 'true') {
   logger.info('Auth (OAuth): 5 requests per 15 minutes');
   logger.info('Auth (general): 15 requests per 30 minutes');
   logger.info('Subscribe endpoint: 3 requests per 15 minutes');
+  logger.info('Blog comments: 5 comments per 15 minutes per user');
   logger.info('Admin endpoints: 30 requests per 15 minutes');
   logger.info('Tracking endpoints: 500 requests per 15 minutes');
   logger.info('General API: 100 requests per 15 minutes');
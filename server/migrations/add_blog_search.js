@@ -0,0 +1,140 @@
+/**
+ * Migration: Full-text search for blog posts
+ * Adds blog_posts.search_vector (weighted: title A, tags B, excerpt C, content D),
+ * kept up to date by triggers on blog_posts, content_tags and tags, plus a GIN index.
+ * Enables pg_trgm for "did you mean" suggestions.
+ */
+
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query('CREATE EXTENSION IF NOT EXISTS pg_trgm;');
+    await client.query('ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS search_vector tsvector;');
+
+    // plpgsql so the function can be created before content_tags exists
+    await client.query(`
+      CREATE OR REPLACE FUNCTION blog_post_search_vector(p_id INTEGER, p_title TEXT, p_excerpt TEXT, p_content TEXT)
+      RETURNS tsvector AS $$
+      DECLARE
+        tag_names TEXT;
+      BEGIN
+        SELECT string_agg(t.name, ' ') INTO tag_names
+        FROM content_tags ct
+        JOIN tags t ON t.id = ct.tag_id
+        WHERE ct.content_id = p_id;
+
+        RETURN setweight(to_tsvector('english', COALESCE(p_title, '')), 'A')
+          || setweight(to_tsvector('english', COALESCE(tag_names, '')), 'B')
+          || setweight(to_tsvector('english', COALESCE(p_excerpt, '')), 'C')
+          || setweight(to_tsvector('english', regexp_replace(COALESCE(p_content, ''), '<[^>]*>', ' ', 'g')), 'D');
+      END;
+      $$ LANGUAGE plpgsql STABLE;
+    `);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION blog_posts_search_vector_update()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        NEW.search_vector := blog_post_search_vector(NEW.id, NEW.title, NEW.excerpt, NEW.content);
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION content_tags_search_vector_update()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        IF TG_OP IN ('UPDATE', 'DELETE') THEN
+          UPDATE blog_posts SET search_vector = blog_post_search_vector(id, title, excerpt, content)
+          WHERE id = OLD.content_id;
+        END IF;
+        IF TG_OP IN ('INSERT', 'UPDATE') THEN
+          UPDATE blog_posts SET search_vector = blog_post_search_vector(id, title, excerpt, content)
+          WHERE id = NEW.content_id;
+        END IF;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION tags_search_vector_update()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        UPDATE blog_posts SET search_vector = blog_post_search_vector(id, title, excerpt, content)
+        WHERE id IN (SELECT content_id FROM content_tags WHERE tag_id = NEW.id);
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await client.query(`
+      DROP TRIGGER IF EXISTS trg_blog_posts_search_vector ON blog_posts;
+      CREATE TRIGGER trg_blog_posts_search_vector
+      BEFORE INSERT OR UPDATE OF title, excerpt, content ON blog_posts
+      FOR EACH ROW EXECUTE FUNCTION blog_posts_search_vector_update();
+
+      DROP TRIGGER IF EXISTS trg_content_tags_search_vector ON content_tags;
+      CREATE TRIGGER trg_content_tags_search_vector
+      AFTER INSERT OR UPDATE OR DELETE ON content_tags
+      FOR EACH ROW EXECUTE FUNCTION content_tags_search_vector_update();
+
+      DROP TRIGGER IF EXISTS trg_tags_search_vector ON tags;
+      CREATE TRIGGER trg_tags_search_vector
+      AFTER UPDATE OF name ON tags
+      FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name)
+      EXECUTE FUNCTION tags_search_vector_update();
+    `);
+    logger.info('✓ Created search_vector triggers');
+
+    const backfill = await client.query(
+      'UPDATE blog_posts SET search_vector = blog_post_search_vector(id, title, excerpt, content);'
+    );
+    logger.info(`✓ Indexed ${backfill.rowCount} existing posts`);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_blog_posts_search ON blog_posts USING GIN (search_vector);');
+
+    await client.query('COMMIT');
+    logger.info('✓ Added full-text search to blog_posts');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error adding blog full-text search:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`
+      DROP TRIGGER IF EXISTS trg_tags_search_vector ON tags;
+      DROP TRIGGER IF EXISTS trg_content_tags_search_vector ON content_tags;
+      DROP TRIGGER IF EXISTS trg_blog_posts_search_vector ON blog_posts;
+      DROP FUNCTION IF EXISTS tags_search_vector_update();
+      DROP FUNCTION IF EXISTS content_tags_search_vector_update();
+      DROP FUNCTION IF EXISTS blog_posts_search_vector_update();
+      DROP FUNCTION IF EXISTS blog_post_search_vector(INTEGER, TEXT, TEXT, TEXT);
+      DROP INDEX IF EXISTS idx_blog_posts_search;
+      ALTER TABLE blog_posts DROP COLUMN IF EXISTS search_vector;
+    `);
+    await client.query('COMMIT');
+    logger.info('✓ Removed full-text search from blog_posts');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error removing blog full-text search:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export { up, down };
@@ -0,0 +1,64 @@
+/**
+ * Migration: Block document content
+ * Adds content_blocks (JSONB block document) to blog posts, revisions and autosave drafts,
+ * then imports every existing post's HTML through the HTML-to-blocks importer.
+ * blog_posts.content is re-rendered from the blocks; the original HTML stays available
+ * in blog_post_revisions.
+ */
+
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+import { htmlToDocument, renderDocument } from '../utils/blocks.js';
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query('ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS content_blocks JSONB;');
+    await client.query('ALTER TABLE blog_post_revisions ADD COLUMN IF NOT EXISTS content_blocks JSONB;');
+    await client.query('ALTER TABLE blog_post_drafts ADD COLUMN IF NOT EXISTS content_blocks JSONB;');
+    logger.info('✓ Added content_blocks columns');
+
+    const { rows } = await client.query(
+      'SELECT id, content FROM blog_posts WHERE content_blocks IS NULL ORDER BY id'
+    );
+
+    for (const post of rows) {
+      const document = htmlToDocument(post.content);
+      await client.query(
+        'UPDATE blog_posts SET content_blocks = $1, content = $2 WHERE id = $3',
+        [JSON.stringify(document), renderDocument(document), post.id]
+      );
+    }
+
+    await client.query('COMMIT');
+    logger.info(`✓ Imported ${rows.length} existing post(s) into block documents`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error adding content_blocks:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('ALTER TABLE blog_post_drafts DROP COLUMN IF EXISTS content_blocks;');
+    await client.query('ALTER TABLE blog_post_revisions DROP COLUMN IF EXISTS content_blocks;');
+    await client.query('ALTER TABLE blog_posts DROP COLUMN IF EXISTS content_blocks;');
+    await client.query('COMMIT');
+    logger.info('✓ Removed content_blocks columns (content keeps the rendered HTML)');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error removing content_blocks:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export { up, down };
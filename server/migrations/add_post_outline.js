@@ -0,0 +1,66 @@
+/**
+ * Migration: Post outline
+ * Adds word_count, reading_time (minutes) and toc (h2/h3 headings with their anchor ids)
+ * to blog posts, and computes them for existing posts. They are kept up to date on save.
+ */
+
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+import { htmlToDocument, documentOutline } from '../utils/blocks.js';
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      ALTER TABLE blog_posts
+        ADD COLUMN IF NOT EXISTS word_count INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS reading_time INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS toc JSONB NOT NULL DEFAULT '[]';
+    `);
+    logger.info('✓ Added word_count, reading_time and toc columns');
+
+    const { rows } = await client.query('SELECT id, content, content_blocks FROM blog_posts ORDER BY id');
+
+    for (const post of rows) {
+      const outline = documentOutline(post.content_blocks || htmlToDocument(post.content));
+      await client.query(
+        'UPDATE blog_posts SET word_count = $1, reading_time = $2, toc = $3 WHERE id = $4',
+        [outline.wordCount, outline.readingTime, JSON.stringify(outline.toc), post.id]
+      );
+    }
+
+    await client.query('COMMIT');
+    logger.info(`✓ Computed the outline of ${rows.length} existing post(s)`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error adding post outline:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`
+      ALTER TABLE blog_posts
+        DROP COLUMN IF EXISTS toc,
+        DROP COLUMN IF EXISTS reading_time,
+        DROP COLUMN IF EXISTS word_count;
+    `);
+    await client.query('COMMIT');
+    logger.info('✓ Removed word_count, reading_time and toc columns');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error removing post outline:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export { up, down };
@@ -0,0 +1,78 @@
+/**
+ * Migration: Referrer rules
+ * Admin-editable rules that classify hits into a source and channel (see utils/trafficSources.js),
+ * seeded with the defaults. Adds the channel to traffic_events and user_sessions and classifies
+ * the existing rows with the new rules.
+ */
+
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+import { DEFAULT_RULES, reclassifyHistory } from '../utils/trafficSources.js';
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS referrer_rules (
+        id SERIAL PRIMARY KEY,
+        match_type VARCHAR(10) NOT NULL CHECK (match_type IN ('domain', 'hint')),
+        pattern VARCHAR(100) NOT NULL,
+        source VARCHAR(32) NOT NULL,
+        channel VARCHAR(20) NOT NULL CHECK (channel IN ('organic_search', 'social', 'email', 'referral', 'direct')),
+        priority INTEGER NOT NULL DEFAULT 100,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (match_type, pattern)
+      );
+    `);
+
+    await client.query(`
+      INSERT INTO referrer_rules (match_type, pattern, source, channel, priority)
+      SELECT * FROM UNNEST($1::varchar[], $2::varchar[], $3::varchar[], $4::varchar[], $5::int[])
+      ON CONFLICT (match_type, pattern) DO NOTHING
+    `, [
+      DEFAULT_RULES.map(rule => rule.match_type),
+      DEFAULT_RULES.map(rule => rule.pattern),
+      DEFAULT_RULES.map(rule => rule.source),
+      DEFAULT_RULES.map(rule => rule.channel),
+      DEFAULT_RULES.map(rule => rule.priority),
+    ]);
+    logger.info('✓ referrer_rules table created with the default rules');
+
+    await client.query('ALTER TABLE traffic_events ADD COLUMN IF NOT EXISTS channel TEXT NULL;');
+    await client.query('ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS channel TEXT NULL;');
+
+    const updated = await reclassifyHistory(client);
+
+    await client.query('COMMIT');
+    logger.info(`✓ Classified ${updated.traffic_events} traffic events and ${updated.sessions} sessions`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error creating referrer rules:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('ALTER TABLE user_sessions DROP COLUMN IF EXISTS channel;');
+    await client.query('ALTER TABLE traffic_events DROP COLUMN IF EXISTS channel;');
+    await client.query('DROP TABLE IF EXISTS referrer_rules;');
+    await client.query('COMMIT');
+    logger.info('✓ referrer rules removed');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error removing referrer rules:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export { up, down };
@@ -0,0 +1,55 @@
+/**
+ * Migration: Scheduled publishing
+ * Adds scheduled_for to blog_posts. Posts with status 'scheduled' are flipped to
+ * 'published' by utils/publishScheduler.js once scheduled_for has passed.
+ */
+
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      ALTER TABLE blog_posts
+      ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMPTZ NULL;
+    `);
+
+    // The scheduler only ever looks at scheduled posts
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_blog_posts_scheduled_for
+        ON blog_posts(scheduled_for)
+        WHERE status = 'scheduled';
+    `);
+
+    await client.query('COMMIT');
+    logger.info('✓ Added scheduled_for column to blog_posts table');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error adding scheduled_for column:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DROP INDEX IF EXISTS idx_blog_posts_scheduled_for;');
+    await client.query('ALTER TABLE blog_posts DROP COLUMN IF EXISTS scheduled_for;');
+    await client.query('COMMIT');
+    logger.info('✓ Removed scheduled_for column from blog_posts table');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error removing scheduled_for column:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export { up, down };
@@ -0,0 +1,59 @@
+/**
+ * Migration: Section view events
+ * Allows the 'section_view' engagement event: how long each block of a post (paragraph index,
+ * grouped by the h2/h3 section it belongs to) stayed in the reader's viewport.
+ */
+
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+
+const EVENT_TYPES = [
+  'view', 'scroll_milestone', 'time_milestone', 'click',
+  'share', 'comment', 'like', 'bookmark', 'exit', 'cta_click',
+  'newsletter_signup', 'form_submit', 'copy_link', 'outbound_click',
+  'internal_click'
+];
+
+function eventTypeCheck(types) {
+  return `
+    ALTER TABLE blog_engagement_events
+      DROP CONSTRAINT IF EXISTS blog_engagement_events_event_type_check,
+      ADD CONSTRAINT blog_engagement_events_event_type_check
+        CHECK (event_type IN (${types.map(type => `'${type}'`).join(', ')}));
+  `;
+}
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(eventTypeCheck([...EVENT_TYPES, 'section_view']));
+    await client.query('COMMIT');
+    logger.info('✓ Added section_view engagement event type');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error adding section_view event type:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query("DELETE FROM blog_engagement_events WHERE event_type = 'section_view'");
+    await client.query(eventTypeCheck(EVENT_TYPES));
+    await client.query('COMMIT');
+    logger.info('✓ Removed section_view engagement event type');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error removing section_view event type:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export { up, down };
@@ -0,0 +1,73 @@
+/**
+ * Migration: UTM attribution
+ * Stores the utm_* parameters of the landing URL on visitors (first touch) and sessions,
+ * and the visitor on newsletter subscriptions so they can be credited to a campaign.
+ */
+
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+
+const UTM_COLUMNS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    for (const table of ['visitors', 'user_sessions']) {
+      await client.query(`
+        ALTER TABLE ${table}
+          ${UTM_COLUMNS.map(column => `ADD COLUMN IF NOT EXISTS ${column} TEXT NULL`).join(',\n          ')};
+      `);
+    }
+    logger.info('✓ Added UTM columns to visitors and user_sessions');
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_utm_campaign
+        ON user_sessions(utm_campaign, started_at) WHERE utm_campaign IS NOT NULL;
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_visitors_utm_campaign
+        ON visitors(utm_campaign) WHERE utm_campaign IS NOT NULL;
+    `);
+
+    await client.query(`
+      ALTER TABLE newsletter_subscriptions ADD COLUMN IF NOT EXISTS visitor_id UUID NULL;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('✓ Added visitor_id to newsletter_subscriptions');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error adding UTM attribution:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('ALTER TABLE newsletter_subscriptions DROP COLUMN IF EXISTS visitor_id;');
+    await client.query('DROP INDEX IF EXISTS idx_visitors_utm_campaign;');
+    await client.query('DROP INDEX IF EXISTS idx_user_sessions_utm_campaign;');
+    for (const table of ['visitors', 'user_sessions']) {
+      await client.query(`
+        ALTER TABLE ${table}
+          ${UTM_COLUMNS.map(column => `DROP COLUMN IF EXISTS ${column}`).join(',\n          ')};
+      `);
+    }
+    await client.query('COMMIT');
+    logger.info('✓ Removed UTM attribution columns');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error removing UTM attribution:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export { up, down };
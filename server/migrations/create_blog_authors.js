@@ -0,0 +1,104 @@
+/**
+ * Migration: Blog authors
+ * Author profiles (name, bio, avatar, social links) and the authors of each post in byline
+ * order. A profile may belong to a user; guest authors have none. Existing posts get a
+ * profile for the user who wrote them.
+ */
+
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS blog_authors (
+        id SERIAL PRIMARY KEY,
+        user_id UUID UNIQUE REFERENCES users(id) ON DELETE SET NULL,
+        name VARCHAR(100) NOT NULL,
+        slug VARCHAR(120) NOT NULL UNIQUE,
+        bio TEXT,
+        avatar_url TEXT,
+        social_links JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    logger.info('✓ blog_authors table created');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS blog_post_authors (
+        post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+        author_id INTEGER NOT NULL REFERENCES blog_authors(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        PRIMARY KEY (post_id, author_id)
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_blog_post_authors_author
+        ON blog_post_authors(author_id);
+    `);
+
+    logger.info('✓ blog_post_authors table created');
+
+    // Profiles for users who have written posts. Slugs come from the name (or the email's
+    // local part); a numeric suffix keeps them unique.
+    await client.query(`
+      INSERT INTO blog_authors (user_id, name, slug, avatar_url)
+      SELECT id, name, CASE WHEN n = 1 THEN base ELSE base || '-' || n END, avatar_url
+      FROM (
+        SELECT u.id, COALESCE(NULLIF(u.name, ''), split_part(u.email, '@', 1)) AS name, u.avatar_url,
+          base.slug AS base,
+          ROW_NUMBER() OVER (PARTITION BY base.slug ORDER BY u.created_at, u.id) AS n
+        FROM users u
+        CROSS JOIN LATERAL (
+          SELECT COALESCE(NULLIF(trim(BOTH '-' FROM regexp_replace(
+            lower(COALESCE(NULLIF(u.name, ''), split_part(u.email, '@', 1))), '[^a-z0-9]+', '-', 'g'
+          )), ''), 'author') AS slug
+        ) base
+        WHERE EXISTS (SELECT 1 FROM blog_posts bp WHERE bp.author_id = u.id)
+      ) candidates
+      ON CONFLICT DO NOTHING;
+    `);
+
+    await client.query(`
+      INSERT INTO blog_post_authors (post_id, author_id, position)
+      SELECT bp.id, ba.id, 1
+      FROM blog_posts bp
+      JOIN blog_authors ba ON ba.user_id = bp.author_id
+      ON CONFLICT DO NOTHING;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('✓ Existing posts linked to their authors');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error creating blog author tables:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DROP TABLE IF EXISTS blog_post_authors CASCADE;');
+    await client.query('DROP TABLE IF EXISTS blog_authors CASCADE;');
+    await client.query('COMMIT');
+    logger.info('✓ blog author tables dropped successfully');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error dropping blog author tables:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export { up, down };
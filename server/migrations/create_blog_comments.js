@@ -0,0 +1,74 @@
+/**
+ * Migration: Blog comments
+ * Threaded comments from verified users. New comments wait in a moderation queue
+ * (status 'pending') and only approved ones are shown and counted in
+ * blog_post_analytics.comments_count.
+ */
+
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS blog_comments (
+        id SERIAL PRIMARY KEY,
+        post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+        user_id UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+        parent_id INTEGER NULL REFERENCES blog_comments(id) ON DELETE CASCADE,
+        body TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'approved', 'rejected', 'spam')),
+        moderated_by UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+        moderated_at TIMESTAMPTZ NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_blog_comments_post
+        ON blog_comments(post_id, status, created_at);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_blog_comments_status
+        ON blog_comments(status, created_at DESC);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_blog_comments_user
+        ON blog_comments(user_id, created_at DESC);
+    `);
+
+    await client.query('COMMIT');
+    logger.info('✓ blog_comments table created');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error creating blog_comments table:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DROP TABLE IF EXISTS blog_comments CASCADE;');
+    await client.query('COMMIT');
+    logger.info('✓ blog_comments table dropped successfully');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error dropping blog_comments table:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export { up, down };
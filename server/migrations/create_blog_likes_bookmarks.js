@@ -0,0 +1,74 @@
+/**
+ * Migration: Blog likes and bookmarks
+ * One row per user and post in each table, so liking and bookmarking are idempotent.
+ * Bookmarks make up the reader's reading list; both feed blog_post_analytics
+ * (likes_count, bookmarks_count) and the engagement score.
+ */
+
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS blog_post_likes (
+        post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (post_id, user_id)
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_blog_post_likes_user
+        ON blog_post_likes(user_id, created_at DESC);
+    `);
+
+    logger.info('✓ blog_post_likes table created');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS blog_post_bookmarks (
+        post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (post_id, user_id)
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_blog_post_bookmarks_user
+        ON blog_post_bookmarks(user_id, created_at DESC);
+    `);
+
+    await client.query('COMMIT');
+    logger.info('✓ blog_post_bookmarks table created');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error creating blog like/bookmark tables:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DROP TABLE IF EXISTS blog_post_bookmarks CASCADE;');
+    await client.query('DROP TABLE IF EXISTS blog_post_likes CASCADE;');
+    await client.query('COMMIT');
+    logger.info('✓ blog like/bookmark tables dropped successfully');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error dropping blog like/bookmark tables:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export { up, down };
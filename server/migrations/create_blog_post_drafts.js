@@ -0,0 +1,72 @@
+/**
+ * Migration: Blog post autosave drafts
+ * One autosave slot per post and user (plus one per user for a post that has not been
+ * created yet). Drafts never touch blog_posts; they are cleared when the post is saved.
+ */
+
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS blog_post_drafts (
+        id SERIAL PRIMARY KEY,
+        post_id INTEGER NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        title TEXT NOT NULL DEFAULT '',
+        content TEXT NOT NULL DEFAULT '',
+        excerpt TEXT,
+        image TEXT,
+        niche_id INTEGER NULL,
+        tag_ids INTEGER[] NOT NULL DEFAULT '{}',
+        status VARCHAR(20),
+        scheduled_for TIMESTAMPTZ NULL,
+        base_updated_at TIMESTAMPTZ NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // post_id is NULL for the "new post" slot, which needs its own uniqueness rule
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_blog_post_drafts_post_user
+        ON blog_post_drafts(post_id, user_id)
+        WHERE post_id IS NOT NULL;
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_blog_post_drafts_new_user
+        ON blog_post_drafts(user_id)
+        WHERE post_id IS NULL;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('✓ blog_post_drafts table created');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error creating blog_post_drafts table:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DROP TABLE IF EXISTS blog_post_drafts CASCADE;');
+    await client.query('COMMIT');
+    logger.info('✓ blog_post_drafts table dropped successfully');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error dropping blog_post_drafts table:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export { up, down };
@@ -0,0 +1,73 @@
+/**
+ * Migration: Blog post revisions
+ * Every save of a blog post writes a snapshot of its title, content, excerpt, image,
+ * niche and tags, so earlier versions can be compared and restored.
+ */
+
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS blog_post_revisions (
+        id SERIAL PRIMARY KEY,
+        post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+        title VARCHAR(255) NOT NULL,
+        content TEXT NOT NULL,
+        excerpt TEXT,
+        image TEXT,
+        niche_id INTEGER NULL,
+        tag_ids INTEGER[] NOT NULL DEFAULT '{}',
+        author_id UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+        restored_from INTEGER NULL REFERENCES blog_post_revisions(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_blog_post_revisions_post
+        ON blog_post_revisions(post_id, created_at DESC);
+    `);
+
+    // Seed one revision per existing post so history starts from the current version
+    const { rowCount } = await client.query(`
+      INSERT INTO blog_post_revisions (post_id, title, content, excerpt, image, niche_id, tag_ids, author_id, created_at)
+      SELECT bp.id, bp.title, bp.content, bp.excerpt, bp.image, bp.niche_id,
+        COALESCE((SELECT array_agg(ct.tag_id ORDER BY ct.tag_id) FROM content_tags ct WHERE ct.content_id = bp.id), '{}'),
+        bp.author_id, COALESCE(bp.updated_at, bp.created_at, NOW())
+      FROM blog_posts bp
+      WHERE NOT EXISTS (SELECT 1 FROM blog_post_revisions r WHERE r.post_id = bp.id)
+    `);
+
+    await client.query('COMMIT');
+    logger.info(`✓ blog_post_revisions table created (${rowCount} existing post(s) seeded)`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error creating blog_post_revisions table:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DROP TABLE IF EXISTS blog_post_revisions CASCADE;');
+    await client.query('COMMIT');
+    logger.info('✓ blog_post_revisions table dropped successfully');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error dropping blog_post_revisions table:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export { up, down };
@@ -0,0 +1,71 @@
+/**
+ * Migration: Blog series
+ * A series is an ordered collection of posts ("Part 1 of 5"). A post belongs to at most
+ * one series; position orders the parts and may have gaps, part numbers are counted
+ * from the published posts when the series is read.
+ */
+
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS blog_series (
+        id SERIAL PRIMARY KEY,
+        title VARCHAR(200) NOT NULL,
+        slug VARCHAR(200) NOT NULL UNIQUE,
+        description TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    logger.info('✓ blog_series table created');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS blog_series_posts (
+        series_id INTEGER NOT NULL REFERENCES blog_series(id) ON DELETE CASCADE,
+        post_id INTEGER NOT NULL UNIQUE REFERENCES blog_posts(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        PRIMARY KEY (series_id, post_id)
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_blog_series_posts_order
+        ON blog_series_posts(series_id, position);
+    `);
+
+    await client.query('COMMIT');
+    logger.info('✓ blog_series_posts table created');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error creating blog series tables:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DROP TABLE IF EXISTS blog_series_posts CASCADE;');
+    await client.query('DROP TABLE IF EXISTS blog_series CASCADE;');
+    await client.query('COMMIT');
+    logger.info('✓ blog series tables dropped successfully');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error dropping blog series tables:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export { up, down };
@@ -45,7 +45,7 @@ async function createDashboardView() {
             COALESCE(SUM(CASE WHEN source = 'facebook' THEN 1 ELSE 0 END),0)::BIGINT AS sessions_facebook,
             COALESCE(SUM(CASE WHEN source = 'youtube' THEN 1 ELSE 0 END),0)::BIGINT AS sessions_youtube,
             COALESCE(SUM(CASE WHEN source = 'google' THEN 1 ELSE 0 END),0)::BIGINT AS sessions_google,
-            COALESCE(SUM(CASE WHEN source = 'other' THEN 1 ELSE 0 END),0)::BIGINT AS sessions_others
+            COALESCE(SUM(CASE WHEN source NOT IN ('instagram', 'facebook', 'youtube', 'google') THEN 1 ELSE 0 END),0)::BIGINT AS sessions_others
           FROM user_sessions
           WHERE started_at >= NOW() - INTERVAL '7 days'
         ),
@@ -55,7 +55,7 @@ async function createDashboardView() {
             SELECT COALESCE(NULLIF(v.referrer,''),'(direct)') AS ref, COUNT(*) AS cnt
             FROM user_sessions s
             JOIN visitors v ON v.id = s.visitor_id
-            WHERE s.started_at >= NOW() - INTERVAL '7 days' AND s.source = 'other'
+            WHERE s.started_at >= NOW() - INTERVAL '7 days' AND s.source NOT IN ('instagram', 'facebook', 'youtube', 'google')
             GROUP BY COALESCE(NULLIF(v.referrer,''),'(direct)')
             ORDER BY cnt DESC
             LIMIT 5
@@ -0,0 +1,60 @@
+/**
+ * Migration: Email change tokens
+ * Pending email address changes wait here until the new address is confirmed.
+ * Tokens are stored as SHA-256 hashes, like password_reset_tokens.
+ */
+
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_change_tokens (
+        id BIGSERIAL PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        new_email TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at TIMESTAMPTZ NOT NULL,
+        consumed_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_email_change_active
+        ON email_change_tokens(user_id, expires_at)
+        WHERE consumed_at IS NULL;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('✓ email_change_tokens table created successfully');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error creating email_change_tokens table:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DROP TABLE IF EXISTS email_change_tokens CASCADE;');
+    await client.query('COMMIT');
+    logger.info('✓ email_change_tokens table dropped successfully');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error dropping email_change_tokens table:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export { up, down };
@@ -0,0 +1,89 @@
+/**
+ * Migration: Newsletter campaigns
+ * Campaigns composed in the admin panel (from a blog post or freeform HTML) and
+ * one newsletter_sends row per recipient so delivery can be throttled, resumed
+ * after a restart and reported on.
+ */
+
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS newsletter_campaigns (
+        id SERIAL PRIMARY KEY,
+        subject TEXT NOT NULL,
+        html TEXT NOT NULL,
+        post_id INTEGER NULL REFERENCES blog_posts(id) ON DELETE SET NULL,
+        status TEXT NOT NULL DEFAULT 'draft'
+          CHECK (status IN ('draft', 'queued', 'sending', 'sent')),
+        total_recipients INTEGER NOT NULL DEFAULT 0,
+        created_by UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        queued_at TIMESTAMPTZ NULL,
+        completed_at TIMESTAMPTZ NULL
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_newsletter_campaigns_status
+        ON newsletter_campaigns(status, queued_at);
+    `);
+
+    logger.info('✓ newsletter_campaigns table created');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS newsletter_sends (
+        id BIGSERIAL PRIMARY KEY,
+        campaign_id INTEGER NOT NULL REFERENCES newsletter_campaigns(id) ON DELETE CASCADE,
+        email TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'skipped')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        error TEXT NULL,
+        message_id TEXT NULL,
+        sent_at TIMESTAMPTZ NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE(campaign_id, email)
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_newsletter_sends_campaign_status
+        ON newsletter_sends(campaign_id, status);
+    `);
+
+    await client.query('COMMIT');
+    logger.info('✓ newsletter_sends table created');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error creating newsletter campaign tables:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DROP TABLE IF EXISTS newsletter_sends CASCADE;');
+    await client.query('DROP TABLE IF EXISTS newsletter_campaigns CASCADE;');
+    await client.query('COMMIT');
+    logger.info('✓ newsletter campaign tables dropped successfully');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error dropping newsletter campaign tables:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export { up, down };
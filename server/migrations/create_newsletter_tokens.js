@@ -0,0 +1,64 @@
+/**
+ * Migration: Newsletter tokens
+ * Stores SHA-256 hashed, expiring tokens for newsletter confirmation and
+ * unsubscribe links. Tokens reference the subscription by its (unique) email.
+ */
+
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS newsletter_tokens (
+        id BIGSERIAL PRIMARY KEY,
+        email TEXT NOT NULL REFERENCES newsletter_subscriptions(email) ON DELETE CASCADE,
+        purpose TEXT NOT NULL CHECK (purpose IN ('verify', 'unsubscribe')),
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at TIMESTAMPTZ NOT NULL,
+        consumed_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_newsletter_tokens_email
+        ON newsletter_tokens(email, purpose);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_newsletter_tokens_expires
+        ON newsletter_tokens(expires_at);
+    `);
+
+    await client.query('COMMIT');
+    logger.info('✓ newsletter_tokens table created successfully');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error creating newsletter_tokens table:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DROP TABLE IF EXISTS newsletter_tokens CASCADE;');
+    await client.query('COMMIT');
+    logger.info('✓ newsletter_tokens table dropped successfully');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error dropping newsletter_tokens table:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export { up, down };
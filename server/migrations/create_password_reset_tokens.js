@@ -0,0 +1,66 @@
+/**
+ * Migration: Password reset tokens
+ * Stores single-use, expiring password reset tokens (SHA-256 hashed) next to
+ * email_verification_tokens, and tracks when a user's password last changed
+ * so that JWTs issued before a reset can be rejected.
+ */
+
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id BIGSERIAL PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at TIMESTAMPTZ NOT NULL,
+        consumed_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_password_reset_active
+        ON password_reset_tokens(user_id, expires_at)
+        WHERE consumed_at IS NULL;
+    `);
+
+    await client.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('✓ password_reset_tokens table and users.password_changed_at created successfully');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error creating password_reset_tokens table:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DROP TABLE IF EXISTS password_reset_tokens CASCADE;');
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS password_changed_at;');
+    await client.query('COMMIT');
+    logger.info('✓ password_reset_tokens table dropped successfully');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error dropping password_reset_tokens table:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export { up, down };
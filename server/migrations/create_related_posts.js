@@ -0,0 +1,85 @@
+/**
+ * Migration: Related posts
+ * blog_post_similarity holds the precomputed text (TF-IDF) and co-reading scores per post pair,
+ * rebuilt periodically by utils/relatedPostsIndexer.js. blog_related_post_events records
+ * impressions and clicks of the "related articles" block per strategy, so the strategies
+ * can be compared by click-through rate.
+ */
+
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS blog_post_similarity (
+        post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+        related_post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+        text_score REAL NOT NULL DEFAULT 0,
+        coread_score REAL NOT NULL DEFAULT 0,
+        computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (post_id, related_post_id)
+      );
+    `);
+
+    logger.info('✓ blog_post_similarity table created');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS blog_related_post_events (
+        id BIGSERIAL PRIMARY KEY,
+        post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+        related_post_id INTEGER NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+        strategy TEXT NOT NULL,
+        event_type TEXT NOT NULL CHECK (event_type IN ('impression', 'click')),
+        position INTEGER NULL,
+        visitor_id UUID NULL REFERENCES visitors(id) ON DELETE SET NULL,
+        occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_blog_related_post_events_strategy
+        ON blog_related_post_events(strategy, occurred_at DESC);
+    `);
+
+    logger.info('✓ blog_related_post_events table created');
+
+    // Co-reading looks up every post a visitor has read
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_blog_post_sessions_visitor
+        ON blog_post_sessions(visitor_id, post_id);
+    `);
+
+    await client.query('COMMIT');
+    logger.info('✓ blog_post_sessions visitor index created');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error creating related posts tables:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DROP INDEX IF EXISTS idx_blog_post_sessions_visitor;');
+    await client.query('DROP TABLE IF EXISTS blog_related_post_events CASCADE;');
+    await client.query('DROP TABLE IF EXISTS blog_post_similarity CASCADE;');
+    await client.query('COMMIT');
+    logger.info('✓ related posts tables dropped successfully');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error dropping related posts tables:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export { up, down };
@@ -13,6 +13,7 @@
 -- Enable required extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE EXTENSION IF NOT EXISTS pg_stat_statements;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
 
 -- ============================================================================
 -- USERS TABLE
@@ -31,6 +32,7 @@ CREATE TABLE IF NOT EXISTS users (
   source TEXT,
   referrer TEXT,
   landing_path TEXT,
+  password_changed_at TIMESTAMPTZ,
   deleted_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
@@ -83,6 +85,37 @@ CREATE TABLE IF NOT EXISTS email_verification_tokens (
   consumed_at TIMESTAMPTZ
 );
 
+-- ============================================================================
+-- PASSWORD RESET TOKENS TABLE
+-- ============================================================================
+-- Single-use password reset tokens for local accounts (stored as SHA-256 hashes)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  consumed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_active ON password_reset_tokens(user_id, expires_at) WHERE consumed_at IS NULL;
+
+-- ============================================================================
+-- EMAIL CHANGE TOKENS TABLE
+-- ============================================================================
+-- Pending email address changes, confirmed from the new address (stored as SHA-256 hashes)
+CREATE TABLE IF NOT EXISTS email_change_tokens (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  new_email TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  consumed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_change_active ON email_change_tokens(user_id, expires_at) WHERE consumed_at IS NULL;
+
 -- ============================================================================
 -- NEWSLETTER SUBSCRIPTIONS TABLE
 -- ============================================================================
@@ -90,6 +123,7 @@ CREATE TABLE IF NOT EXISTS newsletter_subscriptions (
   id BIGSERIAL PRIMARY KEY,
   email TEXT NOT NULL UNIQUE,
   verified BOOLEAN NOT NULL DEFAULT FALSE,
+  visitor_id UUID NULL,
   deleted_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -98,6 +132,20 @@ CREATE TABLE IF NOT EXISTS newsletter_subscriptions (
 CREATE INDEX IF NOT EXISTS idx_newsletter_active ON newsletter_subscriptions(email) WHERE deleted_at IS NULL;
 CREATE INDEX IF NOT EXISTS idx_newsletter_email ON newsletter_subscriptions(email) WHERE deleted_at IS NULL;
 
+-- Newsletter confirmation / unsubscribe tokens (SHA-256 hashed)
+CREATE TABLE IF NOT EXISTS newsletter_tokens (
+  id BIGSERIAL PRIMARY KEY,
+  email TEXT NOT NULL REFERENCES newsletter_subscriptions(email) ON DELETE CASCADE,
+  purpose TEXT NOT NULL CHECK (purpose IN ('verify', 'unsubscribe')),
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  consumed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_tokens_email ON newsletter_tokens(email, purpose);
+CREATE INDEX IF NOT EXISTS idx_newsletter_tokens_expires ON newsletter_tokens(expires_at);
+
 -- ============================================================================
 -- BLOG POSTS TABLE
 -- ============================================================================
@@ -105,6 +153,10 @@ CREATE TABLE IF NOT EXISTS blog_posts (
   id SERIAL PRIMARY KEY,
   title VARCHAR(255) NOT NULL,
   content TEXT NOT NULL,
+  content_blocks JSONB,
+  word_count INTEGER NOT NULL DEFAULT 0,
+  reading_time INTEGER NOT NULL DEFAULT 0,
+  toc JSONB NOT NULL DEFAULT '[]',
   excerpt TEXT,
   slug VARCHAR(255) UNIQUE,
   status VARCHAR(20) DEFAULT 'draft',
@@ -112,12 +164,15 @@ CREATE TABLE IF NOT EXISTS blog_posts (
   image TEXT,
   created_at TIMESTAMP DEFAULT NOW(),
   updated_at TIMESTAMP DEFAULT NOW(),
-  published_at TIMESTAMP
+  published_at TIMESTAMP,
+  scheduled_for TIMESTAMPTZ,
+  search_vector tsvector
 );
 
 CREATE INDEX IF NOT EXISTS idx_blog_posts_status ON blog_posts(status);
 CREATE INDEX IF NOT EXISTS idx_blog_posts_slug ON blog_posts(slug);
 CREATE INDEX IF NOT EXISTS idx_blog_posts_status_time ON blog_posts(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_blog_posts_scheduled_for ON blog_posts(scheduled_for) WHERE status = 'scheduled';
 
 -- ============================================================================
 -- TAGS TABLE
@@ -147,6 +202,251 @@ CREATE TABLE IF NOT EXISTS blog_post_tags (
 CREATE INDEX IF NOT EXISTS idx_blog_post_tags_post ON blog_post_tags(blog_post_id);
 CREATE INDEX IF NOT EXISTS idx_blog_post_tags_tag ON blog_post_tags(tag_id);
 
+-- ============================================================================
+-- BLOG SEARCH
+-- ============================================================================
+-- search_vector weights: title A, tag names B, excerpt C, content D
+CREATE OR REPLACE FUNCTION blog_post_search_vector(p_id INTEGER, p_title TEXT, p_excerpt TEXT, p_content TEXT)
+RETURNS tsvector AS $$
+DECLARE
+  tag_names TEXT;
+BEGIN
+  SELECT string_agg(t.name, ' ') INTO tag_names
+  FROM content_tags ct
+  JOIN tags t ON t.id = ct.tag_id
+  WHERE ct.content_id = p_id;
+
+  RETURN setweight(to_tsvector('english', COALESCE(p_title, '')), 'A')
+    || setweight(to_tsvector('english', COALESCE(tag_names, '')), 'B')
+    || setweight(to_tsvector('english', COALESCE(p_excerpt, '')), 'C')
+    || setweight(to_tsvector('english', regexp_replace(COALESCE(p_content, ''), '<[^>]*>', ' ', 'g')), 'D');
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+CREATE OR REPLACE FUNCTION blog_posts_search_vector_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_vector := blog_post_search_vector(NEW.id, NEW.title, NEW.excerpt, NEW.content);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION content_tags_search_vector_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    UPDATE blog_posts SET search_vector = blog_post_search_vector(id, title, excerpt, content)
+    WHERE id = OLD.content_id;
+  END IF;
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    UPDATE blog_posts SET search_vector = blog_post_search_vector(id, title, excerpt, content)
+    WHERE id = NEW.content_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION tags_search_vector_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE blog_posts SET search_vector = blog_post_search_vector(id, title, excerpt, content)
+  WHERE id IN (SELECT content_id FROM content_tags WHERE tag_id = NEW.id);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_blog_posts_search_vector ON blog_posts;
+CREATE TRIGGER trg_blog_posts_search_vector
+BEFORE INSERT OR UPDATE OF title, excerpt, content ON blog_posts
+FOR EACH ROW EXECUTE FUNCTION blog_posts_search_vector_update();
+
+DROP TRIGGER IF EXISTS trg_tags_search_vector ON tags;
+CREATE TRIGGER trg_tags_search_vector
+AFTER UPDATE OF name ON tags
+FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name)
+EXECUTE FUNCTION tags_search_vector_update();
+
+-- Post tags live in content_tags (created outside this file); attach when it exists
+DO $$
+BEGIN
+  IF to_regclass('content_tags') IS NOT NULL THEN
+    DROP TRIGGER IF EXISTS trg_content_tags_search_vector ON content_tags;
+    CREATE TRIGGER trg_content_tags_search_vector
+    AFTER INSERT OR UPDATE OR DELETE ON content_tags
+    FOR EACH ROW EXECUTE FUNCTION content_tags_search_vector_update();
+  END IF;
+END
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_blog_posts_search ON blog_posts USING GIN (search_vector);
+
+-- ============================================================================
+-- BLOG POST REVISIONS
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS blog_post_revisions (
+  id SERIAL PRIMARY KEY,
+  post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  content TEXT NOT NULL,
+  content_blocks JSONB,
+  excerpt TEXT,
+  image TEXT,
+  niche_id INTEGER,
+  tag_ids INTEGER[] NOT NULL DEFAULT '{}',
+  author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  restored_from INTEGER REFERENCES blog_post_revisions(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_post_revisions_post ON blog_post_revisions(post_id, created_at DESC);
+
+-- ============================================================================
+-- BLOG POST DRAFTS (editor autosave)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS blog_post_drafts (
+  id SERIAL PRIMARY KEY,
+  post_id INTEGER REFERENCES blog_posts(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title TEXT NOT NULL DEFAULT '',
+  content TEXT NOT NULL DEFAULT '',
+  content_blocks JSONB,
+  excerpt TEXT,
+  image TEXT,
+  niche_id INTEGER,
+  tag_ids INTEGER[] NOT NULL DEFAULT '{}',
+  status VARCHAR(20),
+  scheduled_for TIMESTAMPTZ,
+  base_updated_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_blog_post_drafts_post_user ON blog_post_drafts(post_id, user_id) WHERE post_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_blog_post_drafts_new_user ON blog_post_drafts(user_id) WHERE post_id IS NULL;
+
+-- ============================================================================
+-- BLOG COMMENTS (moderated, threaded)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS blog_comments (
+  id SERIAL PRIMARY KEY,
+  post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  user_id UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+  parent_id INTEGER NULL REFERENCES blog_comments(id) ON DELETE CASCADE,
+  body TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'spam')),
+  moderated_by UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+  moderated_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_comments_post ON blog_comments(post_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_blog_comments_status ON blog_comments(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_blog_comments_user ON blog_comments(user_id, created_at DESC);
+
+-- ============================================================================
+-- BLOG LIKES & BOOKMARKS (reading list)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS blog_post_likes (
+  post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (post_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_post_likes_user ON blog_post_likes(user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS blog_post_bookmarks (
+  post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (post_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_post_bookmarks_user ON blog_post_bookmarks(user_id, created_at DESC);
+
+-- ============================================================================
+-- BLOG SERIES (ordered multi-part posts)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS blog_series (
+  id SERIAL PRIMARY KEY,
+  title VARCHAR(200) NOT NULL,
+  slug VARCHAR(200) NOT NULL UNIQUE,
+  description TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- A post belongs to at most one series
+CREATE TABLE IF NOT EXISTS blog_series_posts (
+  series_id INTEGER NOT NULL REFERENCES blog_series(id) ON DELETE CASCADE,
+  post_id INTEGER NOT NULL UNIQUE REFERENCES blog_posts(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  PRIMARY KEY (series_id, post_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_series_posts_order ON blog_series_posts(series_id, position);
+
+-- ============================================================================
+-- BLOG AUTHORS (profiles and bylines)
+-- ============================================================================
+-- A profile may belong to a user; guest authors have none
+CREATE TABLE IF NOT EXISTS blog_authors (
+  id SERIAL PRIMARY KEY,
+  user_id UUID UNIQUE REFERENCES users(id) ON DELETE SET NULL,
+  name VARCHAR(100) NOT NULL,
+  slug VARCHAR(120) NOT NULL UNIQUE,
+  bio TEXT,
+  avatar_url TEXT,
+  social_links JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Authors of a post in byline order
+CREATE TABLE IF NOT EXISTS blog_post_authors (
+  post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  author_id INTEGER NOT NULL REFERENCES blog_authors(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  PRIMARY KEY (post_id, author_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_post_authors_author ON blog_post_authors(author_id);
+
+-- ============================================================================
+-- NEWSLETTER CAMPAIGNS
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS newsletter_campaigns (
+  id SERIAL PRIMARY KEY,
+  subject TEXT NOT NULL,
+  html TEXT NOT NULL,
+  post_id INTEGER NULL REFERENCES blog_posts(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'queued', 'sending', 'sent')),
+  total_recipients INTEGER NOT NULL DEFAULT 0,
+  created_by UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  queued_at TIMESTAMPTZ NULL,
+  completed_at TIMESTAMPTZ NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_campaigns_status ON newsletter_campaigns(status, queued_at);
+
+-- Per-recipient delivery status
+CREATE TABLE IF NOT EXISTS newsletter_sends (
+  id BIGSERIAL PRIMARY KEY,
+  campaign_id INTEGER NOT NULL REFERENCES newsletter_campaigns(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'skipped')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error TEXT NULL,
+  message_id TEXT NULL,
+  sent_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE(campaign_id, email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_sends_campaign_status ON newsletter_sends(campaign_id, status);
+
 -- ============================================================================
 -- VISITORS & SESSION TRACKING TABLES
 -- ============================================================================
@@ -158,6 +458,11 @@ CREATE TABLE IF NOT EXISTS visitors (
   source TEXT NOT NULL DEFAULT 'other',
   referrer TEXT NULL,
   landing_path TEXT NULL,
+  utm_source TEXT NULL,
+  utm_medium TEXT NULL,
+  utm_campaign TEXT NULL,
+  utm_term TEXT NULL,
+  utm_content TEXT NULL,
   first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   sessions_count INTEGER DEFAULT 0,
@@ -167,6 +472,7 @@ CREATE TABLE IF NOT EXISTS visitors (
 CREATE INDEX IF NOT EXISTS idx_visitors_user_id ON visitors(user_id);
 CREATE INDEX IF NOT EXISTS idx_visitors_source ON visitors(source);
 CREATE INDEX IF NOT EXISTS idx_visitors_active ON visitors(id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_visitors_utm_campaign ON visitors(utm_campaign) WHERE utm_campaign IS NOT NULL;
 
 -- User sessions table: tracks individual browsing sessions
 CREATE TABLE IF NOT EXISTS user_sessions (
@@ -174,9 +480,15 @@ CREATE TABLE IF NOT EXISTS user_sessions (
   visitor_id UUID NOT NULL,
   user_id UUID NULL,
   source TEXT NOT NULL DEFAULT 'other',
+  channel TEXT NULL,
   landing_path TEXT NULL,
   user_agent TEXT NULL,
   ip TEXT NULL,
+  utm_source TEXT NULL,
+  utm_medium TEXT NULL,
+  utm_campaign TEXT NULL,
+  utm_term TEXT NULL,
+  utm_content TEXT NULL,
   started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   ended_at TIMESTAMPTZ NULL,
@@ -190,6 +502,7 @@ CREATE INDEX IF NOT EXISTS idx_user_sessions_started_at ON user_sessions(started
 -- Performance indexes for sessions
 CREATE INDEX IF NOT EXISTS idx_user_sessions_visitor_time ON user_sessions(visitor_id, started_at DESC);
 CREATE INDEX IF NOT EXISTS idx_user_sessions_user_time ON user_sessions(user_id, started_at DESC) WHERE user_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_user_sessions_utm_campaign ON user_sessions(utm_campaign, started_at) WHERE utm_campaign IS NOT NULL;
 
 -- Session events table: tracks individual page views within sessions
 CREATE TABLE IF NOT EXISTS session_events (
@@ -220,6 +533,7 @@ CREATE TABLE IF NOT EXISTS traffic_events (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   source TEXT NOT NULL DEFAULT 'other',
+  channel TEXT NULL,
   referrer TEXT NULL,
   path TEXT NOT NULL,
   user_agent TEXT NULL,
@@ -233,6 +547,81 @@ CREATE INDEX IF NOT EXISTS idx_traffic_events_source ON traffic_events(source);
 CREATE INDEX IF NOT EXISTS idx_traffic_events_source_time ON traffic_events(source, occurred_at DESC);
 CREATE INDEX IF NOT EXISTS idx_traffic_events_time ON traffic_events(occurred_at DESC);
 
+-- Referrer rules: classify hits into a source and channel (see server/utils/trafficSources.js)
+-- Hint rules match the ?source= / utm_source hint, domain rules the referrer host; lowest priority first
+CREATE TABLE IF NOT EXISTS referrer_rules (
+  id SERIAL PRIMARY KEY,
+  match_type VARCHAR(10) NOT NULL CHECK (match_type IN ('domain', 'hint')),
+  pattern VARCHAR(100) NOT NULL,
+  source VARCHAR(32) NOT NULL,
+  channel VARCHAR(20) NOT NULL CHECK (channel IN ('organic_search', 'social', 'email', 'referral', 'direct')),
+  priority INTEGER NOT NULL DEFAULT 100,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (match_type, pattern)
+);
+
+INSERT INTO referrer_rules (match_type, pattern, source, channel, priority) VALUES
+  ('hint', 'newsletter', 'email', 'email', 10),
+  ('hint', 'email', 'email', 'email', 10),
+  ('hint', 'instagram', 'instagram', 'social', 20),
+  ('hint', 'facebook', 'facebook', 'social', 20),
+  ('hint', 'fb', 'facebook', 'social', 20),
+  ('hint', 'youtube', 'youtube', 'social', 20),
+  ('hint', 'twitter', 'twitter', 'social', 20),
+  ('hint', 'google', 'google', 'organic_search', 20),
+  ('domain', 'mail.google.com', 'email', 'email', 50),
+  ('domain', 'outlook.live.com', 'email', 'email', 50),
+  ('domain', 'instagram.com', 'instagram', 'social', 100),
+  ('domain', 'facebook.com', 'facebook', 'social', 100),
+  ('domain', 'fb.com', 'facebook', 'social', 100),
+  ('domain', 'youtube.com', 'youtube', 'social', 100),
+  ('domain', 'youtu.be', 'youtube', 'social', 100),
+  ('domain', 'twitter.com', 'twitter', 'social', 100),
+  ('domain', 'x.com', 'twitter', 'social', 100),
+  ('domain', 't.co', 'twitter', 'social', 100),
+  ('domain', 'google.*', 'google', 'organic_search', 100),
+  ('domain', 'bing.com', 'bing', 'organic_search', 100),
+  ('domain', 'duckduckgo.com', 'duckduckgo', 'organic_search', 100)
+ON CONFLICT (match_type, pattern) DO NOTHING;
+
+-- ============================================================================
+-- RELATED POSTS
+-- ============================================================================
+-- Text (TF-IDF) and co-reading scores per post pair, rebuilt by utils/relatedPostsIndexer.js
+CREATE TABLE IF NOT EXISTS blog_post_similarity (
+  post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  related_post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  text_score REAL NOT NULL DEFAULT 0,
+  coread_score REAL NOT NULL DEFAULT 0,
+  computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (post_id, related_post_id)
+);
+
+-- Impressions and clicks of the related posts block, per strategy
+CREATE TABLE IF NOT EXISTS blog_related_post_events (
+  id BIGSERIAL PRIMARY KEY,
+  post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  related_post_id INTEGER NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  strategy TEXT NOT NULL,
+  event_type TEXT NOT NULL CHECK (event_type IN ('impression', 'click')),
+  position INTEGER NULL,
+  visitor_id UUID NULL REFERENCES visitors(id) ON DELETE SET NULL,
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_related_post_events_strategy ON blog_related_post_events(strategy, occurred_at DESC);
+
+-- ============================================================================
+-- BLOG ENGAGEMENT (migration-only)
+-- ============================================================================
+-- Blog engagement tracking tables (blog_post_analytics, blog_engagement_events, blog_post_sessions,
+-- blog_post_daily_stats) are not part of this file: they are created by
+-- migrations/create_blog_engagement.js (node server/migrations/run_blog_engagement_migration.js up)
+-- after this schema has been loaded, and every later change to them is a migration too:
+--   migrations/add_section_view_events.js  adds 'section_view' to the blog_engagement_events event_type CHECK
+--   migrations/create_related_posts.js     adds idx_blog_post_sessions_visitor (co-reading)
+
 -- ============================================================================
 -- DASHBOARD VIEW
 -- ============================================================================
@@ -256,7 +645,7 @@ WITH
       COALESCE(SUM(CASE WHEN source = 'facebook' THEN 1 ELSE 0 END),0)::BIGINT AS sessions_facebook,
       COALESCE(SUM(CASE WHEN source = 'youtube' THEN 1 ELSE 0 END),0)::BIGINT AS sessions_youtube,
       COALESCE(SUM(CASE WHEN source = 'google' THEN 1 ELSE 0 END),0)::BIGINT AS sessions_google,
-      COALESCE(SUM(CASE WHEN source = 'other' THEN 1 ELSE 0 END),0)::BIGINT AS sessions_others
+      COALESCE(SUM(CASE WHEN source NOT IN ('instagram', 'facebook', 'youtube', 'google') THEN 1 ELSE 0 END),0)::BIGINT AS sessions_others
     FROM user_sessions
     WHERE started_at >= NOW() - INTERVAL '7 days'
   ),
@@ -266,7 +655,7 @@ WITH
       SELECT COALESCE(NULLIF(v.referrer,''),'(direct)') AS ref, COUNT(*) AS cnt
       FROM user_sessions s
       JOIN visitors v ON v.id = s.visitor_id
-      WHERE s.started_at >= NOW() - INTERVAL '7 days' AND s.source = 'other'
+      WHERE s.started_at >= NOW() - INTERVAL '7 days' AND s.source NOT IN ('instagram', 'facebook', 'youtube', 'google')
       GROUP BY COALESCE(NULLIF(v.referrer,''),'(direct)')
       ORDER BY cnt DESC
       LIMIT 5
@@ -0,0 +1,164 @@
+import express from 'express';
+import pool from '../../utils/db.js';
+import logger from '../../utils/logger.js';
+import { invalidate } from '../../utils/cache.js';
+import { normalizeSocialLinks } from '../../utils/authors.js';
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Helper function to generate slug from name
+function generateSlug(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+}
+
+// Validate a profile from the request body
+// @returns {{ values?: Array, error?: string }} Query parameters: name, slug, bio, avatar_url, social_links, user_id
+function parseProfile({ name, slug, bio, avatarUrl, socialLinks, userId }) {
+  if (!name || !name.trim()) {
+    return { error: 'Author name is required' };
+  }
+
+  const authorSlug = generateSlug(slug || name);
+  if (!authorSlug) {
+    return { error: 'Author slug must contain letters or numbers' };
+  }
+
+  if (userId && !UUID_PATTERN.test(userId)) {
+    return { error: 'Invalid user ID' };
+  }
+
+  const links = normalizeSocialLinks(socialLinks);
+  if (links.error) {
+    return { error: links.error };
+  }
+
+  return {
+    values: [name.trim(), authorSlug, bio || null, avatarUrl || null, JSON.stringify(links.links), userId || null],
+  };
+}
+
+function conflictMessage(error) {
+  return error.constraint === 'blog_authors_user_id_key'
+    ? 'This user already has an author profile'
+    : 'An author with this slug already exists';
+}
+
+// Bylines, author pages and feeds all show the profile
+function invalidateAuthorPages() {
+  invalidate.sitemap();
+  invalidate.feeds();
+  invalidate.prerender();
+}
+
+// GET /api/admin/authors - Get all author profiles
+router.get('/', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT ba.*, u.email as user_email, COUNT(bpa.post_id)::int as post_count
+      FROM blog_authors ba
+      LEFT JOIN users u ON ba.user_id = u.id
+      LEFT JOIN blog_post_authors bpa ON ba.id = bpa.author_id
+      GROUP BY ba.id, u.email
+      ORDER BY ba.name ASC
+    `);
+    res.json({ authors: result.rows });
+  } catch (error) {
+    logger.error('Error fetching authors:', error);
+    res.status(500).json({ error: 'Failed to fetch authors' });
+  }
+});
+
+// POST /api/admin/authors - Create new author profile
+router.post('/', async (req, res) => {
+  try {
+    const profile = parseProfile(req.body);
+    if (profile.error) {
+      return res.status(400).json({ error: profile.error });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO blog_authors (name, slug, bio, avatar_url, social_links, user_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      profile.values
+    );
+
+    res.status(201).json({ author: { ...result.rows[0], post_count: 0 } });
+  } catch (error) {
+    logger.error('Error creating author:', error);
+    if (error.code === '23505') { // Unique violation
+      res.status(409).json({ error: conflictMessage(error) });
+    } else if (error.code === '23503') { // Foreign key violation
+      res.status(400).json({ error: 'Linked user not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to create author' });
+    }
+  }
+});
+
+// PUT /api/admin/authors/:id - Update author profile
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const profile = parseProfile(req.body);
+    if (profile.error) {
+      return res.status(400).json({ error: profile.error });
+    }
+
+    const result = await pool.query(
+      `UPDATE blog_authors
+       SET name = $1, slug = $2, bio = $3, avatar_url = $4, social_links = $5, user_id = $6, updated_at = NOW()
+       WHERE id = $7
+       RETURNING *`,
+      [...profile.values, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Author not found' });
+    }
+
+    invalidateAuthorPages();
+    res.json({ author: result.rows[0] });
+  } catch (error) {
+    logger.error('Error updating author:', error);
+    if (error.code === '23505') {
+      res.status(409).json({ error: conflictMessage(error) });
+    } else if (error.code === '23503') { // Foreign key violation
+      res.status(400).json({ error: 'Linked user not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to update author' });
+    }
+  }
+});
+
+// DELETE /api/admin/authors/:id - Delete author profile (their posts are kept)
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM blog_authors WHERE id = $1 RETURNING *',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Author not found' });
+    }
+
+    invalidateAuthorPages();
+    res.json({
+      message: 'Author deleted successfully',
+      author: result.rows[0]
+    });
+  } catch (error) {
+    logger.error('Error deleting author:', error);
+    res.status(500).json({ error: 'Failed to delete author' });
+  }
+});
+
+export default router;
@@ -3,9 +3,13 @@ import pool from '../../utils/db.js';
 import logger from '../../utils/logger.js';
 import { success, error as errorResponse } from '../../utils/response.js';
 import cache from '../../utils/cache.js';
+import { getActiveStrategies, getRelatedWeights } from '../../utils/relatedPosts.js';
 
 const router = express.Router();
 
+// Most recent clicks plotted on the click heatmap
+const CLICK_HEATMAP_LIMIT = 2000;
+
 // GET /api/admin/blog-analytics/
 // Dashboard overview for all blog posts
 router.get('/', async (req, res) => {
@@ -350,6 +354,42 @@ router.get('/top-posts-timeline', async (req, res) => {
   }
 });
 
+// GET /api/admin/blog-analytics/related-posts
+// Click-through of the related posts block per scoring strategy
+router.get('/related-posts', async (req, res) => {
+  try {
+    const { days = 30 } = req.query;
+    const daysInt = Math.max(1, Math.min(365, parseInt(days) || 30));
+
+    const result = await pool.query(`
+      SELECT
+        strategy,
+        COUNT(*) FILTER (WHERE event_type = 'impression')::int as impressions,
+        COUNT(*) FILTER (WHERE event_type = 'click')::int as clicks,
+        COUNT(DISTINCT visitor_id)::int as visitors
+      FROM blog_related_post_events
+      WHERE occurred_at >= NOW() - ($1::int * INTERVAL '1 day')
+      GROUP BY strategy
+      ORDER BY strategy
+    `, [daysInt]);
+
+    const strategies = result.rows.map(row => ({
+      ...row,
+      ctr: row.impressions > 0 ? Math.round((row.clicks / row.impressions) * 10000) / 100 : 0,
+    }));
+
+    return success(res, {
+      days: daysInt,
+      active: getActiveStrategies(),
+      weights: getRelatedWeights(),
+      strategies,
+    });
+  } catch (err) {
+    logger.error('Error fetching related posts analytics:', err);
+    return errorResponse(res, 'Failed to fetch related posts analytics', 500);
+  }
+});
+
 // GET /api/admin/blog-analytics/:postId
 // Get complete analytics for a specific blog post
 router.get('/:postId', async (req, res) => {
@@ -631,4 +671,136 @@ router.get('/:postId/heatmap', async (req, res) => {
   }
 });
 
+// GET /api/admin/blog-analytics/:postId/sections
+// Per-section retention over the post's outline, from section_view events: how many sessions
+// saw each section (and each paragraph in it) and how long it stayed on screen
+router.get('/:postId/sections', async (req, res) => {
+  try {
+    const { postId } = req.params;
+
+    const [postResult, viewsResult] = await Promise.all([
+      pool.query(`
+        SELECT bp.toc,
+          (SELECT COUNT(*) FROM blog_post_sessions s WHERE s.post_id = bp.id)::int as total_sessions
+        FROM blog_posts bp
+        WHERE bp.id = $1
+      `, [postId]),
+      pool.query(`
+        SELECT section, paragraph, GROUPING(paragraph) = 1 as is_section_total,
+          COUNT(DISTINCT session_id)::int as readers,
+          COALESCE(SUM(seconds), 0)::float as seconds
+        FROM (
+          SELECT e.session_id, v->>'section' as section,
+            (v->>'paragraph')::int as paragraph, (v->>'seconds')::numeric as seconds
+          FROM blog_engagement_events e
+          CROSS JOIN LATERAL jsonb_array_elements(e.event_data->'views') v
+          WHERE e.post_id = $1 AND e.event_type = 'section_view'
+        ) views
+        GROUP BY GROUPING SETS ((section, paragraph), (section))
+        ORDER BY section, paragraph
+      `, [postId])
+    ]);
+
+    if (postResult.rows.length === 0) {
+      return errorResponse(res, 'Blog post not found', 404);
+    }
+
+    const { toc, total_sessions: totalSessions } = postResult.rows[0];
+    const percent = (readers) => totalSessions ? Math.round((readers / totalSessions) * 1000) / 10 : 0;
+    const average = (seconds, readers) => readers ? Math.round((seconds / readers) * 10) / 10 : 0;
+
+    // Text before the first heading has no anchor; it is reported as the introduction
+    const byId = new Map();
+    for (const row of viewsResult.rows) {
+      const key = row.section ?? '';
+      if (!byId.has(key)) byId.set(key, { readers: 0, seconds: 0, paragraphs: [] });
+      const stats = byId.get(key);
+      if (row.is_section_total) {
+        stats.readers = row.readers;
+        stats.seconds = row.seconds;
+      } else {
+        stats.paragraphs.push({
+          paragraph: row.paragraph,
+          readers: row.readers,
+          retention: percent(row.readers),
+          avg_seconds: average(row.seconds, row.readers)
+        });
+      }
+    }
+
+    const outline = [{ id: null, level: 2, text: 'Introduction' }, ...(toc || [])];
+    const sections = outline.map(item => {
+      const stats = byId.get(item.id ?? '') || { readers: 0, seconds: 0, paragraphs: [] };
+      return {
+        ...item,
+        readers: stats.readers,
+        retention: percent(stats.readers),
+        avg_seconds: average(stats.seconds, stats.readers),
+        paragraphs: stats.paragraphs
+      };
+    });
+
+    return success(res, { total_sessions: totalSessions, sections });
+  } catch (err) {
+    logger.error('Error fetching section analytics:', err);
+    return errorResponse(res, 'Failed to fetch section analytics', 500);
+  }
+});
+
+// GET /api/admin/blog-analytics/:postId/links
+// Clicks per link in the post content (by position among its links), plus the positions of
+// recent clicks for the heatmap. Includes the post's HTML so the report can be overlaid on it.
+router.get('/:postId/links', async (req, res) => {
+  try {
+    const { postId } = req.params;
+
+    const [postResult, linksResult, pointsResult] = await Promise.all([
+      pool.query(`
+        SELECT bp.content,
+          (SELECT COUNT(*) FROM blog_post_sessions s WHERE s.post_id = bp.id)::int as total_sessions
+        FROM blog_posts bp
+        WHERE bp.id = $1
+      `, [postId]),
+      pool.query(`
+        SELECT (event_data->>'link_index')::int as link_index, event_data->>'href' as href,
+          event_type = 'outbound_click' as is_outbound,
+          (ARRAY_AGG(event_data->>'text' ORDER BY occurred_at DESC))[1] as text,
+          COUNT(*)::int as clicks,
+          COUNT(DISTINCT session_id)::int as sessions
+        FROM blog_engagement_events
+        WHERE post_id = $1
+          AND event_type IN ('outbound_click', 'internal_click')
+          AND event_data ? 'href'
+        GROUP BY 1, 2, 3
+        ORDER BY clicks DESC
+      `, [postId]),
+      pool.query(`
+        SELECT (event_data->>'x')::float as x, (event_data->>'y')::float as y,
+          event_type <> 'click' as is_link
+        FROM blog_engagement_events
+        WHERE post_id = $1
+          AND event_type IN ('click', 'outbound_click', 'internal_click')
+          AND event_data ? 'x' AND event_data ? 'y'
+        ORDER BY occurred_at DESC
+        LIMIT $2
+      `, [postId, CLICK_HEATMAP_LIMIT])
+    ]);
+
+    if (postResult.rows.length === 0) {
+      return errorResponse(res, 'Blog post not found', 404);
+    }
+
+    const { content, total_sessions: totalSessions } = postResult.rows[0];
+    const links = linksResult.rows.map(link => ({
+      ...link,
+      ctr: totalSessions ? Math.round((link.sessions / totalSessions) * 1000) / 10 : 0
+    }));
+
+    return success(res, { content, total_sessions: totalSessions, links, clicks: pointsResult.rows });
+  } catch (err) {
+    logger.error('Error fetching link analytics:', err);
+    return errorResponse(res, 'Failed to fetch link analytics', 500);
+  }
+});
+
 export default router;
@@ -2,6 +2,9 @@ import express from 'express';
 import pool, { checkDatabaseAvailability } from '../../utils/db.js';
 import { requireAdmin } from '../../middleware/auth.js';
 import logger from '../../utils/logger.js';
+import { invalidate } from '../../utils/cache.js';
+import { normalizeDocument, renderDocument, htmlToDocument, documentOutline } from '../../utils/blocks.js';
+import { sanitizeHtml } from '../../utils/sanitize.js';
 import multer from 'multer';
 import { uploadImage, deleteImage } from '../../utils/supabase.js';
 import { validateCsrfToken } from '../../middleware/csrf.js';
@@ -31,6 +34,161 @@ function generateSlug(title) {
     .replace(/(^-|-$)/g, '');
 }
 
+const POST_STATUSES = ['draft', 'published', 'scheduled'];
+
+// Validate the editor's status and publish date; scheduled posts need a future date
+function resolveSchedule(status, scheduledFor) {
+  if (status !== undefined && !POST_STATUSES.includes(status)) {
+    return { error: `Status must be one of: ${POST_STATUSES.join(', ')}` };
+  }
+  if (status !== 'scheduled') {
+    return { scheduledFor: null };
+  }
+
+  const date = scheduledFor ? new Date(scheduledFor) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    return { error: 'A publish date is required for scheduled posts' };
+  }
+  if (date <= new Date()) {
+    return { error: 'Scheduled publish date must be in the future' };
+  }
+  return { scheduledFor: date };
+}
+
+// Build stored content from the editor's block document. Plain HTML (older API clients)
+// goes through the importer so every post ends up in the same block format.
+function resolveContent({ blocks, content }) {
+  let document;
+  if (blocks !== undefined && blocks !== null) {
+    const result = normalizeDocument(blocks);
+    if (result.error) return { error: result.error };
+    document = result.document;
+  } else if (typeof content === 'string') {
+    document = htmlToDocument(sanitizeHtml(content));
+  }
+
+  if (!document || document.blocks.length === 0) {
+    return { error: 'Title and content are required' };
+  }
+  return { document, html: renderHtml(document), outline: documentOutline(document) };
+}
+
+// Stored HTML always goes through the sanitizer, even though rendered documents are already safe
+function renderHtml(document) {
+  return sanitizeHtml(renderDocument(document));
+}
+
+// search_vector only serves the search query; keep it out of API responses
+function withoutSearchVector({ search_vector: _searchVector, ...post }) {
+  return post;
+}
+
+// Posts saved before the block editor have no document yet; import one for the editor
+function withBlocks(row) {
+  const post = withoutSearchVector(row);
+  return post.content_blocks ? post : { ...post, content_blocks: htmlToDocument(sanitizeHtml(post.content)) };
+}
+
+// The post's series and its part number in it, for the editor
+const SERIES_COLUMNS = `
+  (SELECT bsp.series_id FROM blog_series_posts bsp WHERE bsp.post_id = bp.id) as series_id,
+  (SELECT COUNT(*)::int FROM blog_series_posts own
+    JOIN blog_series_posts other ON other.series_id = own.series_id
+      AND (other.position, other.post_id) <= (own.position, own.post_id)
+    WHERE own.post_id = bp.id) as series_position`;
+
+// The post's linked author profiles in byline order (empty: the byline falls back to its creator)
+const AUTHOR_COLUMNS = `
+  COALESCE((SELECT json_agg(bpa.author_id ORDER BY bpa.position)
+    FROM blog_post_authors bpa WHERE bpa.post_id = bp.id), '[]') as author_ids`;
+
+// Load a post with its tags (inside the caller's transaction)
+async function fetchPostWithTags(client, postId) {
+  const result = await client.query(`
+    SELECT bp.*,${SERIES_COLUMNS},${AUTHOR_COLUMNS},
+      COALESCE(
+        json_agg(
+          json_build_object('id', t.id, 'name', t.name, 'slug', t.slug, 'color', t.color)
+        ) FILTER (WHERE t.id IS NOT NULL),
+        '[]'
+      ) as tags
+    FROM blog_posts bp
+    LEFT JOIN content_tags ct ON bp.id = ct.content_id
+    LEFT JOIN tags t ON ct.tag_id = t.id
+    WHERE bp.id = $1
+    GROUP BY bp.id
+  `, [postId]);
+  return { ...result, rows: result.rows.map(withoutSearchVector) };
+}
+
+// Put the post into a series as part `position` (1-based, last when omitted), or take it
+// out of its series when seriesId is null. Positions of the other parts are renumbered.
+// Returns { error } when the series does not exist.
+async function assignSeries(client, postId, seriesId, position) {
+  if (seriesId) {
+    const series = await client.query('SELECT id FROM blog_series WHERE id = $1 FOR UPDATE', [seriesId]);
+    if (series.rows.length === 0) return { error: 'Series not found' };
+  }
+
+  await client.query('DELETE FROM blog_series_posts WHERE post_id = $1', [postId]);
+  if (!seriesId) return {};
+
+  const { rows } = await client.query(
+    'SELECT post_id FROM blog_series_posts WHERE series_id = $1 ORDER BY position, post_id',
+    [seriesId]
+  );
+  const postIds = rows.map(row => row.post_id);
+  const part = parseInt(position, 10);
+  const index = Number.isNaN(part) ? postIds.length : Math.max(0, Math.min(postIds.length, part - 1));
+  postIds.splice(index, 0, Number(postId));
+
+  await client.query('DELETE FROM blog_series_posts WHERE series_id = $1', [seriesId]);
+  await client.query(`
+    INSERT INTO blog_series_posts (series_id, post_id, position)
+    SELECT $1, p.post_id, p.position
+    FROM UNNEST($2::int[]) WITH ORDINALITY AS p(post_id, position)
+  `, [seriesId, postIds]);
+  return {};
+}
+
+function isValidAuthorIds(authorIds) {
+  return Array.isArray(authorIds) && authorIds.every(Number.isInteger) && new Set(authorIds).size === authorIds.length;
+}
+
+// Replace the post's authors with authorIds, in byline order
+// Returns { error } when one of the authors does not exist.
+async function assignAuthors(client, postId, authorIds) {
+  // FOR SHARE keeps the authors from being deleted before the transaction commits
+  const authors = await client.query('SELECT id FROM blog_authors WHERE id = ANY($1::int[]) FOR SHARE', [authorIds]);
+  if (authors.rows.length !== authorIds.length) return { error: 'Author not found' };
+
+  await client.query('DELETE FROM blog_post_authors WHERE post_id = $1', [postId]);
+  await client.query(`
+    INSERT INTO blog_post_authors (post_id, author_id, position)
+    SELECT $1, a.author_id, a.position
+    FROM UNNEST($2::int[]) WITH ORDINALITY AS a(author_id, position)
+  `, [postId, authorIds]);
+  return {};
+}
+
+// Has the post changed since the editor loaded it? updated_at round-trips through JSON at millisecond precision
+function isStale(expectedUpdatedAt, currentUpdatedAt) {
+  const expected = new Date(expectedUpdatedAt).getTime();
+  return Number.isNaN(expected) || expected !== new Date(currentUpdatedAt).getTime();
+}
+
+// Snapshot the post as it now stands into blog_post_revisions
+function recordRevision(client, postId, authorId, restoredFrom = null) {
+  return client.query(`
+    INSERT INTO blog_post_revisions (post_id, title, content, content_blocks, excerpt, image, niche_id, tag_ids, author_id, restored_from)
+    SELECT bp.id, bp.title, bp.content, bp.content_blocks, bp.excerpt, bp.image, bp.niche_id,
+      COALESCE((SELECT array_agg(ct.tag_id ORDER BY ct.tag_id) FROM content_tags ct WHERE ct.content_id = bp.id), '{}'),
+      $2, $3
+    FROM blog_posts bp
+    WHERE bp.id = $1
+  `, [postId, authorId, restoredFrom]);
+}
+
 // GET /api/admin/blog - Get all blog posts
 router.get('/', async (req, res) => {
   try {
@@ -48,19 +206,99 @@ router.get('/', async (req, res) => {
       GROUP BY bp.id
       ORDER BY bp.created_at DESC
     `);
-    res.json({ posts: result.rows });
+    res.json({ posts: result.rows.map(withBlocks) });
   } catch (error) {
     logger.error('Error fetching blog posts:', error);
     res.status(500).json({ error: 'Failed to fetch blog posts' });
   }
 });
 
+// Autosave drafts: one slot per post and user. /drafts/new is the slot for a post that
+// has not been created yet (post_id NULL). Drafts are cleared when the post is saved.
+const DRAFT_COLUMNS = `post_id, title, content, content_blocks, excerpt, image, niche_id, tag_ids, status,
+  scheduled_for, base_updated_at, updated_at`;
+
+// GET /api/admin/blog/drafts/new, /api/admin/blog/:id/draft - Current user's autosaved draft
+router.get(['/drafts/new', '/:id/draft'], async (req, res) => {
+  try {
+    const postId = req.params.id ?? null;
+    const result = await pool.query(
+      `SELECT ${DRAFT_COLUMNS} FROM blog_post_drafts
+       WHERE post_id IS NOT DISTINCT FROM $1 AND user_id = $2`,
+      [postId, req.currentUser.id]
+    );
+    res.json({ draft: result.rows[0] ? withBlocks(result.rows[0]) : null });
+  } catch (error) {
+    logger.error('Error fetching blog post draft:', error);
+    res.status(500).json({ error: 'Failed to fetch draft' });
+  }
+});
+
+// PUT /api/admin/blog/drafts/new, /api/admin/blog/:id/draft - Autosave the editor state
+router.put(['/drafts/new', '/:id/draft'], async (req, res) => {
+  try {
+    const postId = req.params.id ?? null;
+    const {
+      title = '', blocks = { blocks: [] }, excerpt, image, nicheId, tagIds = [], status, scheduledFor, baseUpdatedAt,
+    } = req.body;
+
+    const { document, error } = normalizeDocument(blocks);
+    if (typeof title !== 'string' || error || !Array.isArray(tagIds)) {
+      return res.status(400).json({ error: error || 'Invalid draft' });
+    }
+
+    const conflictTarget = postId === null
+      ? '(user_id) WHERE post_id IS NULL'
+      : '(post_id, user_id) WHERE post_id IS NOT NULL';
+
+    const result = await pool.query(
+      `INSERT INTO blog_post_drafts
+         (post_id, user_id, title, content, content_blocks, excerpt, image, niche_id, tag_ids, status, scheduled_for, base_updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       ON CONFLICT ${conflictTarget} DO UPDATE SET
+         title = EXCLUDED.title, content = EXCLUDED.content, content_blocks = EXCLUDED.content_blocks,
+         excerpt = EXCLUDED.excerpt, image = EXCLUDED.image, niche_id = EXCLUDED.niche_id, tag_ids = EXCLUDED.tag_ids,
+         status = EXCLUDED.status, scheduled_for = EXCLUDED.scheduled_for,
+         base_updated_at = EXCLUDED.base_updated_at, updated_at = NOW()
+       RETURNING updated_at`,
+      [
+        postId, req.currentUser.id, title, renderHtml(document), JSON.stringify(document),
+        excerpt || null, image || null, nicheId || null,
+        tagIds, POST_STATUSES.includes(status) ? status : null, scheduledFor || null, baseUpdatedAt || null
+      ]
+    );
+
+    res.json({ savedAt: result.rows[0].updated_at });
+  } catch (error) {
+    if (error.code === '23503') { // Foreign key violation - post was deleted
+      return res.status(404).json({ error: 'Blog post not found' });
+    }
+    logger.error('Error autosaving blog post draft:', error);
+    res.status(500).json({ error: 'Failed to autosave draft' });
+  }
+});
+
+// DELETE /api/admin/blog/drafts/new, /api/admin/blog/:id/draft - Discard the autosaved draft
+router.delete(['/drafts/new', '/:id/draft'], async (req, res) => {
+  try {
+    const postId = req.params.id ?? null;
+    await pool.query(
+      'DELETE FROM blog_post_drafts WHERE post_id IS NOT DISTINCT FROM $1 AND user_id = $2',
+      [postId, req.currentUser.id]
+    );
+    res.json({ message: 'Draft discarded' });
+  } catch (error) {
+    logger.error('Error discarding blog post draft:', error);
+    res.status(500).json({ error: 'Failed to discard draft' });
+  }
+});
+
 // GET /api/admin/blog/:id - Get single blog post
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const result = await pool.query(`
-      SELECT bp.*,
+      SELECT bp.*,${SERIES_COLUMNS},${AUTHOR_COLUMNS},
         COALESCE(
           json_agg(
             json_build_object('id', t.id, 'name', t.name, 'slug', t.slug, 'color', t.color)
@@ -78,7 +316,7 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Blog post not found' });
     }
 
-    res.json({ post: result.rows[0] });
+    res.json({ post: withBlocks(result.rows[0]) });
   } catch (error) {
     logger.error('Error fetching blog post:', error);
     res.status(500).json({ error: 'Failed to fetch blog post' });
@@ -89,10 +327,20 @@ router.get('/:id', async (req, res) => {
 router.post('/', async (req, res) => {
   const client = await pool.connect();
   try {
-    const { title, content, excerpt, image, status = 'draft', tagIds = [], nicheId } = req.body;
+    const { title, excerpt, image, status = 'draft', scheduledFor, tagIds = [], nicheId, seriesId, seriesPosition, authorIds } = req.body;
 
-    if (!title || !content) {
-      return res.status(400).json({ error: 'Title and content are required' });
+    const content = resolveContent(req.body);
+    if (!title || content.error) {
+      return res.status(400).json({ error: content.error || 'Title and content are required' });
+    }
+
+    const schedule = resolveSchedule(status, scheduledFor);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
+    if (authorIds !== undefined && !isValidAuthorIds(authorIds)) {
+      return res.status(400).json({ error: 'authorIds must be an array of distinct author IDs' });
     }
 
     const slug = generateSlug(title);
@@ -101,10 +349,15 @@ router.post('/', async (req, res) => {
     await client.query('BEGIN');
 
     const result = await client.query(
-      `INSERT INTO blog_posts (title, content, excerpt, slug, status, author_id, image, niche_id)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `INSERT INTO blog_posts (title, content, excerpt, slug, status, author_id, image, niche_id, scheduled_for, published_at, content_blocks,
+                               word_count, reading_time, toc)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
        RETURNING *`,
-      [title, content, excerpt, slug, status, authorId, image || null, nicheId || null]
+      [
+        title, content.html, excerpt, slug, status, authorId, image || null, nicheId || null,
+        schedule.scheduledFor, status === 'published' ? new Date() : null, JSON.stringify(content.document),
+        content.outline.wordCount, content.outline.readingTime, JSON.stringify(content.outline.toc)
+      ]
     );
 
     const postId = result.rows[0].id;
@@ -121,23 +374,33 @@ router.post('/', async (req, res) => {
       );
     }
 
+    if (seriesId) {
+      const series = await assignSeries(client, postId, seriesId, seriesPosition);
+      if (series.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: series.error });
+      }
+    }
+
+    // Without authors the byline falls back to the creator
+    if (authorIds?.length) {
+      const authors = await assignAuthors(client, postId, authorIds);
+      if (authors.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: authors.error });
+      }
+    }
+
+    await recordRevision(client, postId, authorId);
+    await client.query('DELETE FROM blog_post_drafts WHERE post_id IS NULL AND user_id = $1', [authorId]);
+
     // Fetch the complete post with tags
-    const postWithTags = await client.query(`
-      SELECT bp.*,
-        COALESCE(
-          json_agg(
-            json_build_object('id', t.id, 'name', t.name, 'slug', t.slug, 'color', t.color)
-          ) FILTER (WHERE t.id IS NOT NULL),
-          '[]'
-        ) as tags
-      FROM blog_posts bp
-      LEFT JOIN content_tags ct ON bp.id = ct.content_id
-      LEFT JOIN tags t ON ct.tag_id = t.id
-      WHERE bp.id = $1
-      GROUP BY bp.id
-    `, [postId]);
+    const postWithTags = await fetchPostWithTags(client, postId);
 
     await client.query('COMMIT');
+    invalidate.sitemap();
+    invalidate.feeds();
+    invalidate.prerender();
     res.status(201).json({ post: postWithTags.rows[0] });
   } catch (error) {
     await client.query('ROLLBACK');
@@ -157,22 +420,64 @@ router.put('/:id', async (req, res) => {
   const client = await pool.connect();
   try {
     const { id } = req.params;
-    const { title, content, excerpt, image, status, tagIds = [], nicheId } = req.body;
+    const { title, excerpt, image, status, scheduledFor, tagIds = [], nicheId, seriesId, seriesPosition, authorIds, expectedUpdatedAt } = req.body;
+
+    const content = resolveContent(req.body);
+    if (!title || content.error) {
+      return res.status(400).json({ error: content.error || 'Title and content are required' });
+    }
+
+    const schedule = resolveSchedule(status, scheduledFor);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
 
-    if (!title || !content) {
-      return res.status(400).json({ error: 'Title and content are required' });
+    if (authorIds !== undefined && !isValidAuthorIds(authorIds)) {
+      return res.status(400).json({ error: 'authorIds must be an array of distinct author IDs' });
     }
 
     const slug = generateSlug(title);
 
     await client.query('BEGIN');
 
+    // Optimistic concurrency: reject the write if someone saved since the editor loaded the post
+    if (expectedUpdatedAt) {
+      const current = await client.query('SELECT updated_at FROM blog_posts WHERE id = $1 FOR UPDATE', [id]);
+      if (current.rows.length > 0 && isStale(expectedUpdatedAt, current.rows[0].updated_at)) {
+        await client.query('ROLLBACK');
+        const [latest, lastEditor] = await Promise.all([
+          fetchPostWithTags(client, id),
+          client.query(`
+            SELECT u.email, u.name
+            FROM blog_post_revisions r
+            JOIN users u ON r.author_id = u.id
+            WHERE r.post_id = $1
+            ORDER BY r.created_at DESC, r.id DESC
+            LIMIT 1
+          `, [id]),
+        ]);
+        return res.status(409).json({
+          error: 'This post was changed by someone else since you opened it',
+          post: latest.rows[0],
+          updatedBy: lastEditor.rows[0] || null,
+        });
+      }
+    }
+
+    // Keep the original published_at when re-saving a published post
     const result = await client.query(
       `UPDATE blog_posts 
-       SET title = $1, content = $2, excerpt = $3, slug = $4, status = $5, image = $6, niche_id = $7, updated_at = NOW()
+       SET title = $1, content = $2, excerpt = $3, slug = $4, status = $5, image = $6, niche_id = $7,
+           scheduled_for = $9, content_blocks = $11, word_count = $12, reading_time = $13, toc = $14,
+           published_at = CASE WHEN $10 THEN COALESCE(published_at, NOW()) END,
+           updated_at = NOW()
        WHERE id = $8
        RETURNING *`,
-      [title, content, excerpt, slug, status, image || null, nicheId || null, id]
+      [
+        title, content.html, excerpt, slug, status, image || null, nicheId || null, id,
+        schedule.scheduledFor, status === 'published', JSON.stringify(content.document),
+        content.outline.wordCount, content.outline.readingTime, JSON.stringify(content.outline.toc)
+      ]
     );
 
     if (result.rows.length === 0) {
@@ -198,23 +503,33 @@ router.put('/:id', async (req, res) => {
       );
     }
 
+    // Series membership and authors are left alone when the client does not send them
+    if (seriesId !== undefined) {
+      const series = await assignSeries(client, id, seriesId, seriesPosition);
+      if (series.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: series.error });
+      }
+    }
+
+    if (authorIds !== undefined) {
+      const authors = await assignAuthors(client, id, authorIds);
+      if (authors.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: authors.error });
+      }
+    }
+
+    await recordRevision(client, id, req.currentUser.id);
+    await client.query('DELETE FROM blog_post_drafts WHERE post_id = $1 AND user_id = $2', [id, req.currentUser.id]);
+
     // Fetch the complete post with tags
-    const postWithTags = await client.query(`
-      SELECT bp.*,
-        COALESCE(
-          json_agg(
-            json_build_object('id', t.id, 'name', t.name, 'slug', t.slug, 'color', t.color)
-          ) FILTER (WHERE t.id IS NOT NULL),
-          '[]'
-        ) as tags
-      FROM blog_posts bp
-      LEFT JOIN content_tags ct ON bp.id = ct.content_id
-      LEFT JOIN tags t ON ct.tag_id = t.id
-      WHERE bp.id = $1
-      GROUP BY bp.id
-    `, [id]);
+    const postWithTags = await fetchPostWithTags(client, id);
 
     await client.query('COMMIT');
+    invalidate.sitemap();
+    invalidate.feeds();
+    invalidate.prerender();
     res.json({ post: postWithTags.rows[0] });
   } catch (error) {
     await client.query('ROLLBACK');
@@ -229,7 +544,121 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// PATCH /api/admin/blog/:id/publish - Toggle publish status
+// GET /api/admin/blog/:id/revisions - Revision history, newest first (without bodies)
+router.get('/:id/revisions', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const post = await pool.query('SELECT id FROM blog_posts WHERE id = $1', [id]);
+    if (post.rows.length === 0) {
+      return res.status(404).json({ error: 'Blog post not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT r.id, r.title, r.restored_from, r.created_at,
+        LENGTH(r.content) as content_length,
+        u.email as author_email, u.name as author_name
+      FROM blog_post_revisions r
+      LEFT JOIN users u ON r.author_id = u.id
+      WHERE r.post_id = $1
+      ORDER BY r.created_at DESC, r.id DESC
+    `, [id]);
+
+    res.json({ revisions: result.rows });
+  } catch (error) {
+    logger.error('Error fetching blog post revisions:', error);
+    res.status(500).json({ error: 'Failed to fetch revisions' });
+  }
+});
+
+// GET /api/admin/blog/:id/revisions/:revisionId - Single revision with content
+router.get('/:id/revisions/:revisionId', async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+
+    const result = await pool.query(`
+      SELECT r.*, u.email as author_email, u.name as author_name
+      FROM blog_post_revisions r
+      LEFT JOIN users u ON r.author_id = u.id
+      WHERE r.id = $1 AND r.post_id = $2
+    `, [revisionId, id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ revision: result.rows[0] });
+  } catch (error) {
+    logger.error('Error fetching blog post revision:', error);
+    res.status(500).json({ error: 'Failed to fetch revision' });
+  }
+});
+
+// POST /api/admin/blog/:id/revisions/:revisionId/restore - Copy a revision back onto the post
+// Status and schedule are left alone; the restore itself is recorded as a new revision.
+router.post('/:id/revisions/:revisionId/restore', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id, revisionId } = req.params;
+
+    await client.query('BEGIN');
+
+    const revisionResult = await client.query(
+      'SELECT * FROM blog_post_revisions WHERE id = $1 AND post_id = $2',
+      [revisionId, id]
+    );
+    const revision = revisionResult.rows[0];
+    if (!revision) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    // Revisions from before the block editor only have HTML
+    const document = revision.content_blocks || htmlToDocument(sanitizeHtml(revision.content));
+    const outline = documentOutline(document);
+    await client.query(
+      `UPDATE blog_posts
+       SET title = $1, content = $2, content_blocks = $3, excerpt = $4, slug = $5, image = $6, niche_id = $7,
+           word_count = $9, reading_time = $10, toc = $11, updated_at = NOW()
+       WHERE id = $8`,
+      [
+        revision.title, renderHtml(document), JSON.stringify(document), revision.excerpt,
+        generateSlug(revision.title), revision.image, revision.niche_id, id,
+        outline.wordCount, outline.readingTime, JSON.stringify(outline.toc)
+      ]
+    );
+
+    // Tags deleted since the revision was taken are skipped
+    await client.query('DELETE FROM content_tags WHERE content_id = $1', [id]);
+    await client.query(
+      'INSERT INTO content_tags (content_id, tag_id) SELECT $1, t.id FROM tags t WHERE t.id = ANY($2::int[])',
+      [id, revision.tag_ids]
+    );
+
+    await recordRevision(client, id, req.currentUser.id, revision.id);
+
+    const postWithTags = await fetchPostWithTags(client, id);
+
+    await client.query('COMMIT');
+    invalidate.sitemap();
+    invalidate.feeds();
+    invalidate.prerender();
+    logger.info(`Blog post ${id} restored to revision ${revision.id} by ${req.currentUser.email}`);
+    res.json({ post: postWithTags.rows[0], message: 'Revision restored' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error restoring blog post revision:', error);
+    if (error.code === '23505') {
+      res.status(409).json({ error: 'Another post already uses this revision\'s title' });
+    } else {
+      res.status(500).json({ error: 'Failed to restore revision' });
+    }
+  } finally {
+    client.release();
+  }
+});
+
+// PATCH /api/admin/blog/:id/publish - Toggle publish status (publishes scheduled posts now)
 router.patch('/:id/publish', async (req, res) => {
   try {
     const { id } = req.params;
@@ -251,11 +680,15 @@ router.patch('/:id/publish', async (req, res) => {
     // Update status
     const result = await pool.query(
       `UPDATE blog_posts 
-       SET status = $1, published_at = $2, updated_at = NOW()
+       SET status = $1, published_at = $2, scheduled_for = NULL, updated_at = NOW()
        WHERE id = $3
        RETURNING id, title, status`,
       [newStatus, publishedAt, id]
     );
+
+    invalidate.sitemap();
+    invalidate.feeds();
+    invalidate.prerender();
     
     res.json({ 
       post: result.rows[0],
@@ -289,6 +722,9 @@ router.delete('/:id', async (req, res) => {
       'DELETE FROM blog_posts WHERE id = $1',
       [id]
     );
+    invalidate.sitemap();
+    invalidate.feeds();
+    invalidate.prerender();
 
     // Extract and delete images from Supabase
     // Look for Supabase image URLs in the content (format: https://...supabase.co/storage/v1/object/public/blog-images/...)
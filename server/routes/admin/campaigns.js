@@ -0,0 +1,123 @@
+import express from 'express';
+import pool from '../../utils/db.js';
+import logger from '../../utils/logger.js';
+import { ONE_DAY_MS } from '../../constants.js';
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+// Inclusive from/to dates (YYYY-MM-DD, UTC); defaults to the last 30 days
+function resolveDateRange(from, to) {
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return { error: 'Dates must be in YYYY-MM-DD format' };
+  }
+
+  const end = to ? new Date(`${to}T00:00:00Z`) : new Date(new Date().toISOString().slice(0, 10));
+  const start = from ? new Date(`${from}T00:00:00Z`) : new Date(end.getTime() - (DEFAULT_RANGE_DAYS - 1) * ONE_DAY_MS);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { error: 'Invalid date' };
+  }
+  if (start > end) {
+    return { error: 'The start date must be before the end date' };
+  }
+  if ((end - start) / ONE_DAY_MS >= MAX_RANGE_DAYS) {
+    return { error: `The range can be at most ${MAX_RANGE_DAYS} days` };
+  }
+
+  return {
+    from: start.toISOString().slice(0, 10),
+    to: end.toISOString().slice(0, 10),
+    // Half-open bounds for the queries
+    start,
+    end: new Date(end.getTime() + ONE_DAY_MS)
+  };
+}
+
+// GET /api/admin/campaigns?from=YYYY-MM-DD&to=YYYY-MM-DD - Performance per UTM campaign
+// Sessions and engaged reads are credited to the campaign that started the session; signups and
+// newsletter subscriptions to the campaign that first brought the visitor (first touch).
+router.get('/', async (req, res) => {
+  try {
+    const range = resolveDateRange(req.query.from, req.query.to);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    // Source and medium are '' rather than NULL so the full joins match on them
+    const result = await pool.query(`
+      WITH session_stats AS (
+        SELECT s.utm_campaign as campaign,
+          COALESCE(s.utm_source, '') as source,
+          COALESCE(s.utm_medium, '') as medium,
+          COUNT(*)::int as sessions,
+          COUNT(DISTINCT s.visitor_id)::int as visitors,
+          COALESCE(SUM(reads.engaged), 0)::int as engaged_reads
+        FROM user_sessions s
+        LEFT JOIN LATERAL (
+          SELECT COUNT(*) as engaged
+          FROM blog_post_sessions bps
+          WHERE bps.session_id = s.id AND bps.was_engaged
+        ) reads ON TRUE
+        WHERE s.utm_campaign IS NOT NULL AND s.started_at >= $1 AND s.started_at < $2
+        GROUP BY 1, 2, 3
+      ),
+      signup_stats AS (
+        SELECT v.utm_campaign as campaign,
+          COALESCE(v.utm_source, '') as source,
+          COALESCE(v.utm_medium, '') as medium,
+          COUNT(*)::int as signups
+        FROM users u
+        -- A user may have a visitor per device; only the earliest one is credited
+        JOIN LATERAL (
+          SELECT utm_campaign, utm_source, utm_medium
+          FROM visitors
+          WHERE user_id = u.id
+          ORDER BY first_seen_at ASC
+          LIMIT 1
+        ) v ON TRUE
+        WHERE v.utm_campaign IS NOT NULL AND u.deleted_at IS NULL
+          AND u.created_at >= $1 AND u.created_at < $2
+        GROUP BY 1, 2, 3
+      ),
+      newsletter_stats AS (
+        SELECT v.utm_campaign as campaign,
+          COALESCE(v.utm_source, '') as source,
+          COALESCE(v.utm_medium, '') as medium,
+          COUNT(*)::int as newsletter_signups
+        FROM newsletter_subscriptions ns
+        JOIN visitors v ON v.id = ns.visitor_id
+        WHERE v.utm_campaign IS NOT NULL AND ns.verified AND ns.deleted_at IS NULL
+          AND ns.created_at >= $1 AND ns.created_at < $2
+        GROUP BY 1, 2, 3
+      )
+      SELECT campaign, NULLIF(source, '') as source, NULLIF(medium, '') as medium,
+        COALESCE(ss.sessions, 0) as sessions,
+        COALESCE(ss.visitors, 0) as visitors,
+        COALESCE(ss.engaged_reads, 0) as engaged_reads,
+        COALESCE(su.signups, 0) as signups,
+        COALESCE(ns.newsletter_signups, 0) as newsletter_signups
+      FROM session_stats ss
+      FULL JOIN signup_stats su USING (campaign, source, medium)
+      FULL JOIN newsletter_stats ns USING (campaign, source, medium)
+      ORDER BY sessions DESC, campaign ASC
+    `, [range.start, range.end]);
+
+    const totals = result.rows.reduce((sum, row) => ({
+      sessions: sum.sessions + row.sessions,
+      visitors: sum.visitors + row.visitors,
+      engaged_reads: sum.engaged_reads + row.engaged_reads,
+      signups: sum.signups + row.signups,
+      newsletter_signups: sum.newsletter_signups + row.newsletter_signups
+    }), { sessions: 0, visitors: 0, engaged_reads: 0, signups: 0, newsletter_signups: 0 });
+
+    res.json({ from: range.from, to: range.to, campaigns: result.rows, totals });
+  } catch (error) {
+    logger.error('Error fetching campaign report:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign report' });
+  }
+});
+
+export default router;
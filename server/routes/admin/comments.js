@@ -0,0 +1,143 @@
+import express from 'express';
+import pool from '../../utils/db.js';
+import logger from '../../utils/logger.js';
+import analyticsQueue from '../../utils/analyticsQueue.js';
+
+const router = express.Router();
+
+const STATUSES = ['pending', 'approved', 'rejected', 'spam'];
+const MAX_BULK_IDS = 200;
+
+/**
+ * Set the status of one or more comments
+ * Posts whose approved comment count changed are queued for an analytics refresh.
+ * @param {number[]} ids - Comment IDs
+ * @param {string} status - New status
+ * @param {string} moderatorId - Admin user ID
+ * @returns {Promise<Array>} Updated comments ({ id, post_id, status, previous_status })
+ */
+async function moderate(ids, status, moderatorId) {
+  // Joining the table to itself exposes each row's status from before the update
+  const { rows } = await pool.query(
+    `UPDATE blog_comments c
+     SET status = $2, moderated_by = $3, moderated_at = NOW(), updated_at = NOW()
+     FROM blog_comments previous
+     WHERE previous.id = c.id AND c.id = ANY($1::int[])
+     RETURNING c.id, c.post_id, c.status, previous.status AS previous_status`,
+    [ids, status, moderatorId]
+  );
+
+  const changedPosts = new Set(
+    rows
+      .filter(row => (row.status === 'approved') !== (row.previous_status === 'approved'))
+      .map(row => row.post_id)
+  );
+  changedPosts.forEach(postId => analyticsQueue.queueUpdate(postId));
+
+  return rows;
+}
+
+// GET /api/admin/comments - Moderation queue with status counts
+router.get('/', async (req, res) => {
+  try {
+    const status = STATUSES.includes(req.query.status) ? req.query.status : 'pending';
+    const q = String(req.query.q || '').trim();
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit || '50', 10) || 50));
+    const offset = Math.max(0, parseInt(req.query.offset || '0', 10) || 0);
+
+    const params = [status];
+    let searchSql = '';
+    if (q) {
+      params.push(`%${q}%`);
+      searchSql = `AND (c.body ILIKE $2 OR u.email ILIKE $2 OR COALESCE(u.name, '') ILIKE $2 OR bp.title ILIKE $2)`;
+    }
+
+    const [comments, counts] = await Promise.all([
+      pool.query(
+        `SELECT c.id, c.post_id, c.parent_id, c.body, c.status, c.created_at, c.moderated_at,
+                u.id AS user_id, u.name AS author_name, u.email AS author_email,
+                bp.title AS post_title, bp.slug AS post_slug,
+                parent.body AS parent_body,
+                COUNT(*) OVER()::int AS total
+         FROM blog_comments c
+         JOIN blog_posts bp ON bp.id = c.post_id
+         LEFT JOIN users u ON u.id = c.user_id
+         LEFT JOIN blog_comments parent ON parent.id = c.parent_id
+         WHERE c.status = $1 ${searchSql}
+         ORDER BY c.created_at ${status === 'pending' ? 'ASC' : 'DESC'}
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      pool.query('SELECT status, COUNT(*)::int AS count FROM blog_comments GROUP BY status'),
+    ]);
+
+    const statusCounts = Object.fromEntries(STATUSES.map(name => [name, 0]));
+    counts.rows.forEach(row => { statusCounts[row.status] = row.count; });
+
+    res.json({
+      comments: comments.rows.map(({ total, ...comment }) => comment),
+      total: comments.rows[0]?.total || 0,
+      counts: statusCounts,
+    });
+  } catch (error) {
+    logger.error('Error fetching comments for moderation:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+// POST /api/admin/comments/bulk - Approve, reject or mark many comments as spam
+router.post('/bulk', async (req, res) => {
+  try {
+    const { ids, status } = req.body || {};
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'ids array is required' });
+    }
+    if (ids.length > MAX_BULK_IDS) {
+      return res.status(400).json({ error: `At most ${MAX_BULK_IDS} comments can be moderated at once` });
+    }
+
+    const validIds = [...new Set(ids.map(id => Number.parseInt(id, 10)).filter(Number.isInteger))];
+    if (validIds.length === 0) {
+      return res.status(400).json({ error: 'No valid IDs provided' });
+    }
+
+    const rows = await moderate(validIds, status, req.currentUser.id);
+    res.json({
+      updated: rows.length,
+      comments: rows,
+      message: `Marked ${rows.length} comment(s) as ${status}`,
+    });
+  } catch (error) {
+    logger.error('Error bulk moderating comments:', error);
+    res.status(500).json({ error: 'Failed to update comments' });
+  }
+});
+
+// PATCH /api/admin/comments/:id - Approve, reject or mark a comment as spam
+router.patch('/:id', async (req, res) => {
+  try {
+    const id = Number.parseInt(req.params.id, 10);
+    const { status } = req.body || {};
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+    if (!Number.isInteger(id)) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const rows = await moderate([id], status, req.currentUser.id);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    res.json({ comment: rows[0], message: `Comment marked as ${status}` });
+  } catch (error) {
+    logger.error('Error moderating comment:', error);
+    res.status(500).json({ error: 'Failed to update comment' });
+  }
+});
+
+export default router;
@@ -73,7 +73,7 @@ router.get('/overview', async (req, res) => {
             COALESCE(SUM(CASE WHEN source = 'facebook' THEN 1 ELSE 0 END),0)::BIGINT AS sessions_facebook,
             COALESCE(SUM(CASE WHEN source = 'youtube' THEN 1 ELSE 0 END),0)::BIGINT AS sessions_youtube,
             COALESCE(SUM(CASE WHEN source = 'google' THEN 1 ELSE 0 END),0)::BIGINT AS sessions_google,
-            COALESCE(SUM(CASE WHEN source = 'other' THEN 1 ELSE 0 END),0)::BIGINT AS sessions_others
+            COALESCE(SUM(CASE WHEN source NOT IN ('instagram', 'facebook', 'youtube', 'google') THEN 1 ELSE 0 END),0)::BIGINT AS sessions_others
           FROM user_sessions
           WHERE started_at >= NOW() - INTERVAL '7 days'
         ),
@@ -83,7 +83,7 @@ router.get('/overview', async (req, res) => {
             SELECT COALESCE(NULLIF(v.referrer,''),'(direct)') AS ref, COUNT(*) AS cnt
             FROM user_sessions s
             JOIN visitors v ON v.id = s.visitor_id
-            WHERE s.started_at >= NOW() - INTERVAL '7 days' AND s.source = 'other'
+            WHERE s.started_at >= NOW() - INTERVAL '7 days' AND s.source NOT IN ('instagram', 'facebook', 'youtube', 'google')
             GROUP BY COALESCE(NULLIF(v.referrer,''),'(direct)')
             ORDER BY cnt DESC
             LIMIT 5
@@ -134,7 +134,7 @@ router.get('/sessions-timeline', async (req, res) => {
         COALESCE(SUM(CASE WHEN s.source = 'facebook' THEN 1 ELSE 0 END), 0)::INTEGER AS facebook,
         COALESCE(SUM(CASE WHEN s.source = 'youtube' THEN 1 ELSE 0 END), 0)::INTEGER AS youtube,
         COALESCE(SUM(CASE WHEN s.source = 'google' THEN 1 ELSE 0 END), 0)::INTEGER AS google,
-        COALESCE(SUM(CASE WHEN s.source = 'other' THEN 1 ELSE 0 END), 0)::INTEGER AS others,
+        COALESCE(SUM(CASE WHEN s.source NOT IN ('instagram', 'facebook', 'youtube', 'google') THEN 1 ELSE 0 END), 0)::INTEGER AS others,
         COALESCE(COUNT(s.id), 0)::INTEGER AS total
       FROM date_series ds
       LEFT JOIN user_sessions s ON DATE_TRUNC('day', s.started_at) = ds.date
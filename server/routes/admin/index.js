@@ -6,9 +6,15 @@ import trafficRouter from "./traffic.js";
 import sessionsRouter from "./sessions.js";
 import blogRouter from "./blog.js";
 import tagsRouter from "./tags.js";
+import seriesRouter from "./series.js";
+import authorsRouter from "./authors.js";
 import nichesRouter from "./niches.js";
 import performanceRouter from "./performance.js";
 import blogAnalyticsRouter from "./blog-analytics.js";
+import newsletterRouter from "./newsletter.js";
+import commentsRouter from "./comments.js";
+import campaignsRouter from "./campaigns.js";
+import referrerRulesRouter from "./referrer-rules.js";
 
 const router = express.Router();
 
@@ -23,7 +29,13 @@ router.use('/sessions', sessionsRouter);
 router.use('/blog', blogRouter);
 router.use('/blog-analytics', blogAnalyticsRouter);
 router.use('/tags', tagsRouter);
+router.use('/series', seriesRouter);
+router.use('/authors', authorsRouter);
 router.use('/niches', nichesRouter);
 router.use('/performance', performanceRouter);
+router.use('/newsletter', newsletterRouter);
+router.use('/comments', commentsRouter);
+router.use('/campaigns', campaignsRouter);
+router.use('/referrer-rules', referrerRulesRouter);
 
 export default router;
@@ -0,0 +1,274 @@
+import express from 'express';
+import pool from '../../utils/db.js';
+import logger from '../../utils/logger.js';
+import { transporter, isMailConfigured, getFromAddress } from '../../utils/mailer.js';
+import { buildPostCampaignHtml, renderCampaignEmail } from '../../utils/newsletter.js';
+import newsletterSender from '../../utils/newsletterSender.js';
+
+const router = express.Router();
+
+const MAX_SUBJECT_LENGTH = 200;
+
+const STATS_COLUMNS = `
+  COUNT(s.id)::int AS recipients,
+  COUNT(s.id) FILTER (WHERE s.status = 'sent')::int AS sent,
+  COUNT(s.id) FILTER (WHERE s.status = 'failed')::int AS failed,
+  COUNT(s.id) FILTER (WHERE s.status = 'skipped')::int AS skipped,
+  COUNT(s.id) FILTER (WHERE s.status IN ('pending', 'sending'))::int AS pending`;
+
+async function loadCampaign(id) {
+  const { rows } = await pool.query('SELECT * FROM newsletter_campaigns WHERE id = $1', [id]);
+  return rows[0] || null;
+}
+
+// Build campaign content from the request: a published post or freeform HTML
+async function resolveContent({ subject, html, post_id }) {
+  let body = typeof html === 'string' ? html.trim() : '';
+  let title = typeof subject === 'string' ? subject.trim() : '';
+  let postId = null;
+
+  if (post_id && !body) {
+    const { rows } = await pool.query(
+      "SELECT id, title, slug, excerpt, image FROM blog_posts WHERE id = $1 AND status = 'published'",
+      [post_id]
+    );
+    const post = rows[0];
+    if (!post) return { error: 'Post not found or not published' };
+    body = buildPostCampaignHtml(post);
+    title = title || post.title;
+    postId = post.id;
+  } else if (post_id) {
+    postId = post_id;
+  }
+
+  if (!title) return { error: 'Subject is required' };
+  if (title.length > MAX_SUBJECT_LENGTH) return { error: `Subject must be ${MAX_SUBJECT_LENGTH} characters or fewer` };
+  if (!body) return { error: 'Choose a blog post or write the email body' };
+
+  return { subject: title, html: body, postId };
+}
+
+// GET /api/admin/newsletter - Campaigns with delivery stats, subscriber counts and sender status
+router.get('/', async (req, res) => {
+  try {
+    const [campaigns, subscribers] = await Promise.all([
+      pool.query(`
+        SELECT c.id, c.subject, c.post_id, c.status, c.total_recipients,
+               c.created_at, c.updated_at, c.queued_at, c.completed_at,
+               ${STATS_COLUMNS}
+        FROM newsletter_campaigns c
+        LEFT JOIN newsletter_sends s ON s.campaign_id = c.id
+        GROUP BY c.id
+        ORDER BY c.created_at DESC
+      `),
+      pool.query(`
+        SELECT
+          COUNT(*) FILTER (WHERE verified = TRUE)::int AS verified,
+          COUNT(*) FILTER (WHERE verified = FALSE)::int AS unverified
+        FROM newsletter_subscriptions
+        WHERE deleted_at IS NULL
+      `),
+    ]);
+
+    res.json({
+      campaigns: campaigns.rows,
+      subscribers: subscribers.rows[0],
+      sender: newsletterSender.getStatus(),
+    });
+  } catch (error) {
+    logger.error('Error fetching newsletter campaigns:', error);
+    res.status(500).json({ error: 'Failed to fetch campaigns' });
+  }
+});
+
+// GET /api/admin/newsletter/campaigns/:id - Campaign with stats and recent failures
+router.get('/campaigns/:id', async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req.params.id);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+
+    const [stats, failures] = await Promise.all([
+      pool.query(`SELECT ${STATS_COLUMNS} FROM newsletter_sends s WHERE s.campaign_id = $1`, [campaign.id]),
+      pool.query(
+        `SELECT email, error, attempts FROM newsletter_sends
+         WHERE campaign_id = $1 AND status = 'failed'
+         ORDER BY id LIMIT 50`,
+        [campaign.id]
+      ),
+    ]);
+
+    res.json({ campaign, stats: stats.rows[0], failures: failures.rows });
+  } catch (error) {
+    logger.error('Error fetching newsletter campaign:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign' });
+  }
+});
+
+// POST /api/admin/newsletter/campaigns - Create a draft
+router.post('/campaigns', async (req, res) => {
+  try {
+    const content = await resolveContent(req.body || {});
+    if (content.error) return res.status(400).json({ error: content.error });
+
+    const { rows } = await pool.query(
+      `INSERT INTO newsletter_campaigns (subject, html, post_id, created_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [content.subject, content.html, content.postId, req.currentUser.id]
+    );
+    res.status(201).json({ campaign: rows[0] });
+  } catch (error) {
+    logger.error('Error creating newsletter campaign:', error);
+    res.status(500).json({ error: 'Failed to create campaign' });
+  }
+});
+
+// PUT /api/admin/newsletter/campaigns/:id - Edit a draft
+router.put('/campaigns/:id', async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req.params.id);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+    if (campaign.status !== 'draft') {
+      return res.status(409).json({ error: 'Only draft campaigns can be edited' });
+    }
+
+    const content = await resolveContent({
+      subject: campaign.subject,
+      html: campaign.html,
+      post_id: campaign.post_id,
+      ...req.body,
+    });
+    if (content.error) return res.status(400).json({ error: content.error });
+
+    const { rows } = await pool.query(
+      `UPDATE newsletter_campaigns SET subject = $1, html = $2, post_id = $3, updated_at = NOW()
+       WHERE id = $4 AND status = 'draft'
+       RETURNING *`,
+      [content.subject, content.html, content.postId, campaign.id]
+    );
+    if (!rows[0]) return res.status(409).json({ error: 'Only draft campaigns can be edited' });
+    res.json({ campaign: rows[0] });
+  } catch (error) {
+    logger.error('Error updating newsletter campaign:', error);
+    res.status(500).json({ error: 'Failed to update campaign' });
+  }
+});
+
+// DELETE /api/admin/newsletter/campaigns/:id - Delete a draft
+router.delete('/campaigns/:id', async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(
+      "DELETE FROM newsletter_campaigns WHERE id = $1 AND status = 'draft'",
+      [req.params.id]
+    );
+    if (rowCount === 0) return res.status(404).json({ error: 'Draft campaign not found' });
+    res.json({ ok: true });
+  } catch (error) {
+    logger.error('Error deleting newsletter campaign:', error);
+    res.status(500).json({ error: 'Failed to delete campaign' });
+  }
+});
+
+// POST /api/admin/newsletter/campaigns/:id/preview - Send the campaign to yourself
+router.post('/campaigns/:id/preview', async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req.params.id);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+    if (!isMailConfigured()) {
+      return res.status(503).json({ error: 'Email is not configured. Set SMTP_HOST (a local sink like MailHog works).' });
+    }
+
+    await transporter.sendMail({
+      from: getFromAddress(),
+      to: req.currentUser.email,
+      subject: `[Preview] ${campaign.subject}`,
+      html: renderCampaignEmail(campaign.html, null),
+    });
+
+    res.json({ message: `Preview sent to ${req.currentUser.email}` });
+  } catch (error) {
+    logger.error('Error sending newsletter preview:', error);
+    res.status(502).json({ error: `Failed to send preview: ${error.message}` });
+  }
+});
+
+// POST /api/admin/newsletter/campaigns/:id/send - Queue delivery to verified subscribers
+router.post('/campaigns/:id/send', async (req, res) => {
+  if (!isMailConfigured()) {
+    return res.status(503).json({ error: 'Email is not configured. Set SMTP_HOST (a local sink like MailHog works).' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      'SELECT id, status FROM newsletter_campaigns WHERE id = $1 FOR UPDATE',
+      [req.params.id]
+    );
+    const campaign = rows[0];
+    if (!campaign) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (campaign.status !== 'draft') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'This campaign has already been sent' });
+    }
+
+    const { rowCount } = await client.query(
+      `INSERT INTO newsletter_sends (campaign_id, email)
+       SELECT $1, email FROM newsletter_subscriptions
+       WHERE verified = TRUE AND deleted_at IS NULL
+       ON CONFLICT (campaign_id, email) DO NOTHING`,
+      [campaign.id]
+    );
+    if (rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'There are no verified subscribers to send to' });
+    }
+
+    const updated = await client.query(
+      `UPDATE newsletter_campaigns
+       SET status = 'queued', total_recipients = $2, queued_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [campaign.id, rowCount]
+    );
+
+    await client.query('COMMIT');
+
+    newsletterSender.kick();
+    logger.info(`Newsletter campaign ${campaign.id} queued for ${rowCount} subscriber(s) by ${req.currentUser.email}`);
+    res.json({ campaign: updated.rows[0], message: `Queued for ${rowCount} subscriber(s)` });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error queueing newsletter campaign:', error);
+    res.status(500).json({ error: 'Failed to queue campaign' });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/admin/newsletter/campaigns/:id/retry - Re-queue failed recipients
+router.post('/campaigns/:id/retry', async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(
+      "UPDATE newsletter_sends SET status = 'pending', error = NULL WHERE campaign_id = $1 AND status = 'failed'",
+      [req.params.id]
+    );
+    if (rowCount === 0) return res.status(400).json({ error: 'No failed recipients to retry' });
+
+    await pool.query(
+      "UPDATE newsletter_campaigns SET status = 'sending', completed_at = NULL, updated_at = NOW() WHERE id = $1",
+      [req.params.id]
+    );
+    newsletterSender.kick();
+    res.json({ message: `Retrying ${rowCount} recipient(s)` });
+  } catch (error) {
+    logger.error('Error retrying newsletter campaign:', error);
+    res.status(500).json({ error: 'Failed to retry campaign' });
+  }
+});
+
+export default router;
@@ -0,0 +1,136 @@
+import express from 'express';
+import pool from '../../utils/db.js';
+import logger from '../../utils/logger.js';
+import { invalidate } from '../../utils/cache.js';
+import {
+  CHANNELS,
+  MATCH_TYPES,
+  validateRule,
+  loadRules,
+  reclassifyHistory
+} from '../../utils/trafficSources.js';
+
+const router = express.Router();
+
+// GET /api/admin/referrer-rules - All rules in match order
+router.get('/', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT * FROM referrer_rules
+      ORDER BY priority ASC, id ASC
+    `);
+    res.json({ rules: result.rows, channels: CHANNELS, matchTypes: MATCH_TYPES });
+  } catch (error) {
+    logger.error('Error fetching referrer rules:', error);
+    res.status(500).json({ error: 'Failed to fetch referrer rules' });
+  }
+});
+
+// POST /api/admin/referrer-rules - Create a rule
+router.post('/', async (req, res) => {
+  try {
+    const { rule, error } = validateRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO referrer_rules (match_type, pattern, source, channel, priority)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [rule.match_type, rule.pattern, rule.source, rule.channel, rule.priority]
+    );
+
+    await loadRules();
+    res.status(201).json({ rule: result.rows[0] });
+  } catch (error) {
+    logger.error('Error creating referrer rule:', error);
+    if (error.code === '23505') { // Unique violation
+      res.status(409).json({ error: 'A rule with this pattern already exists' });
+    } else {
+      res.status(500).json({ error: 'Failed to create referrer rule' });
+    }
+  }
+});
+
+// PUT /api/admin/referrer-rules/:id - Update a rule
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rule, error } = validateRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await pool.query(
+      `UPDATE referrer_rules
+       SET match_type = $1, pattern = $2, source = $3, channel = $4, priority = $5, updated_at = NOW()
+       WHERE id = $6
+       RETURNING *`,
+      [rule.match_type, rule.pattern, rule.source, rule.channel, rule.priority, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Referrer rule not found' });
+    }
+
+    await loadRules();
+    res.json({ rule: result.rows[0] });
+  } catch (error) {
+    logger.error('Error updating referrer rule:', error);
+    if (error.code === '23505') {
+      res.status(409).json({ error: 'A rule with this pattern already exists' });
+    } else {
+      res.status(500).json({ error: 'Failed to update referrer rule' });
+    }
+  }
+});
+
+// DELETE /api/admin/referrer-rules/:id - Delete a rule
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM referrer_rules WHERE id = $1 RETURNING *',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Referrer rule not found' });
+    }
+
+    await loadRules();
+    res.json({
+      message: 'Referrer rule deleted successfully',
+      rule: result.rows[0]
+    });
+  } catch (error) {
+    logger.error('Error deleting referrer rule:', error);
+    res.status(500).json({ error: 'Failed to delete referrer rule' });
+  }
+});
+
+// POST /api/admin/referrer-rules/reclassify - Apply the current rules to all stored traffic events and sessions
+router.post('/reclassify', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await loadRules();
+    const updated = await reclassifyHistory(client);
+    await client.query('COMMIT');
+
+    invalidate.traffic();
+    invalidate.sessions();
+    invalidate.dashboard();
+    res.json({ updated });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error re-classifying traffic:', error);
+    res.status(500).json({ error: 'Failed to re-classify traffic' });
+  } finally {
+    client.release();
+  }
+});
+
+export default router;
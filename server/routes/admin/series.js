@@ -0,0 +1,200 @@
+import express from 'express';
+import pool from '../../utils/db.js';
+import logger from '../../utils/logger.js';
+import { invalidate } from '../../utils/cache.js';
+
+const router = express.Router();
+
+// Helper function to generate slug from title
+function generateSlug(title) {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+}
+
+// Posts of a series in reading order (inside the caller's transaction or on the pool)
+function fetchSeriesPosts(db, seriesId) {
+  return db.query(`
+    SELECT bp.id, bp.title, bp.slug, bp.status, bsp.position
+    FROM blog_series_posts bsp
+    JOIN blog_posts bp ON bsp.post_id = bp.id
+    WHERE bsp.series_id = $1
+    ORDER BY bsp.position ASC, bsp.post_id ASC
+  `, [seriesId]);
+}
+
+// GET /api/admin/series - Get all series
+router.get('/', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT s.*,
+        COUNT(bsp.post_id)::int as post_count,
+        COUNT(bsp.post_id) FILTER (WHERE bp.status = 'published')::int as published_count
+      FROM blog_series s
+      LEFT JOIN blog_series_posts bsp ON s.id = bsp.series_id
+      LEFT JOIN blog_posts bp ON bsp.post_id = bp.id
+      GROUP BY s.id
+      ORDER BY s.title ASC
+    `);
+    res.json({ series: result.rows });
+  } catch (error) {
+    logger.error('Error fetching series:', error);
+    res.status(500).json({ error: 'Failed to fetch series' });
+  }
+});
+
+// GET /api/admin/series/:id - Get single series with its posts in order
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query('SELECT * FROM blog_series WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const posts = await fetchSeriesPosts(pool, id);
+    res.json({ series: result.rows[0], posts: posts.rows });
+  } catch (error) {
+    logger.error('Error fetching series:', error);
+    res.status(500).json({ error: 'Failed to fetch series' });
+  }
+});
+
+// POST /api/admin/series - Create new series
+router.post('/', async (req, res) => {
+  try {
+    const { title, description } = req.body;
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({ error: 'Series title is required' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO blog_series (title, slug, description)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [title.trim(), generateSlug(title), description || null]
+    );
+
+    res.status(201).json({ series: { ...result.rows[0], post_count: 0, published_count: 0 } });
+  } catch (error) {
+    logger.error('Error creating series:', error);
+    if (error.code === '23505') { // Unique violation
+      res.status(409).json({ error: 'A series with this title already exists' });
+    } else {
+      res.status(500).json({ error: 'Failed to create series' });
+    }
+  }
+});
+
+// PUT /api/admin/series/:id - Update series title and description
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, description } = req.body;
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({ error: 'Series title is required' });
+    }
+
+    const result = await pool.query(
+      `UPDATE blog_series
+       SET title = $1, slug = $2, description = $3, updated_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [title.trim(), generateSlug(title), description || null, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    invalidate.sitemap();
+    invalidate.prerender();
+    res.json({ series: result.rows[0] });
+  } catch (error) {
+    logger.error('Error updating series:', error);
+    if (error.code === '23505') {
+      res.status(409).json({ error: 'A series with this title already exists' });
+    } else {
+      res.status(500).json({ error: 'Failed to update series' });
+    }
+  }
+});
+
+// PUT /api/admin/series/:id/posts - Replace the series' posts with postIds, in reading order
+// Posts that were part of another series are moved to this one
+router.put('/:id/posts', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { postIds } = req.body; // Array of post IDs in reading order
+
+    if (!Array.isArray(postIds) || !postIds.every(Number.isInteger) || new Set(postIds).size !== postIds.length) {
+      return res.status(400).json({ error: 'postIds must be an array of distinct post IDs' });
+    }
+
+    await client.query('BEGIN');
+
+    const series = await client.query('SELECT id FROM blog_series WHERE id = $1 FOR UPDATE', [id]);
+    if (series.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    await client.query(
+      'DELETE FROM blog_series_posts WHERE series_id = $1 OR post_id = ANY($2::int[])',
+      [id, postIds]
+    );
+
+    await client.query(`
+      INSERT INTO blog_series_posts (series_id, post_id, position)
+      SELECT $1, p.post_id, p.position
+      FROM UNNEST($2::int[]) WITH ORDINALITY AS p(post_id, position)
+      JOIN blog_posts bp ON bp.id = p.post_id
+    `, [id, postIds]);
+
+    const posts = await fetchSeriesPosts(client, id);
+
+    await client.query('COMMIT');
+    invalidate.sitemap();
+    invalidate.prerender();
+    res.json({ posts: posts.rows });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error updating series posts:', error);
+    res.status(500).json({ error: 'Failed to update series posts' });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /api/admin/series/:id - Delete series (its posts are kept)
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM blog_series WHERE id = $1 RETURNING *',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    invalidate.sitemap();
+    invalidate.prerender();
+    res.json({
+      message: 'Series deleted successfully',
+      series: result.rows[0]
+    });
+  } catch (error) {
+    logger.error('Error deleting series:', error);
+    res.status(500).json({ error: 'Failed to delete series' });
+  }
+});
+
+export default router;
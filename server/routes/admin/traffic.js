@@ -2,6 +2,7 @@ import express from "express";
 import pool from "../../utils/db.js";
 import { normalizeRange } from "../../utils/dateUtils.js";
 import cache, { CACHE_KEYS, CACHE_CONFIG } from "../../utils/cache.js";
+import { CHANNELS } from "../../utils/trafficSources.js";
 
 const router = express.Router();
 
@@ -48,7 +49,7 @@ router.get('/summary', async (req, res) => {
             COALESCE(SUM(CASE WHEN source = 'facebook' THEN 1 ELSE 0 END),0)::BIGINT AS traffic_facebook,
             COALESCE(SUM(CASE WHEN source = 'youtube' THEN 1 ELSE 0 END),0)::BIGINT AS traffic_youtube,
             COALESCE(SUM(CASE WHEN source = 'google' THEN 1 ELSE 0 END),0)::BIGINT AS traffic_google,
-            COALESCE(SUM(CASE WHEN source = 'other' THEN 1 ELSE 0 END),0)::BIGINT AS traffic_others
+            COALESCE(SUM(CASE WHEN source NOT IN ('instagram', 'facebook', 'youtube', 'google') THEN 1 ELSE 0 END),0)::BIGINT AS traffic_others
           FROM traffic_events
           WHERE occurred_at >= NOW() - ($1 || ' days')::interval
         ),
@@ -57,7 +58,7 @@ router.get('/summary', async (req, res) => {
           FROM (
             SELECT COALESCE(NULLIF(referrer,''),'No referrer') AS ref, COUNT(*) AS cnt
             FROM traffic_events
-            WHERE occurred_at >= NOW() - ($2 || ' days')::interval AND source = 'other'
+            WHERE occurred_at >= NOW() - ($2 || ' days')::interval AND source NOT IN ('instagram', 'facebook', 'youtube', 'google')
             GROUP BY COALESCE(NULLIF(referrer,''),'No referrer')
             ORDER BY cnt DESC
             LIMIT 5
@@ -104,7 +105,7 @@ router.get('/summary/test', async (req, res) => {
             COALESCE(SUM(CASE WHEN source = 'facebook' THEN 1 ELSE 0 END),0)::BIGINT AS traffic_facebook,
             COALESCE(SUM(CASE WHEN source = 'youtube' THEN 1 ELSE 0 END),0)::BIGINT AS traffic_youtube,
             COALESCE(SUM(CASE WHEN source = 'google' THEN 1 ELSE 0 END),0)::BIGINT AS traffic_google,
-            COALESCE(SUM(CASE WHEN source = 'other' THEN 1 ELSE 0 END),0)::BIGINT AS traffic_others
+            COALESCE(SUM(CASE WHEN source NOT IN ('instagram', 'facebook', 'youtube', 'google') THEN 1 ELSE 0 END),0)::BIGINT AS traffic_others
           FROM traffic_events
           WHERE occurred_at >= ${rangeClause}
         ),
@@ -113,7 +114,7 @@ router.get('/summary/test', async (req, res) => {
           FROM (
             SELECT COALESCE(NULLIF(referrer,''),'No referrer') AS ref, COUNT(*) AS cnt
             FROM traffic_events
-            WHERE occurred_at >= ${rangeClause} AND source = 'other'
+            WHERE occurred_at >= ${rangeClause} AND source NOT IN ('instagram', 'facebook', 'youtube', 'google')
             GROUP BY COALESCE(NULLIF(referrer,''),'No referrer')
             ORDER BY cnt DESC
             LIMIT 5
@@ -151,10 +152,17 @@ router.get('/events', async (req, res) => {
       wheres.push("occurred_at >= NOW() - ($1 || ' days')::interval");
     }
 
-    const allowed = new Set(['instagram','facebook','youtube','google','other']);
+    const allowed = new Set(['instagram','facebook','youtube','google']);
     if (allowed.has(source)) {
       params.push(source);
       wheres.push(`source = $${params.length}`);
+    } else if (source === 'other') {
+      // Others: every source without a card of its own (direct, other, and sources added by referrer rules)
+      wheres.push("source NOT IN ('instagram', 'facebook', 'youtube', 'google')");
+    }
+    if (CHANNELS.includes(req.query.channel)) {
+      params.push(req.query.channel);
+      wheres.push(`channel = $${params.length}`);
     }
     if (ref) {
       params.push(`%${ref.toLowerCase()}%`);
@@ -176,7 +184,7 @@ router.get('/events', async (req, res) => {
         COALESCE(SUM(CASE WHEN source = 'facebook' THEN 1 ELSE 0 END), 0) AS traffic_facebook,
         COALESCE(SUM(CASE WHEN source = 'youtube' THEN 1 ELSE 0 END), 0) AS traffic_youtube,
         COALESCE(SUM(CASE WHEN source = 'google' THEN 1 ELSE 0 END), 0) AS traffic_google,
-        COALESCE(SUM(CASE WHEN source = 'other' THEN 1 ELSE 0 END), 0) AS traffic_others
+        COALESCE(SUM(CASE WHEN source NOT IN ('instagram', 'facebook', 'youtube', 'google') THEN 1 ELSE 0 END), 0) AS traffic_others
       FROM traffic_events 
       WHERE ${countWheres.join(' AND ')}`;
     
@@ -187,7 +195,7 @@ router.get('/events', async (req, res) => {
     params.push(offset);
 
     const { rows } = await pool.query(
-      `SELECT id::text AS id, occurred_at, source, referrer, path, user_agent, ip
+      `SELECT id::text AS id, occurred_at, source, channel, referrer, path, user_agent, ip
        FROM traffic_events
        WHERE ${wheres.join(' AND ')}
        ORDER BY occurred_at DESC
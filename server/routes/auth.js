@@ -3,18 +3,23 @@ import passport from "passport";
 import { Strategy as GoogleStrategy } from "passport-google-oauth20";
 import bcrypt from "bcryptjs";
 import { v4 as uuidv4 } from "uuid";
-import nodemailer from "nodemailer";
-import jwt from "jsonwebtoken";
 import logger from "../utils/logger.js";
+import { sendLinkEmail } from "../utils/mailer.js";
 import pool, { isDatabaseAvailable, checkDatabaseAvailability } from "../utils/db.js";
 import { authPasswordLimiter, authOAuthLimiter, authGeneralLimiter } from "../middleware/rateLimiter.js";
-import { verifyJwt as verifyJwtHelper } from "../middleware/auth.js";
+import { 
+  verifyJwt as verifyJwtHelper, 
+  isJwtRevoked, 
+  revokeUserSessions, 
+  signJwt, 
+  setJwtCookie 
+} from "../middleware/auth.js";
 import { invalidate } from "../utils/cache.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
 import { 
-  COOKIE_JWT_MAX_AGE, 
-  JWT_EXPIRATION, 
   EMAIL_VERIFICATION_EXPIRATION_MS,
-  DEFAULT_JWT_SECRET 
+  PASSWORD_RESET_EXPIRATION_MS,
+  PASSWORD_MIN_LENGTH
 } from "../constants.js";
 
 const router = express.Router();
@@ -43,7 +48,7 @@ if (process.env.NODE_ENV !== 'test') {
     }
   }, 1000).unref();
 
-  // Cleanup expired pending registrations periodically (every hour)
+  // Cleanup expired pending registrations and reset/newsletter tokens periodically (every hour)
   setInterval(async () => {
     if (isDatabaseAvailable) {
       try {
@@ -54,56 +59,48 @@ if (process.env.NODE_ENV !== 'test') {
       } catch (e) {
         logger.warn('Failed to cleanup expired pending registrations:', e.message);
       }
+      try {
+        await pool.query(
+          "DELETE FROM password_reset_tokens WHERE expires_at < NOW() OR consumed_at IS NOT NULL"
+        );
+      } catch (e) {
+        logger.warn('Failed to cleanup expired password reset tokens:', e.message);
+      }
+      try {
+        await pool.query(
+          "DELETE FROM newsletter_tokens WHERE expires_at < NOW() OR (purpose = 'verify' AND consumed_at IS NOT NULL)"
+        );
+      } catch (e) {
+        logger.warn('Failed to cleanup expired newsletter tokens:', e.message);
+      }
     }
   }, 1000 * 60 * 60).unref(); // Run every hour
 }
 
-// Email transporter (use environment variables)
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST,
-  port: Number(process.env.SMTP_PORT || 587),
-  secure: process.env.SMTP_SECURE === 'true' || process.env.SMTP_PORT === '465',
-  auth: process.env.SMTP_USER && process.env.SMTP_PASS ? {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS,
-  } : undefined,
-});
-
 // Email configuration is validated in validateEnv.js
 
 async function sendVerificationEmail(email, token) {
   const base = process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
   const url = `${base}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
-  
-  // If SMTP not configured, log link to console for development
-  if (!process.env.SMTP_HOST || !process.env.SMTP_USER || !process.env.SMTP_PASS) {
-    logger.info('\n' + '='.repeat(80));
-    logger.info('📧 [DEV MODE] Email verification link:');
-    logger.info('   Email: ' + email);
-    logger.info('   Link:  ' + url);
-    logger.info('='.repeat(80) + '\n');
-    return;
-  }
-  
-  // Try to send email via SMTP
-  try {
-    await transporter.sendMail({
-      from: process.env.EMAIL_FROM || "no-reply@peakself.local",
-      to: email,
-      subject: "Verify your PeakSelf account",
-      html: `<p>Click to verify your email:</p><p><a href="${url}">${url}</a></p>`
-    });
-    // Email sent successfully
-  } catch (e) {
-    // Log link to console if email fails (development fallback)
-    if (process.env.NODE_ENV !== 'production') {
-      logger.info('\n' + '='.repeat(80));
-      logger.info('📧 [FALLBACK] Verification link:');
-      logger.info('   Email: ' + email);
-      logger.info('   Link:  ' + url);
-      logger.info('='.repeat(80) + '\n');
-    }
-  }
+  await sendLinkEmail({
+    to: email,
+    subject: "Verify your PeakSelf account",
+    html: `<p>Click to verify your email:</p><p><a href="${url}">${url}</a></p>`,
+    link: url,
+    label: 'Email verification link',
+  });
+}
+
+async function sendPasswordResetEmail(email, token) {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+  const url = `${clientUrl}/reset-password?token=${encodeURIComponent(token)}`;
+  await sendLinkEmail({
+    to: email,
+    subject: "Reset your PeakSelf password",
+    html: `<p>We received a request to reset your password.</p><p><a href="${url}">${url}</a></p><p>This link expires in one hour. If you didn't request a reset, you can ignore this email.</p>`,
+    link: url,
+    label: 'Password reset link',
+  });
 }
 
 // Passport serialization
@@ -229,27 +226,11 @@ function ensureLocalAllowed(user) {
   return null;
 }
 
-function signJwt(user) {
-  const secret = process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
-  const payload = { sub: user.id, email: user.email, role: user.role };
-  const token = jwt.sign(payload, secret, { algorithm: 'HS256', expiresIn: JWT_EXPIRATION });
-  return token;
-}
-
 async function getUserById(id) {
   const { rows } = await pool.query("SELECT id, email, provider, verified, name, avatar_url, role FROM users WHERE id = $1 AND deleted_at IS NULL", [id]);
   return rows[0] || null;
 }
 
-function setJwtCookie(res, token) {
-  res.cookie('access_token', token, {
-    httpOnly: true,
-    sameSite: 'lax',
-    secure: process.env.NODE_ENV === 'production',
-    maxAge: COOKIE_JWT_MAX_AGE,
-  });
-}
-
 // Use centralized verifyJwt from middleware
 const verifyJwtFromRequest = verifyJwtHelper;
 
@@ -528,6 +509,93 @@ router.get("/verify-email", authGeneralLimiter, async (req, res) => {
   }
 });
 
+// Request a password reset link (local accounts only)
+// Always answers with the same message so it can't be used to probe for accounts
+router.post("/forgot-password", authPasswordLimiter, async (req, res) => {
+  try {
+    const { email } = req.body || {};
+    if (!email) return res.status(400).json({ error: "Email is required" });
+    const lower = String(email).toLowerCase().trim();
+    const message = "If an account exists for that email, a password reset link has been sent.";
+
+    const { rows } = await pool.query(
+      "SELECT id, email, provider FROM users WHERE email = $1 AND deleted_at IS NULL",
+      [lower]
+    );
+    const user = rows[0];
+    if (!user || user.provider !== 'local') {
+      return res.json({ message });
+    }
+
+    // Only the most recent link should work
+    await pool.query(
+      "UPDATE password_reset_tokens SET consumed_at = NOW() WHERE user_id = $1 AND consumed_at IS NULL",
+      [user.id]
+    );
+
+    const token = generateToken();
+    const expires = new Date(Date.now() + PASSWORD_RESET_EXPIRATION_MS);
+    await pool.query(
+      "INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)",
+      [user.id, hashToken(token), expires]
+    );
+
+    await sendPasswordResetEmail(user.email, token);
+
+    return res.json({ message });
+  } catch (e) {
+    const msg = process.env.NODE_ENV === 'production' ? 'Password reset request failed' : `Password reset request failed: ${e.message}`;
+    res.status(500).json({ error: msg });
+  }
+});
+
+// Set a new password using a reset token
+router.post("/reset-password", authPasswordLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    if (!token || !password) return res.status(400).json({ error: "Token and password are required" });
+    if (String(password).length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+    }
+
+    // Consume the token in the same statement that validates it so it can only be used once
+    const { rows } = await pool.query(
+      `UPDATE password_reset_tokens SET consumed_at = NOW()
+       WHERE token_hash = $1 AND consumed_at IS NULL AND expires_at > NOW()
+       RETURNING user_id`,
+      [hashToken(String(token))]
+    );
+    const rec = rows[0];
+    if (!rec) return res.status(400).json({ error: "Invalid or expired token" });
+
+    // Following the emailed link proves ownership of the address, so the account is verified too
+    const hash = await bcrypt.hash(password, 10);
+    const updated = await pool.query(
+      `UPDATE users SET password_hash = $1, verified = TRUE, password_changed_at = NOW(), updated_at = NOW()
+       WHERE id = $2 AND provider = 'local' AND deleted_at IS NULL
+       RETURNING id, email`,
+      [hash, rec.user_id]
+    );
+    const user = updated.rows[0];
+    if (!user) return res.status(400).json({ error: "Invalid or expired token" });
+
+    // Sign the user out everywhere
+    await revokeUserSessions(user.id);
+    res.clearCookie('access_token', {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      path: '/'
+    });
+
+    logger.info(`Password reset completed for ${user.email}`);
+    return res.json({ message: "Your password has been reset. Please log in with your new password." });
+  } catch (e) {
+    const msg = process.env.NODE_ENV === 'production' ? 'Password reset failed' : `Password reset failed: ${e.message}`;
+    res.status(500).json({ error: msg });
+  }
+});
+
 // Logout
 router.post("/logout", authGeneralLimiter, (req, res) => {
   res.clearCookie('access_token', {
@@ -561,6 +629,7 @@ router.get("/me", async (req, res) => {
   try {
     const decoded = verifyJwtFromRequest(req);
     if (decoded?.sub) {
+      if (await isJwtRevoked(decoded)) return res.status(200).json({ user: null });
       const user = await getUserById(decoded.sub);
       return res.json({ user });
     }
@@ -0,0 +1,113 @@
+import express from 'express';
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+import analyticsQueue from '../utils/analyticsQueue.js';
+import { requireAuth, getCurrentUser } from '../middleware/auth.js';
+import { commentLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+export const MAX_COMMENT_LENGTH = 2000;
+
+// Accounts deleted through DELETE /api/user/me are only soft-deleted; their comments stay but lose the name and avatar
+const COMMENT_COLUMNS = `
+  c.id, c.post_id, c.parent_id, c.body, c.status, c.created_at,
+  COALESCE(CASE WHEN u.deleted_at IS NULL THEN u.name END, 'Reader') AS author_name,
+  CASE WHEN u.deleted_at IS NULL THEN u.avatar_url END AS author_avatar`;
+
+async function findPublishedPost(slug) {
+  const { rows } = await pool.query(
+    "SELECT id FROM blog_posts WHERE slug = $1 AND status = 'published'",
+    [slug]
+  );
+  return rows[0] || null;
+}
+
+// GET /api/blog/:slug/comments - Approved comments (plus the reader's own pending ones), oldest first
+router.get('/:slug/comments', async (req, res) => {
+  try {
+    const post = await findPublishedPost(req.params.slug);
+    if (!post) return res.status(404).json({ error: 'Blog post not found' });
+
+    const userId = getCurrentUser(req)?.id || null;
+    const { rows } = await pool.query(
+      `SELECT ${COMMENT_COLUMNS}
+       FROM blog_comments c
+       LEFT JOIN users u ON u.id = c.user_id
+       WHERE c.post_id = $1
+         AND (c.status = 'approved' OR (c.status = 'pending' AND c.user_id = $2))
+       ORDER BY c.created_at ASC`,
+      [post.id, userId]
+    );
+
+    res.json({ comments: rows });
+  } catch (error) {
+    logger.error('Error fetching comments:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+// POST /api/blog/:slug/comments - Add a comment or reply (verified users; held for moderation)
+router.post('/:slug/comments', requireAuth, commentLimiter, async (req, res) => {
+  try {
+    const body = typeof req.body?.body === 'string' ? req.body.body.trim() : '';
+    const parentId = req.body?.parent_id ? Number.parseInt(req.body.parent_id, 10) : null;
+
+    if (!body) return res.status(400).json({ error: 'Comment cannot be empty' });
+    if (body.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `Comments must be ${MAX_COMMENT_LENGTH} characters or fewer` });
+    }
+    if (req.body?.parent_id && !Number.isInteger(parentId)) {
+      return res.status(400).json({ error: 'Invalid parent comment' });
+    }
+
+    const { rows: users } = await pool.query(
+      'SELECT verified, role FROM users WHERE id = $1 AND deleted_at IS NULL',
+      [req.currentUser.id]
+    );
+    const user = users[0];
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+    if (!user.verified) {
+      return res.status(403).json({ error: 'Please verify your email before commenting' });
+    }
+
+    const post = await findPublishedPost(req.params.slug);
+    if (!post) return res.status(404).json({ error: 'Blog post not found' });
+
+    if (parentId) {
+      const { rows: parents } = await pool.query(
+        "SELECT id FROM blog_comments WHERE id = $1 AND post_id = $2 AND status = 'approved'",
+        [parentId, post.id]
+      );
+      if (parents.length === 0) {
+        return res.status(400).json({ error: 'The comment you are replying to is not available' });
+      }
+    }
+
+    // Admins moderate the queue themselves, so their comments go straight out
+    const status = user.role === 'admin' ? 'approved' : 'pending';
+    const { rows } = await pool.query(
+      `WITH c AS (
+         INSERT INTO blog_comments (post_id, user_id, parent_id, body, status)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *
+       )
+       SELECT ${COMMENT_COLUMNS}
+       FROM c
+       LEFT JOIN users u ON u.id = c.user_id`,
+      [post.id, req.currentUser.id, parentId, body, status]
+    );
+
+    if (status === 'approved') analyticsQueue.queueUpdate(post.id);
+
+    res.status(201).json({
+      comment: rows[0],
+      message: status === 'approved' ? 'Comment posted' : 'Thanks! Your comment will appear once it has been approved.',
+    });
+  } catch (error) {
+    logger.error('Error creating comment:', error);
+    res.status(500).json({ error: 'Failed to post comment' });
+  }
+});
+
+export default router;
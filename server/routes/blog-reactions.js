@@ -0,0 +1,90 @@
+import express from 'express';
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+import analyticsQueue from '../utils/analyticsQueue.js';
+import { requireAuth, getCurrentUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Reaction kinds and the table holding one row per user and post
+const REACTIONS = {
+  like: 'blog_post_likes',
+  bookmark: 'blog_post_bookmarks',
+};
+
+async function findPublishedPost(slug) {
+  const { rows } = await pool.query(
+    "SELECT id FROM blog_posts WHERE slug = $1 AND status = 'published'",
+    [slug]
+  );
+  return rows[0] || null;
+}
+
+// Like count for a post plus whether the given user liked / bookmarked it
+async function getReactionState(postId, userId) {
+  const { rows } = await pool.query(
+    `SELECT
+       (SELECT COUNT(*) FROM blog_post_likes WHERE post_id = $1)::int AS likes,
+       EXISTS (SELECT 1 FROM blog_post_likes WHERE post_id = $1 AND user_id = $2) AS liked,
+       EXISTS (SELECT 1 FROM blog_post_bookmarks WHERE post_id = $1 AND user_id = $2) AS bookmarked`,
+    [postId, userId]
+  );
+  return rows[0];
+}
+
+// GET /api/blog/:slug/reactions - Like count and the reader's own like / bookmark
+router.get('/:slug/reactions', async (req, res) => {
+  try {
+    const post = await findPublishedPost(req.params.slug);
+    if (!post) return res.status(404).json({ error: 'Blog post not found' });
+
+    const userId = getCurrentUser(req)?.id || null;
+    res.json(await getReactionState(post.id, userId));
+  } catch (error) {
+    logger.error('Error fetching reactions:', error);
+    res.status(500).json({ error: 'Failed to fetch reactions' });
+  }
+});
+
+// PUT adds and DELETE removes a like or bookmark; repeating either is a no-op
+for (const [kind, table] of Object.entries(REACTIONS)) {
+  const path = `/:slug/${kind}`;
+
+  router.put(path, requireAuth, async (req, res) => {
+    try {
+      const post = await findPublishedPost(req.params.slug);
+      if (!post) return res.status(404).json({ error: 'Blog post not found' });
+
+      const { rowCount } = await pool.query(
+        `INSERT INTO ${table} (post_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING`,
+        [post.id, req.currentUser.id]
+      );
+      if (rowCount > 0) analyticsQueue.queueUpdate(post.id);
+
+      res.json(await getReactionState(post.id, req.currentUser.id));
+    } catch (error) {
+      logger.error(`Error adding ${kind}:`, error);
+      res.status(500).json({ error: `Failed to ${kind} post` });
+    }
+  });
+
+  router.delete(path, requireAuth, async (req, res) => {
+    try {
+      const post = await findPublishedPost(req.params.slug);
+      if (!post) return res.status(404).json({ error: 'Blog post not found' });
+
+      const { rowCount } = await pool.query(
+        `DELETE FROM ${table} WHERE post_id = $1 AND user_id = $2`,
+        [post.id, req.currentUser.id]
+      );
+      if (rowCount > 0) analyticsQueue.queueUpdate(post.id);
+
+      res.json(await getReactionState(post.id, req.currentUser.id));
+    } catch (error) {
+      logger.error(`Error removing ${kind}:`, error);
+      res.status(500).json({ error: `Failed to remove ${kind}` });
+    }
+  });
+}
+
+export default router;
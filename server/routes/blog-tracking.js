@@ -4,6 +4,19 @@ import logger from '../utils/logger.js';
 import { success, error as errorResponse } from '../utils/response.js';
 import { TRACKING_COOKIES } from '../constants.js';
 import analyticsQueue from '../utils/analyticsQueue.js';
+import { STRATEGIES } from '../utils/relatedPosts.js';
+import { classifySource } from '../utils/trafficSources.js';
+
+const RELATED_POST_EVENTS = ['impression', 'click'];
+
+// section_view events carry a batch of { section, paragraph, seconds } views
+const MAX_SECTION_VIEWS = 200;
+const MAX_SECTION_VIEW_SECONDS = 3600;
+const SECTION_ID_PATTERN = /^[a-z0-9-]{1,100}$/;
+
+// Clicks in the post content: what was clicked and where, for the link report and click heatmap
+const CLICK_EVENTS = ['click', 'outbound_click', 'internal_click'];
+const CLICK_STRING_FIELDS = { href: 2048, url: 2048, path: 2048, text: 200, element: 20 };
 
 const router = express.Router();
 
@@ -16,19 +29,6 @@ function getTrackingIds(req) {
   return { sessionId, visitorId, userId };
 }
 
-// Helper to categorize traffic source from query params, cookies, or referrer
-function categorizeSource(sourceHint, referrer) {
-  const s = (sourceHint || "").toLowerCase();
-  const r = (referrer || "").toLowerCase();
-  if (s.includes('instagram') || r.includes('instagram.com')) return 'instagram';
-  if (s.includes('facebook') || s.includes('fb') || r.includes('facebook.com') || r.includes('fb.com')) return 'facebook';
-  if (s.includes('youtube') || r.includes('youtube.com') || r.includes('youtu.be')) return 'youtube';
-  if (s.includes('google') || r.includes('google.')) return 'google';
-  if (s.includes('twitter') || s.includes('x.com') || r.includes('twitter.com') || r.includes('x.com')) return 'twitter';
-  if (!r && !s) return 'direct';
-  return 'other';
-}
-
 // Helper to determine traffic source from request
 function getTrafficSource(req) {
   // Check for explicit source in request body (from client-side tracking)
@@ -42,7 +42,7 @@ function getTrafficSource(req) {
   
   // Prioritize: explicit body source > cookie source > categorized from referrer
   if (bodySource) {
-    return categorizeSource(bodySource, referrer);
+    return classifySource(bodySource, referrer).source;
   }
   
   if (cookieSource && cookieSource !== 'other') {
@@ -50,7 +50,56 @@ function getTrafficSource(req) {
   }
   
   // Fall back to categorizing from referrer
-  return categorizeSource(null, referrer);
+  return classifySource(null, referrer).source;
+}
+
+// Validate a section_view batch. section is the heading anchor the block belongs to
+// (null before the first heading), paragraph the block's index in the post content.
+function normalizeSectionViews(eventData) {
+  const { views } = eventData || {};
+  if (!Array.isArray(views) || views.length === 0 || views.length > MAX_SECTION_VIEWS) {
+    return null;
+  }
+
+  const normalized = [];
+  for (const view of views) {
+    const section = view?.section ?? null;
+    const { paragraph, seconds } = view || {};
+    if (section !== null && (typeof section !== 'string' || !SECTION_ID_PATTERN.test(section))) return null;
+    if (!Number.isInteger(paragraph) || paragraph < 0) return null;
+    if (typeof seconds !== 'number' || !(seconds > 0)) return null;
+    normalized.push({
+      section,
+      paragraph,
+      seconds: Math.round(Math.min(seconds, MAX_SECTION_VIEW_SECONDS) * 10) / 10
+    });
+  }
+  return { views: normalized };
+}
+
+// Keep only the known click fields, trimmed and in range. Malformed values are dropped,
+// the click itself is still recorded.
+function normalizeClickData(eventData) {
+  const data = {};
+  for (const [field, maxLength] of Object.entries(CLICK_STRING_FIELDS)) {
+    const value = eventData?.[field];
+    if (typeof value === 'string' && value.trim()) {
+      data[field] = value.trim().slice(0, maxLength);
+    }
+  }
+  for (const field of ['link_index', 'paragraph']) {
+    const value = eventData?.[field];
+    if (Number.isInteger(value) && value >= 0) data[field] = value;
+  }
+  for (const field of ['x', 'y']) {
+    const value = eventData?.[field];
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      data[field] = Math.min(1, Math.max(0, Math.round(value * 1000) / 1000));
+    }
+  }
+  const section = eventData?.section;
+  if (typeof section === 'string' && SECTION_ID_PATTERN.test(section)) data.section = section;
+  return data;
 }
 
 // Calculate engagement score based on analytics
@@ -62,7 +111,9 @@ function calculateEngagementScore(analytics) {
     total_shares = 0,
     newsletter_signups = 0,
     cta_clicks = 0,
-    avg_scroll_depth = 0
+    avg_scroll_depth = 0,
+    likes_count = 0,
+    bookmarks_count = 0
   } = analytics;
 
   // Weighted scoring formula
@@ -73,7 +124,9 @@ function calculateEngagementScore(analytics) {
     (total_shares * 10) +
     (newsletter_signups * 20) +
     (cta_clicks * 3) +
-    (avg_scroll_depth * 0.5);
+    (avg_scroll_depth * 0.5) +
+    (likes_count * 4) +
+    (bookmarks_count * 8);
 
   return Math.round(score * 100) / 100;
 }
@@ -104,7 +157,7 @@ async function updatePostAnalytics(client, postId) {
           COUNT(*) FILTER (WHERE traffic_source = 'instagram') as src_instagram,
           COUNT(*) FILTER (WHERE traffic_source = 'facebook') as src_facebook,
           COUNT(*) FILTER (WHERE traffic_source = 'youtube') as src_youtube,
-          COUNT(*) FILTER (WHERE traffic_source = 'other') as src_other,
+          COUNT(*) FILTER (WHERE traffic_source NOT IN ('direct', 'google', 'instagram', 'facebook', 'youtube')) as src_other,
           MIN(entered_at) as first_view,
           MAX(entered_at) as last_view
         FROM blog_post_sessions
@@ -117,9 +170,10 @@ async function updatePostAnalytics(client, postId) {
           COUNT(*) FILTER (WHERE event_type = 'share' AND event_data->>'platform' = 'linkedin') as linkedin_shares,
           COUNT(*) FILTER (WHERE event_type = 'copy_link') as copy_links,
           COUNT(*) FILTER (WHERE event_type = 'newsletter_signup') as newsletter_signups,
-          COUNT(*) FILTER (WHERE event_type = 'comment') as comments,
-          COUNT(*) FILTER (WHERE event_type = 'like') as likes,
-          COUNT(*) FILTER (WHERE event_type = 'bookmark') as bookmarks,
+          -- Comments (once approved), likes and bookmarks come from their own tables
+          (SELECT COUNT(*) FROM blog_comments WHERE post_id = $1 AND status = 'approved') as comments,
+          (SELECT COUNT(*) FROM blog_post_likes WHERE post_id = $1) as likes,
+          (SELECT COUNT(*) FROM blog_post_bookmarks WHERE post_id = $1) as bookmarks,
           COUNT(*) FILTER (WHERE event_type = 'cta_click') as total_clicks,
           COUNT(*) FILTER (WHERE event_type = 'outbound_click') as outbound_clicks,
           COUNT(*) FILTER (WHERE event_type = 'internal_click') as internal_clicks
@@ -219,13 +273,23 @@ router.post('/:postId/engagement', async (req, res) => {
   
   try {
     const { postId } = req.params;
-    const { event_type, event_data = {} } = req.body;
+    const { event_type } = req.body;
+    let { event_data = {} } = req.body;
     const { sessionId, visitorId, userId } = getTrackingIds(req);
 
     if (!event_type) {
       return errorResponse(res, 'Event type is required', 400);
     }
 
+    if (event_type === 'section_view') {
+      event_data = normalizeSectionViews(event_data);
+      if (!event_data) {
+        return errorResponse(res, 'Invalid section views', 400);
+      }
+    } else if (CLICK_EVENTS.includes(event_type)) {
+      event_data = normalizeClickData(event_data);
+    }
+
     if (!sessionId || !visitorId) {
       return errorResponse(res, 'Tracking cookies not found', 400);
     }
@@ -317,4 +381,55 @@ router.post('/:postId/engagement', async (req, res) => {
   }
 });
 
+// POST /api/track/blog/:postId/related - Impression or click of the related posts block
+// Feeds the per-strategy click-through comparison in admin blog analytics
+router.post('/:postId/related', async (req, res) => {
+  try {
+    const postId = parseInt(req.params.postId, 10);
+    const { strategy, event, related_post_id, position } = req.body;
+    const { visitorId } = getTrackingIds(req);
+
+    if (Number.isNaN(postId)) {
+      return errorResponse(res, 'Invalid post ID', 400);
+    }
+
+    if (!STRATEGIES.includes(strategy)) {
+      return errorResponse(res, 'Unknown related posts strategy', 400);
+    }
+
+    if (!RELATED_POST_EVENTS.includes(event)) {
+      return errorResponse(res, 'Event must be impression or click', 400);
+    }
+
+    const relatedPostId = related_post_id == null ? null : parseInt(related_post_id, 10);
+    if (Number.isNaN(relatedPostId)) {
+      return errorResponse(res, 'Invalid related post ID', 400);
+    }
+    if (event === 'click' && !relatedPostId) {
+      return errorResponse(res, 'Clicked post is required', 400);
+    }
+
+    const rawPosition = parseInt(position, 10);
+    const safePosition = Number.isNaN(rawPosition) || rawPosition < 0 ? null : rawPosition;
+
+    // Only record events for posts that exist
+    const result = await pool.query(`
+      INSERT INTO blog_related_post_events (post_id, related_post_id, strategy, event_type, position, visitor_id)
+      SELECT id, $2, $3, $4, $5, $6 FROM blog_posts WHERE id = $1
+    `, [postId, relatedPostId, strategy, event, safePosition, visitorId]);
+
+    if (result.rowCount === 0) {
+      return errorResponse(res, 'Blog post not found', 404);
+    }
+
+    return success(res, { tracked: true });
+  } catch (err) {
+    if (err.code === '23503') { // Foreign key violation - related post does not exist
+      return errorResponse(res, 'Related post not found', 400);
+    }
+    logger.error('Error tracking related posts event:', err);
+    return errorResponse(res, 'Failed to track related posts event', 500);
+  }
+});
+
 export default router;
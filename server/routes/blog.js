@@ -1,70 +1,135 @@
 import express from 'express';
 import pool from '../utils/db.js';
 import logger from '../utils/logger.js';
+import { renderDocument } from '../utils/blocks.js';
+import { sanitizeHtml } from '../utils/sanitize.js';
+import { SEARCH_CONFIG, MAX_SEARCH_LENGTH, HEADLINE_OPTIONS, formatHeadline, suggestSearch } from '../utils/search.js';
+import { STRATEGIES, pickStrategy, getStrategyWeights } from '../utils/relatedPosts.js';
+import { TRACKING_COOKIES } from '../constants.js';
+import { AUTHOR_BYLINE, AUTHOR_PROFILES, IS_POST_BY_AUTHOR } from '../utils/authors.js';
 
 const router = express.Router();
 
-// GET /api/blog/niches - Get all active niches with their recent posts
-router.get('/niches', async (req, res) => {
-  try {
-    const limit = Math.max(1, Math.min(20, parseInt(req.query.limit || '3', 10)));
+// Like counter shown on post cards
+const LIKES_COUNT = '(SELECT COUNT(*) FROM blog_post_likes l WHERE l.post_id = bp.id)::int';
 
-    // Single query to fetch niches with their top N posts (avoids N+1 queries)
-    const { rows } = await pool.query(`
-      WITH niche_list AS (
-        SELECT id, name, slug, display_name, logo_url, logo_text, display_order
-        FROM niches
-        WHERE is_active = TRUE AND show_on_route = TRUE
-      ),
-      posts_with_tags AS (
-        SELECT 
-          bp.id, bp.title, bp.excerpt, bp.slug, bp.image,
-          bp.created_at, bp.published_at, bp.niche_id,
-          u.name AS author,
-          COALESCE(
-            json_agg(
-              json_build_object('id', t.id, 'name', t.name, 'slug', t.slug, 'color', t.color)
-            ) FILTER (WHERE t.id IS NOT NULL),
-            '[]'
-          ) AS tags
-        FROM blog_posts bp
-        LEFT JOIN users u ON bp.author_id = u.id
-        LEFT JOIN content_tags ct ON bp.id = ct.content_id
-        LEFT JOIN tags t ON ct.tag_id = t.id
-        WHERE bp.status = 'published' AND bp.niche_id IN (SELECT id FROM niche_list)
-        GROUP BY bp.id, u.name
-      ),
-      ranked_posts AS (
-        SELECT p.*, 
-          ROW_NUMBER() OVER (PARTITION BY p.niche_id ORDER BY p.published_at DESC) AS rn
-        FROM posts_with_tags p
-      )
+// Published parts of a series in reading order, for the series navigator on post pages
+const SERIES_PARTS = `
+  SELECT json_agg(json_build_object('id', p.id, 'title', p.title, 'slug', p.slug) ORDER BY m.position, m.post_id)
+  FROM blog_series_posts m
+  JOIN blog_posts p ON p.id = m.post_id AND p.status = 'published'
+  WHERE m.series_id = s.id`;
+
+// The queries behind the public blog endpoints are exported for the page prerenderer
+// (routes/prerender.js), so prerendered pages start from the same data the API returns.
+
+/**
+ * Active niches with their most recent posts
+ * @param {number} limit - Posts per niche
+ */
+export async function getNichesWithPosts(limit) {
+  // Single query to fetch niches with their top N posts (avoids N+1 queries)
+  const { rows } = await pool.query(`
+    WITH niche_list AS (
+      SELECT id, name, slug, display_name, logo_url, logo_text, display_order
+      FROM niches
+      WHERE is_active = TRUE AND show_on_route = TRUE
+    ),
+    posts_with_tags AS (
       SELECT 
-        n.id, n.name, n.slug, n.display_name, n.logo_url, n.logo_text,
+        bp.id, bp.title, bp.excerpt, bp.slug, bp.image,
+        bp.created_at, bp.published_at, bp.niche_id,
+        ${AUTHOR_BYLINE} AS author,
+        ${LIKES_COUNT} AS likes_count,
         COALESCE(
           json_agg(
-            json_build_object(
-              'id', rp.id,
-              'title', rp.title,
-              'excerpt', rp.excerpt,
-              'slug', rp.slug,
-              'image', rp.image,
-              'created_at', rp.created_at,
-              'published_at', rp.published_at,
-              'author', rp.author,
-              'tags', rp.tags
-            )
-            ORDER BY rp.published_at DESC
-          ) FILTER (WHERE rp.id IS NOT NULL),
+            json_build_object('id', t.id, 'name', t.name, 'slug', t.slug, 'color', t.color)
+          ) FILTER (WHERE t.id IS NOT NULL),
           '[]'
-        ) AS posts
-      FROM niche_list n
-      LEFT JOIN ranked_posts rp ON rp.niche_id = n.id AND rp.rn <= $1
-      GROUP BY n.id, n.name, n.slug, n.display_name, n.logo_url, n.logo_text, n.display_order
-      ORDER BY n.display_order ASC
-    `, [limit]);
-
-    res.json({ niches: rows });
+        ) AS tags
+      FROM blog_posts bp
+      LEFT JOIN users u ON bp.author_id = u.id
+      LEFT JOIN content_tags ct ON bp.id = ct.content_id
+      LEFT JOIN tags t ON ct.tag_id = t.id
+      WHERE bp.status = 'published' AND bp.niche_id IN (SELECT id FROM niche_list)
+      GROUP BY bp.id, u.name
+    ),
+    ranked_posts AS (
+      SELECT p.*, 
+        ROW_NUMBER() OVER (PARTITION BY p.niche_id ORDER BY p.published_at DESC) AS rn
+      FROM posts_with_tags p
+    )
+    SELECT 
+      n.id, n.name, n.slug, n.display_name, n.logo_url, n.logo_text,
+      COALESCE(
+        json_agg(
+          json_build_object(
+            'id', rp.id,
+            'title', rp.title,
+            'excerpt', rp.excerpt,
+            'slug', rp.slug,
+            'image', rp.image,
+            'created_at', rp.created_at,
+            'published_at', rp.published_at,
+            'author', rp.author,
+            'likes_count', rp.likes_count,
+            'tags', rp.tags
+          )
+          ORDER BY rp.published_at DESC
+        ) FILTER (WHERE rp.id IS NOT NULL),
+        '[]'
+      ) AS posts
+    FROM niche_list n
+    LEFT JOIN ranked_posts rp ON rp.niche_id = n.id AND rp.rn <= $1
+    GROUP BY n.id, n.name, n.slug, n.display_name, n.logo_url, n.logo_text, n.display_order
+    ORDER BY n.display_order ASC
+  `, [limit]);
+  return rows;
+}
+
+/**
+ * Active niche by slug with its posts, newest first
+ * @returns {Promise<{ niche: object, posts: object[] }|null>} null if there is no such niche
+ */
+export async function getNicheWithPosts(slug, { limit = 10, offset = 0 } = {}) {
+  const nicheResult = await pool.query(
+    'SELECT * FROM niches WHERE slug = $1 AND is_active = true',
+    [slug]
+  );
+
+  if (nicheResult.rows.length === 0) return null;
+
+  const niche = nicheResult.rows[0];
+
+  const postsResult = await pool.query(`
+    SELECT bp.id, bp.title, bp.excerpt, bp.slug, bp.content, bp.image, bp.reading_time,
+      bp.created_at, bp.updated_at, bp.published_at,
+      ${AUTHOR_BYLINE} as author,
+      ${LIKES_COUNT} as likes_count,
+      COALESCE(
+        json_agg(
+          json_build_object('id', t.id, 'name', t.name, 'slug', t.slug, 'color', t.color)
+        ) FILTER (WHERE t.id IS NOT NULL),
+        '[]'
+      ) as tags
+    FROM blog_posts bp
+    LEFT JOIN users u ON bp.author_id = u.id
+    LEFT JOIN content_tags ct ON bp.id = ct.content_id
+    LEFT JOIN tags t ON ct.tag_id = t.id
+    WHERE bp.status = 'published' AND bp.niche_id = $1
+    GROUP BY bp.id, u.name
+    ORDER BY bp.published_at DESC
+    LIMIT $2 OFFSET $3
+  `, [niche.id, limit, offset]);
+
+  return { niche, posts: postsResult.rows };
+}
+
+// GET /api/blog/niches - Get all active niches with their recent posts
+router.get('/niches', async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(20, parseInt(req.query.limit || '3', 10)));
+    res.json({ niches: await getNichesWithPosts(limit) });
   } catch (error) {
     logger.error('Error fetching niches with posts:', error);
     res.status(500).json({ error: 'Failed to fetch niches' });
@@ -82,49 +147,93 @@ router.get('/niches/:slug', async (req, res) => {
     const safeLimit = Math.max(1, Math.min(50, Number.isNaN(rawLimit) ? 10 : rawLimit));
     const safeOffset = Math.max(0, Number.isNaN(rawOffset) ? 0 : rawOffset);
     
-    // Get niche details
-    const nicheResult = await pool.query(
-      'SELECT * FROM niches WHERE slug = $1 AND is_active = true',
-      [slug]
-    );
-    
-    if (nicheResult.rows.length === 0) {
+    const result = await getNicheWithPosts(slug, { limit: safeLimit, offset: safeOffset });
+    if (!result) {
       return res.status(404).json({ error: 'Niche not found' });
     }
-    
-    const niche = nicheResult.rows[0];
-    
-    // Get posts for this niche
-    const postsResult = await pool.query(`
-      SELECT bp.id, bp.title, bp.excerpt, bp.slug, bp.content, bp.image,
-        bp.created_at, bp.updated_at, bp.published_at,
-        u.name as author,
-        COALESCE(
-          json_agg(
-            json_build_object('id', t.id, 'name', t.name, 'slug', t.slug, 'color', t.color)
-          ) FILTER (WHERE t.id IS NOT NULL),
-          '[]'
-        ) as tags
-      FROM blog_posts bp
-      LEFT JOIN users u ON bp.author_id = u.id
-      LEFT JOIN content_tags ct ON bp.id = ct.content_id
-      LEFT JOIN tags t ON ct.tag_id = t.id
-      WHERE bp.status = 'published' AND bp.niche_id = $1
-      GROUP BY bp.id, u.name
-      ORDER BY bp.published_at DESC
-      LIMIT $2 OFFSET $3
-    `, [niche.id, safeLimit, safeOffset]);
-    
-    res.json({ 
-      niche,
-      posts: postsResult.rows 
-    });
+
+    res.json(result);
   } catch (error) {
     logger.error('Error fetching niche posts:', error);
     res.status(500).json({ error: 'Failed to fetch niche posts' });
   }
 });
 
+/**
+ * Published posts, newest first, optionally filtered by tag slug and full-text search
+ * Search results are ranked, carry a highlighted headline and, on the first page, a suggestion.
+ * @returns {Promise<{ posts: object[], suggestion?: string|null }>}
+ */
+export async function getPublishedPosts({ limit = 10, offset = 0, tag, search = '' } = {}) {
+  const params = [];
+  let filters = '';
+  let searchColumns = '';
+  let orderBy = 'bp.created_at DESC';
+  
+  // Filter by tag if specified
+  if (tag) {
+    params.push(tag);
+    filters += ` AND bp.id IN (
+      SELECT ct2.content_id 
+      FROM content_tags ct2 
+      JOIN tags t2 ON ct2.tag_id = t2.id 
+      WHERE t2.slug = $${params.length}
+    )`;
+  }
+
+  // Full-text search over title, tags, excerpt and content, best matches first
+  if (search) {
+    params.push(search, HEADLINE_OPTIONS);
+    const tsQuery = `websearch_to_tsquery('${SEARCH_CONFIG}', $${params.length - 1})`;
+    filters += ` AND bp.search_vector @@ ${tsQuery}`;
+    searchColumns = `,
+      ts_rank(bp.search_vector, ${tsQuery}) as search_rank,
+      ts_headline('${SEARCH_CONFIG}', regexp_replace(bp.content, '<[^>]*>', ' ', 'g'), ${tsQuery}, $${params.length}) as headline`;
+    orderBy = 'search_rank DESC, bp.published_at DESC';
+  }
+  
+  const query = `
+    SELECT bp.id, bp.title, bp.excerpt, bp.slug, bp.content, bp.image, bp.reading_time,
+      bp.created_at, bp.updated_at, bp.published_at, bp.niche_id,
+      ${AUTHOR_BYLINE} as author,
+      ${LIKES_COUNT} as likes_count,
+      COALESCE(
+        json_agg(
+          json_build_object('id', t.id, 'name', t.name, 'slug', t.slug, 'color', t.color)
+        ) FILTER (WHERE t.id IS NOT NULL),
+        '[]'
+      ) as tags,
+      n.name as niche_name,
+      n.slug as niche_slug${searchColumns}
+    FROM blog_posts bp
+    LEFT JOIN users u ON bp.author_id = u.id
+    LEFT JOIN content_tags ct ON bp.id = ct.content_id
+    LEFT JOIN tags t ON ct.tag_id = t.id
+    LEFT JOIN niches n ON bp.niche_id = n.id
+    WHERE bp.status = 'published'${filters}
+    GROUP BY bp.id, u.name, n.name, n.slug
+    ORDER BY ${orderBy}
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `;
+  
+  params.push(limit, offset);
+  
+  const result = await pool.query(query, params);
+
+  if (!search) {
+    return { posts: result.rows };
+  }
+
+  const posts = result.rows.map(({ search_rank: _rank, headline, ...post }) => ({
+    ...post,
+    headline: formatHeadline(headline),
+  }));
+  // "Did you mean" is only offered with the first page of results
+  const suggestion = offset === 0 ? await suggestSearch(pool, search) : null;
+
+  return { posts, suggestion };
+}
+
 // GET /api/blog - Get all published blog posts
 router.get('/', async (req, res) => {
   try {
@@ -134,124 +243,80 @@ router.get('/', async (req, res) => {
     const rawOffset = parseInt(offset, 10);
     const safeLimit = Math.max(1, Math.min(50, Number.isNaN(rawLimit) ? 10 : rawLimit));
     const safeOffset = Math.max(0, Number.isNaN(rawOffset) ? 0 : rawOffset);
-    
-    let query = `
-      SELECT bp.id, bp.title, bp.excerpt, bp.slug, bp.content, bp.image,
-        bp.created_at, bp.updated_at, bp.published_at, bp.niche_id,
-        u.name as author,
-        COALESCE(
-          json_agg(
-            json_build_object('id', t.id, 'name', t.name, 'slug', t.slug, 'color', t.color)
-          ) FILTER (WHERE t.id IS NOT NULL),
-          '[]'
-        ) as tags,
-        n.name as niche_name,
-        n.slug as niche_slug
-      FROM blog_posts bp
-      LEFT JOIN users u ON bp.author_id = u.id
-      LEFT JOIN content_tags ct ON bp.id = ct.content_id
-      LEFT JOIN tags t ON ct.tag_id = t.id
-      LEFT JOIN niches n ON bp.niche_id = n.id
-      WHERE bp.status = 'published'
-    `;
-    
-    const params = [];
-    
-    // Filter by tag if specified
-    if (tag) {
-      query += ` AND bp.id IN (
-        SELECT ct2.content_id 
-        FROM content_tags ct2 
-        JOIN tags t2 ON ct2.tag_id = t2.id 
-        WHERE t2.slug = $${params.length + 1}
-      )`;
-      params.push(tag);
-    }
+    const searchTerm = typeof search === 'string' ? search.trim().slice(0, MAX_SEARCH_LENGTH) : '';
 
-    // Full-text style search across title, excerpt, and tag names
-    if (search && typeof search === 'string' && search.trim() !== '') {
-      const term = `%${search.toLowerCase()}%`;
-      params.push(term);
-      const idx = params.length;
-      query += ` AND (
-        LOWER(bp.title) LIKE $${idx}
-        OR LOWER(bp.excerpt) LIKE $${idx}
-        OR EXISTS (
-          SELECT 1
-          FROM content_tags ct3
-          JOIN tags t3 ON ct3.tag_id = t3.id
-          WHERE ct3.content_id = bp.id
-            AND LOWER(t3.name) LIKE $${idx}
-        )
-      )`;
-    }
-    
-    query += `
-      GROUP BY bp.id, u.name, n.name, n.slug
-      ORDER BY bp.created_at DESC
-      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
-    `;
-    
-    params.push(safeLimit, safeOffset);
-    
-    const result = await pool.query(query, params);
-    res.json({ posts: result.rows });
+    res.json(await getPublishedPosts({ limit: safeLimit, offset: safeOffset, tag, search: searchTerm }));
   } catch (error) {
     logger.error('Error fetching blog posts:', error);
     res.status(500).json({ error: 'Failed to fetch blog posts' });
   }
 });
 
-// GET /api/blog/similar/:postId - Get similar posts based on tags
+// GET /api/blog/similar/:postId - Related posts scored by tag overlap, text similarity and co-reading
+// The scoring strategy is ?strategy= when given, otherwise the visitor's assigned one (see utils/relatedPosts.js)
 router.get('/similar/:postId', async (req, res) => {
   try {
-    const postId = parseInt(req.params.postId, 10);
+    const postId = Number(req.params.postId);
+    if (!Number.isInteger(postId) || postId < 1) {
+      return res.status(400).json({ error: 'Invalid post ID' });
+    }
     const { limit = 6 } = req.query;
 
     const rawLimit = parseInt(limit, 10);
     const safeLimit = Math.max(1, Math.min(20, Number.isNaN(rawLimit) ? 6 : rawLimit));
-    
-    // Get tags for the current post
-    const tagsResult = await pool.query(
-      'SELECT tag_id FROM content_tags WHERE content_id = $1',
-      [postId]
-    );
-    
-    const tagIds = tagsResult.rows.map(row => row.tag_id);
-    
-    let posts = [];
-    
-    // If the post has tags, find posts with similar tags
-    if (tagIds.length > 0) {
-      const similarResult = await pool.query(`
-        SELECT bp.id, bp.title, bp.excerpt, bp.slug, bp.image,
-          bp.created_at, bp.published_at,
-          u.name as author,
-          COALESCE(
-            json_agg(
-              json_build_object('id', t.id, 'name', t.name, 'slug', t.slug, 'color', t.color)
-            ) FILTER (WHERE t.id IS NOT NULL),
-            '[]'
-          ) as tags,
-          COUNT(DISTINCT ct.tag_id) as matching_tags
-        FROM blog_posts bp
-        LEFT JOIN users u ON bp.author_id = u.id
-        LEFT JOIN content_tags ct ON bp.id = ct.content_id
-        LEFT JOIN tags t ON ct.tag_id = t.id
-        WHERE bp.status = 'published' 
-          AND bp.id != $1
-          AND bp.id IN (
-            SELECT DISTINCT content_id 
-            FROM content_tags 
-            WHERE tag_id = ANY($2)
-          )
-        GROUP BY bp.id, u.name
-        ORDER BY matching_tags DESC, bp.published_at DESC
-        LIMIT $3
-      `, [postId, tagIds, safeLimit]);
-      
-      posts = similarResult.rows;
-    }
+
+    const strategy = STRATEGIES.includes(req.query.strategy)
+      ? req.query.strategy
+      : pickStrategy(req.cookies?.[TRACKING_COOKIES.VISITOR_ID]);
+    const weights = getStrategyWeights(strategy);
+
+    // Tag overlap (Jaccard) is scored live; text and co-reading scores come from the indexer
+    const similarResult = await pool.query(`
+      WITH source_tags AS (
+        SELECT tag_id FROM content_tags WHERE content_id = $1
+      ),
+      tag_scores AS (
+        SELECT ct.content_id AS post_id,
+          COUNT(*)::float / (
+            (SELECT COUNT(*) FROM source_tags)
+            + (SELECT COUNT(*) FROM content_tags other WHERE other.content_id = ct.content_id)
+            - COUNT(*)
+          ) AS score
+        FROM content_tags ct
+        WHERE ct.tag_id IN (SELECT tag_id FROM source_tags) AND ct.content_id != $1
+        GROUP BY ct.content_id
+      ),
+      candidates AS (
+        SELECT COALESCE(ts.post_id, s.related_post_id) AS post_id,
+          $2 * COALESCE(ts.score, 0) + $3 * COALESCE(s.text_score, 0) + $4 * COALESCE(s.coread_score, 0) AS score
+        FROM tag_scores ts
+        FULL OUTER JOIN (
+          SELECT related_post_id, text_score, coread_score FROM blog_post_similarity WHERE post_id = $1
+        ) s ON s.related_post_id = ts.post_id
+      )
+      SELECT bp.id, bp.title, bp.excerpt, bp.slug, bp.image, bp.reading_time,
+        bp.created_at, bp.published_at,
+        ${AUTHOR_BYLINE} as author,
+        ${LIKES_COUNT} as likes_count,
+        COALESCE(
+          json_agg(
+            json_build_object('id', t.id, 'name', t.name, 'slug', t.slug, 'color', t.color)
+          ) FILTER (WHERE t.id IS NOT NULL),
+          '[]'
+        ) as tags,
+        c.score as related_score
+      FROM candidates c
+      JOIN blog_posts bp ON bp.id = c.post_id
+      LEFT JOIN users u ON bp.author_id = u.id
+      LEFT JOIN content_tags ct ON bp.id = ct.content_id
+      LEFT JOIN tags t ON ct.tag_id = t.id
+      WHERE bp.status = 'published' AND c.score > 0
+      GROUP BY bp.id, u.name, c.score
+      ORDER BY c.score DESC, bp.published_at DESC
+      LIMIT $5
+    `, [postId, weights.tags, weights.text, weights.coread, safeLimit]);
+
+    let posts = similarResult.rows;
     
     // If we don't have enough posts, fill with top performing ones
     if (posts.length < safeLimit) {
@@ -263,9 +328,10 @@ router.get('/similar/:postId', async (req, res) => {
       
       // Get top performing posts (by views, or recent if no analytics)
       const topPostsResult = await pool.query(`
-        SELECT bp.id, bp.title, bp.excerpt, bp.slug, bp.image,
+        SELECT bp.id, bp.title, bp.excerpt, bp.slug, bp.image, bp.reading_time,
           bp.created_at, bp.published_at,
-          u.name as author,
+          ${AUTHOR_BYLINE} as author,
+          ${LIKES_COUNT} as likes_count,
           COALESCE(
             json_agg(
               json_build_object('id', t.id, 'name', t.name, 'slug', t.slug, 'color', t.color)
@@ -288,37 +354,185 @@ router.get('/similar/:postId', async (req, res) => {
       posts = [...posts, ...topPostsResult.rows];
     }
     
-    res.json({ posts });
+    res.json({ posts, strategy });
   } catch (error) {
     logger.error('Error fetching similar posts:', error);
     res.status(500).json({ error: 'Failed to fetch similar posts' });
   }
 });
 
+/**
+ * A series with its published posts in reading order
+ * @returns {Promise<{series: object, posts: object[]}|null>} null when no series has the slug
+ */
+export async function getSeries(slug) {
+  const seriesResult = await pool.query(
+    'SELECT id, title, slug, description FROM blog_series WHERE slug = $1',
+    [slug]
+  );
+
+  if (seriesResult.rows.length === 0) {
+    return null;
+  }
+
+  const series = seriesResult.rows[0];
+  const postsResult = await pool.query(`
+    SELECT bp.id, bp.title, bp.excerpt, bp.slug, bp.content, bp.image, bp.reading_time,
+      bp.created_at, bp.published_at,
+      ${AUTHOR_BYLINE} as author,
+      ${LIKES_COUNT} as likes_count,
+      COALESCE(
+        json_agg(
+          json_build_object('id', t.id, 'name', t.name, 'slug', t.slug, 'color', t.color)
+        ) FILTER (WHERE t.id IS NOT NULL),
+        '[]'
+      ) as tags,
+      ROW_NUMBER() OVER (ORDER BY bsp.position, bsp.post_id)::int as series_part
+    FROM blog_series_posts bsp
+    JOIN blog_posts bp ON bp.id = bsp.post_id AND bp.status = 'published'
+    LEFT JOIN users u ON bp.author_id = u.id
+    LEFT JOIN content_tags ct ON bp.id = ct.content_id
+    LEFT JOIN tags t ON ct.tag_id = t.id
+    WHERE bsp.series_id = $1
+    GROUP BY bp.id, u.name, bsp.position, bsp.post_id
+    ORDER BY bsp.position, bsp.post_id
+  `, [series.id]);
+
+  return { series, posts: postsResult.rows };
+}
+
+// GET /api/blog/series/:slug - Series with its published posts in reading order
+router.get('/series/:slug', async (req, res) => {
+  try {
+    const result = await getSeries(req.params.slug);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error fetching series:', error);
+    res.status(500).json({ error: 'Failed to fetch series' });
+  }
+});
+
+/**
+ * An author profile with their published posts, newest first. Posts without linked
+ * authors count for the profile of the user who wrote them.
+ * @returns {Promise<{author: object, posts: object[]}|null>} null when no author has the slug
+ */
+export async function getAuthor(slug, { limit = 12, offset = 0 } = {}) {
+  const authorResult = await pool.query(
+    'SELECT id, name, slug, bio, avatar_url, social_links FROM blog_authors WHERE slug = $1',
+    [slug]
+  );
+
+  if (authorResult.rows.length === 0) {
+    return null;
+  }
+
+  const author = authorResult.rows[0];
+  const postsResult = await pool.query(`
+    SELECT bp.id, bp.title, bp.excerpt, bp.slug, bp.content, bp.image, bp.reading_time,
+      bp.created_at, bp.published_at,
+      ${AUTHOR_BYLINE} as author,
+      ${LIKES_COUNT} as likes_count,
+      COALESCE(
+        json_agg(
+          json_build_object('id', t.id, 'name', t.name, 'slug', t.slug, 'color', t.color)
+        ) FILTER (WHERE t.id IS NOT NULL),
+        '[]'
+      ) as tags
+    FROM blog_posts bp
+    JOIN blog_authors ba ON ba.id = $1
+    LEFT JOIN users u ON bp.author_id = u.id
+    LEFT JOIN content_tags ct ON bp.id = ct.content_id
+    LEFT JOIN tags t ON ct.tag_id = t.id
+    WHERE bp.status = 'published' AND ${IS_POST_BY_AUTHOR}
+    GROUP BY bp.id, u.name
+    ORDER BY bp.published_at DESC
+    LIMIT $2 OFFSET $3
+  `, [author.id, limit, offset]);
+
+  return { author, posts: postsResult.rows };
+}
+
+// GET /api/blog/authors/:slug - Author profile with their published posts
+router.get('/authors/:slug', async (req, res) => {
+  try {
+    const { limit = 12, offset = 0 } = req.query;
+
+    const rawLimit = parseInt(limit, 10);
+    const rawOffset = parseInt(offset, 10);
+    const safeLimit = Math.max(1, Math.min(50, Number.isNaN(rawLimit) ? 12 : rawLimit));
+    const safeOffset = Math.max(0, Number.isNaN(rawOffset) ? 0 : rawOffset);
+
+    const result = await getAuthor(req.params.slug, { limit: safeLimit, offset: safeOffset });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Author not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error fetching author:', error);
+    res.status(500).json({ error: 'Failed to fetch author' });
+  }
+});
+
+/**
+ * A single published post with its tags and content rendered to sanitized HTML
+ * @returns {Promise<object|null>} The post, or null when no published post has the slug
+ */
+export async function getPublishedPost(slug) {
+  const result = await pool.query(`
+    SELECT bp.*,
+      ${AUTHOR_BYLINE} as author,
+      ${AUTHOR_PROFILES} as authors,
+      COALESCE(
+        json_agg(
+          json_build_object('id', t.id, 'name', t.name, 'slug', t.slug, 'color', t.color)
+        ) FILTER (WHERE t.id IS NOT NULL),
+        '[]'
+      ) as tags,
+      (
+        SELECT json_build_object('id', s.id, 'title', s.title, 'slug', s.slug, 'posts', (${SERIES_PARTS}))
+        FROM blog_series_posts bsp
+        JOIN blog_series s ON s.id = bsp.series_id
+        WHERE bsp.post_id = bp.id
+      ) as series
+    FROM blog_posts bp
+    LEFT JOIN users u ON bp.author_id = u.id
+    LEFT JOIN content_tags ct ON bp.id = ct.content_id
+    LEFT JOIN tags t ON ct.tag_id = t.id
+    WHERE bp.slug = $1 AND bp.status = 'published'
+    GROUP BY bp.id, u.name
+  `, [slug]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  // Render from the block document; posts that predate it fall back to stored HTML.
+  // Either way the sanitizer runs again, so rows that bypassed the admin API are safe too.
+  // search_vector only serves the search query and is large; it stays out of responses
+  const { content_blocks: contentBlocks, search_vector: _searchVector, ...post } = result.rows[0];
+  post.content = sanitizeHtml(contentBlocks ? renderDocument(contentBlocks) : post.content);
+
+  return post;
+}
+
 // GET /api/blog/:slug - Get single published blog post by slug
 router.get('/:slug', async (req, res) => {
   try {
-    const { slug } = req.params;
-    const result = await pool.query(`
-      SELECT bp.*,
-        COALESCE(
-          json_agg(
-            json_build_object('id', t.id, 'name', t.name, 'slug', t.slug, 'color', t.color)
-          ) FILTER (WHERE t.id IS NOT NULL),
-          '[]'
-        ) as tags
-      FROM blog_posts bp
-      LEFT JOIN content_tags ct ON bp.id = ct.content_id
-      LEFT JOIN tags t ON ct.tag_id = t.id
-      WHERE bp.slug = $1 AND bp.status = 'published'
-      GROUP BY bp.id
-    `, [slug]);
+    const post = await getPublishedPost(req.params.slug);
 
-    if (result.rows.length === 0) {
+    if (!post) {
       return res.status(404).json({ error: 'Blog post not found' });
     }
 
-    res.json({ post: result.rows[0] });
+    res.json({ post });
   } catch (error) {
     logger.error('Error fetching blog post:', error);
     res.status(500).json({ error: 'Failed to fetch blog post' });
@@ -0,0 +1,326 @@
+import express from 'express';
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+import cache, { CACHE_KEYS } from '../utils/cache.js';
+import { renderDocument } from '../utils/blocks.js';
+import { sanitizeHtml } from '../utils/sanitize.js';
+import { AUTHOR_BYLINE } from '../utils/authors.js';
+
+const router = express.Router();
+
+// Feed cache configuration (same lifetime as the sitemap)
+const FEED_CACHE_TTL = 3600; // 1 hour in seconds
+const FEED_ITEM_LIMIT = 20;
+const SUMMARY_LENGTH = 300;
+
+const SITE_TITLE = 'PeakSelf';
+const SITE_DESCRIPTION = 'Latest articles from PeakSelf';
+
+// ?content=excerpt leaves the full post body out of each item
+const CONTENT_MODES = ['full', 'excerpt'];
+
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml',
+};
+
+// Helper function to escape XML special characters
+function escapeXml(str) {
+  if (!str) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Wrap HTML in CDATA, splitting any "]]>" that would end the section early
+function cdata(str) {
+  return `<![CDATA[${String(str).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+// Get base URL from environment or default to localhost
+function getBaseUrl() {
+  return process.env.APP_BASE_URL || 'http://localhost:5000';
+}
+
+function absoluteUrl(url, baseUrl) {
+  if (!url) return null;
+  if (/^https?:\/\//i.test(url)) return url;
+  return baseUrl + (url.startsWith('/') ? url : `/${url}`);
+}
+
+function imageType(url) {
+  const ext = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return IMAGE_TYPES[ext] || 'image/jpeg';
+}
+
+function summarize(post) {
+  if (post.excerpt) return post.excerpt;
+  const text = String(post.content || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  if (text.length <= SUMMARY_LENGTH) return text;
+  const truncated = text.slice(0, SUMMARY_LENGTH);
+  const lastSpace = truncated.lastIndexOf(' ');
+  return `${lastSpace > 0 ? truncated.slice(0, lastSpace) : truncated}...`;
+}
+
+// Same rendering as GET /api/blog/:slug, with site-relative links made absolute for feed readers
+function renderContent(post, baseUrl) {
+  const html = sanitizeHtml(post.content_blocks ? renderDocument(post.content_blocks) : post.content);
+  return html.replace(/(src|href)="\/(?!\/)/g, `$1="${baseUrl}/`);
+}
+
+function toItem(post, baseUrl, mode) {
+  const url = `${baseUrl}/blog/${post.slug}`;
+  const image = absoluteUrl(post.image, baseUrl);
+  return {
+    id: url,
+    url,
+    title: post.title,
+    summary: summarize(post),
+    contentHtml: mode === 'full' ? renderContent(post, baseUrl) : null,
+    image,
+    imageType: image ? imageType(image) : null,
+    published: new Date(post.published_at || post.created_at),
+    updated: new Date(post.updated_at || post.published_at || post.created_at),
+    author: post.author || SITE_TITLE,
+    tags: post.tags || [],
+  };
+}
+
+/**
+ * Resolve the feed scope for a request
+ * @returns {Promise<object|null>} { key, title, description, link, feedPath, filter, params } or null if unknown
+ */
+async function resolveScope({ nicheSlug, tagSlug }) {
+  if (nicheSlug) {
+    const { rows } = await pool.query(
+      'SELECT id, name, display_name, slug FROM niches WHERE slug = $1 AND is_active = true',
+      [nicheSlug]
+    );
+    const niche = rows[0];
+    if (!niche) return null;
+    const name = niche.display_name || niche.name;
+    return {
+      key: `niche:${niche.slug}`,
+      title: `${name} | ${SITE_TITLE}`,
+      description: `Latest ${name} articles from ${SITE_TITLE}`,
+      link: `/${niche.slug}/blog`,
+      feedPath: `/${niche.slug}`,
+      filter: 'AND bp.niche_id = $1',
+      params: [niche.id],
+    };
+  }
+
+  if (tagSlug) {
+    const { rows } = await pool.query('SELECT id, name, slug FROM tags WHERE slug = $1', [tagSlug]);
+    const tag = rows[0];
+    if (!tag) return null;
+    return {
+      key: `tag:${tag.slug}`,
+      title: `#${tag.name} | ${SITE_TITLE}`,
+      description: `Latest articles tagged ${tag.name} from ${SITE_TITLE}`,
+      link: `/blog/tags/${tag.slug}`,
+      feedPath: `/blog/tags/${tag.slug}`,
+      filter: 'AND EXISTS (SELECT 1 FROM content_tags ct WHERE ct.content_id = bp.id AND ct.tag_id = $1)',
+      params: [tag.id],
+    };
+  }
+
+  return {
+    key: 'site',
+    title: SITE_TITLE,
+    description: SITE_DESCRIPTION,
+    link: '/blog',
+    feedPath: '',
+    filter: '',
+    params: [],
+  };
+}
+
+async function fetchFeedPosts(scope) {
+  const { rows } = await pool.query(`
+    SELECT bp.id, bp.title, bp.slug, bp.excerpt, bp.content, bp.content_blocks, bp.image,
+      bp.created_at, bp.updated_at, bp.published_at,
+      ${AUTHOR_BYLINE} AS author,
+      COALESCE(
+        (SELECT json_agg(t.name ORDER BY t.name)
+         FROM content_tags ct
+         JOIN tags t ON t.id = ct.tag_id
+         WHERE ct.content_id = bp.id),
+        '[]'
+      ) AS tags
+    FROM blog_posts bp
+    LEFT JOIN users u ON bp.author_id = u.id
+    WHERE bp.status = 'published' ${scope.filter}
+    ORDER BY bp.published_at DESC
+    LIMIT $${scope.params.length + 1}
+  `, [...scope.params, FEED_ITEM_LIMIT]);
+  return rows;
+}
+
+// RSS 2.0 - dates in RFC 822 format
+function renderRss(feed) {
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">\n';
+  xml += '  <channel>\n';
+  xml += `    <title>${escapeXml(feed.title)}</title>\n`;
+  xml += `    <link>${escapeXml(feed.homeUrl)}</link>\n`;
+  xml += `    <description>${escapeXml(feed.description)}</description>\n`;
+  xml += '    <language>en</language>\n';
+  xml += `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>\n`;
+  xml += `    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml" />\n`;
+
+  feed.items.forEach(item => {
+    xml += '    <item>\n';
+    xml += `      <title>${escapeXml(item.title)}</title>\n`;
+    xml += `      <link>${escapeXml(item.url)}</link>\n`;
+    xml += `      <guid isPermaLink="true">${escapeXml(item.id)}</guid>\n`;
+    xml += `      <pubDate>${item.published.toUTCString()}</pubDate>\n`;
+    xml += `      <dc:creator>${escapeXml(item.author)}</dc:creator>\n`;
+    item.tags.forEach(tag => {
+      xml += `      <category>${escapeXml(tag)}</category>\n`;
+    });
+    xml += `      <description>${escapeXml(item.summary)}</description>\n`;
+    if (item.contentHtml) {
+      xml += `      <content:encoded>${cdata(item.contentHtml)}</content:encoded>\n`;
+    }
+    if (item.image) {
+      // Enclosure length is required but unknown without fetching the image; 0 is the accepted placeholder
+      xml += `      <enclosure url="${escapeXml(item.image)}" type="${item.imageType}" length="0" />\n`;
+    }
+    xml += '    </item>\n';
+  });
+
+  xml += '  </channel>\n';
+  xml += '</rss>';
+  return xml;
+}
+
+// Atom 1.0 - dates in RFC 3339 format
+function renderAtom(feed) {
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += '<feed xmlns="http://www.w3.org/2005/Atom">\n';
+  xml += `  <title>${escapeXml(feed.title)}</title>\n`;
+  xml += `  <subtitle>${escapeXml(feed.description)}</subtitle>\n`;
+  xml += `  <link href="${escapeXml(feed.homeUrl)}" rel="alternate" type="text/html" />\n`;
+  xml += `  <link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/atom+xml" />\n`;
+  xml += `  <id>${escapeXml(feed.homeUrl)}</id>\n`;
+  xml += `  <updated>${feed.updated.toISOString()}</updated>\n`;
+
+  feed.items.forEach(item => {
+    xml += '  <entry>\n';
+    xml += `    <title>${escapeXml(item.title)}</title>\n`;
+    xml += `    <link href="${escapeXml(item.url)}" rel="alternate" type="text/html" />\n`;
+    xml += `    <id>${escapeXml(item.id)}</id>\n`;
+    xml += `    <published>${item.published.toISOString()}</published>\n`;
+    xml += `    <updated>${item.updated.toISOString()}</updated>\n`;
+    xml += `    <author><name>${escapeXml(item.author)}</name></author>\n`;
+    item.tags.forEach(tag => {
+      xml += `    <category term="${escapeXml(tag)}" />\n`;
+    });
+    xml += `    <summary>${escapeXml(item.summary)}</summary>\n`;
+    if (item.contentHtml) {
+      xml += `    <content type="html">${escapeXml(item.contentHtml)}</content>\n`;
+    }
+    if (item.image) {
+      xml += `    <link href="${escapeXml(item.image)}" rel="enclosure" type="${item.imageType}" />\n`;
+    }
+    xml += '  </entry>\n';
+  });
+
+  xml += '</feed>';
+  return xml;
+}
+
+// JSON Feed 1.1 - dates in RFC 3339 format
+function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.selfUrl,
+    description: feed.description,
+    language: 'en',
+    items: feed.items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      ...(item.contentHtml ? { content_html: item.contentHtml } : { content_text: item.summary }),
+      ...(item.image ? { image: item.image } : {}),
+      date_published: item.published.toISOString(),
+      date_modified: item.updated.toISOString(),
+      authors: [{ name: item.author }],
+      tags: item.tags,
+    })),
+  }, null, 2);
+}
+
+const FORMATS = {
+  'feed.xml': { contentType: 'application/rss+xml; charset=utf-8', render: renderRss },
+  'atom.xml': { contentType: 'application/atom+xml; charset=utf-8', render: renderAtom },
+  'feed.json': { contentType: 'application/feed+json; charset=utf-8', render: renderJsonFeed },
+};
+
+async function generateFeed(scope, file, mode) {
+  const baseUrl = getBaseUrl();
+  const posts = await fetchFeedPosts(scope);
+  const items = posts.map(post => toItem(post, baseUrl, mode));
+
+  const feed = {
+    title: scope.title,
+    description: scope.description,
+    homeUrl: baseUrl + scope.link,
+    selfUrl: `${baseUrl}${scope.feedPath}/${file}${mode === 'excerpt' ? '?content=excerpt' : ''}`,
+    updated: items.length ? new Date(Math.max(...items.map(item => item.updated.getTime()))) : new Date(),
+    items,
+  };
+
+  logger.info(`Generated ${file} for ${scope.key} with ${items.length} posts`);
+  return FORMATS[file].render(feed);
+}
+
+function serveFeed(file) {
+  return async (req, res) => {
+    try {
+      const mode = CONTENT_MODES.includes(req.query.content) ? req.query.content : 'full';
+      const { nicheSlug, tagSlug } = req.params;
+      const scopeKey = nicheSlug ? `niche:${nicheSlug}` : tagSlug ? `tag:${tagSlug}` : 'site';
+
+      const cacheKey = CACHE_KEYS.FEED(`${scopeKey}:${file}:${mode}`);
+      let body = cache.get(cacheKey);
+
+      if (!body) {
+        const scope = await resolveScope(req.params);
+        if (!scope) return res.status(404).send('Feed not found');
+
+        body = await generateFeed(scope, file, mode);
+        cache.set(cacheKey, body, FEED_CACHE_TTL);
+      }
+
+      res.header('Content-Type', FORMATS[file].contentType);
+      res.send(body);
+    } catch (error) {
+      logger.error('Error serving feed:', error);
+      res.status(500).send('Error generating feed');
+    }
+  };
+}
+
+// GET /feed.xml, /atom.xml, /feed.json - Site-wide feeds
+// GET /blog/tags/:tagSlug/<file> - Per-tag feeds
+// GET /:nicheSlug/<file> - Per-niche feeds
+for (const file of Object.keys(FORMATS)) {
+  router.get(`/${file}`, serveFeed(file));
+  router.get(`/blog/tags/:tagSlug/${file}`, serveFeed(file));
+  router.get(`/:nicheSlug/${file}`, serveFeed(file));
+}
+
+export default router;
@@ -0,0 +1,88 @@
+import express from 'express';
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+import { getOgImage } from '../utils/ogImage.js';
+import { AUTHOR_BYLINE } from '../utils/authors.js';
+
+const router = express.Router();
+
+// Cards are named by content hash on disk; browsers and crawlers may keep them for a day
+const OG_MAX_AGE = 86400; // 1 day in seconds
+
+function getBaseUrl() {
+  return process.env.APP_BASE_URL || 'http://localhost:5000';
+}
+
+// Niche logos may be stored as site-relative paths
+function absoluteUrl(url) {
+  if (!url) return null;
+  if (/^https?:\/\//i.test(url)) return url;
+  return getBaseUrl() + (url.startsWith('/') ? url : `/${url}`);
+}
+
+function sendPng(res, png) {
+  res.set('Cache-Control', `public, max-age=${OG_MAX_AGE}`);
+  res.type('png').send(png);
+}
+
+// GET /api/og/post/:slug.png - Card with the post title, niche and author
+router.get('/post/:slug.png', async (req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      SELECT bp.title, ${AUTHOR_BYLINE} AS author,
+        COALESCE(n.display_name, n.name) AS niche_name, n.logo_url, n.logo_text
+      FROM blog_posts bp
+      LEFT JOIN users u ON bp.author_id = u.id
+      LEFT JOIN niches n ON bp.niche_id = n.id AND n.is_active = TRUE
+      WHERE bp.slug = $1 AND bp.status = 'published'
+    `, [req.params.slug]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Blog post not found' });
+    }
+
+    const post = rows[0];
+    const png = await getOgImage({
+      title: post.title,
+      eyebrow: post.niche_name || 'Blog',
+      author: post.author,
+      logoUrl: absoluteUrl(post.logo_url),
+      logoText: post.niche_name ? post.logo_text || post.niche_name : null,
+    });
+
+    sendPng(res, png);
+  } catch (error) {
+    logger.error('Error generating post OG image:', error);
+    res.status(500).json({ error: 'Failed to generate image' });
+  }
+});
+
+// GET /api/og/niche/:slug.png - Card with the niche name and logo
+router.get('/niche/:slug.png', async (req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      SELECT COALESCE(display_name, name) AS name, logo_url, logo_text
+      FROM niches
+      WHERE slug = $1 AND is_active = TRUE
+    `, [req.params.slug]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Niche not found' });
+    }
+
+    const niche = rows[0];
+    const png = await getOgImage({
+      title: niche.name,
+      eyebrow: 'Articles and insights',
+      logoUrl: absoluteUrl(niche.logo_url),
+      logoText: niche.logo_text || niche.name,
+    });
+
+    sendPng(res, png);
+  } catch (error) {
+    logger.error('Error generating niche OG image:', error);
+    res.status(500).json({ error: 'Failed to generate image' });
+  }
+});
+
+export default router;
@@ -0,0 +1,190 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import logger from '../utils/logger.js';
+import cache, { CACHE_KEYS } from '../utils/cache.js';
+import {
+  getAuthor,
+  getNichesWithPosts,
+  getNicheWithPosts,
+  getPublishedPost,
+  getPublishedPosts,
+  getSeries,
+} from './blog.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const router = express.Router();
+
+// Prerendered pages are also cleared whenever posts change (see invalidate.prerender)
+const PRERENDER_CACHE_TTL = 600; // 10 minutes in seconds
+
+/**
+ * Public pages rendered on the server
+ * `load` fetches the same data the page would request from the API (null when there is
+ * nothing to render); `notFound` is the status sent with the plain shell in that case.
+ * Paths and limits mirror the routes and requests in client/src/App.jsx and pages/.
+ */
+const PAGES = [
+  {
+    path: '/',
+    load: async () => ({
+      niches: await getNichesWithPosts(3),
+      posts: (await getPublishedPosts({ limit: 6 })).posts,
+    }),
+  },
+  {
+    path: '/blog',
+    load: async () => getPublishedPosts({ limit: 12 }),
+  },
+  {
+    // Multi-tag pages (comma-separated slugs) merge several requests and are left to the client.
+    // Unknown or empty tags get the shell, so arbitrary slugs are never cached.
+    path: '/blog/tags/:tagSlugs',
+    load: async ({ tagSlugs }) => {
+      if (tagSlugs.includes(',')) return null;
+      const result = await getPublishedPosts({ tag: tagSlugs, limit: 12 });
+      return result.posts.length ? result : null;
+    },
+    notFound: 200,
+  },
+  {
+    path: '/blog/series/:slug',
+    load: async ({ slug }) => getSeries(slug),
+    notFound: 404,
+  },
+  {
+    path: '/author/:slug',
+    load: async ({ slug }) => getAuthor(slug),
+    notFound: 404,
+  },
+  {
+    path: '/blog/:slug',
+    load: async ({ slug }) => {
+      const post = await getPublishedPost(slug);
+      return post ? { post } : null;
+    },
+    notFound: 404,
+  },
+  {
+    path: '/:nicheSlug/blog',
+    load: async ({ nicheSlug }) => getNicheWithPosts(nicheSlug),
+    notFound: 404,
+  },
+  {
+    // Also matches client-only pages such as /about and /login, which get the plain shell
+    path: '/:nicheSlug',
+    load: async ({ nicheSlug }) => getNicheWithPosts(nicheSlug),
+    notFound: 200,
+  },
+];
+
+let clientBuild;
+
+/**
+ * Load the client build: dist/index.html as the page template and the SSR entry
+ * from dist-server/ (both produced by `npm run build` in client/).
+ * @returns {Promise<Object|null>} null when the client has not been built
+ */
+async function loadClientBuild() {
+  const clientDir = process.env.CLIENT_DIR || path.resolve(__dirname, '../../client');
+  const templatePath = path.join(clientDir, 'dist', 'index.html');
+  const entryPath = path.join(clientDir, 'dist-server', 'entry-server.js');
+
+  if (!fs.existsSync(templatePath) || !fs.existsSync(entryPath)) {
+    logger.warn(`Prerendering disabled: no client build found in ${clientDir}`);
+    return null;
+  }
+
+  const { render } = await import(pathToFileURL(entryPath).href);
+  logger.info(`Prerendering public pages from ${clientDir}`);
+
+  return {
+    template: fs.readFileSync(templatePath, 'utf8'),
+    render,
+    serveStatic: express.static(path.join(clientDir, 'dist'), { index: false }),
+  };
+}
+
+function getClientBuild() {
+  clientBuild ??= loadClientBuild();
+  return clientBuild;
+}
+
+// JSON that is safe inside an inline <script> (no "</script>" or line separators)
+function serializeForScript(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+// Put the rendered head tags and app markup into the index.html template
+function buildPage(template, { head, html }, prerender) {
+  const root = `<div id="root">${html}</div>` +
+    `<script>window.__PRERENDER__ = ${serializeForScript(prerender)}</script>`;
+
+  // Replacer functions, so "$" in post content is not read as a replacement pattern
+  return template
+    .replace(/<title>[\s\S]*?<\/title>/, () => head)
+    .replace('<div id="root"></div>', () => root);
+}
+
+function prerenderPage({ load, notFound = 200 }) {
+  return async (req, res) => {
+    const client = await getClientBuild();
+
+    try {
+      const cacheKey = CACHE_KEYS.PRERENDER(req.path);
+      let page = cache.get(cacheKey);
+
+      if (!page) {
+        const data = await load(req.params);
+        if (!data) {
+          return res.status(notFound).type('html').send(client.template);
+        }
+
+        // Round-trip through JSON so dates match what the client gets from the API
+        const prerender = { path: req.path, data: JSON.parse(JSON.stringify(data)) };
+        page = buildPage(client.template, await client.render(req.path, prerender), prerender);
+
+        cache.set(cacheKey, page, PRERENDER_CACHE_TTL);
+      }
+
+      res.type('html').send(page);
+    } catch (error) {
+      // The client can still fetch and render the page itself
+      logger.error('Error prerendering page:', error);
+      res.type('html').send(client.template);
+    }
+  };
+}
+
+// Only page requests are handled here; without a client build everything passes through
+router.use(async (req, res, next) => {
+  if ((req.method !== 'GET' && req.method !== 'HEAD') || /^\/api(\/|$)/.test(req.path)) {
+    return next('router');
+  }
+
+  try {
+    const client = await getClientBuild();
+    if (!client) return next('router');
+
+    client.serveStatic(req, res, next);
+  } catch (error) {
+    logger.error('Error loading client build:', error);
+    next('router');
+  }
+});
+
+PAGES.forEach(page => router.get(page.path, prerenderPage(page)));
+
+// Every other client route gets the plain SPA shell
+router.get('/{*splat}', async (req, res) => {
+  const client = await getClientBuild();
+  res.type('html').send(client.template);
+});
+
+export default router;
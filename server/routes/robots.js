@@ -19,10 +19,14 @@ Disallow: /admin/
 Disallow: /login
 Disallow: /register
 Disallow: /check-email
+Disallow: /forgot-password
+Disallow: /reset-password
+Disallow: /account
+Disallow: /newsletter
 Disallow: /rate-limit
 Disallow: /not-accessible
 
-# Sitemap
+# Sitemap index (points at the static page, post, niche and tag sitemaps)
 Sitemap: ${baseUrl}/sitemap.xml
 `;
 
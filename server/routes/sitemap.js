@@ -1,14 +1,24 @@
 import express from 'express';
 import pool from '../utils/db.js';
 import logger from '../utils/logger.js';
-import cache from '../utils/cache.js';
+import cache, { CACHE_KEYS } from '../utils/cache.js';
+import { IS_POST_BY_AUTHOR } from '../utils/authors.js';
 
 const router = express.Router();
 
 // Sitemap cache configuration
-const SITEMAP_CACHE_KEY = 'sitemap:main';
 const SITEMAP_CACHE_TTL = 3600; // 1 hour in seconds
 
+// Sitemap protocol limit: a single sitemap file may list at most 50,000 URLs
+export const SITEMAP_URL_LIMIT = 50000;
+
+const STATIC_PAGES = [
+  { loc: '/', priority: '1.0', changefreq: 'daily' },
+  { loc: '/about', priority: '0.8', changefreq: 'monthly' },
+  { loc: '/contact', priority: '0.8', changefreq: 'monthly' },
+  { loc: '/blog', priority: '0.9', changefreq: 'daily' },
+];
+
 // Helper function to escape XML special characters
 function escapeXml(str) {
   if (!str) return '';
@@ -32,115 +42,299 @@ function getBaseUrl() {
   return process.env.APP_BASE_URL || 'http://localhost:5000';
 }
 
-// Generate sitemap XML
-async function generateSitemap() {
+function absoluteUrl(url, baseUrl) {
+  if (/^https?:\/\//i.test(url)) return url;
+  return baseUrl + (url.startsWith('/') ? url : `/${url}`);
+}
+
+function urlEntry({ loc, lastmod, changefreq, priority, image }) {
+  let xml = '  <url>\n';
+  xml += `    <loc>${escapeXml(loc)}</loc>\n`;
+  xml += `    <lastmod>${formatDate(lastmod)}</lastmod>\n`;
+  xml += `    <changefreq>${changefreq}</changefreq>\n`;
+  xml += `    <priority>${priority}</priority>\n`;
+  if (image) {
+    xml += '    <image:image>\n';
+    xml += `      <image:loc>${escapeXml(image)}</image:loc>\n`;
+    xml += '    </image:image>\n';
+  }
+  xml += '  </url>\n';
+  return xml;
+}
+
+/**
+ * Child sitemaps listed in the index
+ * Each section knows how many rows it has, how to fetch one chunk of them and how
+ * many URLs a row turns into, so chunks never exceed SITEMAP_URL_LIMIT.
+ */
+const SECTIONS = {
+  static: {
+    urlsPerRow: 1,
+    count: async () => ({ total: STATIC_PAGES.length, lastmod: null }),
+    fetch: async (limit, offset) => STATIC_PAGES.slice(offset, offset + limit),
+    render: (page, baseUrl) => urlEntry({ ...page, loc: baseUrl + page.loc }),
+  },
+
+  posts: {
+    urlsPerRow: 1,
+    count: async () => {
+      const { rows } = await pool.query(`
+        SELECT COUNT(*)::int AS total, MAX(COALESCE(updated_at, published_at, created_at)) AS lastmod
+        FROM blog_posts
+        WHERE status = 'published'
+      `);
+      return rows[0];
+    },
+    fetch: async (limit, offset) => {
+      const { rows } = await pool.query(`
+        SELECT slug, image, updated_at, published_at, created_at
+        FROM blog_posts
+        WHERE status = 'published'
+        ORDER BY published_at DESC, id DESC
+        LIMIT $1 OFFSET $2
+      `, [limit, offset]);
+      return rows;
+    },
+    render: (post, baseUrl) => urlEntry({
+      loc: baseUrl + '/blog/' + post.slug,
+      lastmod: post.updated_at || post.published_at || post.created_at,
+      changefreq: 'weekly',
+      priority: '0.7',
+      image: post.image ? absoluteUrl(post.image, baseUrl) : null,
+    }),
+  },
+
+  niches: {
+    // Niche landing page plus its blog page
+    urlsPerRow: 2,
+    count: async () => {
+      const { rows } = await pool.query(`
+        SELECT COUNT(*)::int AS total, MAX(updated_at) AS lastmod
+        FROM niches
+        WHERE is_active = TRUE
+      `);
+      return rows[0];
+    },
+    fetch: async (limit, offset) => {
+      const { rows } = await pool.query(`
+        SELECT slug, updated_at
+        FROM niches
+        WHERE is_active = TRUE
+        ORDER BY display_order, slug
+        LIMIT $1 OFFSET $2
+      `, [limit, offset]);
+      return rows;
+    },
+    render: (niche, baseUrl) =>
+      urlEntry({ loc: baseUrl + '/' + niche.slug, lastmod: niche.updated_at, changefreq: 'weekly', priority: '0.8' }) +
+      urlEntry({ loc: baseUrl + '/' + niche.slug + '/blog', lastmod: niche.updated_at, changefreq: 'daily', priority: '0.7' }),
+  },
+
+  tags: {
+    // Only tags that have published posts
+    urlsPerRow: 1,
+    count: async () => {
+      const { rows } = await pool.query(`
+        SELECT COUNT(DISTINCT t.id)::int AS total,
+          MAX(COALESCE(bp.updated_at, bp.published_at)) AS lastmod
+        FROM tags t
+        INNER JOIN content_tags ct ON t.id = ct.tag_id
+        INNER JOIN blog_posts bp ON ct.content_id = bp.id
+        WHERE bp.status = 'published'
+      `);
+      return rows[0];
+    },
+    fetch: async (limit, offset) => {
+      const { rows } = await pool.query(`
+        SELECT t.slug, MAX(COALESCE(bp.updated_at, bp.published_at)) AS lastmod
+        FROM tags t
+        INNER JOIN content_tags ct ON t.id = ct.tag_id
+        INNER JOIN blog_posts bp ON ct.content_id = bp.id
+        WHERE bp.status = 'published'
+        GROUP BY t.slug
+        ORDER BY t.slug
+        LIMIT $1 OFFSET $2
+      `, [limit, offset]);
+      return rows;
+    },
+    render: (tag, baseUrl) => urlEntry({
+      loc: baseUrl + '/blog/tags/' + tag.slug,
+      lastmod: tag.lastmod,
+      changefreq: 'weekly',
+      priority: '0.6',
+    }),
+  },
+
+  series: {
+    // Only series that have published posts
+    urlsPerRow: 1,
+    count: async () => {
+      const { rows } = await pool.query(`
+        SELECT COUNT(DISTINCT s.id)::int AS total,
+          MAX(GREATEST(s.updated_at, COALESCE(bp.updated_at, bp.published_at))) AS lastmod
+        FROM blog_series s
+        INNER JOIN blog_series_posts bsp ON s.id = bsp.series_id
+        INNER JOIN blog_posts bp ON bsp.post_id = bp.id
+        WHERE bp.status = 'published'
+      `);
+      return rows[0];
+    },
+    fetch: async (limit, offset) => {
+      const { rows } = await pool.query(`
+        SELECT s.slug, MAX(GREATEST(s.updated_at, COALESCE(bp.updated_at, bp.published_at))) AS lastmod
+        FROM blog_series s
+        INNER JOIN blog_series_posts bsp ON s.id = bsp.series_id
+        INNER JOIN blog_posts bp ON bsp.post_id = bp.id
+        WHERE bp.status = 'published'
+        GROUP BY s.slug
+        ORDER BY s.slug
+        LIMIT $1 OFFSET $2
+      `, [limit, offset]);
+      return rows;
+    },
+    render: (series, baseUrl) => urlEntry({
+      loc: baseUrl + '/blog/series/' + series.slug,
+      lastmod: series.lastmod,
+      changefreq: 'weekly',
+      priority: '0.6',
+    }),
+  },
+
+  authors: {
+    // Only authors that have published posts
+    urlsPerRow: 1,
+    count: async () => {
+      const { rows } = await pool.query(`
+        SELECT COUNT(DISTINCT ba.id)::int AS total,
+          MAX(GREATEST(ba.updated_at, COALESCE(bp.updated_at, bp.published_at))) AS lastmod
+        FROM blog_authors ba
+        INNER JOIN blog_posts bp ON bp.status = 'published' AND ${IS_POST_BY_AUTHOR}
+      `);
+      return rows[0];
+    },
+    fetch: async (limit, offset) => {
+      const { rows } = await pool.query(`
+        SELECT ba.slug, MAX(GREATEST(ba.updated_at, COALESCE(bp.updated_at, bp.published_at))) AS lastmod
+        FROM blog_authors ba
+        INNER JOIN blog_posts bp ON bp.status = 'published' AND ${IS_POST_BY_AUTHOR}
+        GROUP BY ba.slug
+        ORDER BY ba.slug
+        LIMIT $1 OFFSET $2
+      `, [limit, offset]);
+      return rows;
+    },
+    render: (author, baseUrl) => urlEntry({
+      loc: baseUrl + '/author/' + author.slug,
+      lastmod: author.lastmod,
+      changefreq: 'weekly',
+      priority: '0.5',
+    }),
+  },
+};
+
+function rowsPerChunk(section) {
+  return Math.floor(SITEMAP_URL_LIMIT / section.urlsPerRow);
+}
+
+// Generate the sitemap index pointing at every child sitemap chunk
+async function generateSitemapIndex() {
   try {
     const baseUrl = getBaseUrl();
     let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
-    xml += '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
-
-    // Static pages
-    const staticPages = [
-      { loc: '/', priority: '1.0', changefreq: 'daily' },
-      { loc: '/about', priority: '0.8', changefreq: 'monthly' },
-      { loc: '/contact', priority: '0.8', changefreq: 'monthly' },
-      { loc: '/blog', priority: '0.9', changefreq: 'daily' },
-    ];
-
-    staticPages.forEach(page => {
-      xml += '  <url>\n';
-      xml += `    <loc>${escapeXml(baseUrl + page.loc)}</loc>\n`;
-      xml += `    <lastmod>${formatDate()}</lastmod>\n`;
-      xml += `    <changefreq>${page.changefreq}</changefreq>\n`;
-      xml += `    <priority>${page.priority}</priority>\n`;
-      xml += '  </url>\n';
-    });
+    xml += '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
 
-    // Get all published blog posts
-    const postsResult = await pool.query(`
-      SELECT slug, updated_at, published_at, created_at
-      FROM blog_posts
-      WHERE status = 'published'
-      ORDER BY published_at DESC
-    `);
-
-    postsResult.rows.forEach(post => {
-      const lastmod = post.updated_at || post.published_at || post.created_at;
-      xml += '  <url>\n';
-      xml += `    <loc>${escapeXml(baseUrl + '/blog/' + post.slug)}</loc>\n`;
-      xml += `    <lastmod>${formatDate(lastmod)}</lastmod>\n`;
-      xml += `    <changefreq>weekly</changefreq>\n`;
-      xml += `    <priority>0.7</priority>\n`;
-      xml += '  </url>\n';
-    });
+    let files = 0;
+    for (const [name, section] of Object.entries(SECTIONS)) {
+      const { total, lastmod } = await section.count();
+      const chunks = Math.ceil(total / rowsPerChunk(section));
 
-    // Get all tags (if they have posts)
-    const tagsResult = await pool.query(`
-      SELECT DISTINCT t.slug
-      FROM tags t
-      INNER JOIN content_tags ct ON t.id = ct.tag_id
-      INNER JOIN blog_posts bp ON ct.content_id = bp.id
-      WHERE bp.status = 'published'
-      ORDER BY t.slug
-    `);
-
-    tagsResult.rows.forEach(tag => {
-      xml += '  <url>\n';
-      xml += `    <loc>${escapeXml(baseUrl + '/blog/tags/' + tag.slug)}</loc>\n`;
-      xml += `    <lastmod>${formatDate()}</lastmod>\n`;
-      xml += `    <changefreq>weekly</changefreq>\n`;
-      xml += `    <priority>0.6</priority>\n`;
-      xml += '  </url>\n';
-    });
+      for (let page = 1; page <= chunks; page++) {
+        xml += '  <sitemap>\n';
+        xml += `    <loc>${escapeXml(`${baseUrl}/sitemaps/${name}-${page}.xml`)}</loc>\n`;
+        xml += `    <lastmod>${formatDate(lastmod)}</lastmod>\n`;
+        xml += '  </sitemap>\n';
+        files++;
+      }
+    }
 
-    // Get all active niches
-    const nichesResult = await pool.query(`
-      SELECT slug
-      FROM niches
-      WHERE is_active = TRUE
-      ORDER BY display_order, slug
-    `);
-
-    nichesResult.rows.forEach(niche => {
-      // Niche page
-      xml += '  <url>\n';
-      xml += `    <loc>${escapeXml(baseUrl + '/' + niche.slug)}</loc>\n`;
-      xml += `    <lastmod>${formatDate()}</lastmod>\n`;
-      xml += `    <changefreq>weekly</changefreq>\n`;
-      xml += `    <priority>0.8</priority>\n`;
-      xml += '  </url>\n';
-
-      // Niche blog page
-      xml += '  <url>\n';
-      xml += `    <loc>${escapeXml(baseUrl + '/' + niche.slug + '/blog')}</loc>\n`;
-      xml += `    <lastmod>${formatDate()}</lastmod>\n`;
-      xml += `    <changefreq>daily</changefreq>\n`;
-      xml += `    <priority>0.7</priority>\n`;
-      xml += '  </url>\n';
-    });
+    xml += '</sitemapindex>';
+
+    logger.info(`Generated sitemap index with ${files} child sitemaps`);
+    return xml;
+  } catch (error) {
+    logger.error('Error generating sitemap index:', error);
+    throw error;
+  }
+}
+
+/**
+ * Generate one chunk of a child sitemap
+ * @returns {Promise<string|null>} XML, or null when the chunk is past the end
+ */
+async function generateSitemap(name, page) {
+  try {
+    const baseUrl = getBaseUrl();
+    const section = SECTIONS[name];
+    const limit = rowsPerChunk(section);
+    const rows = await section.fetch(limit, (page - 1) * limit);
 
+    if (rows.length === 0 && page > 1) return null;
+
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    xml += '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">\n';
+    rows.forEach(row => {
+      xml += section.render(row, baseUrl);
+    });
     xml += '</urlset>';
 
-    logger.info(`Generated sitemap with ${postsResult.rows.length} blog posts, ${tagsResult.rows.length} tags, ${nichesResult.rows.length} niches`);
+    logger.info(`Generated ${name} sitemap ${page} with ${rows.length * section.urlsPerRow} URLs`);
     return xml;
   } catch (error) {
-    logger.error('Error generating sitemap:', error);
+    logger.error(`Error generating ${name} sitemap:`, error);
     throw error;
   }
 }
 
-// GET /sitemap.xml - Main sitemap
+// GET /sitemap.xml - Sitemap index
 router.get('/sitemap.xml', async (req, res) => {
   try {
     // Try to get from cache first
-    let sitemap = cache.get(SITEMAP_CACHE_KEY);
+    let sitemap = cache.get(CACHE_KEYS.SITEMAP);
 
     if (!sitemap) {
-      // Generate new sitemap
-      sitemap = await generateSitemap();
-      
+      sitemap = await generateSitemapIndex();
+
       // Cache for 1 hour
-      cache.set(SITEMAP_CACHE_KEY, sitemap, SITEMAP_CACHE_TTL);
+      cache.set(CACHE_KEYS.SITEMAP, sitemap, SITEMAP_CACHE_TTL);
+    }
+
+    res.header('Content-Type', 'application/xml');
+    res.send(sitemap);
+  } catch (error) {
+    logger.error('Error serving sitemap:', error);
+    res.status(500).send('Error generating sitemap');
+  }
+});
+
+// GET /sitemaps/:name-:page.xml - Child sitemap chunk (e.g. /sitemaps/posts-1.xml)
+router.get('/sitemaps/:file', async (req, res) => {
+  try {
+    const match = /^([a-z]+)-(\d+)\.xml$/.exec(req.params.file);
+    const name = match?.[1];
+    const page = Number(match?.[2]);
+
+    if (!match || !Object.hasOwn(SECTIONS, name) || page < 1) {
+      return res.status(404).send('Sitemap not found');
+    }
+
+    const cacheKey = CACHE_KEYS.SITEMAP_PART(`${name}-${page}`);
+    let sitemap = cache.get(cacheKey);
+
+    if (!sitemap) {
+      sitemap = await generateSitemap(name, page);
+      if (!sitemap) return res.status(404).send('Sitemap not found');
+
+      cache.set(cacheKey, sitemap, SITEMAP_CACHE_TTL);
     }
 
     res.header('Content-Type', 'application/xml');
@@ -1,62 +1,104 @@
 import express from "express";
-import { v4 as uuidv4 } from "uuid";
-import nodemailer from "nodemailer";
+import { validate as uuidValidate } from "uuid";
 import pool from "../utils/db.js";
+import logger from "../utils/logger.js";
+import { sendLinkEmail } from "../utils/mailer.js";
+import { hashToken } from "../utils/tokens.js";
+import {
+  createNewsletterToken,
+  getUnsubscribeUrls,
+  getVerifyUrl,
+  listUnsubscribeHeaders,
+} from "../utils/newsletter.js";
 import { success, badRequest, error } from "../utils/response.js";
+import { TRACKING_COOKIES } from "../constants.js";
 
 const router = express.Router();
 
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST,
-  port: Number(process.env.SMTP_PORT || 587),
-  secure: process.env.SMTP_SECURE === 'true' || process.env.SMTP_PORT === '465',
-  auth: process.env.SMTP_USER && process.env.SMTP_PASS ? {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS,
-  } : undefined,
-});
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+async function sendConfirmationEmail(email) {
+  const verifyToken = await createNewsletterToken(email, 'verify');
+  const unsubscribeToken = await createNewsletterToken(email, 'unsubscribe');
+  const url = getVerifyUrl(verifyToken);
+  const { pageUrl } = getUnsubscribeUrls(unsubscribeToken);
+
+  await sendLinkEmail({
+    to: email,
+    subject: "Confirm your subscription",
+    html: `<p>Click to confirm subscription:</p><p><a href="${url}">${url}</a></p><p style="font-size:12px;color:#666">Didn't sign up? <a href="${pageUrl}">Unsubscribe</a></p>`,
+    link: url,
+    label: 'Newsletter confirmation link',
+    headers: listUnsubscribeHeaders(unsubscribeToken),
+  });
+}
 
 router.post("/", async (req, res) => {
   try {
     const { email } = req.body || {};
     if (!email) return badRequest(res, "Email is required");
-    const lower = String(email).toLowerCase();
+    const lower = String(email).toLowerCase().trim();
+    if (!EMAIL_PATTERN.test(lower)) return badRequest(res, "A valid email address is required");
+
     const exists = await pool.query("SELECT * FROM newsletter_subscriptions WHERE email = $1", [lower]);
-    if (exists.rows[0]) return success(res, null, "Already subscribed");
-
-    await pool.query("INSERT INTO newsletter_subscriptions (email, verified) VALUES ($1, FALSE)", [lower]);
-
-    const token = uuidv4();
-    const base = process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
-    const url = `${base}/api/subscribe/verify?token=${encodeURIComponent(token)}&email=${encodeURIComponent(lower)}`;
-    // naive token by placing in URL; for real use, store token table; here we keep simple for newsletter
-    if (!process.env.SMTP_HOST) {
-      console.log(`[DEV] Newsletter verify for ${lower}: ${url}`);
-    } else {
-      await transporter.sendMail({
-        from: process.env.EMAIL_FROM || "no-reply@peakself.local",
-        to: lower,
-        subject: "Confirm your subscription",
-        html: `<p>Click to confirm subscription:</p><p><a href="${url}">${url}</a></p>`
-      });
+    const current = exists.rows[0];
+    if (current && current.verified && !current.deleted_at) return success(res, null, "Already subscribed");
+
+    // The visitor (with tracking consent) lets campaign reports credit the subscription
+    const visitorCookie = req.cookies?.[TRACKING_COOKIES.VISITOR_ID];
+    const visitorId = visitorCookie && uuidValidate(visitorCookie) ? visitorCookie : null;
+
+    if (!current) {
+      await pool.query(
+        "INSERT INTO newsletter_subscriptions (email, verified, visitor_id) VALUES ($1, FALSE, $2)",
+        [lower, visitorId]
+      );
+    } else if (current.deleted_at) {
+      // Re-subscribing after an unsubscribe needs a fresh confirmation
+      await pool.query(
+        "UPDATE newsletter_subscriptions SET deleted_at = NULL, verified = FALSE, visitor_id = COALESCE($2, visitor_id) WHERE email = $1",
+        [lower, visitorId]
+      );
     }
+
+    // Only the latest confirmation link should work
+    await pool.query(
+      "UPDATE newsletter_tokens SET consumed_at = NOW() WHERE email = $1 AND purpose = 'verify' AND consumed_at IS NULL",
+      [lower]
+    );
+    await sendConfirmationEmail(lower);
+
     return success(res, null, "Check your email to confirm subscription");
   } catch (e) {
+    logger.error('Newsletter subscribe error:', e);
     return error(res, "Subscription failed", 500);
   }
 });
 
 router.get("/verify", async (req, res) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
   try {
-    const email = String(req.query.email || "").toLowerCase();
-    if (!email) return badRequest(res, "Missing email");
-    await pool.query("UPDATE newsletter_subscriptions SET verified = TRUE WHERE email = $1", [email]);
-    return success(res, null, "Subscription confirmed");
+    const token = String(req.query.token || "");
+    if (!token) return badRequest(res, "Missing token");
+
+    const { rows } = await pool.query(
+      `UPDATE newsletter_tokens SET consumed_at = NOW()
+       WHERE token_hash = $1 AND purpose = 'verify' AND consumed_at IS NULL AND expires_at > NOW()
+       RETURNING email`,
+      [hashToken(token)]
+    );
+    const rec = rows[0];
+    if (!rec) return res.redirect(`${clientUrl}/newsletter?error=invalid_token`);
+
+    await pool.query(
+      "UPDATE newsletter_subscriptions SET verified = TRUE WHERE email = $1 AND deleted_at IS NULL",
+      [rec.email]
+    );
+    return res.redirect(`${clientUrl}/newsletter?confirmed=true`);
   } catch (e) {
+    logger.error('Newsletter verify error:', e);
     return error(res, "Verification failed", 500);
   }
 });
 
 export default router;
-
-
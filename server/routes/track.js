@@ -5,6 +5,8 @@ import pool from "../utils/db.js";
 import { verifyJwt } from "../middleware/auth.js";
 import { invalidate } from "../utils/cache.js";
 import { success } from "../utils/response.js";
+import { UTM_FIELDS, parseUtm } from "../utils/utm.js";
+import { classifySource } from "../utils/trafficSources.js";
 import { 
   TRACKING_COOKIES, 
   COOKIE_VISITOR_MAX_AGE, 
@@ -24,6 +26,7 @@ async function ensureTrafficEventsTable() {
         id BIGSERIAL PRIMARY KEY,
         occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
         source TEXT NOT NULL,
+        channel TEXT,
         referrer TEXT,
         path TEXT,
         user_agent TEXT,
@@ -47,14 +50,9 @@ function cookieOpts(days = false) {
   };
 }
 
-function categorize(sourceHint, referrer) {
-  const s = (sourceHint || "").toLowerCase();
-  const r = (referrer || "").toLowerCase();
-  if (s.includes('instagram') || r.includes('instagram.com')) return 'instagram';
-  if (s.includes('facebook') || s.includes('fb') || r.includes('facebook.com') || r.includes('fb.com')) return 'facebook';
-  if (s.includes('youtube') || r.includes('youtube.com') || r.includes('youtu.be')) return 'youtube';
-  if (s.includes('google') || r.includes('google.')) return 'google';
-  return 'other';
+// Values for the utm_* columns, in UTM_FIELDS order
+function utmValues(utm) {
+  return UTM_FIELDS.map(field => utm?.[field] ?? null);
 }
 
 function safeStr(v, max) {
@@ -76,7 +74,7 @@ async function verifyUserId(userId) {
   return rows.length > 0 ? userId : null;
 }
 
-async function ensureVisitor(req, res, source, referrer, landingPath) {
+async function ensureVisitor(req, res, source, referrer, landingPath, utm) {
   // Try to use existing visitor cookie if present and valid
   const vidCookie = req.cookies?.[TRACKING_COOKIES.VISITOR_ID];
   const sourceCookie = req.cookies?.[TRACKING_COOKIES.SOURCE];
@@ -90,10 +88,10 @@ async function ensureVisitor(req, res, source, referrer, landingPath) {
     let visitor = rows[0] || null;
     if (!visitor) {
       // DB might have been reset; recreate with the same id to keep cookie continuity
-      const q = `INSERT INTO visitors (id, user_id, source, referrer, landing_path)
-                 VALUES ($1, $2, $3, $4, $5)
+      const q = `INSERT INTO visitors (id, user_id, source, referrer, landing_path, ${UTM_FIELDS.join(', ')})
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
                  RETURNING *`;
-      const ins = await pool.query(q, [vidCookie, userId, visitorSource, safeStr(referrer, 2048), safeStr(landingPath, 512)]);
+      const ins = await pool.query(q, [vidCookie, userId, visitorSource, safeStr(referrer, 2048), safeStr(landingPath, 512), ...utmValues(utm)]);
       visitor = ins.rows[0];
     } else {
       // Opportunistically link to user and bump last_seen
@@ -114,10 +112,11 @@ async function ensureVisitor(req, res, source, referrer, landingPath) {
   }
 
   // No visitor cookie: create a new visitor and set cookies
-  const q = `INSERT INTO visitors (user_id, source, referrer, landing_path)
-             VALUES ($1, $2, $3, $4)
+  // UTM parameters are kept from this first hit only
+  const q = `INSERT INTO visitors (user_id, source, referrer, landing_path, ${UTM_FIELDS.join(', ')})
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
              RETURNING *`;
-  const ins = await pool.query(q, [userId, visitorSource, safeStr(referrer, 2048), safeStr(landingPath, 512)]);
+  const ins = await pool.query(q, [userId, visitorSource, safeStr(referrer, 2048), safeStr(landingPath, 512), ...utmValues(utm)]);
   const visitor = ins.rows[0];
   res.cookie(TRACKING_COOKIES.VISITOR_ID, visitor.id, cookieOpts(true));
   res.cookie(TRACKING_COOKIES.SOURCE, visitor.source, cookieOpts(true));
@@ -153,7 +152,7 @@ async function endStaleSessionIfAny(sessionId) {
   }
 }
 
-async function ensureSession(req, res, visitor, source, landingPath, userAgent, ip, referrer) {
+async function ensureSession(req, res, visitor, source, channel, landingPath, userAgent, ip, referrer, utm) {
   const sidCookie = req.cookies?.[TRACKING_COOKIES.SESSION_ID];
   const existing = await getActiveSession(sidCookie);
   const userId = await verifyUserId(currentUserId(req));
@@ -193,11 +192,12 @@ async function ensureSession(req, res, visitor, source, landingPath, userAgent,
     await endStaleSessionIfAny(sidCookie);
   }
 
-  // Start a new session with source and landing path; session source is immutable per session
+  // Start a new session with source, channel, landing path and campaign; all are immutable per session
+  // (until an admin re-classifies history after changing the referrer rules)
   const insert = await pool.query(
-    `INSERT INTO user_sessions (visitor_id, user_id, source, landing_path, user_agent, ip)
-     VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
-    [visitor.id, userId, source || visitor.source || 'other', safeStr(landingPath, 512), safeStr(userAgent, 512), safeStr(ip, 128)]
+    `INSERT INTO user_sessions (visitor_id, user_id, source, channel, landing_path, user_agent, ip, ${UTM_FIELDS.join(', ')})
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id`,
+    [visitor.id, userId, source || visitor.source || 'other', channel, safeStr(landingPath, 512), safeStr(userAgent, 512), safeStr(ip, 128), ...utmValues(utm)]
   );
   const sid = insert.rows[0].id;
   res.cookie(TRACKING_COOKIES.SESSION_ID, sid, cookieOpts(false));
@@ -213,15 +213,16 @@ router.post('/', async (req, res) => {
     : safeStr(req.get('referer') || null, 2048);
 
   const path = safeStr(typeof req.body?.path === 'string' ? req.body.path : req.body?.pathname || req.path || '/', 512);
-  const sourceHint = safeStr(typeof req.body?.source === 'string' ? req.body.source : null, 64);
+  const utm = parseUtm(req.body?.utm);
+  const sourceHint = safeStr(typeof req.body?.source === 'string' ? req.body.source : utm?.utm_source, 64);
   const userAgent = safeStr(req.get('user-agent') || '', 512);
   const ip = safeStr((req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress || '').toString(), 128);
-  const source = categorize(sourceHint, referrer);
+  const { source, channel } = classifySource(sourceHint, referrer);
 
   try {
     // Advanced sessionization path
-    const visitor = await ensureVisitor(req, res, source, referrer, path);
-    const sessionResult = await ensureSession(req, res, visitor, source, path, userAgent, ip, referrer);
+    const visitor = await ensureVisitor(req, res, source, referrer, path, utm);
+    const sessionResult = await ensureSession(req, res, visitor, source, channel, path, userAgent, ip, referrer, utm);
     const sessionId = sessionResult.id || sessionResult; // Handle both old and new format
     const isNewSession = sessionResult.isNew || false;
 
@@ -237,8 +238,8 @@ router.post('/', async (req, res) => {
     // Also record a simple traffic event for admin/overview
     try {
       await pool.query(
-        `INSERT INTO traffic_events (occurred_at, source, referrer, path, user_agent, ip) VALUES (NOW(), $1, $2, $3, $4, $5)`,
-        [source, referrer, path || '/', userAgent, ip]
+        `INSERT INTO traffic_events (occurred_at, source, channel, referrer, path, user_agent, ip) VALUES (NOW(), $1, $2, $3, $4, $5, $6)`,
+        [source, channel, referrer, path || '/', userAgent, ip]
       );
       // Only invalidate caches on new sessions or periodically (to avoid invalidating on every page view)
       // Traffic cache can handle some staleness for performance
@@ -258,8 +259,8 @@ router.post('/', async (req, res) => {
     // Fallback: record minimal traffic so admin stats are not empty
     try {
       await pool.query(
-        `INSERT INTO traffic_events (occurred_at, source, referrer, path, user_agent, ip) VALUES (NOW(), $1, $2, $3, $4, $5)`,
-        [source, referrer, path || '/', userAgent, ip]
+        `INSERT INTO traffic_events (occurred_at, source, channel, referrer, path, user_agent, ip) VALUES (NOW(), $1, $2, $3, $4, $5, $6)`,
+        [source, channel, referrer, path || '/', userAgent, ip]
       );
     } catch (e3) {
       logger.warn('Warning: failed fallback traffic_events insert:', e3.message);
@@ -0,0 +1,59 @@
+import express from "express";
+import pool from "../utils/db.js";
+import logger from "../utils/logger.js";
+import { invalidate } from "../utils/cache.js";
+import { findNewsletterToken } from "../utils/newsletter.js";
+import { success, error, notFound } from "../utils/response.js";
+
+const router = express.Router();
+
+// a***@example.com - enough for the owner to recognise, not enough to harvest
+function maskEmail(email) {
+  const [local, domain] = email.split('@');
+  return `${local.slice(0, 1)}***@${domain}`;
+}
+
+// Look up an unsubscribe link (used by the confirmation page; never changes anything
+// because mail scanners prefetch GET links)
+router.get("/:token", async (req, res) => {
+  try {
+    const email = await findNewsletterToken(String(req.params.token), 'unsubscribe');
+    if (!email) return notFound(res, "This unsubscribe link is invalid or has expired");
+
+    const { rows } = await pool.query(
+      "SELECT deleted_at FROM newsletter_subscriptions WHERE email = $1",
+      [email]
+    );
+    return success(res, {
+      email: maskEmail(email),
+      subscribed: Boolean(rows[0] && !rows[0].deleted_at),
+    });
+  } catch (e) {
+    logger.error('Unsubscribe lookup error:', e);
+    return error(res, "Failed to load subscription", 500);
+  }
+});
+
+// Unsubscribe. Also the RFC 8058 one-click target from the List-Unsubscribe header.
+// Idempotent: the same link keeps working until it expires.
+router.post("/:token", async (req, res) => {
+  try {
+    const email = await findNewsletterToken(String(req.params.token), 'unsubscribe');
+    if (!email) return notFound(res, "This unsubscribe link is invalid or has expired");
+
+    const { rowCount } = await pool.query(
+      "UPDATE newsletter_subscriptions SET deleted_at = NOW() WHERE email = $1 AND deleted_at IS NULL",
+      [email]
+    );
+    if (rowCount > 0) {
+      invalidate.dashboard();
+      logger.info(`Newsletter unsubscribe: ${maskEmail(email)}`);
+    }
+    return success(res, { email: maskEmail(email), subscribed: false }, "You have been unsubscribed");
+  } catch (e) {
+    logger.error('Unsubscribe error:', e);
+    return error(res, "Unsubscribe failed", 500);
+  }
+});
+
+export default router;
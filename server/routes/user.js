@@ -0,0 +1,434 @@
+import express from "express";
+import bcrypt from "bcryptjs";
+import logger from "../utils/logger.js";
+import pool from "../utils/db.js";
+import { invalidate } from "../utils/cache.js";
+import { sendLinkEmail } from "../utils/mailer.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+import { AUTHOR_BYLINE } from "../utils/authors.js";
+import { requireAuth, revokeUserSessions, signJwt, setJwtCookie } from "../middleware/auth.js";
+import { authPasswordLimiter } from "../middleware/rateLimiter.js";
+import { EMAIL_VERIFICATION_EXPIRATION_MS, PASSWORD_MIN_LENGTH } from "../constants.js";
+
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_AVATAR_URL_LENGTH = 2048;
+
+const PROFILE_COLUMNS = `id, email, name, avatar_url, provider, verified, role, created_at,
+  (password_hash IS NOT NULL) AS has_password`;
+
+async function sendEmailChangeEmail(email, token) {
+  const base = process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+  const url = `${base}/api/user/email/verify?token=${encodeURIComponent(token)}`;
+  await sendLinkEmail({
+    to: email,
+    subject: "Confirm your new PeakSelf email address",
+    html: `<p>Click to confirm this address for your PeakSelf account:</p><p><a href="${url}">${url}</a></p><p>If you didn't ask for this change, you can ignore this email.</p>`,
+    link: url,
+    label: 'Email change confirmation link',
+  });
+}
+
+function isValidAvatarUrl(value) {
+  if (value.length > MAX_AVATAR_URL_LENGTH) return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (_) {
+    return false;
+  }
+}
+
+// Confirm an email change (public - the link may be opened in a different browser)
+router.get("/email/verify", async (req, res) => {
+  try {
+    const token = String(req.query.token || "");
+    if (!token) return res.status(400).json({ error: "Missing token" });
+
+    const { rows } = await pool.query(
+      `UPDATE email_change_tokens SET consumed_at = NOW()
+       WHERE token_hash = $1 AND consumed_at IS NULL AND expires_at > NOW()
+       RETURNING user_id, new_email`,
+      [hashToken(token)]
+    );
+    const rec = rows[0];
+    if (!rec) return res.status(400).json({ error: "Invalid or expired token" });
+
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+    try {
+      const updated = await pool.query(
+        "UPDATE users SET email = $1, updated_at = NOW() WHERE id = $2 AND deleted_at IS NULL RETURNING id",
+        [rec.new_email, rec.user_id]
+      );
+      if (!updated.rows[0]) return res.status(400).json({ error: "Invalid or expired token" });
+    } catch (e) {
+      // Someone claimed the address between the request and the confirmation
+      if (e.code === '23505') {
+        return res.redirect(`${clientUrl}/account?error=email_taken`);
+      }
+      throw e;
+    }
+
+    invalidate.users();
+    logger.info(`User ${rec.user_id} changed email to ${rec.new_email}`);
+    return res.redirect(`${clientUrl}/account?email_changed=true`);
+  } catch (e) {
+    const msg = process.env.NODE_ENV === 'production' ? 'Email change failed' : `Email change failed: ${e.message}`;
+    res.status(500).json({ error: msg });
+  }
+});
+
+// Everything below requires a signed-in user
+router.use(requireAuth);
+
+// Current user's profile
+router.get("/profile", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${PROFILE_COLUMNS},
+        (SELECT new_email FROM email_change_tokens t
+          WHERE t.user_id = users.id AND t.consumed_at IS NULL AND t.expires_at > NOW()
+          ORDER BY t.created_at DESC LIMIT 1) AS pending_email
+       FROM users WHERE id = $1 AND deleted_at IS NULL`,
+      [req.currentUser.id]
+    );
+    if (!rows[0]) return res.status(404).json({ error: "User not found" });
+    return res.json({ user: rows[0] });
+  } catch (e) {
+    logger.error('Get profile error:', e);
+    res.status(500).json({ error: "Failed to load profile" });
+  }
+});
+
+// Update name / avatar
+router.put("/profile", async (req, res) => {
+  try {
+    const { name, avatar_url } = req.body || {};
+    const sets = [];
+    const params = [];
+
+    if (name !== undefined) {
+      if (name !== null && typeof name !== 'string') {
+        return res.status(400).json({ error: "Name must be a string" });
+      }
+      const trimmed = name ? name.trim() : '';
+      if (trimmed.length > MAX_NAME_LENGTH) {
+        return res.status(400).json({ error: `Name must be ${MAX_NAME_LENGTH} characters or fewer` });
+      }
+      params.push(trimmed || null);
+      sets.push(`name = $${params.length}`);
+    }
+
+    if (avatar_url !== undefined) {
+      const trimmed = typeof avatar_url === 'string' ? avatar_url.trim() : '';
+      if (trimmed && !isValidAvatarUrl(trimmed)) {
+        return res.status(400).json({ error: "Avatar must be an http(s) URL" });
+      }
+      params.push(trimmed || null);
+      sets.push(`avatar_url = $${params.length}`);
+    }
+
+    if (sets.length === 0) {
+      return res.status(400).json({ error: "Nothing to update" });
+    }
+
+    params.push(req.currentUser.id);
+    const { rows } = await pool.query(
+      `UPDATE users SET ${sets.join(', ')}, updated_at = NOW()
+       WHERE id = $${params.length} AND deleted_at IS NULL
+       RETURNING ${PROFILE_COLUMNS}`,
+      params
+    );
+    if (!rows[0]) return res.status(404).json({ error: "User not found" });
+
+    invalidate.users();
+    return res.json({ user: rows[0], message: "Profile updated" });
+  } catch (e) {
+    logger.error('Update profile error:', e);
+    res.status(500).json({ error: "Failed to update profile" });
+  }
+});
+
+// Change password (requires the current one)
+router.put("/password", authPasswordLimiter, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: "Current and new password are required" });
+    }
+    if (String(newPassword).length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+    }
+
+    const { rows } = await pool.query(
+      "SELECT id, email, role, password_hash FROM users WHERE id = $1 AND deleted_at IS NULL",
+      [req.currentUser.id]
+    );
+    const user = rows[0];
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (!user.password_hash) {
+      return res.status(400).json({ error: "This account signs in with Google and has no password to change" });
+    }
+
+    const ok = await bcrypt.compare(String(currentPassword), user.password_hash);
+    if (!ok) return res.status(400).json({ error: "Current password is incorrect" });
+
+    // Use the app clock so the fresh token below is not treated as revoked
+    const hash = await bcrypt.hash(String(newPassword), 10);
+    await pool.query(
+      "UPDATE users SET password_hash = $1, password_changed_at = $2, updated_at = NOW() WHERE id = $3",
+      [hash, new Date(), user.id]
+    );
+
+    // Sign out other devices but keep this one logged in
+    await revokeUserSessions(user.id, req.sessionID);
+    setJwtCookie(res, signJwt(user));
+
+    logger.info(`User ${user.email} changed their password`);
+    return res.json({ message: "Password updated. You've been signed out on other devices." });
+  } catch (e) {
+    logger.error('Change password error:', e);
+    res.status(500).json({ error: "Failed to change password" });
+  }
+});
+
+// Start an email change (confirmed from the new address)
+router.post("/email", authPasswordLimiter, async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    const lower = String(email || '').toLowerCase().trim();
+    if (!lower || !EMAIL_PATTERN.test(lower)) {
+      return res.status(400).json({ error: "A valid email address is required" });
+    }
+
+    const { rows } = await pool.query(
+      "SELECT id, email, password_hash FROM users WHERE id = $1 AND deleted_at IS NULL",
+      [req.currentUser.id]
+    );
+    const user = rows[0];
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.email.toLowerCase() === lower) {
+      return res.status(400).json({ error: "That is already your email address" });
+    }
+
+    // Accounts with a password must re-enter it
+    if (user.password_hash) {
+      if (!password) return res.status(400).json({ error: "Password is required" });
+      const ok = await bcrypt.compare(String(password), user.password_hash);
+      if (!ok) return res.status(400).json({ error: "Password is incorrect" });
+    }
+
+    // Emails are unique across active and soft-deleted accounts
+    const taken = await pool.query(
+      "SELECT 1 FROM users WHERE LOWER(email) = $1 AND id <> $2",
+      [lower, user.id]
+    );
+    if (taken.rows[0]) {
+      return res.status(409).json({ error: "That email address is already in use" });
+    }
+
+    // Only the most recent request should work
+    await pool.query(
+      "UPDATE email_change_tokens SET consumed_at = NOW() WHERE user_id = $1 AND consumed_at IS NULL",
+      [user.id]
+    );
+
+    const token = generateToken();
+    const expires = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRATION_MS);
+    await pool.query(
+      "INSERT INTO email_change_tokens (user_id, new_email, token_hash, expires_at) VALUES ($1, $2, $3, $4)",
+      [user.id, lower, hashToken(token), expires]
+    );
+
+    await sendEmailChangeEmail(lower, token);
+
+    return res.json({
+      message: `We sent a confirmation link to ${lower}. Your email changes once you click it.`,
+      pending_email: lower,
+    });
+  } catch (e) {
+    logger.error('Change email error:', e);
+    res.status(500).json({ error: "Failed to start email change" });
+  }
+});
+
+// Reading list: the current user's bookmarked posts, most recently saved first
+router.get("/bookmarks", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT bp.id, bp.title, bp.excerpt, bp.slug, bp.content, bp.image, bp.reading_time,
+        bp.created_at, bp.published_at,
+        ${AUTHOR_BYLINE} AS author,
+        (SELECT COUNT(*) FROM blog_post_likes l WHERE l.post_id = bp.id)::int AS likes_count,
+        COALESCE(
+          (SELECT json_agg(json_build_object('id', t.id, 'name', t.name, 'slug', t.slug, 'color', t.color))
+           FROM content_tags ct JOIN tags t ON t.id = ct.tag_id
+           WHERE ct.content_id = bp.id),
+          '[]'
+        ) AS tags,
+        b.created_at AS bookmarked_at
+       FROM blog_post_bookmarks b
+       JOIN blog_posts bp ON bp.id = b.post_id AND bp.status = 'published'
+       LEFT JOIN users u ON u.id = bp.author_id
+       WHERE b.user_id = $1
+       ORDER BY b.created_at DESC`,
+      [req.currentUser.id]
+    );
+    return res.json({ posts: rows });
+  } catch (e) {
+    logger.error('Get bookmarks error:', e);
+    res.status(500).json({ error: "Failed to load reading list" });
+  }
+});
+
+// IDs of the posts the current user has liked and bookmarked (for post card state)
+router.get("/reactions", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT
+         COALESCE((SELECT array_agg(post_id) FROM blog_post_likes WHERE user_id = $1), '{}') AS liked,
+         COALESCE((SELECT array_agg(post_id) FROM blog_post_bookmarks WHERE user_id = $1), '{}') AS bookmarked`,
+      [req.currentUser.id]
+    );
+    return res.json(rows[0]);
+  } catch (e) {
+    logger.error('Get reactions error:', e);
+    res.status(500).json({ error: "Failed to load reactions" });
+  }
+});
+
+// Download everything we hold about the current user (GDPR data export)
+router.get("/me/export", async (req, res) => {
+  try {
+    const userId = req.currentUser.id;
+    const { rows: users } = await pool.query(
+      `SELECT id, email, name, avatar_url, provider, verified, role, created_at, updated_at, password_changed_at
+       FROM users WHERE id = $1 AND deleted_at IS NULL`,
+      [userId]
+    );
+    const user = users[0];
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const [sessions, sessionEvents, postSessions, engagementEvents, likes, bookmarks, comments, newsletter] = await Promise.all([
+      pool.query(
+        `SELECT id, visitor_id, source, landing_path, user_agent, ip, started_at, last_seen_at, ended_at, page_count
+         FROM user_sessions WHERE user_id = $1 ORDER BY started_at`,
+        [userId]
+      ),
+      pool.query(
+        `SELECT se.id, se.session_id, se.path, se.referrer, se.occurred_at
+         FROM session_events se
+         JOIN user_sessions us ON us.id = se.session_id
+         WHERE us.user_id = $1
+         ORDER BY se.occurred_at`,
+        [userId]
+      ),
+      pool.query(
+        "SELECT * FROM blog_post_sessions WHERE user_id = $1 ORDER BY entered_at",
+        [userId]
+      ),
+      pool.query(
+        "SELECT id, post_id, session_id, event_type, event_data, occurred_at FROM blog_engagement_events WHERE user_id = $1 ORDER BY occurred_at",
+        [userId]
+      ),
+      pool.query(
+        "SELECT post_id, created_at FROM blog_post_likes WHERE user_id = $1 ORDER BY created_at",
+        [userId]
+      ),
+      pool.query(
+        "SELECT post_id, created_at FROM blog_post_bookmarks WHERE user_id = $1 ORDER BY created_at",
+        [userId]
+      ),
+      pool.query(
+        "SELECT id, post_id, parent_id, body, status, created_at, updated_at FROM blog_comments WHERE user_id = $1 ORDER BY created_at",
+        [userId]
+      ),
+      pool.query(
+        "SELECT email, verified, created_at FROM newsletter_subscriptions WHERE LOWER(email) = LOWER($1) AND deleted_at IS NULL",
+        [user.email]
+      ),
+    ]);
+
+    const exportedAt = new Date();
+    const filename = `peakself-export-${exportedAt.toISOString().slice(0, 10)}.json`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    logger.info(`User ${user.email} exported their data`);
+    return res.json({
+      exported_at: exportedAt.toISOString(),
+      user,
+      newsletter: newsletter.rows[0] || null,
+      sessions: sessions.rows,
+      session_events: sessionEvents.rows,
+      blog_post_sessions: postSessions.rows,
+      blog_engagement_events: engagementEvents.rows,
+      likes: likes.rows,
+      bookmarks: bookmarks.rows,
+      comments: comments.rows,
+    });
+  } catch (e) {
+    logger.error('Data export error:', e);
+    res.status(500).json({ error: "Failed to export data" });
+  }
+});
+
+// Delete own account (soft delete; purged by scripts/cleanup-soft-deleted.js)
+router.delete("/me", authPasswordLimiter, async (req, res) => {
+  try {
+    const { password, confirmEmail } = req.body || {};
+    const { rows } = await pool.query(
+      "SELECT id, email, role, password_hash FROM users WHERE id = $1 AND deleted_at IS NULL",
+      [req.currentUser.id]
+    );
+    const user = rows[0];
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    // Re-authenticate: password for local accounts, typed email for Google-only accounts
+    if (user.password_hash) {
+      if (!password) return res.status(400).json({ error: "Password is required" });
+      const ok = await bcrypt.compare(String(password), user.password_hash);
+      if (!ok) return res.status(400).json({ error: "Password is incorrect" });
+    } else if (String(confirmEmail || '').toLowerCase().trim() !== user.email.toLowerCase()) {
+      return res.status(400).json({ error: "Type your email address to confirm" });
+    }
+
+    if (user.role === 'admin') {
+      const { rows: admins } = await pool.query(
+        "SELECT COUNT(*)::int AS count FROM users WHERE role = 'admin' AND deleted_at IS NULL"
+      );
+      if (admins[0].count <= 1) {
+        return res.status(400).json({ error: "You are the only admin. Promote another admin before deleting your account" });
+      }
+    }
+
+    await pool.query(
+      "UPDATE users SET deleted_at = NOW(), updated_at = NOW() WHERE id = $1 AND deleted_at IS NULL",
+      [user.id]
+    );
+    await pool.query(
+      "UPDATE newsletter_subscriptions SET deleted_at = NOW() WHERE LOWER(email) = LOWER($1) AND deleted_at IS NULL",
+      [user.email]
+    );
+
+    await revokeUserSessions(user.id);
+    res.clearCookie('access_token', {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      path: '/'
+    });
+
+    invalidate.users();
+    invalidate.dashboard();
+    logger.info(`User ${user.email} deleted their account`);
+    return res.json({ message: "Your account has been deleted" });
+  } catch (e) {
+    logger.error('Delete account error:', e);
+    res.status(500).json({ error: "Failed to delete account" });
+  }
+});
+
+export default router;
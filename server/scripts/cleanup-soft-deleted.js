@@ -3,6 +3,8 @@
  * 
  * This script permanently removes records that have been soft-deleted
  * for more than 90 days (configurable via SOFT_DELETE_RETENTION_DAYS env var).
+ * Analytics tied to expired users (sessions, page views, blog engagement and
+ * visitor profiles) are purged along with them.
  * 
  * Usage:
  *   node server/scripts/cleanup-soft-deleted.js [--dry-run] [--days=90]
@@ -90,6 +92,49 @@ async function cleanupTable(table, retentionDays, dryRun = false) {
   }
 }
 
+// Tracking tables keyed by a user's sessions or directly by user_id, in deletion order
+const USER_ACTIVITY_TABLES = [
+  { table: 'session_events', where: 'session_id IN (SELECT id FROM user_sessions WHERE user_id IN (SELECT id FROM expired))' },
+  { table: 'blog_engagement_events', where: 'user_id IN (SELECT id FROM expired)' },
+  { table: 'blog_post_sessions', where: 'user_id IN (SELECT id FROM expired)' },
+  { table: 'user_sessions', where: 'user_id IN (SELECT id FROM expired)' },
+  { table: 'visitors', where: 'user_id IN (SELECT id FROM expired)' },
+];
+
+/**
+ * Permanently delete analytics belonging to users whose soft delete has expired.
+ * Must run before the users rows are removed, since it finds the data by user id.
+ */
+async function purgeUserActivity(retentionDays, dryRun = false) {
+  const expired = `
+    WITH expired AS (
+      SELECT id FROM users
+      WHERE deleted_at IS NOT NULL
+        AND deleted_at < NOW() - INTERVAL '${retentionDays} days'
+    )
+  `;
+
+  let total = 0;
+  for (const { table, where } of USER_ACTIVITY_TABLES) {
+    try {
+      if (dryRun) {
+        const { rows } = await pool.query(`${expired} SELECT COUNT(*) as count FROM ${table} WHERE ${where}`);
+        const count = parseInt(rows[0].count);
+        if (count > 0) logger.info(`[DRY RUN] Would delete ${count} ${table} records of expired users`);
+        total += count;
+      } else {
+        const result = await pool.query(`${expired} DELETE FROM ${table} WHERE ${where}`);
+        if (result.rowCount > 0) logger.info(`Permanently deleted ${result.rowCount} ${table} records of expired users`);
+        total += result.rowCount;
+      }
+    } catch (error) {
+      logger.error(`Error purging ${table} for expired users:`, error);
+      throw error;
+    }
+  }
+  return total;
+}
+
 /**
  * Main cleanup function
  */
@@ -105,6 +150,11 @@ async function cleanup() {
   try {
     let totalDeleted = 0;
     
+    // Purge analytics of expired users before the users rows (and their ids) are gone
+    logger.info('\\nProcessing analytics of expired users...');
+    const activityDeleted = await purgeUserActivity(retentionDays, isDryRun);
+    totalDeleted += activityDeleted;
+
     // Clean up users table
     logger.info('\\nProcessing users table...');
     const usersDeleted = await cleanupTable('users', retentionDays, isDryRun);
@@ -124,6 +174,7 @@ async function cleanup() {
     logger.info('\\n' + '='.repeat(80));
     logger.info('Cleanup Summary');
     logger.info('='.repeat(80));
+    logger.info(`User analytics: ${activityDeleted} ${isDryRun ? 'would be' : ''} deleted`);
     logger.info(`Users: ${usersDeleted} ${isDryRun ? 'would be' : ''} deleted`);
     logger.info(`Visitors: ${visitorsDeleted} ${isDryRun ? 'would be' : ''} deleted`);
     logger.info(`Newsletter Subscriptions: ${newsletterDeleted} ${isDryRun ? 'would be' : ''} deleted`);
@@ -0,0 +1,96 @@
+/**
+ * One-off Script: Sanitize stored blog post HTML
+ *
+ * Runs every blog post and revision through the HTML allow-list (utils/sanitize.js)
+ * and re-normalizes block documents, then reports what was stripped from each row.
+ * Posts are also sanitized when served, so this only cleans up what is stored.
+ *
+ * Usage:
+ *   node server/scripts/sanitize_posts.js [--dry-run]
+ *
+ * Options:
+ *   --dry-run    Report what would be stripped without updating any rows
+ */
+
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import pool from '../utils/db.js';
+import logger from '../utils/logger.js';
+import { sanitizeHtml, summarizeReport } from '../utils/sanitize.js';
+import { normalizeDocument } from '../utils/blocks.js';
+
+// Load environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+const isDryRun = process.argv.slice(2).includes('--dry-run');
+
+const TABLES = [
+  { table: 'blog_posts', label: 'post' },
+  { table: 'blog_post_revisions', label: 'revision' },
+];
+
+/**
+ * Sanitize one table; returns the number of rows that changed
+ */
+async function sanitizeTable(table, label) {
+  const { rows } = await pool.query(`SELECT id, content, content_blocks FROM ${table} ORDER BY id`);
+  let changed = 0;
+
+  for (const row of rows) {
+    const report = [];
+    const content = sanitizeHtml(row.content, { report });
+
+    let blocks = row.content_blocks;
+    let blocksChanged = false;
+    if (blocks) {
+      const { document } = normalizeDocument(blocks);
+      blocksChanged = JSON.stringify(document) !== JSON.stringify(blocks);
+      blocks = document;
+    }
+
+    if (content === row.content && !blocksChanged) continue;
+    changed++;
+
+    const stripped = Object.entries(summarizeReport(report))
+      .map(([name, count]) => `${name} x${count}`)
+      .join(', ');
+    logger.info(`${label} ${row.id}: ${stripped || 'markup normalized'}${blocksChanged ? ' (block document re-normalized)' : ''}`);
+
+    if (!isDryRun) {
+      await pool.query(
+        `UPDATE ${table} SET content = $1, content_blocks = $2 WHERE id = $3`,
+        [content, blocks ? JSON.stringify(blocks) : null, row.id]
+      );
+    }
+  }
+
+  logger.info(`${table}: ${changed} of ${rows.length} rows ${isDryRun ? 'would be' : ''} sanitized`);
+  return changed;
+}
+
+async function run() {
+  logger.info(`Sanitizing stored blog HTML (${isDryRun ? 'DRY RUN' : 'LIVE'})`);
+
+  try {
+    for (const { table, label } of TABLES) {
+      await sanitizeTable(table, label);
+    }
+
+    if (isDryRun) {
+      logger.info('⚠️  This was a DRY RUN. No rows were updated.');
+    } else {
+      logger.info('✓ Sanitization completed');
+    }
+    await pool.end();
+    process.exit(0);
+  } catch (error) {
+    logger.error('✗ Sanitization failed:', error);
+    await pool.end();
+    process.exit(1);
+  }
+}
+
+run();
@@ -135,7 +135,7 @@ class AnalyticsQueue {
             COUNT(*) FILTER (WHERE traffic_source = 'instagram') as src_instagram,
             COUNT(*) FILTER (WHERE traffic_source = 'facebook') as src_facebook,
             COUNT(*) FILTER (WHERE traffic_source = 'youtube') as src_youtube,
-            COUNT(*) FILTER (WHERE traffic_source = 'other') as src_other,
+            COUNT(*) FILTER (WHERE traffic_source NOT IN ('direct', 'google', 'instagram', 'facebook', 'youtube')) as src_other,
             MIN(entered_at) as first_view,
             MAX(entered_at) as last_view
           FROM blog_post_sessions
@@ -148,9 +148,10 @@ class AnalyticsQueue {
             COUNT(*) FILTER (WHERE event_type = 'share' AND event_data->>'platform' = 'linkedin') as linkedin_shares,
             COUNT(*) FILTER (WHERE event_type = 'copy_link') as copy_links,
             COUNT(*) FILTER (WHERE event_type = 'newsletter_signup') as newsletter_signups,
-            COUNT(*) FILTER (WHERE event_type = 'comment') as comments,
-            COUNT(*) FILTER (WHERE event_type = 'like') as likes,
-            COUNT(*) FILTER (WHERE event_type = 'bookmark') as bookmarks,
+            -- Comments (once approved), likes and bookmarks come from their own tables
+            (SELECT COUNT(*) FROM blog_comments WHERE post_id = $1 AND status = 'approved') as comments,
+            (SELECT COUNT(*) FROM blog_post_likes WHERE post_id = $1) as likes,
+            (SELECT COUNT(*) FROM blog_post_bookmarks WHERE post_id = $1) as bookmarks,
             COUNT(*) FILTER (WHERE event_type = 'cta_click') as total_clicks,
             COUNT(*) FILTER (WHERE event_type = 'outbound_click') as outbound_clicks,
             COUNT(*) FILTER (WHERE event_type = 'internal_click') as internal_clicks
@@ -178,7 +179,9 @@ class AnalyticsQueue {
         total_shares: stats.shares || 0,
         newsletter_signups: stats.newsletter_signups || 0,
         cta_clicks: stats.cta_clicks || 0,
-        avg_scroll_depth: stats.avg_scroll || 0
+        avg_scroll_depth: stats.avg_scroll || 0,
+        likes_count: Number(stats.likes) || 0,
+        bookmarks_count: Number(stats.bookmarks) || 0
       });
 
       // Update blog_post_analytics
@@ -253,10 +256,12 @@ class AnalyticsQueue {
       total_shares = 0,
       newsletter_signups = 0,
       cta_clicks = 0,
-      avg_scroll_depth = 0
+      avg_scroll_depth = 0,
+      likes_count = 0,
+      bookmarks_count = 0
     } = analytics;
 
-    // Weighted scoring formula
+    // Weighted scoring formula (same weights as calculateEngagementScore in routes/blog-tracking.js)
     const score = 
       (total_views * 1) +
       (avg_time_on_page * 0.5) +
@@ -264,7 +269,9 @@ class AnalyticsQueue {
       (total_shares * 10) +
       (newsletter_signups * 20) +
       (cta_clicks * 3) +
-      (avg_scroll_depth * 0.5);
+      (avg_scroll_depth * 0.5) +
+      (likes_count * 4) +
+      (bookmarks_count * 8);
 
     return Math.round(score * 100) / 100;
   }
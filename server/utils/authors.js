@@ -0,0 +1,74 @@
+/**
+ * Blog Author Helpers
+ *
+ * A post's authors are the profiles linked in blog_post_authors (see migrations/create_blog_authors.js),
+ * in byline order. Posts without linked authors fall back to the user who created them
+ * (blog_posts.author_id): their profile if they have one, else their user name. The SQL
+ * below expects the post as `bp` and, for the byline, that user as `u`.
+ */
+
+// Byline text: "Ada Lovelace, Alan Turing"
+export const AUTHOR_BYLINE = `COALESCE(
+  (SELECT string_agg(ba.name, ', ' ORDER BY bpa.position)
+   FROM blog_post_authors bpa
+   JOIN blog_authors ba ON ba.id = bpa.author_id
+   WHERE bpa.post_id = bp.id),
+  (SELECT ba.name FROM blog_authors ba WHERE ba.user_id = bp.author_id),
+  u.name)`;
+
+const PROFILE_JSON = `json_build_object(
+  'id', ba.id, 'name', ba.name, 'slug', ba.slug, 'bio', ba.bio,
+  'avatar_url', ba.avatar_url, 'social_links', ba.social_links
+)`;
+
+// Author profiles for the post page, in byline order
+export const AUTHOR_PROFILES = `COALESCE(
+  (SELECT json_agg(${PROFILE_JSON} ORDER BY bpa.position)
+   FROM blog_post_authors bpa
+   JOIN blog_authors ba ON ba.id = bpa.author_id
+   WHERE bpa.post_id = bp.id),
+  (SELECT json_agg(${PROFILE_JSON}) FROM blog_authors ba WHERE ba.user_id = bp.author_id),
+  '[]')`;
+
+// Is post `bp` by author `ba`? Its linked authors, or for posts without any, the user who wrote it
+export const IS_POST_BY_AUTHOR = `(
+  EXISTS (SELECT 1 FROM blog_post_authors bpa WHERE bpa.post_id = bp.id AND bpa.author_id = ba.id)
+  OR (bp.author_id = ba.user_id AND NOT EXISTS (SELECT 1 FROM blog_post_authors bpa WHERE bpa.post_id = bp.id))
+)`;
+
+// Profile links an author can have, in display order
+export const SOCIAL_NETWORKS = ['website', 'twitter', 'linkedin', 'github', 'instagram', 'youtube'];
+
+/**
+ * Validate the social links of an author profile
+ * @param {Object} links - { network: url } for networks in SOCIAL_NETWORKS; empty values are dropped
+ * @returns {{ links?: Object, error?: string }}
+ */
+export function normalizeSocialLinks(links) {
+  if (links === undefined || links === null) return { links: {} };
+  if (typeof links !== 'object' || Array.isArray(links)) {
+    return { error: 'socialLinks must be an object' };
+  }
+
+  const normalized = {};
+  for (const [network, value] of Object.entries(links)) {
+    if (!SOCIAL_NETWORKS.includes(network)) {
+      return { error: `Unknown social network: ${network}` };
+    }
+    const url = typeof value === 'string' ? value.trim() : '';
+    if (!url) continue;
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return { error: `Invalid ${network} URL` };
+    }
+    normalized[network] = parsed.href;
+  }
+
+  return { links: normalized };
+}
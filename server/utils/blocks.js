@@ -0,0 +1,529 @@
+import { Parser, parseDocument, DomUtils } from 'htmlparser2';
+import { READING_WORDS_PER_MINUTE } from '../constants.js';
+
+const { getOuterHTML, getInnerHTML, textContent } = DomUtils;
+
+/**
+ * Block Document Model
+ *
+ * Blog post content is stored as a JSON document in blog_posts.content_blocks:
+ *
+ *   { version: 1, blocks: [{ type: 'paragraph', text: 'Hello <b>world</b>' }, ...] }
+ *
+ * Text fields hold a small inline-HTML subset (bold, italic, underline, strike, code,
+ * links, line breaks). Everything else is structured data. renderDocument() turns a
+ * document into the HTML served to readers, and htmlToDocument() imports legacy HTML.
+ */
+
+export const DOCUMENT_VERSION = 1;
+export const MAX_BLOCKS = 2000;
+
+export const CALLOUT_VARIANTS = ['info', 'tip', 'warning', 'success'];
+
+const INLINE_TAGS = {
+  b: 'strong',
+  strong: 'strong',
+  i: 'em',
+  em: 'em',
+  u: 'u',
+  s: 's',
+  strike: 's',
+  del: 's',
+  code: 'code',
+  a: 'a',
+  br: 'br',
+};
+
+// Elements whose text must never leak into the output
+const DROP_CONTENT_TAGS = new Set(['script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'svg', 'math']);
+
+const VOID_TAGS = new Set(['br', 'img', 'hr', 'input', 'meta', 'link', 'source', 'wbr']);
+
+/**
+ * Escape text for HTML output
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check a URL for images and embeds (http(s) or site-relative); links may also use mailto: and #anchors
+ * @param {string} url
+ * @param {{link?: boolean}} options
+ * @returns {string|null} The trimmed URL, or null if it is not allowed
+ */
+export function safeUrl(url, { link = false } = {}) {
+  if (typeof url !== 'string') return null;
+  const trimmed = url.trim();
+  if (!trimmed) return null;
+
+  if (trimmed.startsWith('/') && !trimmed.startsWith('//')) return trimmed;
+  if (link && trimmed.startsWith('#')) return trimmed;
+
+  // Strip characters browsers ignore inside schemes ("java\tscript:")
+  const scheme = trimmed.replace(/[\s\u0000-\u001f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i)?.[1]?.toLowerCase();
+  if (scheme === 'http' || scheme === 'https') return trimmed;
+  if (link && scheme === 'mailto') return trimmed;
+  return null;
+}
+
+/**
+ * Reduce HTML to the inline subset allowed in block text
+ * @param {string} html
+ * @returns {string} Safe inline HTML
+ */
+export function sanitizeInline(html) {
+  let out = '';
+  const open = [];
+  let dropDepth = 0;
+
+  const parser = new Parser({
+    onopentag(name, attribs) {
+      if (DROP_CONTENT_TAGS.has(name)) {
+        dropDepth++;
+        return;
+      }
+      if (dropDepth > 0) return;
+
+      const tag = Object.hasOwn(INLINE_TAGS, name) ? INLINE_TAGS[name] : null;
+      if (!tag) {
+        // Block-level breaks inside inline text become line breaks
+        if (name === 'p' || name === 'div') open.push(null);
+        return;
+      }
+      if (tag === 'br') {
+        out += '<br>';
+        return;
+      }
+      if (tag === 'a') {
+        const href = safeUrl(attribs.href, { link: true });
+        if (!href) {
+          open.push(null);
+          return;
+        }
+        const external = /^https?:/i.test(href);
+        out += `<a href="${escapeHtml(href)}"${external ? ' target="_blank" rel="noopener noreferrer"' : ''}>`;
+        open.push('a');
+        return;
+      }
+      out += `<${tag}>`;
+      open.push(tag);
+    },
+    ontext(text) {
+      if (dropDepth > 0) return;
+      out += escapeHtml(text);
+    },
+    onclosetag(name, isImplied) {
+      if (DROP_CONTENT_TAGS.has(name)) {
+        dropDepth = Math.max(0, dropDepth - 1);
+        return;
+      }
+      if (dropDepth > 0 || VOID_TAGS.has(name)) return;
+      if (!Object.hasOwn(INLINE_TAGS, name) && name !== 'p' && name !== 'div') return;
+
+      const tag = open.pop();
+      if (tag) out += `</${tag}>`;
+      else if ((name === 'p' || name === 'div') && !isImplied && out && !out.endsWith('<br>')) out += '<br>';
+    },
+  }, { decodeEntities: true, lowerCaseTags: true });
+
+  parser.write(String(html ?? ''));
+  parser.end();
+
+  while (open.length > 0) {
+    const tag = open.pop();
+    if (tag) out += `</${tag}>`;
+  }
+
+  return out.replace(/(<br>)+$/, '').trim();
+}
+
+/**
+ * Resolve an embed URL to a privacy-friendly player URL for supported providers
+ * @param {string} url - URL pasted by the author
+ * @returns {{provider: string, src: string}|null}
+ */
+export function resolveEmbed(url) {
+  const safe = safeUrl(url);
+  if (!safe) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(safe);
+  } catch {
+    return null;
+  }
+  const host = parsed.hostname.replace(/^www\./, '').replace(/^m\./, '');
+
+  if (host === 'youtube.com' || host === 'youtube-nocookie.com' || host === 'youtu.be') {
+    let id = null;
+    if (host === 'youtu.be') id = parsed.pathname.slice(1);
+    else if (parsed.pathname === '/watch') id = parsed.searchParams.get('v');
+    else id = parsed.pathname.match(/^\/(?:embed|shorts)\/([^/]+)/)?.[1];
+    if (id && /^[\w-]{6,20}$/.test(id)) {
+      return { provider: 'youtube', src: `https://www.youtube-nocookie.com/embed/${id}` };
+    }
+  }
+
+  if (host === 'vimeo.com' || host === 'player.vimeo.com') {
+    const id = parsed.pathname.match(/(?:^|\/)(\d{5,12})(?:$|\/)/)?.[1];
+    if (id) return { provider: 'vimeo', src: `https://player.vimeo.com/video/${id}` };
+  }
+
+  return null;
+}
+
+/**
+ * Slugify heading text into an anchor id
+ * @param {string} text
+ * @returns {string}
+ */
+export function headingAnchor(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/<[^>]*>/g, '')
+    .replace(/&[a-z0-9#]+;/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '')
+    .slice(0, 80) || 'section';
+}
+
+// Heading ids for one document: repeated headings get -2, -3, ... so every id is unique
+function createAnchorer() {
+  const used = new Map();
+  return (html) => {
+    const base = headingAnchor(html);
+    const count = used.get(base) || 0;
+    used.set(base, count + 1);
+    return count ? `${base}-${count + 1}` : base;
+  };
+}
+
+function plainText(html) {
+  return textContent(parseDocument(html, { decodeEntities: true }));
+}
+
+function text(value) {
+  return typeof value === 'string' ? value : '';
+}
+
+// Normalize one block; returns null for blocks that are empty or invalid
+function normalizeBlock(block) {
+  if (!block || typeof block !== 'object') return null;
+
+  switch (block.type) {
+    case 'paragraph': {
+      const html = sanitizeInline(text(block.text));
+      return html ? { type: 'paragraph', text: html } : null;
+    }
+    case 'heading': {
+      const html = sanitizeInline(text(block.text));
+      const level = Math.min(4, Math.max(2, parseInt(block.level) || 2));
+      return html ? { type: 'heading', level, text: html } : null;
+    }
+    case 'list': {
+      const items = (Array.isArray(block.items) ? block.items : [])
+        .map(item => sanitizeInline(text(item)))
+        .filter(Boolean);
+      return items.length ? { type: 'list', style: block.style === 'ordered' ? 'ordered' : 'unordered', items } : null;
+    }
+    case 'quote': {
+      const html = sanitizeInline(text(block.text));
+      const cite = text(block.cite).trim().slice(0, 200);
+      return html ? { type: 'quote', text: html, ...(cite && { cite }) } : null;
+    }
+    case 'code': {
+      const code = text(block.code).replace(/\s+$/, '');
+      const language = text(block.language).toLowerCase().replace(/[^a-z0-9+#-]/g, '').slice(0, 30);
+      return code ? { type: 'code', code, ...(language && { language }) } : null;
+    }
+    case 'image': {
+      const url = safeUrl(block.url);
+      if (!url) return null;
+      const alt = text(block.alt).trim().slice(0, 300);
+      const caption = sanitizeInline(text(block.caption));
+      return { type: 'image', url, alt, ...(caption && { caption }) };
+    }
+    case 'embed': {
+      const url = safeUrl(block.url);
+      if (!url) return null;
+      const caption = sanitizeInline(text(block.caption));
+      return { type: 'embed', url, ...(caption && { caption }) };
+    }
+    case 'callout': {
+      const html = sanitizeInline(text(block.text));
+      const variant = CALLOUT_VARIANTS.includes(block.variant) ? block.variant : 'info';
+      return html ? { type: 'callout', variant, text: html } : null;
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Validate and normalize a block document from the editor
+ * Inline text is re-sanitized, so stored documents are always safe to render.
+ * @param {object} doc - { version, blocks }
+ * @returns {{document?: object, error?: string}}
+ */
+export function normalizeDocument(doc) {
+  if (!doc || typeof doc !== 'object' || !Array.isArray(doc.blocks)) {
+    return { error: 'Content must be a block document' };
+  }
+  if (doc.blocks.length > MAX_BLOCKS) {
+    return { error: `Content can have at most ${MAX_BLOCKS} blocks` };
+  }
+
+  const blocks = [];
+  for (const block of doc.blocks) {
+    const normalized = normalizeBlock(block);
+    if (normalized === undefined) {
+      return { error: `Unknown block type: ${String(block?.type).slice(0, 30)}` };
+    }
+    if (normalized) blocks.push(normalized);
+  }
+
+  return { document: { version: DOCUMENT_VERSION, blocks } };
+}
+
+/**
+ * Render a block document to HTML
+ * Documents are normalized first, so this is safe for anything read from the database.
+ * @param {object} doc - { version, blocks }
+ * @returns {string} HTML
+ */
+export function renderDocument(doc) {
+  const { document } = normalizeDocument(doc);
+  if (!document) return '';
+
+  const anchor = createAnchorer();
+
+  return document.blocks.map(block => {
+    switch (block.type) {
+      case 'paragraph':
+        return `<p>${block.text}</p>`;
+      case 'heading':
+        return `<h${block.level} id="${anchor(block.text)}">${block.text}</h${block.level}>`;
+      case 'list': {
+        const tag = block.style === 'ordered' ? 'ol' : 'ul';
+        return `<${tag}>${block.items.map(item => `<li>${item}</li>`).join('')}</${tag}>`;
+      }
+      case 'quote':
+        return `<blockquote><p>${block.text}</p>${block.cite ? `<cite>${escapeHtml(block.cite)}</cite>` : ''}</blockquote>`;
+      case 'code': {
+        const cls = block.language ? ` class="language-${escapeHtml(block.language)}"` : '';
+        return `<pre><code${cls}>${escapeHtml(block.code)}</code></pre>`;
+      }
+      case 'image':
+        return `<figure class="post-image"><img src="${escapeHtml(block.url)}" alt="${escapeHtml(block.alt)}" loading="lazy">` +
+          `${block.caption ? `<figcaption>${block.caption}</figcaption>` : ''}</figure>`;
+      case 'embed': {
+        const embed = resolveEmbed(block.url);
+        const caption = block.caption ? `<figcaption>${block.caption}</figcaption>` : '';
+        if (!embed) {
+          const href = escapeHtml(block.url);
+          return `<figure class="post-embed post-embed-link"><a href="${href}" target="_blank" rel="noopener noreferrer">${href}</a>${caption}</figure>`;
+        }
+        return `<figure class="post-embed post-embed-${embed.provider}"><iframe src="${embed.src}" title="${embed.provider} video" ` +
+          `loading="lazy" allow="encrypted-media; picture-in-picture; fullscreen" allowfullscreen></iframe>${caption}</figure>`;
+      }
+      case 'callout':
+        return `<aside class="post-callout post-callout-${block.variant}"><p>${block.text}</p></aside>`;
+      default:
+        return '';
+    }
+  }).join('\n');
+}
+
+/**
+ * Plain text of a document, e.g. for excerpts
+ * @param {object} doc
+ * @returns {string}
+ */
+export function documentText(doc) {
+  const { document } = normalizeDocument(doc);
+  if (!document) return '';
+  return document.blocks.flatMap(block => {
+    if (block.type === 'list') return block.items.map(plainText);
+    if (block.type === 'code') return [block.code];
+    if (block.type === 'image' || block.type === 'embed') return block.caption ? [plainText(block.caption)] : [];
+    return [plainText(block.text)];
+  }).join('\n');
+}
+
+/**
+ * Word count, reading time in minutes and table of contents of a document
+ * The TOC lists h2 and h3 headings with the ids renderDocument() gives them.
+ * @param {object} doc
+ * @returns {{ wordCount: number, readingTime: number, toc: Array<{ id: string, level: number, text: string }> }}
+ */
+export function documentOutline(doc) {
+  const { document } = normalizeDocument(doc);
+  if (!document) return { wordCount: 0, readingTime: 0, toc: [] };
+
+  const anchor = createAnchorer();
+  const toc = [];
+  for (const block of document.blocks) {
+    if (block.type !== 'heading') continue;
+    const id = anchor(block.text);
+    if (block.level <= 3) {
+      toc.push({ id, level: block.level, text: plainText(block.text).trim() });
+    }
+  }
+
+  const wordCount = documentText(document).split(/\s+/).filter(Boolean).length;
+  return {
+    wordCount,
+    readingTime: wordCount ? Math.max(1, Math.ceil(wordCount / READING_WORDS_PER_MINUTE)) : 0,
+    toc,
+  };
+}
+
+// ----------------------------------------------------------------------------
+// HTML importer
+// ----------------------------------------------------------------------------
+
+const INLINE_ELEMENTS = new Set(['a', 'b', 'strong', 'i', 'em', 'u', 's', 'strike', 'del', 'code', 'span', 'br', 'font', 'small', 'sub', 'sup', 'mark', 'abbr']);
+
+function isInlineNode(node) {
+  return node.type === 'text' || (node.type === 'tag' && INLINE_ELEMENTS.has(node.name));
+}
+
+function findImage(node) {
+  if (node.type === 'tag' && node.name === 'img') return node;
+  for (const child of node.children || []) {
+    const found = findImage(child);
+    if (found) return found;
+  }
+  return null;
+}
+
+function imageBlock(img, caption = '') {
+  return { type: 'image', url: img.attribs.src, alt: img.attribs.alt || '', caption };
+}
+
+// Convert a run of inline nodes to a paragraph, pulling out any images it contains
+function inlineRunToBlocks(nodes) {
+  const blocks = [];
+  let html = '';
+  const flush = () => {
+    if (sanitizeInline(html)) blocks.push({ type: 'paragraph', text: html });
+    html = '';
+  };
+
+  for (const node of nodes) {
+    const img = node.type === 'tag' ? findImage(node) : null;
+    if (img) {
+      flush();
+      blocks.push(imageBlock(img));
+    } else {
+      html += getOuterHTML(node);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+function elementToBlocks(node) {
+  const inner = () => getInnerHTML(node);
+
+  switch (node.name) {
+    case 'p':
+      return inlineRunToBlocks(node.children);
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+      return [{ type: 'heading', level: parseInt(node.name[1]), text: inner() }];
+    case 'ul':
+    case 'ol':
+      return [{
+        type: 'list',
+        style: node.name === 'ol' ? 'ordered' : 'unordered',
+        items: node.children.filter(c => c.type === 'tag' && c.name === 'li').map(li => getInnerHTML(li)),
+      }];
+    case 'blockquote': {
+      const cite = node.children.find(c => c.type === 'tag' && c.name === 'cite');
+      const body = node.children.filter(c => c !== cite).map(c => getOuterHTML(c)).join('');
+      return [{ type: 'quote', text: body, cite: cite ? textContent(cite).trim() : '' }];
+    }
+    case 'pre':
+      return [{
+        type: 'code',
+        code: textContent(node),
+        language: findLanguage(node) || '',
+      }];
+    case 'img':
+      return [imageBlock(node)];
+    case 'figure': {
+      const img = findImage(node);
+      const caption = node.children.find(c => c.type === 'tag' && c.name === 'figcaption');
+      const captionHtml = caption ? getInnerHTML(caption) : '';
+      if (img) return [imageBlock(img, captionHtml)];
+      const iframe = node.children.find(c => c.type === 'tag' && c.name === 'iframe');
+      if (iframe) return [{ type: 'embed', url: iframe.attribs.src, caption: captionHtml }];
+      return childrenToBlocks(node.children);
+    }
+    case 'iframe':
+      return [{ type: 'embed', url: node.attribs.src }];
+    case 'aside':
+      return [{ type: 'callout', variant: 'info', text: inner() }];
+    case 'hr':
+    case 'script':
+    case 'style':
+    case 'noscript':
+    case 'template':
+      return [];
+    default:
+      // div, section, article and unknown containers: import their children
+      return childrenToBlocks(node.children || []);
+  }
+}
+
+function findLanguage(node) {
+  const code = node.children.find(c => c.type === 'tag' && c.name === 'code');
+  const cls = code?.attribs?.class || node.attribs?.class || '';
+  return cls.match(/language-([\w+#-]+)/)?.[1];
+}
+
+function childrenToBlocks(children) {
+  const blocks = [];
+  let run = [];
+
+  for (const node of children) {
+    if (isInlineNode(node)) {
+      run.push(node);
+      continue;
+    }
+    if (run.length) {
+      blocks.push(...inlineRunToBlocks(run));
+      run = [];
+    }
+    if (node.type === 'tag' || node.type === 'script' || node.type === 'style') {
+      blocks.push(...elementToBlocks(node));
+    }
+  }
+  if (run.length) blocks.push(...inlineRunToBlocks(run));
+
+  return blocks;
+}
+
+/**
+ * Import legacy HTML (from the old execCommand editor) into a block document
+ * @param {string} html
+ * @returns {object} Normalized document
+ */
+export function htmlToDocument(html) {
+  const dom = parseDocument(String(html ?? ''), { decodeEntities: true, lowerCaseTags: true });
+  const { document } = normalizeDocument({ version: DOCUMENT_VERSION, blocks: childrenToBlocks(dom.children) });
+  return document;
+}
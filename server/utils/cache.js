@@ -22,7 +22,11 @@ export const CACHE_KEYS = {
   TRAFFIC_SOURCES: (range) => `traffic:sources:${range}`,
   USER_STATS: 'users:stats',
   SESSION_STATS: (range) => `sessions:stats:${range}`,
-  RECENT_SESSIONS: 'sessions:recent'
+  RECENT_SESSIONS: 'sessions:recent',
+  SITEMAP: 'sitemap:main',
+  SITEMAP_PART: (name) => `sitemap:${name}`,
+  FEED: (variant) => `feed:${variant}`,
+  PRERENDER: (path) => `prerender:${path}`
 };
 
 /**
@@ -162,6 +166,21 @@ export const invalidate = {
     return flushPattern('sessions:*');
   },
 
+  // Clear the sitemap index and every child sitemap (after posts are published or unpublished)
+  sitemap: () => {
+    return flushPattern('sitemap:*');
+  },
+
+  // Clear every generated RSS / Atom / JSON feed (same triggers as the sitemap)
+  feeds: () => {
+    return flushPattern('feed:*');
+  },
+
+  // Clear every prerendered public page (same triggers as the sitemap)
+  prerender: () => {
+    return flushPattern('prerender:*');
+  },
+
   // Clear all caches (use sparingly)
   all: () => {
     flush();
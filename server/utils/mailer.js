@@ -0,0 +1,85 @@
+import nodemailer from "nodemailer";
+import logger from "./logger.js";
+
+/**
+ * Shared email transport
+ *
+ * The one SMTP transport for all outgoing mail, configured from the SMTP_* environment variables.
+ * SMTP_USER/SMTP_PASS are optional so a local SMTP sink (MailHog, Mailpit, smtp4dev) can be used in development.
+ */
+export const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: Number(process.env.SMTP_PORT || 587),
+  secure: process.env.SMTP_SECURE === 'true' || process.env.SMTP_PORT === '465',
+  auth: process.env.SMTP_USER && process.env.SMTP_PASS ? {
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+  } : undefined,
+});
+
+/**
+ * Whether outgoing mail can actually be delivered
+ * @returns {boolean}
+ */
+export function isMailConfigured() {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+/**
+ * Sender address for all outgoing mail
+ * @returns {string}
+ */
+export function getFromAddress() {
+  return process.env.EMAIL_FROM || "no-reply@peakself.local";
+}
+
+function logLink(mode, label, email, link) {
+  logger.info('\n' + '='.repeat(80));
+  logger.info(`📧 [${mode}] ${label}:`);
+  logger.info('   Email: ' + email);
+  logger.info('   Link:  ' + link);
+  logger.info('='.repeat(80) + '\n');
+}
+
+/**
+ * Send an email whose purpose is a single action link (verify, confirm, reset...)
+ * Without SMTP, or when sending fails outside production, the link is printed to the console instead
+ * @param {object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject - Subject line
+ * @param {string} options.html - HTML body
+ * @param {string} options.link - The action link (logged in development)
+ * @param {string} options.label - Human readable description of the link for the console
+ * @param {object} [options.headers] - Extra message headers
+ * @returns {Promise<boolean>} - True if the message was handed to the SMTP server
+ */
+export async function sendLinkEmail({ to, subject, html, link, label, headers }) {
+  if (!isMailConfigured()) {
+    logLink('DEV MODE', label, to, link);
+    return false;
+  }
+
+  try {
+    await transporter.sendMail({
+      from: getFromAddress(),
+      to,
+      subject,
+      html,
+      headers,
+    });
+    return true;
+  } catch (e) {
+    logger.warn(`Failed to send "${subject}" email: ${e.message}`);
+    if (process.env.NODE_ENV !== 'production') {
+      logLink('FALLBACK', label, to, link);
+    }
+    return false;
+  }
+}
+
+export default {
+  transporter,
+  isMailConfigured,
+  getFromAddress,
+  sendLinkEmail,
+};
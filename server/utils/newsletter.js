@@ -0,0 +1,136 @@
+import pool from "./db.js";
+import { generateToken, hashToken } from "./tokens.js";
+import {
+  NEWSLETTER_VERIFICATION_EXPIRATION_MS,
+  NEWSLETTER_UNSUBSCRIBE_EXPIRATION_MS,
+} from "../constants.js";
+
+const EXPIRATION_MS = {
+  verify: NEWSLETTER_VERIFICATION_EXPIRATION_MS,
+  unsubscribe: NEWSLETTER_UNSUBSCRIBE_EXPIRATION_MS,
+};
+
+function apiBaseUrl() {
+  return process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+}
+
+function clientBaseUrl() {
+  return process.env.CLIENT_URL || 'http://localhost:5173';
+}
+
+/**
+ * Create a newsletter token and store its hash
+ * @param {string} email - Subscription email (lowercase)
+ * @param {'verify'|'unsubscribe'} purpose
+ * @returns {Promise<string>} - The plain token to put in the link
+ */
+export async function createNewsletterToken(email, purpose) {
+  const token = generateToken();
+  const expires = new Date(Date.now() + EXPIRATION_MS[purpose]);
+  await pool.query(
+    "INSERT INTO newsletter_tokens (email, purpose, token_hash, expires_at) VALUES ($1, $2, $3, $4)",
+    [email, purpose, hashToken(token), expires]
+  );
+  return token;
+}
+
+/**
+ * Look up the subscription email for a token that is still valid
+ * @param {string} token - Plain token from the link
+ * @param {'verify'|'unsubscribe'} purpose
+ * @returns {Promise<string|null>}
+ */
+export async function findNewsletterToken(token, purpose) {
+  if (!token) return null;
+  const { rows } = await pool.query(
+    `SELECT email FROM newsletter_tokens
+     WHERE token_hash = $1 AND purpose = $2 AND consumed_at IS NULL AND expires_at > NOW()`,
+    [hashToken(token), purpose]
+  );
+  return rows[0]?.email || null;
+}
+
+/**
+ * Links for an unsubscribe token
+ * @param {string} token
+ * @returns {{ pageUrl: string, oneClickUrl: string }} - Confirmation page for humans, POST target for mail clients
+ */
+export function getUnsubscribeUrls(token) {
+  const encoded = encodeURIComponent(token);
+  return {
+    pageUrl: `${clientBaseUrl()}/newsletter?unsubscribe=${encoded}`,
+    oneClickUrl: `${apiBaseUrl()}/api/unsubscribe/${encoded}`,
+  };
+}
+
+/**
+ * List-Unsubscribe headers (RFC 2369 / RFC 8058 one-click) for an outgoing newsletter email
+ * @param {string} token - Unsubscribe token
+ * @returns {object}
+ */
+export function listUnsubscribeHeaders(token) {
+  const { oneClickUrl } = getUnsubscribeUrls(token);
+  return {
+    'List-Unsubscribe': `<${oneClickUrl}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+  };
+}
+
+/**
+ * Build the confirmation link for a verify token
+ * @param {string} token
+ * @returns {string}
+ */
+export function getVerifyUrl(token) {
+  return `${apiBaseUrl()}/api/subscribe/verify?token=${encodeURIComponent(token)}`;
+}
+
+function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Campaign body for a published blog post: image, title, excerpt and a link to read it
+ * @param {object} post - blog_posts row (title, slug, excerpt, image)
+ * @returns {string}
+ */
+export function buildPostCampaignHtml(post) {
+  const url = `${clientBaseUrl()}/blog/${encodeURIComponent(post.slug)}`;
+  const image = post.image
+    ? `<p><a href="${escapeHtml(url)}"><img src="${escapeHtml(post.image)}" alt="" style="max-width:100%;border-radius:8px" /></a></p>`
+    : '';
+  const excerpt = post.excerpt ? `<p>${escapeHtml(post.excerpt)}</p>` : '';
+  return `${image}<h1 style="font-size:24px;margin:16px 0">${escapeHtml(post.title)}</h1>${excerpt}`
+    + `<p><a href="${escapeHtml(url)}" style="display:inline-block;background:#000;color:#fff;padding:10px 18px;border-radius:6px;text-decoration:none">Read the full post</a></p>`;
+}
+
+/**
+ * Wrap campaign HTML in the email layout with an unsubscribe footer
+ * @param {string} html - Campaign body
+ * @param {string|null} unsubscribeUrl - Recipient's unsubscribe page (null for previews)
+ * @returns {string}
+ */
+export function renderCampaignEmail(html, unsubscribeUrl) {
+  const footer = unsubscribeUrl
+    ? `You're receiving this because you subscribed to the PeakSelf newsletter. <a href="${escapeHtml(unsubscribeUrl)}" style="color:#666">Unsubscribe</a>`
+    : 'Preview - recipients will see their unsubscribe link here.';
+  return `<!DOCTYPE html><html><body style="margin:0;padding:0;background:#f5f5f5">`
+    + `<div style="max-width:600px;margin:0 auto;padding:24px;background:#fff;font-family:Arial,sans-serif;color:#111;line-height:1.6">${html}</div>`
+    + `<p style="max-width:600px;margin:0 auto;padding:16px 24px;font-family:Arial,sans-serif;font-size:12px;color:#666">${footer}</p>`
+    + `</body></html>`;
+}
+
+export default {
+  createNewsletterToken,
+  findNewsletterToken,
+  getUnsubscribeUrls,
+  listUnsubscribeHeaders,
+  getVerifyUrl,
+  buildPostCampaignHtml,
+  renderCampaignEmail,
+};
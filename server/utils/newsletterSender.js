@@ -0,0 +1,205 @@
+import pool, { isDatabaseAvailable } from './db.js';
+import logger from './logger.js';
+import { transporter, isMailConfigured, getFromAddress } from './mailer.js';
+import {
+  createNewsletterToken,
+  getUnsubscribeUrls,
+  listUnsubscribeHeaders,
+  renderCampaignEmail,
+} from './newsletter.js';
+import { NEWSLETTER_BATCH_SIZE, NEWSLETTER_BATCH_INTERVAL_MS } from '../constants.js';
+
+/**
+ * Newsletter Campaign Sender
+ *
+ * Delivers queued campaigns through the shared nodemailer transporter in throttled batches.
+ * Recipients live in newsletter_sends, so delivery survives restarts and every recipient
+ * has its own status. Point SMTP_HOST at a local sink (MailHog, Mailpit) to test.
+ */
+
+class NewsletterSender {
+  constructor() {
+    this.processing = false;
+    this.recovered = false;
+    this.batchSize = parseInt(process.env.NEWSLETTER_BATCH_SIZE) || NEWSLETTER_BATCH_SIZE;
+    this.batchInterval = parseInt(process.env.NEWSLETTER_BATCH_INTERVAL_MS) || NEWSLETTER_BATCH_INTERVAL_MS;
+
+    // Start the batch processor
+    this.startProcessor();
+  }
+
+  /**
+   * Start the batch processor interval
+   */
+  startProcessor() {
+    this.processorInterval = setInterval(async () => {
+      await this.processBatch();
+    }, this.batchInterval);
+    this.processorInterval.unref();
+
+    logger.info(`Newsletter sender started (batch size: ${this.batchSize}, interval: ${this.batchInterval}ms)`);
+
+    // Graceful shutdown
+    process.on('SIGTERM', () => this.shutdown());
+    process.on('SIGINT', () => this.shutdown());
+  }
+
+  /**
+   * Process the next batch right away instead of waiting for the interval
+   */
+  kick() {
+    setImmediate(() => this.processBatch());
+  }
+
+  /**
+   * Put recipients claimed by a process that died mid-batch back in the queue
+   */
+  async recoverInterrupted() {
+    const { rowCount } = await pool.query(
+      "UPDATE newsletter_sends SET status = 'pending' WHERE status = 'sending'"
+    );
+    if (rowCount > 0) {
+      logger.warn(`Newsletter sender: re-queued ${rowCount} interrupted recipient(s)`);
+    }
+  }
+
+  /**
+   * Send one batch of the oldest active campaign
+   */
+  async processBatch() {
+    if (this.processing || !isDatabaseAvailable || !isMailConfigured()) {
+      return;
+    }
+
+    this.processing = true;
+
+    try {
+      if (!this.recovered) {
+        await this.recoverInterrupted();
+        this.recovered = true;
+      }
+
+      const { rows: campaigns } = await pool.query(
+        `SELECT id, subject, html FROM newsletter_campaigns
+         WHERE status IN ('queued', 'sending')
+         ORDER BY queued_at
+         LIMIT 1`
+      );
+      const campaign = campaigns[0];
+      if (!campaign) return;
+
+      await pool.query(
+        "UPDATE newsletter_campaigns SET status = 'sending', updated_at = NOW() WHERE id = $1 AND status = 'queued'",
+        [campaign.id]
+      );
+
+      // Drop recipients who unsubscribed after the campaign was queued
+      await pool.query(
+        `UPDATE newsletter_sends s SET status = 'skipped'
+         WHERE s.campaign_id = $1 AND s.status = 'pending'
+           AND NOT EXISTS (
+             SELECT 1 FROM newsletter_subscriptions ns
+             WHERE ns.email = s.email AND ns.verified = TRUE AND ns.deleted_at IS NULL
+           )`,
+        [campaign.id]
+      );
+
+      const { rows: recipients } = await pool.query(
+        `UPDATE newsletter_sends SET status = 'sending', attempts = attempts + 1
+         WHERE id IN (
+           SELECT id FROM newsletter_sends
+           WHERE campaign_id = $1 AND status = 'pending'
+           ORDER BY id
+           LIMIT $2
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING id, email`,
+        [campaign.id, this.batchSize]
+      );
+
+      let sentCount = 0;
+      let failedCount = 0;
+
+      // One at a time - the batch interval is the throttle
+      for (const recipient of recipients) {
+        try {
+          const info = await this.sendToRecipient(campaign, recipient.email);
+          await pool.query(
+            "UPDATE newsletter_sends SET status = 'sent', sent_at = NOW(), message_id = $2, error = NULL WHERE id = $1",
+            [recipient.id, info?.messageId || null]
+          );
+          sentCount++;
+        } catch (error) {
+          await pool.query(
+            "UPDATE newsletter_sends SET status = 'failed', error = $2 WHERE id = $1",
+            [recipient.id, String(error.message || error).slice(0, 500)]
+          );
+          failedCount++;
+        }
+      }
+
+      const { rows: completed } = await pool.query(
+        `UPDATE newsletter_campaigns SET status = 'sent', completed_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND NOT EXISTS (
+           SELECT 1 FROM newsletter_sends WHERE campaign_id = $1 AND status IN ('pending', 'sending')
+         )
+         RETURNING id`,
+        [campaign.id]
+      );
+
+      if (recipients.length > 0) {
+        logger.info(`Newsletter campaign ${campaign.id}: ${sentCount} sent, ${failedCount} failed in this batch`);
+      }
+      if (completed[0]) {
+        logger.info(`Newsletter campaign ${campaign.id} finished sending`);
+      }
+    } catch (error) {
+      logger.error('Error processing newsletter batch:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Send a campaign to one subscriber with their own unsubscribe link
+   * @param {object} campaign - { subject, html }
+   * @param {string} email - Recipient
+   */
+  async sendToRecipient(campaign, email) {
+    const token = await createNewsletterToken(email, 'unsubscribe');
+    const { pageUrl } = getUnsubscribeUrls(token);
+    return transporter.sendMail({
+      from: getFromAddress(),
+      to: email,
+      subject: campaign.subject,
+      html: renderCampaignEmail(campaign.html, pageUrl),
+      headers: listUnsubscribeHeaders(token),
+    });
+  }
+
+  /**
+   * Get sender status
+   */
+  getStatus() {
+    return {
+      processing: this.processing,
+      mailConfigured: isMailConfigured(),
+      batchSize: this.batchSize,
+      batchInterval: this.batchInterval,
+    };
+  }
+
+  /**
+   * Graceful shutdown - recipients mid-batch are re-queued on the next start
+   */
+  shutdown() {
+    if (this.processorInterval) {
+      clearInterval(this.processorInterval);
+    }
+  }
+}
+
+// Create singleton instance
+const newsletterSender = new NewsletterSender();
+
+export default newsletterSender;
@@ -0,0 +1,200 @@
+import { Resvg } from '@resvg/resvg-js';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+/**
+ * Open Graph Card Images
+ *
+ * Branded 1200×630 PNG cards for link previews, drawn as SVG and rasterized with resvg.
+ * Rendered cards are written to OG_CACHE_DIR named by a hash of everything drawn on them,
+ * so a card is only rendered again after its title, niche, logo or author changes.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const OG_WIDTH = 1200;
+export const OG_HEIGHT = 630;
+
+// Bump when the card layout changes so cached cards are not reused
+const CARD_VERSION = 1;
+
+const SITE_NAME = 'PeakSelf';
+const FONT_FAMILY = 'Inter, Helvetica, Arial, DejaVu Sans, sans-serif';
+const LOGO_SIZE = 96;
+const LOGO_FETCH_TIMEOUT_MS = 3000;
+const LOGO_RETRY_MS = 10 * 60 * 1000; // How long a card drawn without its logo is reused
+
+// Title layout: shrink long titles, then wrap and cut off with an ellipsis
+const TITLE_LINES = 3;
+const TITLE_SIZES = [72, 60, 52];
+const CHAR_WIDTH_RATIO = 0.6; // Average bold glyph width relative to font size
+const TEXT_WIDTH = OG_WIDTH - 160;
+
+function getCacheDir() {
+  return process.env.OG_CACHE_DIR || path.resolve(__dirname, '../.cache/og');
+}
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Greedy word wrap by estimated glyph width
+ * @returns {string[]} At most maxLines lines, the last ending in "…" if text was cut
+ */
+export function wrapText(text, fontSize, maxLines, maxWidth = TEXT_WIDTH) {
+  const maxChars = Math.floor(maxWidth / (fontSize * CHAR_WIDTH_RATIO));
+  const lines = [];
+  let line = '';
+
+  for (const word of String(text).trim().split(/\s+/)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (candidate.length <= maxChars) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+    line = word.length > maxChars ? `${word.slice(0, maxChars - 1)}…` : word;
+  }
+  if (line) lines.push(line);
+
+  if (lines.length <= maxLines) return lines;
+
+  // Cut at a word boundary so the ellipsis fits on the last line
+  const kept = lines.slice(0, maxLines);
+  let last = kept[maxLines - 1];
+  while (last.length + 1 > maxChars && last.includes(' ')) {
+    last = last.slice(0, last.lastIndexOf(' '));
+  }
+  kept[maxLines - 1] = `${last.slice(0, maxChars - 1)}…`;
+  return kept;
+}
+
+// Largest title size that fits without cutting the title off
+function fitTitle(title) {
+  for (const fontSize of TITLE_SIZES) {
+    const lines = wrapText(title, fontSize, Infinity);
+    if (lines.length <= TITLE_LINES) return { fontSize, lines };
+  }
+  const fontSize = TITLE_SIZES[TITLE_SIZES.length - 1];
+  return { fontSize, lines: wrapText(title, fontSize, TITLE_LINES) };
+}
+
+/**
+ * Build the card SVG
+ * @param {Object} card
+ * @param {string} card.title - Main text (post title or niche name)
+ * @param {string} [card.eyebrow] - Small label above the title (niche name, "Blog")
+ * @param {string} [card.author] - Shown in the footer
+ * @param {string} [card.logo] - Logo image as a data: URI
+ * @param {string} [card.logoText] - Drawn in a badge when there is no logo image
+ * @returns {string} SVG markup
+ */
+export function buildCardSvg({ title, eyebrow, author, logo, logoText }) {
+  const { fontSize, lines } = fitTitle(title);
+  const lineHeight = Math.round(fontSize * 1.2);
+  // Center the block between the header (logo, eyebrow) and the footer rule
+  const titleTop = Math.round(330 - ((lines.length - 1) * lineHeight) / 2 + fontSize * 0.35);
+
+  const titleLines = lines.map((line, index) =>
+    `<tspan x="80" y="${titleTop + index * lineHeight}">${escapeXml(line)}</tspan>`
+  ).join('');
+
+  let badge = '';
+  if (logo) {
+    badge = `<image href="${escapeXml(logo)}" x="80" y="64" width="${LOGO_SIZE}" height="${LOGO_SIZE}" preserveAspectRatio="xMidYMid meet" />`;
+  } else if (logoText) {
+    badge = `<rect x="80" y="64" width="${LOGO_SIZE}" height="${LOGO_SIZE}" rx="20" fill="#000000" />` +
+      `<text x="${80 + LOGO_SIZE / 2}" y="${64 + LOGO_SIZE / 2 + 16}" text-anchor="middle" font-size="44" font-weight="700" fill="#ffffff">${escapeXml(logoText.trim().charAt(0).toUpperCase())}</text>`;
+  }
+  const eyebrowX = badge ? 80 + LOGO_SIZE + 28 : 80;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${OG_WIDTH}" height="${OG_HEIGHT}" viewBox="0 0 ${OG_WIDTH} ${OG_HEIGHT}" font-family="${FONT_FAMILY}">
+  <rect width="${OG_WIDTH}" height="${OG_HEIGHT}" fill="#ffffff" />
+  <rect width="${OG_WIDTH}" height="16" fill="#000000" />
+  ${badge}
+  ${eyebrow ? `<text x="${eyebrowX}" y="124" font-size="32" font-weight="600" fill="#666666">${escapeXml(eyebrow)}</text>` : ''}
+  <text font-size="${fontSize}" font-weight="700" fill="#000000">${titleLines}</text>
+  <line x1="80" y1="510" x2="${OG_WIDTH - 80}" y2="510" stroke="#e0e0e0" stroke-width="2" />
+  ${author ? `<text x="80" y="566" font-size="30" fill="#333333">${escapeXml(`By ${author}`)}</text>` : ''}
+  <text x="${OG_WIDTH - 80}" y="566" text-anchor="end" font-size="32" font-weight="700" fill="#000000">${SITE_NAME}</text>
+</svg>`;
+}
+
+// Download a logo and inline it, since resvg does not fetch remote images
+async function fetchLogo(url) {
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(LOGO_FETCH_TIMEOUT_MS) });
+    const type = response.headers.get('content-type') || '';
+    if (!response.ok || !type.startsWith('image/')) {
+      throw new Error(`Unexpected response ${response.status} ${type}`);
+    }
+    const data = Buffer.from(await response.arrayBuffer());
+    return `data:${type.split(';')[0]};base64,${data.toString('base64')}`;
+  } catch (error) {
+    logger.warn(`Could not load logo for OG image (${url}): ${error.message}`);
+    return null;
+  }
+}
+
+function renderPng(svg) {
+  const fontDirs = process.env.OG_FONT_DIR ? [process.env.OG_FONT_DIR] : [];
+  return new Resvg(svg, {
+    fitTo: { mode: 'width', value: OG_WIDTH },
+    font: { loadSystemFonts: true, fontDirs, defaultFontFamily: 'DejaVu Sans' },
+  }).render().asPng();
+}
+
+/**
+ * Get the PNG card for the given content, rendering it on a cache miss
+ * @param {Object} card - See buildCardSvg; `logoUrl` (absolute URL) replaces `logo`
+ * @returns {Promise<Buffer>} PNG image
+ */
+export async function getOgImage({ logoUrl, ...card }) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ version: CARD_VERSION, logoUrl, ...card }))
+    .digest('hex');
+  const cacheDir = getCacheDir();
+  const file = path.join(cacheDir, `${hash}.png`);
+  // A card drawn without its logo (logo download failed) is kept under its own name for
+  // LOGO_RETRY_MS, so a broken logo URL is not fetched on every request but is retried later
+  const fallbackFile = path.join(cacheDir, `${hash}.nologo.png`);
+
+  try {
+    return await fs.readFile(file);
+  } catch {
+    // Not rendered yet
+  }
+
+  if (logoUrl) {
+    try {
+      const { mtimeMs } = await fs.stat(fallbackFile);
+      if (Date.now() - mtimeMs < LOGO_RETRY_MS) return await fs.readFile(fallbackFile);
+    } catch {
+      // No recent card without the logo
+    }
+  }
+
+  const logo = logoUrl ? await fetchLogo(logoUrl) : null;
+  const png = renderPng(buildCardSvg({ ...card, logo }));
+
+  // Write to a temporary name first so concurrent requests never read a partial file
+  await fs.mkdir(cacheDir, { recursive: true });
+  const target = logoUrl && !logo ? fallbackFile : file;
+  const tmpFile = `${target}.${crypto.randomUUID()}.tmp`;
+  await fs.writeFile(tmpFile, png);
+  await fs.rename(tmpFile, target);
+  if (target === file && logoUrl) await fs.rm(fallbackFile, { force: true });
+
+  return png;
+}
@@ -0,0 +1,97 @@
+import pool, { isDatabaseAvailable } from './db.js';
+import logger from './logger.js';
+import { invalidate } from './cache.js';
+import { PUBLISH_SCHEDULER_INTERVAL_MS } from '../constants.js';
+
+/**
+ * Scheduled Publishing
+ *
+ * Flips blog posts with status 'scheduled' to 'published' once their scheduled_for
+ * time has passed. Posts go live at most one interval late; published_at is set to
+ * the scheduled time so ordering matches what the author picked.
+ */
+
+class PublishScheduler {
+  constructor() {
+    this.processing = false;
+    this.interval = parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS) || PUBLISH_SCHEDULER_INTERVAL_MS;
+
+    // Start the scheduler
+    this.startProcessor();
+  }
+
+  /**
+   * Start the publish interval
+   */
+  startProcessor() {
+    this.processorInterval = setInterval(async () => {
+      await this.publishDue();
+    }, this.interval);
+    this.processorInterval.unref();
+
+    logger.info(`Publish scheduler started (interval: ${this.interval}ms)`);
+
+    // Graceful shutdown
+    process.on('SIGTERM', () => this.shutdown());
+    process.on('SIGINT', () => this.shutdown());
+  }
+
+  /**
+   * Publish every scheduled post that is due
+   * @returns {Promise<Array<{id: number, title: string}>>} Posts that were published
+   */
+  async publishDue() {
+    if (this.processing || !isDatabaseAvailable) {
+      return [];
+    }
+
+    this.processing = true;
+
+    try {
+      const { rows } = await pool.query(
+        `UPDATE blog_posts
+         SET status = 'published', published_at = scheduled_for, scheduled_for = NULL, updated_at = NOW()
+         WHERE status = 'scheduled' AND scheduled_for <= NOW()
+         RETURNING id, title`
+      );
+
+      if (rows.length > 0) {
+        invalidate.sitemap();
+        invalidate.feeds();
+        invalidate.prerender();
+        rows.forEach(post => logger.info(`Published scheduled post ${post.id}: ${post.title}`));
+      }
+
+      return rows;
+    } catch (error) {
+      logger.error('Error publishing scheduled posts:', error);
+      return [];
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Get scheduler status
+   */
+  getStatus() {
+    return {
+      processing: this.processing,
+      interval: this.interval,
+    };
+  }
+
+  /**
+   * Graceful shutdown
+   */
+  shutdown() {
+    if (this.processorInterval) {
+      clearInterval(this.processorInterval);
+    }
+  }
+}
+
+// Create singleton instance
+const publishScheduler = new PublishScheduler();
+
+export default publishScheduler;
@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import { RELATED_POSTS_WEIGHTS } from '../constants.js';
+
+/**
+ * Related Posts Scoring
+ *
+ * Candidates for "related articles" are scored by three signals, each between 0 and 1:
+ * - tags:   tag overlap (Jaccard), computed per request from content_tags
+ * - text:   TF-IDF cosine similarity of title, excerpt and content
+ * - coread: readers of one post who also read the other (cosine over blog_post_sessions visitors)
+ * text and coread are precomputed into blog_post_similarity by utils/relatedPostsIndexer.js.
+ *
+ * A strategy is a set of weights: "blended" uses RELATED_POSTS_WEIGHTS, the others use a
+ * single signal. Visitors are split between the strategies in RELATED_POSTS_STRATEGIES so
+ * their click-through can be compared in the admin blog analytics.
+ */
+
+export const SIGNALS = ['tags', 'text', 'coread'];
+
+export const STRATEGIES = ['blended', ...SIGNALS];
+
+// Strategies visitors are split between when RELATED_POSTS_STRATEGIES is not set
+const DEFAULT_ACTIVE_STRATEGIES = ['blended', 'tags'];
+
+/**
+ * Signal weights for the blended strategy
+ * RELATED_POSTS_WEIGHTS="tags=0.5,text=0.3,coread=0.2" overrides the defaults per signal.
+ * @returns {{ tags: number, text: number, coread: number }}
+ */
+export function getRelatedWeights() {
+  const weights = { ...RELATED_POSTS_WEIGHTS };
+
+  for (const pair of (process.env.RELATED_POSTS_WEIGHTS || '').split(',')) {
+    const [name, value] = pair.split('=').map(part => part.trim());
+    const weight = parseFloat(value);
+    if (SIGNALS.includes(name) && Number.isFinite(weight) && weight >= 0) {
+      weights[name] = weight;
+    }
+  }
+
+  return weights;
+}
+
+/**
+ * Signal weights for a strategy
+ * @param {string} strategy - One of STRATEGIES
+ */
+export function getStrategyWeights(strategy) {
+  if (strategy === 'blended') return getRelatedWeights();
+  return Object.fromEntries(SIGNALS.map(signal => [signal, signal === strategy ? 1 : 0]));
+}
+
+/**
+ * Strategies currently served to visitors (RELATED_POSTS_STRATEGIES, comma-separated)
+ * @returns {string[]} At least one strategy; the first is used for visitors without tracking cookies
+ */
+export function getActiveStrategies() {
+  const configured = (process.env.RELATED_POSTS_STRATEGIES || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => STRATEGIES.includes(name));
+
+  return configured.length > 0 ? [...new Set(configured)] : DEFAULT_ACTIVE_STRATEGIES;
+}
+
+/**
+ * Assign a visitor to one of the active strategies
+ * The same visitor always gets the same strategy, so their clicks are attributed consistently.
+ * @param {string|null} visitorId - Tracking cookie visitor ID
+ */
+export function pickStrategy(visitorId) {
+  const active = getActiveStrategies();
+  if (!visitorId || active.length === 1) return active[0];
+
+  const bucket = crypto.createHash('sha1').update(String(visitorId)).digest().readUInt32BE(0);
+  return active[bucket % active.length];
+}
+
+// ============================================================================
+// TF-IDF text similarity
+// ============================================================================
+
+const STOP_WORDS = new Set(`
+  about above after again against all also and any are because been before being below between both
+  but can could did does doing down during each few for from further had has have having her here
+  hers herself him himself his how into its itself just more most much must myself nor not now off
+  once only other our ours ourselves out over own same she should some such than that the their
+  theirs them themselves then there these they this those through too under until very was were
+  what when where which while who whom why will with would you your yours yourself yourselves
+`.split(/\s+/).filter(Boolean));
+
+// Title and excerpt say the most about a post, so their terms count more than body terms
+const FIELD_WEIGHTS = { title: 3, excerpt: 2, content: 1 };
+
+/**
+ * Lowercased words of at least three characters, without HTML, entities and stop words
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&[a-z0-9#]+;/g, ' ')
+    .match(/[a-z0-9]+(?:['-][a-z0-9]+)*/g) || [];
+
+  return words.filter(word => word.length >= 3 && !STOP_WORDS.has(word));
+}
+
+/**
+ * L2-normalized TF-IDF vectors (sublinear term frequency)
+ * Terms found in every post carry no information and are left out.
+ * @param {Array<{ title: string, excerpt?: string, content?: string }>} docs
+ * @returns {Array<Map<string, number>>} One vector per doc, in order
+ */
+export function buildTfIdfVectors(docs) {
+  const termCounts = docs.map(doc => {
+    const counts = new Map();
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      for (const term of tokenize(doc[field])) {
+        counts.set(term, (counts.get(term) || 0) + weight);
+      }
+    }
+    return counts;
+  });
+
+  const documentFrequency = new Map();
+  for (const counts of termCounts) {
+    for (const term of counts.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  return termCounts.map(counts => {
+    const vector = new Map();
+    let norm = 0;
+
+    for (const [term, count] of counts) {
+      const idf = Math.log(docs.length / documentFrequency.get(term));
+      if (idf <= 0) continue;
+      const weight = (1 + Math.log(count)) * idf;
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+
+    norm = Math.sqrt(norm);
+    for (const [term, weight] of vector) {
+      vector.set(term, weight / norm);
+    }
+    return vector;
+  });
+}
+
+/**
+ * Most similar docs for every doc by TF-IDF cosine similarity
+ * @param {Array<{ id: number, title: string, excerpt?: string, content?: string }>} docs
+ * @param {Object} options
+ * @param {number} options.limit - Neighbors kept per doc
+ * @param {number} options.minScore - Pairs below this similarity are dropped
+ * @returns {Map<number, Array<{ id: number, score: number }>>} Neighbors by doc ID, best first
+ */
+export function findTextNeighbors(docs, { limit = 20, minScore = 0.05 } = {}) {
+  const vectors = buildTfIdfVectors(docs);
+
+  // Inverted index, so only docs sharing at least one term are compared
+  const postings = new Map();
+  vectors.forEach((vector, index) => {
+    for (const [term, weight] of vector) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([index, weight]);
+    }
+  });
+
+  const neighbors = new Map();
+  vectors.forEach((vector, index) => {
+    const scores = new Map();
+    for (const [term, weight] of vector) {
+      for (const [other, otherWeight] of postings.get(term)) {
+        if (other !== index) {
+          scores.set(other, (scores.get(other) || 0) + weight * otherWeight);
+        }
+      }
+    }
+
+    neighbors.set(docs[index].id, [...scores]
+      .filter(([, score]) => score >= minScore)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([other, score]) => ({ id: docs[other].id, score })));
+  });
+
+  return neighbors;
+}
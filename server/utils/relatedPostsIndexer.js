@@ -0,0 +1,192 @@
+import pool, { isDatabaseAvailable } from './db.js';
+import logger from './logger.js';
+import { findTextNeighbors } from './relatedPosts.js';
+import { RELATED_POSTS_INDEX_INTERVAL_MS } from '../constants.js';
+
+/**
+ * Related Posts Indexer
+ *
+ * Recomputes blog_post_similarity: TF-IDF text similarity between published posts and
+ * co-reading scores from blog_post_sessions. Both change slowly, so the table is rebuilt
+ * every few hours instead of scoring on each request.
+ */
+
+// Neighbors kept per post and signal
+const NEIGHBORS_PER_POST = 20;
+
+// Co-reading only looks at recent sessions and ignores pairs read together by a single visitor
+const COREAD_WINDOW_DAYS = 90;
+const COREAD_MIN_VISITORS = 2;
+
+// First rebuild runs shortly after startup rather than one full interval later
+const INITIAL_DELAY_MS = 30 * 1000;
+
+class RelatedPostsIndexer {
+  constructor() {
+    this.processing = false;
+    this.lastRun = null;
+    this.interval = parseInt(process.env.RELATED_POSTS_INDEX_INTERVAL_MS) || RELATED_POSTS_INDEX_INTERVAL_MS;
+
+    // Start the indexer
+    this.startProcessor();
+  }
+
+  /**
+   * Start the rebuild interval
+   */
+  startProcessor() {
+    this.initialTimeout = setTimeout(() => this.rebuild(), INITIAL_DELAY_MS);
+    this.initialTimeout.unref();
+
+    this.processorInterval = setInterval(async () => {
+      await this.rebuild();
+    }, this.interval);
+    this.processorInterval.unref();
+
+    logger.info(`Related posts indexer started (interval: ${this.interval}ms)`);
+
+    // Graceful shutdown
+    process.on('SIGTERM', () => this.shutdown());
+    process.on('SIGINT', () => this.shutdown());
+  }
+
+  /**
+   * Co-reading scores: visitors who read both posts, relative to each post's readers (cosine)
+   * @returns {Promise<Array<{ post_id: number, related_post_id: number, score: number }>>}
+   */
+  async computeCoreadScores() {
+    const { rows } = await pool.query(`
+      WITH readers AS (
+        SELECT DISTINCT bps.visitor_id, bps.post_id
+        FROM blog_post_sessions bps
+        JOIN blog_posts bp ON bp.id = bps.post_id AND bp.status = 'published'
+        WHERE bps.entered_at > NOW() - ($1 || ' days')::INTERVAL
+      ),
+      post_readers AS (
+        SELECT post_id, COUNT(*) AS readers FROM readers GROUP BY post_id
+      ),
+      pairs AS (
+        SELECT a.post_id, b.post_id AS related_post_id, COUNT(*) AS coreaders
+        FROM readers a
+        JOIN readers b ON a.visitor_id = b.visitor_id AND a.post_id <> b.post_id
+        GROUP BY a.post_id, b.post_id
+        HAVING COUNT(*) >= $2
+      ),
+      scored AS (
+        SELECT p.post_id, p.related_post_id,
+          p.coreaders / SQRT(ra.readers * rb.readers) AS score,
+          ROW_NUMBER() OVER (PARTITION BY p.post_id ORDER BY p.coreaders / SQRT(ra.readers * rb.readers) DESC) AS rank
+        FROM pairs p
+        JOIN post_readers ra ON ra.post_id = p.post_id
+        JOIN post_readers rb ON rb.post_id = p.related_post_id
+      )
+      SELECT post_id, related_post_id, score::REAL AS score
+      FROM scored
+      WHERE rank <= $3
+    `, [COREAD_WINDOW_DAYS, COREAD_MIN_VISITORS, NEIGHBORS_PER_POST]);
+
+    return rows;
+  }
+
+  /**
+   * Recompute all similarity scores and replace blog_post_similarity
+   * @returns {Promise<number>} Number of post pairs stored
+   */
+  async rebuild() {
+    if (this.processing || !isDatabaseAvailable) {
+      return 0;
+    }
+
+    this.processing = true;
+    const client = await pool.connect().catch(error => {
+      logger.error('Error rebuilding related posts index:', error);
+      return null;
+    });
+
+    if (!client) {
+      this.processing = false;
+      return 0;
+    }
+
+    try {
+      const { rows: posts } = await client.query(
+        `SELECT id, title, excerpt, content FROM blog_posts WHERE status = 'published'`
+      );
+
+      // Merge both signals into one row per pair
+      const pairs = new Map();
+      const pairFor = (postId, relatedPostId) => {
+        const key = `${postId}:${relatedPostId}`;
+        if (!pairs.has(key)) {
+          pairs.set(key, { postId, relatedPostId, text: 0, coread: 0 });
+        }
+        return pairs.get(key);
+      };
+
+      for (const [postId, neighbors] of findTextNeighbors(posts, { limit: NEIGHBORS_PER_POST })) {
+        for (const { id, score } of neighbors) {
+          pairFor(postId, id).text = score;
+        }
+      }
+
+      for (const row of await this.computeCoreadScores()) {
+        pairFor(row.post_id, row.related_post_id).coread = row.score;
+      }
+
+      const rows = [...pairs.values()];
+
+      await client.query('BEGIN');
+      await client.query('DELETE FROM blog_post_similarity');
+      if (rows.length > 0) {
+        await client.query(
+          `INSERT INTO blog_post_similarity (post_id, related_post_id, text_score, coread_score)
+           SELECT * FROM UNNEST($1::int[], $2::int[], $3::real[], $4::real[])`,
+          [
+            rows.map(row => row.postId),
+            rows.map(row => row.relatedPostId),
+            rows.map(row => row.text),
+            rows.map(row => row.coread),
+          ]
+        );
+      }
+      await client.query('COMMIT');
+
+      this.lastRun = new Date();
+      logger.info(`Related posts index rebuilt: ${posts.length} posts, ${rows.length} pairs`);
+      return rows.length;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      logger.error('Error rebuilding related posts index:', error);
+      return 0;
+    } finally {
+      client.release();
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Get indexer status
+   */
+  getStatus() {
+    return {
+      processing: this.processing,
+      interval: this.interval,
+      lastRun: this.lastRun,
+    };
+  }
+
+  /**
+   * Graceful shutdown
+   */
+  shutdown() {
+    clearTimeout(this.initialTimeout);
+    if (this.processorInterval) {
+      clearInterval(this.processorInterval);
+    }
+  }
+}
+
+// Create singleton instance
+const relatedPostsIndexer = new RelatedPostsIndexer();
+
+export default relatedPostsIndexer;
@@ -0,0 +1,170 @@
+import { Parser } from 'htmlparser2';
+import { escapeHtml, safeUrl } from './blocks.js';
+
+/**
+ * Blog HTML Sanitizer
+ *
+ * Allow-list policy for post HTML. It is applied when a post is saved and again when
+ * it is served, so rows written before the policy (or edited in the database) are safe too.
+ *
+ * - Tags outside ALLOWED_TAGS are unwrapped (their text is kept); DROP_CONTENT_TAGS are
+ *   removed together with their content
+ * - Attributes outside the tag's list are removed, including every on* handler and style
+ * - href allows http(s), mailto, site-relative and #anchors; src allows http(s) and site-relative
+ * - iframes are kept only for the video players in IFRAME_HOSTS
+ */
+
+const GLOBAL_ATTRIBUTES = ['class', 'id', 'title'];
+
+const ALLOWED_TAGS = {
+  p: [], br: [], hr: [], div: [], span: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  strong: [], b: [], em: [], i: [], u: [], s: [], del: [], sub: [], sup: [], mark: [],
+  code: [], pre: [], blockquote: [], cite: [],
+  ul: [], ol: ['start', 'reversed'], li: [],
+  a: ['href', 'target', 'rel'],
+  img: ['src', 'alt', 'width', 'height', 'loading'],
+  figure: [], figcaption: [], aside: [],
+  table: [], thead: [], tbody: [], tfoot: [], tr: [], th: ['colspan', 'rowspan', 'scope'], td: ['colspan', 'rowspan'],
+  iframe: ['src', 'width', 'height', 'allow', 'allowfullscreen', 'loading'],
+};
+
+// Elements removed along with everything inside them
+const DROP_CONTENT_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'object', 'embed', 'applet',
+  'svg', 'math', 'frameset', 'frame', 'textarea', 'select', 'title', 'head',
+]);
+
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link', 'base', 'source', 'track', 'wbr', 'area', 'col', 'param', 'keygen']);
+
+// Embeddable players; must match what resolveEmbed() produces in utils/blocks.js
+export const IFRAME_HOSTS = ['www.youtube-nocookie.com', 'www.youtube.com', 'player.vimeo.com'];
+
+const URL_ATTRIBUTES = new Set(['href', 'src']);
+
+function isAllowedIframe(src) {
+  try {
+    const url = new URL(src);
+    return url.protocol === 'https:' && IFRAME_HOSTS.includes(url.hostname);
+  } catch {
+    return false;
+  }
+}
+
+// Check one attribute; returns the value to write, or null to drop it
+function cleanAttribute(tag, name, value) {
+  if (!GLOBAL_ATTRIBUTES.includes(name) && !ALLOWED_TAGS[tag].includes(name)) return null;
+
+  if (URL_ATTRIBUTES.has(name)) {
+    return safeUrl(value, { link: name === 'href' });
+  }
+  if (name === 'class' || name === 'id') {
+    const tokens = String(value).split(/\s+/).filter(token => /^[\w+#-]+$/.test(token));
+    return tokens.length ? tokens.join(' ') : null;
+  }
+  if (name === 'target') return value === '_blank' ? value : null;
+  if (['width', 'height', 'colspan', 'rowspan', 'start'].includes(name)) {
+    return /^\d{1,4}$/.test(value) ? value : null;
+  }
+  return value;
+}
+
+/**
+ * Sanitize post HTML against the allow-list
+ * @param {string} html - Untrusted HTML
+ * @param {{report?: Array}} options - Pass an array to collect what was removed
+ *   ({ type: 'tag'|'attribute', name, tag?, value? })
+ * @returns {string} Safe HTML
+ */
+export function sanitizeHtml(html, { report } = {}) {
+  let out = '';
+  // One entry per open element: the tag written, or null if it was unwrapped
+  const open = [];
+  let dropDepth = 0;
+
+  const strip = (entry) => {
+    if (report) report.push(entry);
+  };
+
+  const parser = new Parser({
+    onopentag(name, attribs) {
+      if (dropDepth > 0) {
+        if (!VOID_TAGS.has(name)) dropDepth++;
+        return;
+      }
+
+      if (DROP_CONTENT_TAGS.has(name)) {
+        strip({ type: 'tag', name });
+        if (!VOID_TAGS.has(name)) dropDepth++;
+        return;
+      }
+
+      if (!Object.hasOwn(ALLOWED_TAGS, name)) {
+        strip({ type: 'tag', name });
+        if (!VOID_TAGS.has(name)) open.push(null);
+        return;
+      }
+
+      if (name === 'iframe' && !isAllowedIframe(attribs.src)) {
+        strip({ type: 'tag', name, value: attribs.src });
+        dropDepth++;
+        return;
+      }
+
+      let attributes = '';
+      for (const [attr, value] of Object.entries(attribs)) {
+        const clean = cleanAttribute(name, attr, value);
+        if (clean === null) {
+          strip({ type: 'attribute', tag: name, name: attr, value });
+          continue;
+        }
+        if (name === 'a' && attr === 'rel') continue;
+        attributes += clean === '' ? ` ${attr}` : ` ${attr}="${escapeHtml(clean)}"`;
+      }
+      // Links opening a new tab must not get a handle on this window
+      if (name === 'a' && attribs.target === '_blank') {
+        attributes += ' rel="noopener noreferrer"';
+      }
+
+      out += `<${name}${attributes}>`;
+      if (!VOID_TAGS.has(name)) open.push(name);
+    },
+    ontext(text) {
+      if (dropDepth > 0) return;
+      out += escapeHtml(text);
+    },
+    onclosetag(name) {
+      if (VOID_TAGS.has(name)) return;
+      if (dropDepth > 0) {
+        dropDepth--;
+        return;
+      }
+      const tag = open.pop();
+      if (tag) out += `</${tag}>`;
+    },
+  }, { decodeEntities: true, lowerCaseTags: true, lowerCaseAttributeNames: true, recognizeSelfClosing: false });
+
+  parser.write(String(html ?? ''));
+  parser.end();
+
+  while (open.length > 0) {
+    const tag = open.pop();
+    if (tag) out += `</${tag}>`;
+  }
+
+  return out;
+}
+
+/**
+ * Summarize a sanitizer report, e.g. { 'script': 2, 'img[onerror]': 1 }
+ * @param {Array} report - Entries collected by sanitizeHtml
+ * @returns {Object<string, number>}
+ */
+export function summarizeReport(report) {
+  const summary = {};
+  for (const entry of report) {
+    const key = entry.type === 'attribute' ? `${entry.tag}[${entry.name}]` : entry.name;
+    summary[key] = (summary[key] || 0) + 1;
+  }
+  return summary;
+}
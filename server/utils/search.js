@@ -0,0 +1,93 @@
+import { parseDocument, DomUtils } from 'htmlparser2';
+import { escapeHtml } from './blocks.js';
+
+/**
+ * Blog Search Helpers
+ *
+ * Posts are matched against blog_posts.search_vector (see migrations/add_blog_search.js)
+ * with websearch_to_tsquery, ranked with ts_rank and summarized with ts_headline.
+ */
+
+// Text search configuration; must match the one used by blog_post_search_vector()
+export const SEARCH_CONFIG = 'english';
+
+export const MAX_SEARCH_LENGTH = 200;
+
+// ts_headline match markers. Stored post text never contains a raw '<', so they can't collide.
+const HEADLINE_START = '<<';
+const HEADLINE_STOP = '>>';
+
+export const HEADLINE_OPTIONS =
+  `StartSel=${HEADLINE_START}, StopSel=${HEADLINE_STOP}, MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "`;
+
+// Decode entities left over from stripping tags in SQL, then escape for output
+function cleanText(text) {
+  const decoded = DomUtils.textContent(parseDocument(text, { decodeEntities: true }));
+  return escapeHtml(decoded.replace(/\s+/g, ' '));
+}
+
+/**
+ * Turn a raw ts_headline result into safe HTML with matches wrapped in <mark>
+ * @param {string|null} raw - ts_headline output using HEADLINE_OPTIONS
+ * @returns {string} Escaped HTML
+ */
+export function formatHeadline(raw) {
+  if (!raw) return '';
+
+  return raw.split(HEADLINE_START).map((part, index) => {
+    const end = part.indexOf(HEADLINE_STOP);
+    if (index === 0 || end === -1) return cleanText(part);
+    return `<mark>${cleanText(part.slice(0, end))}</mark>${cleanText(part.slice(end + HEADLINE_STOP.length))}`;
+  }).join('').trim();
+}
+
+// For each query word: is it already in the index (or a stop word), and the closest
+// word from published titles, excerpts and tag names by trigram similarity
+const SUGGESTION_QUERY = `
+  WITH vocabulary AS (
+    SELECT DISTINCT word FROM (
+      SELECT regexp_split_to_table(lower(title || ' ' || COALESCE(excerpt, '')), '[^[:alnum:]]+') AS word
+      FROM blog_posts
+      WHERE status = 'published'
+      UNION ALL
+      SELECT regexp_split_to_table(lower(name), '[^[:alnum:]]+') FROM tags
+    ) words
+    WHERE length(word) >= 3
+  )
+  SELECT q.word,
+    numnode(plainto_tsquery('${SEARCH_CONFIG}', q.word)) = 0
+      OR EXISTS (
+        SELECT 1 FROM blog_posts bp
+        WHERE bp.status = 'published'
+          AND bp.search_vector @@ plainto_tsquery('${SEARCH_CONFIG}', q.word)
+      ) AS known,
+    (
+      SELECT v.word FROM vocabulary v
+      WHERE v.word % q.word
+      ORDER BY similarity(v.word, q.word) DESC, v.word
+      LIMIT 1
+    ) AS suggestion
+  FROM unnest($1::text[]) AS q(word)
+`;
+
+/**
+ * Suggest a corrected query ("did you mean") for words that match no published post
+ * @param {object} db - pg pool or client
+ * @param {string} search - The user's query
+ * @returns {Promise<string|null>} Corrected query, or null if every word is fine
+ */
+export async function suggestSearch(db, search) {
+  const words = search.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const candidates = [...new Set(words.filter(word => word.length >= 3))];
+  if (candidates.length === 0) return null;
+
+  const { rows } = await db.query(SUGGESTION_QUERY, [candidates]);
+  const replacements = new Map(
+    rows
+      .filter(row => !row.known && row.suggestion && row.suggestion !== row.word)
+      .map(row => [row.word, row.suggestion])
+  );
+  if (replacements.size === 0) return null;
+
+  return words.map(word => replacements.get(word) || word).join(' ');
+}
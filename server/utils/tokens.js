@@ -0,0 +1,26 @@
+import crypto from "crypto";
+
+/**
+ * Helpers for single-use tokens that are emailed to users
+ * Only the SHA-256 hash is ever stored; the raw token lives in the link
+ */
+
+/**
+ * Generate a random URL-safe token
+ * @param {number} bytes - Amount of randomness (default: 32 bytes)
+ * @returns {string} Hex encoded token
+ */
+export function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Hash a token for storage/lookup
+ * @param {string} token - Raw token
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+export default { generateToken, hashToken };
@@ -0,0 +1,250 @@
+import pool from './db.js';
+import logger from './logger.js';
+
+/**
+ * Traffic Source Classification
+ *
+ * Every tracked hit gets a source (instagram, google, ...) and a channel grouping from the
+ * rules in referrer_rules. /api/track and the blog engagement tracker share them; rules are
+ * kept in memory and reloaded at startup and whenever an admin edits them.
+ *
+ * A rule matches either the referrer's host (domain) or the source hint sent by the client
+ * (?source= or utm_source). Rules are tried by ascending priority, the first match wins.
+ * Hits without referrer or hint are direct; anything else unmatched is an "other" referral.
+ */
+
+export const CHANNELS = ['organic_search', 'social', 'email', 'referral', 'direct'];
+export const MATCH_TYPES = ['domain', 'hint'];
+
+// Domain patterns are host names matched with their subdomains; * stands for any labels (google.*)
+const DOMAIN_PATTERN = /^([a-z0-9-]+|\*)(\.([a-z0-9-]+|\*))*$/;
+const HINT_PATTERN = /^[a-z0-9._-]+$/;
+const SOURCE_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const MAX_PATTERN_LENGTH = 100;
+const MAX_PRIORITY = 1000;
+
+// Seeded by migrations/add_referrer_rules.js, and used until the table has been loaded
+export const DEFAULT_RULES = [
+  { match_type: 'hint', pattern: 'newsletter', source: 'email', channel: 'email', priority: 10 },
+  { match_type: 'hint', pattern: 'email', source: 'email', channel: 'email', priority: 10 },
+  { match_type: 'hint', pattern: 'instagram', source: 'instagram', channel: 'social', priority: 20 },
+  { match_type: 'hint', pattern: 'facebook', source: 'facebook', channel: 'social', priority: 20 },
+  { match_type: 'hint', pattern: 'fb', source: 'facebook', channel: 'social', priority: 20 },
+  { match_type: 'hint', pattern: 'youtube', source: 'youtube', channel: 'social', priority: 20 },
+  { match_type: 'hint', pattern: 'twitter', source: 'twitter', channel: 'social', priority: 20 },
+  { match_type: 'hint', pattern: 'google', source: 'google', channel: 'organic_search', priority: 20 },
+  { match_type: 'domain', pattern: 'mail.google.com', source: 'email', channel: 'email', priority: 50 },
+  { match_type: 'domain', pattern: 'outlook.live.com', source: 'email', channel: 'email', priority: 50 },
+  { match_type: 'domain', pattern: 'instagram.com', source: 'instagram', channel: 'social', priority: 100 },
+  { match_type: 'domain', pattern: 'facebook.com', source: 'facebook', channel: 'social', priority: 100 },
+  { match_type: 'domain', pattern: 'fb.com', source: 'facebook', channel: 'social', priority: 100 },
+  { match_type: 'domain', pattern: 'youtube.com', source: 'youtube', channel: 'social', priority: 100 },
+  { match_type: 'domain', pattern: 'youtu.be', source: 'youtube', channel: 'social', priority: 100 },
+  { match_type: 'domain', pattern: 'twitter.com', source: 'twitter', channel: 'social', priority: 100 },
+  { match_type: 'domain', pattern: 'x.com', source: 'twitter', channel: 'social', priority: 100 },
+  { match_type: 'domain', pattern: 't.co', source: 'twitter', channel: 'social', priority: 100 },
+  { match_type: 'domain', pattern: 'google.*', source: 'google', channel: 'organic_search', priority: 100 },
+  { match_type: 'domain', pattern: 'bing.com', source: 'bing', channel: 'organic_search', priority: 100 },
+  { match_type: 'domain', pattern: 'duckduckgo.com', source: 'duckduckgo', channel: 'organic_search', priority: 100 },
+];
+
+/**
+ * Validate a rule from the admin UI
+ * @param {object} input - { match_type, pattern, source, channel, priority }
+ * @returns {{ rule: object }|{ error: string }} Normalized rule (lowercased, priority defaulted)
+ */
+export function validateRule(input) {
+  const matchType = typeof input?.match_type === 'string' ? input.match_type : '';
+  const pattern = typeof input?.pattern === 'string' ? input.pattern.trim().toLowerCase() : '';
+  const source = typeof input?.source === 'string' ? input.source.trim().toLowerCase() : '';
+  const channel = typeof input?.channel === 'string' ? input.channel : '';
+  const priority = input?.priority === undefined || input?.priority === '' ? 100 : Number(input.priority);
+
+  if (!MATCH_TYPES.includes(matchType)) {
+    return { error: `match_type must be one of: ${MATCH_TYPES.join(', ')}` };
+  }
+  const patternFormat = matchType === 'domain' ? DOMAIN_PATTERN : HINT_PATTERN;
+  if (!pattern || pattern.length > MAX_PATTERN_LENGTH || !patternFormat.test(pattern)) {
+    return {
+      error: matchType === 'domain'
+        ? 'Domain pattern must be a host name such as instagram.com or google.*'
+        : 'Hint pattern may only contain letters, digits, dots, dashes and underscores'
+    };
+  }
+  if (!SOURCE_PATTERN.test(source)) {
+    return { error: 'Source must be 1-32 lowercase letters, digits, dashes or underscores' };
+  }
+  if (!CHANNELS.includes(channel)) {
+    return { error: `channel must be one of: ${CHANNELS.join(', ')}` };
+  }
+  if (!Number.isInteger(priority) || priority < 0 || priority > MAX_PRIORITY) {
+    return { error: `priority must be an integer between 0 and ${MAX_PRIORITY}` };
+  }
+
+  return { rule: { match_type: matchType, pattern, source, channel, priority } };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Sort rules by priority and prepare their matchers
+ * @param {Array<object>} rules - Rows of referrer_rules (or DEFAULT_RULES)
+ * @returns {Array<object>} Rules with a `matches(host, hint)` function, in match order
+ */
+export function compileRules(rules) {
+  return rules
+    .map((rule, index) => ({ rule, index }))
+    .sort((a, b) => (a.rule.priority - b.rule.priority) || ((a.rule.id ?? a.index) - (b.rule.id ?? b.index)))
+    .map(({ rule }) => {
+      if (rule.match_type === 'domain') {
+        const body = rule.pattern
+          .split('.')
+          .map(label => (label === '*' ? '[a-z0-9-]+(?:\\.[a-z0-9-]+)*' : escapeRegExp(label)))
+          .join('\\.');
+        const regex = new RegExp(`(^|\\.)${body}$`);
+        return { ...rule, matches: (host) => Boolean(host) && regex.test(host) };
+      }
+      return { ...rule, matches: (host, hint) => Boolean(hint) && hint.includes(rule.pattern) };
+    });
+}
+
+/**
+ * Host name of a referrer URL, lowercased and without www.
+ * Referrers that are not URLs (e.g. a bare "instagram.com") are read up to the first slash.
+ */
+export function referrerHost(referrer) {
+  if (typeof referrer !== 'string' || !referrer.trim()) return null;
+  let host;
+  try {
+    host = new URL(referrer.trim()).hostname;
+  } catch (_) {
+    host = referrer.trim().replace(/^[a-z]+:\/\//i, '').split(/[/?#:]/)[0];
+  }
+  host = host.toLowerCase().replace(/^www\./, '');
+  return host || null;
+}
+
+/**
+ * Classify a hit with the given compiled rules
+ * @param {Array<object>} rules - Output of compileRules()
+ * @param {string|null} sourceHint - ?source= or utm_source sent by the client
+ * @param {string|null} referrer - Referrer URL
+ * @returns {{ source: string, channel: string }}
+ */
+export function classifyWith(rules, sourceHint, referrer) {
+  const hint = typeof sourceHint === 'string' ? sourceHint.trim().toLowerCase() : '';
+  const host = referrerHost(referrer);
+
+  const rule = rules.find(r => r.matches(host, hint));
+  if (rule) return { source: rule.source, channel: rule.channel };
+  if (!host && !hint) return { source: 'direct', channel: 'direct' };
+  return { source: 'other', channel: 'referral' };
+}
+
+let activeRules = compileRules(DEFAULT_RULES);
+
+/**
+ * Classify a hit with the current rules
+ * @param {string|null} sourceHint - ?source= or utm_source sent by the client
+ * @param {string|null} referrer - Referrer URL
+ * @returns {{ source: string, channel: string }}
+ */
+export function classifySource(sourceHint, referrer) {
+  return classifyWith(activeRules, sourceHint, referrer);
+}
+
+/**
+ * (Re)load the rules from referrer_rules; the current rules are kept if that fails
+ * @returns {Promise<number>} Number of rules loaded
+ */
+export async function loadRules() {
+  try {
+    const { rows } = await pool.query(
+      'SELECT id, match_type, pattern, source, channel, priority FROM referrer_rules'
+    );
+    activeRules = compileRules(rows);
+    return rows.length;
+  } catch (error) {
+    logger.warn('Warning: failed to load referrer rules, keeping current rules:', error.message);
+    return activeRules.length;
+  }
+}
+
+/**
+ * Re-classify stored traffic_events and user_sessions with the current rules
+ *
+ * Only the referrer and utm_source of past hits are stored, not the ?source= hint. Rows are
+ * classified from their referrer (and a session's utm_source); rows with neither keep their
+ * current source as the hint, so a hinted hit is not turned into direct traffic.
+ * @param {object} client - Pool client inside the caller's transaction
+ * @returns {Promise<{ traffic_events: number, sessions: number }>} Rows that changed
+ */
+export async function reclassifyHistory(client) {
+  const storedHint = (source) => (source && source !== 'other' && source !== 'direct' ? source : null);
+
+  // traffic_events: one classification per distinct referrer (and source, for rows without one)
+  const { rows: eventKeys } = await client.query(`
+    SELECT DISTINCT COALESCE(referrer, '') AS referrer,
+      CASE WHEN COALESCE(referrer, '') = '' THEN source ELSE '' END AS source
+    FROM traffic_events
+  `);
+  const eventMatches = eventKeys.map(key => ({
+    key,
+    match: classifyWith(activeRules, key.referrer ? null : storedHint(key.source), key.referrer)
+  }));
+
+  const events = await client.query(`
+    UPDATE traffic_events t
+    SET source = m.new_source, channel = m.channel
+    FROM UNNEST($1::text[], $2::text[], $3::text[], $4::text[]) AS m(referrer, source, new_source, channel)
+    WHERE COALESCE(t.referrer, '') = m.referrer
+      AND (CASE WHEN COALESCE(t.referrer, '') = '' THEN t.source ELSE '' END) = m.source
+      AND (t.source <> m.new_source OR t.channel IS DISTINCT FROM m.channel)
+  `, [
+    eventMatches.map(({ key }) => key.referrer),
+    eventMatches.map(({ key }) => key.source),
+    eventMatches.map(({ match }) => match.source),
+    eventMatches.map(({ match }) => match.channel)
+  ]);
+
+  // user_sessions: classified from the referrer of the session's first hit and its utm_source
+  const sessionLanding = `
+    SELECT s.id, COALESCE(first_hit.referrer, '') AS referrer, COALESCE(s.utm_source, '') AS utm_source,
+      CASE WHEN COALESCE(first_hit.referrer, '') = '' AND s.utm_source IS NULL THEN s.source ELSE '' END AS source
+    FROM user_sessions s
+    LEFT JOIN LATERAL (
+      SELECT e.referrer FROM session_events e
+      WHERE e.session_id = s.id
+      ORDER BY e.occurred_at ASC
+      LIMIT 1
+    ) first_hit ON TRUE
+  `;
+  const { rows: sessionKeys } = await client.query(`
+    SELECT DISTINCT referrer, utm_source, source FROM (${sessionLanding}) landing
+  `);
+  const sessionMatches = sessionKeys.map(key => ({
+    key,
+    match: classifyWith(activeRules, key.utm_source || storedHint(key.source), key.referrer)
+  }));
+
+  const sessions = await client.query(`
+    UPDATE user_sessions s
+    SET source = m.new_source, channel = m.channel
+    FROM (${sessionLanding}) landing
+    JOIN UNNEST($1::text[], $2::text[], $3::text[], $4::text[], $5::text[])
+      AS m(referrer, utm_source, source, new_source, channel)
+      ON landing.referrer = m.referrer AND landing.utm_source = m.utm_source AND landing.source = m.source
+    WHERE s.id = landing.id
+      AND (s.source <> m.new_source OR s.channel IS DISTINCT FROM m.channel)
+  `, [
+    sessionMatches.map(({ key }) => key.referrer),
+    sessionMatches.map(({ key }) => key.utm_source),
+    sessionMatches.map(({ key }) => key.source),
+    sessionMatches.map(({ match }) => match.source),
+    sessionMatches.map(({ match }) => match.channel)
+  ]);
+
+  return { traffic_events: events.rowCount, sessions: sessions.rowCount };
+}
@@ -0,0 +1,35 @@
+/**
+ * UTM Campaign Helpers
+ *
+ * The tracker sends the utm_* parameters of the landing URL with the first hit of a visit.
+ * They are stored on the visitor (first touch, never overwritten) and on the session the
+ * hit started (see migrations/add_utm_attribution.js).
+ */
+
+export const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+const UTM_MAX_LENGTH = 200;
+
+/**
+ * Pick the UTM parameters out of a request body object
+ * Values are trimmed and capped; campaigns are compared case-insensitively, so source,
+ * medium and campaign are lowercased.
+ * @param {object} input - e.g. { utm_source: 'Newsletter', utm_campaign: 'spring-sale' }
+ * @returns {object|null} All five fields (missing ones null), or null when none is set
+ */
+export function parseUtm(input) {
+  if (!input || typeof input !== 'object') return null;
+
+  const utm = {};
+  let found = false;
+  for (const field of UTM_FIELDS) {
+    const value = typeof input[field] === 'string' ? input[field].trim().slice(0, UTM_MAX_LENGTH) : '';
+    if (!value) {
+      utm[field] = null;
+      continue;
+    }
+    utm[field] = ['utm_term', 'utm_content'].includes(field) ? value : value.toLowerCase();
+    found = true;
+  }
+  return found ? utm : null;
+}